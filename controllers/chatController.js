@@ -1,19 +1,22 @@
 // controllers/chatController.js
-import { ChatOpenAI } from '@langchain/openai';
-// controllers/chatController.js
 
 import Chat from '../model/Chat.js';
+import Dashboard from '../model/Data.js';
 import mongoose from 'mongoose';
 import { PdfReader } from 'pdfreader';
 import xlsx from 'xlsx';
 import { fileTypeFromBuffer } from 'file-type';
 
 import { PromptTemplate } from '@langchain/core/prompts';
-import { LLMChain } from 'langchain/chains';
+import { getLlmProvider } from '../utils/llmProvider.js';
+import { searchDashboard } from '../utils/dashboardIndex.js';
 
 // Constants
 const MAX_MESSAGES = 10;
 const MAX_FILE_CONTENT_LENGTH = 1000;
+// Longest wait for retrieval; a dashboard index still being built keeps
+// building for the next question
+const RETRIEVAL_TIMEOUT = 15000;
 
 const formatMessage = (message) => {
 	return `${message.role}: ${message.content}`;
@@ -25,10 +28,30 @@ Data provided:
 {file_content}
 
 Current conversation:
-{chat_history}
+{chat_history}`;
+
+const SOURCES_TEMPLATE = `You are a data analyzer, you are given numbered excerpts of a dashboard's data and you very briefly answer questions regarding the data. Cite the excerpts you use by their number, e.g. [1]. If the excerpts do not answer the question, say so.
+
+Data provided:
+{file_content}
 
-user: {input}
-assistant:`;
+Current conversation:
+{chat_history}`;
+
+// Numbered excerpts for the prompt; the numbers are the citations' n
+const formatSources = (sources) =>
+	sources.map((source, i) => `[${i + 1}] ${source.text}`).join('\n\n');
+
+// Citation of an excerpt, pointing back to its category and title
+const toCitation = (source, i) => ({
+	n: i + 1,
+	category: source.category,
+	group: source.group,
+	title: source.title,
+	from: source.from,
+	to: source.to,
+	score: source.score,
+});
 
 const extractTextFromFile = async (buffer) => {
 	return new Promise(async (resolve, reject) => {
@@ -147,8 +170,35 @@ export const createOrUpdateChat = async (req, res) => {
 			chat.fileContent = extractedText || '';
 		}
 
-		// Use dashboardData as fileContent if provided
-		if (dashboardData) {
+		// Retrieve the parts of the stored dashboard's data that match the
+		// question, over the whole dataset
+		const question = messages.at(-1)?.content || '';
+		const dashboard = mongoose.Types.ObjectId.isValid(dashboardId)
+			? await Dashboard.findOne(
+					{ _id: dashboardId, uid: userId },
+					{ ref: 1, calc: 1 }
+			  )
+			: null;
+		let sources = [];
+		if (dashboard?.ref?.fid) {
+			try {
+				sources = await Promise.race([
+					searchDashboard(dashboard, question),
+					new Promise((_, reject) =>
+						setTimeout(
+							() => reject(new Error('Dashboard search timeout')),
+							RETRIEVAL_TIMEOUT
+						)
+					),
+				]);
+			} catch (searchError) {
+				// The question is then answered from dashboardData
+				console.error('Error searching dashboard data:', searchError);
+			}
+		}
+
+		// Use dashboardData as fileContent if provided and nothing was retrieved
+		if (dashboardData && !sources.length) {
 			chat.fileContent = JSON.stringify(dashboardData).slice(
 				0,
 				MAX_FILE_CONTENT_LENGTH
@@ -166,35 +216,41 @@ export const createOrUpdateChat = async (req, res) => {
 		);
 
 		const chatHistory = allRecentMessages.join('\n');
-		const fileContentText = chat.fileContent || '';
+		// A file uploaded with the message is given along with the excerpts
+		const fileContentText = sources.length
+			? [fileContent ? chat.fileContent : '', formatSources(sources)]
+					.filter(Boolean)
+					.join('\n\n')
+			: chat.fileContent || '';
 
 		// Create prompt
 		const prompt = new PromptTemplate({
-			template: TEMPLATE,
-			inputVariables: ['chat_history', 'file_content', 'input'],
-		});
-
-		// Initialize the model
-		const model = new ChatOpenAI({
-			openAIApiKey: process.env.OPENAI_API_KEY,
-			modelName: 'gpt-4-turbo',
-			temperature: 0.8,
+			template: sources.length ? SOURCES_TEMPLATE : TEMPLATE,
+			inputVariables: ['chat_history', 'file_content'],
 		});
-
-		// Create the chain
-		const chain = new LLMChain({ llm: model, prompt });
-
-		// Get the assistant's response
-		const assistantResponse = await chain.call({
+		const instructions = await prompt.format({
 			chat_history: chatHistory,
 			file_content: fileContentText,
-			input: messages.at(-1)?.content || '',
 		});
 
-		const assistantText = assistantResponse.text.trim();
+		// Get the assistant's response from the configured LLM provider
+		const assistantResponse = await getLlmProvider().chat(
+			[
+				['system', instructions],
+				['human', question],
+			],
+			{ temperature: 0.8 }
+		);
+
+		const assistantText = assistantResponse.content.trim();
 
 		// Create assistant's message
-		const assistantMessage = { role: 'assistant', content: assistantText };
+		const citations = sources.map(toCitation);
+		const assistantMessage = {
+			role: 'assistant',
+			content: assistantText,
+			...(citations.length ? { citations } : {}),
+		};
 
 		// Append user's messages and assistant's response to chat
 		messages.forEach((msg) => chat.messages.push(msg));
@@ -204,7 +260,7 @@ export const createOrUpdateChat = async (req, res) => {
 		await chat.save();
 
 		// Return the assistant's response and chatId if new chat was created
-		const responseData = { message: assistantText };
+		const responseData = { message: assistantText, citations };
 		if (isNewChat) {
 			responseData.chatId = chat._id;
 			responseData.chat = chat; // Include chat data
@@ -213,7 +269,9 @@ export const createOrUpdateChat = async (req, res) => {
 		res.status(200).json(responseData);
 	} catch (error) {
 		console.error('Error processing request:', error);
-		res.status(error.status ?? 500).json({ error: error.message });
+		res
+			.status(error.statusCode ?? error.status ?? 500)
+			.json({ error: error.message });
 	}
 };
 
@@ -1,19 +1,17 @@
 import mongoose from 'mongoose';
-import { PdfReader } from 'pdfreader';
 import { format } from 'date-fns';
-import sharp from 'sharp';
-import tesseract from 'tesseract.js';
 import xlsx from 'xlsx';
-import { ChatOpenAI } from '@langchain/openai';
-import { PromptTemplate } from '@langchain/core/prompts';
-import { Readable } from 'stream';
-import { parse } from 'csv-parse';
 import retry from 'async-retry';
 import { Gauge } from 'prom-client';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { mergeDashboardData } from '../utils/dashboardUtils.js';
 import { transformExcelDataToJSCode } from '../utils/transformExcel.js';
+import { createRecipeRunner } from '../utils/recipe.js';
+import { parsePdfTables } from '../utils/pdfTables.js';
+import { recognizeDocument } from '../utils/ocr.js';
+import { extractRows } from '../utils/llmExtraction.js';
+import { CustomError } from '../utils/CustomError.js';
 import { getGoogleDriveModifiedTime } from '../utils/googleDriveService.js';
 import { getUserAuthClient } from '../utils/oauthService.js';
 import { getTokens } from '../tokenStore.js';
@@ -50,9 +48,6 @@ const logger = winston.createLogger({
 	],
 });
 
-// In-memory store for chunks
-const chunkStore = new Map();
-
 // Promisified exec for backups
 const execAsync = promisify(exec);
 
@@ -1021,28 +1016,21 @@ export const getDashboardFiles = async (req, res) => {
 
 /**
  * Extracts text from a document based on its type using memory-based processing.
+ * Tables found in a PDF are returned as JSON rows of the selected pages and
+ * tables (see utils/pdfTables.js); PDFs without tables fall back to their
+ * text, and scanned PDFs and images are read by OCR (see utils/ocr.js).
  */
-const getDocumentText = async (buffer, fileType) => {
+const getDocumentText = async (buffer, fileType, { pages, tables } = {}) => {
 	try {
 		if (fileType === 'application/pdf') {
-			const pdfReader = new PdfReader();
-			return new Promise((resolve, reject) => {
-				let text = '';
-				pdfReader.parseBuffer(buffer, (err, item) => {
-					if (err) {
-						logger.error('Error parsing PDF', { error: err.message });
-						reject(err);
-					} else if (!item) {
-						resolve(text);
-					} else if (item.text) {
-						text += item.text + ' ';
-					}
-				});
-			});
+			const { sheets, text } = await parsePdfTables(buffer, { pages, tables });
+			const rows = sheets.flatMap((sheet) => sheet.rows);
+			if (rows.length > 0) return JSON.stringify(rows);
+			return text.trim()
+				? text
+				: (await recognizeDocument(buffer, { pdf: true })).text;
 		} else if (fileType === 'image/png' || fileType === 'image/jpeg') {
-			const imageBuffer = await sharp(buffer).toBuffer();
-			const result = await tesseract.recognize(imageBuffer);
-			return result.data.text;
+			return (await recognizeDocument(buffer)).text;
 		} else if (
 			fileType ===
 				'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
@@ -1090,6 +1078,15 @@ function generateChartId(categoryName, chartTitle) {
 		.replace(/\s+/g, '-')}`;
 }
 
+// Whether text is a JSON array, as spreadsheet rows are passed on
+function isJsonArray(text) {
+	try {
+		return Array.isArray(JSON.parse(text));
+	} catch (e) {
+		return false;
+	}
+}
+
 function extractJavascriptCode(response) {
 	try {
 		if (!response.startsWith('const data = [')) {
@@ -1855,253 +1852,6 @@ export const updateCombinedChart = async (req, res) => {
 	}
 };
 
-/**
- * POST /users/:id/dashboard/upload-chunk
- * Receives and stores a file chunk in memory.
- */
-export const uploadChunk = async (req, res) => {
-	try {
-		const userId = req.params.id;
-		const { chunkId, chunkIndex, totalChunks, fileName, fileType } = req.body;
-
-		if (!mongoose.Types.ObjectId.isValid(userId)) {
-			return res.status(400).json({ message: 'Invalid userId' });
-		}
-		if (
-			!req.file ||
-			!chunkId ||
-			chunkIndex == null ||
-			!totalChunks ||
-			!fileName ||
-			!fileType
-		) {
-			return res
-				.status(400)
-				.json({ message: 'Missing required chunk metadata' });
-		}
-
-		const chunkIndexNum = parseInt(chunkIndex, 10);
-		if (isNaN(chunkIndexNum) || chunkIndexNum < 0) {
-			return res.status(400).json({ message: 'Invalid chunkIndex' });
-		}
-
-		const allowedTypes = [
-			'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-			'application/vnd.ms-excel',
-			'text/csv',
-		];
-		if (!allowedTypes.includes(fileType)) {
-			return res.status(400).json({
-				message: 'Unsupported file type',
-				receivedType: fileType,
-				allowedTypes,
-			});
-		}
-
-		if (!chunkStore.has(chunkId)) {
-			chunkStore.set(chunkId, {
-				chunks: new Array(parseInt(totalChunks, 10)).fill(null),
-				totalChunks: parseInt(totalChunks, 10),
-				fileName,
-				fileType,
-			});
-		}
-
-		const chunkData = chunkStore.get(chunkId);
-		if (chunkIndexNum >= chunkData.totalChunks) {
-			return res.status(400).json({ message: 'Invalid chunk index' });
-		}
-
-		chunkData.chunks[chunkIndexNum] = req.file.buffer;
-
-		logger.info('Chunk received', {
-			userId,
-			chunkId,
-			chunkIndex,
-			totalChunks,
-			fileName,
-			fileType,
-			chunkSize: req.file.buffer.length,
-		});
-
-		res.status(200).json({
-			message: 'Chunk received successfully',
-			chunkId,
-			chunkIndex,
-		});
-	} catch (error) {
-		logger.error('Error in uploadChunk', {
-			userId,
-			error: error.message,
-			stack: error.stack,
-		});
-		if (error.message.includes('Bad compressed size')) {
-			res.status(400).json({ message: 'Invalid or corrupted Excel/CSV file' });
-		} else {
-			res.status(500).json({ message: 'Server error', error: error.message });
-		}
-	}
-};
-
-/**
- * POST /users/:id/dashboard/finalize-chunk
- * Reassembles chunks from memory, processes the file, and updates the dashboard.
- */
-export const finalizeChunk = async (req, res) => {
-	try {
-		const userId = req.params.id;
-		const { chunkId, dashboardId, fileName, totalChunks } = req.body;
-
-		if (
-			!mongoose.Types.ObjectId.isValid(userId) ||
-			!mongoose.Types.ObjectId.isValid(dashboardId)
-		) {
-			return res.status(400).json({ message: 'Invalid userId or dashboardId' });
-		}
-		if (!chunkId || !fileName || !totalChunks) {
-			return res
-				.status(400)
-				.json({ message: 'Missing required finalize metadata' });
-		}
-
-		let dashboard = await Dashboard.findOne({ _id: dashboardId, userId });
-		if (!dashboard) {
-			return res
-				.status(404)
-				.json({ message: `Dashboard ID ${dashboardId} not found` });
-		}
-
-		if (!chunkStore.has(chunkId)) {
-			return res.status(400).json({ message: 'Chunk ID not found' });
-		}
-
-		const chunkData = chunkStore.get(chunkId);
-		if (chunkData.totalChunks !== parseInt(totalChunks, 10)) {
-			return res.status(400).json({ message: 'Mismatched total chunks' });
-		}
-
-		if (chunkData.chunks.some((chunk) => chunk === null)) {
-			return res.status(400).json({ message: 'Incomplete chunks received' });
-		}
-
-		const fileBuffer = Buffer.concat(chunkData.chunks);
-
-		let chunkDataParsed = [];
-		if (fileName.endsWith('.csv')) {
-			const parser = parse({ columns: true, trim: true });
-			const chunkStream = Readable.from(fileBuffer);
-			for await (const row of chunkStream.pipe(parser)) {
-				chunkDataParsed.push(row);
-			}
-		} else {
-			const workbook = xlsx.read(fileBuffer, {
-				type: 'buffer',
-				cellDates: true,
-			});
-			const sheetName = workbook.SheetNames[0];
-			if (!sheetName) {
-				return res
-					.status(400)
-					.json({ message: 'Excel/CSV file has no sheets' });
-			}
-			const sheet = workbook.Sheets[sheetName];
-			if (!sheet) {
-				return res
-					.status(400)
-					.json({ message: 'Invalid sheet in Excel/CSV file' });
-			}
-			chunkDataParsed = xlsx.utils.sheet_to_json(sheet, { raw: true });
-			if (!chunkDataParsed || !Array.isArray(chunkDataParsed)) {
-				return res
-					.status(400)
-					.json({ message: 'No valid data extracted from Excel/CSV file' });
-			}
-		}
-
-		const documentText = JSON.stringify(chunkDataParsed);
-		let response;
-		try {
-			response = transformExcelDataToJSCode(documentText);
-			logger.info('AI transformation response', {
-				userId,
-				fileName,
-				length: response.length,
-			});
-		} catch (transformError) {
-			logger.error('Error transforming chunk data', {
-				userId,
-				fileName,
-				error: transformError.message,
-			});
-			return res.status(500).json({
-				message: `Data transformation failed: ${transformError.message}`,
-			});
-		}
-
-		const extractedData = extractJavascriptCode(response);
-		logger.info('Extracted data items', {
-			userId,
-			fileName,
-			count: extractedData.length,
-		});
-
-		const { dashboardData: transformedDashboardData } = transformDataStructure(
-			extractedData,
-			fileName
-		);
-
-		if (!transformedDashboardData || transformedDashboardData.length === 0) {
-			return res
-				.status(400)
-				.json({ message: 'No valid dashboard data extracted from chunk' });
-		}
-
-		const fileData = {
-			fileId: new mongoose.Types.ObjectId().toString(),
-			filename: fileName,
-			content: transformedDashboardData,
-			source: 'local',
-			isChunked: true,
-			chunkCount: totalChunks,
-			monitoring: { status: 'active' },
-		};
-
-		dashboard.dashboardData = mergeDashboardData(
-			dashboard.dashboardData,
-			transformedDashboardData
-		);
-		dashboard.files.push(fileData);
-		await dashboard.save();
-
-		const dashboardObj = dashboard.toObject();
-		await setCachedDashboard(userId, dashboardId, dashboardObj);
-
-		chunkStore.delete(chunkId);
-
-		res.status(201).json({
-			message: 'Chunked file processed successfully',
-			dashboard: dashboardObj,
-		});
-	} catch (error) {
-		logger.error('Error in finalizeChunk', {
-			userId,
-			dashboardId,
-			fileName,
-			error: error.message,
-			stack: error.stack,
-		});
-		if (error.message.includes('Bad compressed size')) {
-			res.status(400).json({ message: 'Invalid or corrupted Excel/CSV file' });
-		} else {
-			res.status(500).json({ message: 'Server error', error: error.message });
-		}
-	} finally {
-		if (chunkStore.has(req.body.chunkId)) {
-			chunkStore.delete(req.body.chunkId);
-		}
-	}
-};
-
 /**
  * POST /users/:id/dashboard/:dashboardId/cloudText
  * Processes raw cloud text (e.g., from Google Drive) using GPT, merges the data into the dashboard,
@@ -2136,34 +1886,24 @@ export const processCloudText = async (req, res) => {
 		let cleanedText = removeEmptyOrCommaLines(fullText);
 		cleanedText = removeExcessiveRepetitions(cleanedText, 3);
 
-		const TEMPLATE = `
-You are a helpful assistant that transforms the given data into table data in one array of objects called 'data' in JavaScript.
-Output only valid JavaScript code with proper JSON syntax:
-- Use double quotes for strings.
-- Do not include trailing commas.
-- Do not include comments or extra text.
-- Preserve ISO date strings (e.g., "2024-03-01T23:00:00.000Z") exactly as provided without modification.
-
-Given the following text:
-{document_text}
-
-Transform it into table data as:
-const data = [{...}, {...}];
-`.trim();
-
-		const prompt = PromptTemplate.fromTemplate(TEMPLATE);
-		const formattedPrompt = await prompt.format({ document_text: cleanedText });
-
-		const model = new ChatOpenAI({
-			openAIApiKey: process.env.OPENAI_API_KEY,
-			modelName: 'gpt-3.5-turbo',
-			temperature: 0.8,
-			maxTokens: 4096,
-		});
-		const gptResponse = await model.predict(formattedPrompt);
-
-		const extractedData = extractJavascriptCode(gptResponse);
-		const { dashboardData } = transformDataStructure(extractedData, fileName);
+		// Rows are extracted as schema-validated JSON, chunk by chunk
+		let extraction;
+		try {
+			extraction = await extractRows(cleanedText);
+		} catch (extractionError) {
+			if (!(extractionError instanceof CustomError)) throw extractionError;
+			logger.error('Failed to extract cloud text rows', {
+				userId,
+				dashboardId,
+				error: extractionError.message,
+			});
+			return res
+				.status(extractionError.statusCode)
+				.json({ message: extractionError.message });
+		}
+		// Drive rows get the dashboard's recipe like uploaded files
+		const { rows } = createRecipeRunner(dashboard.rcp).apply(extraction.rows);
+		const { dashboardData } = transformDataStructure(rows, fileName);
 
 		if (!dashboardData) {
 			return res.status(400).json({ message: 'dashboardData is required' });
@@ -2208,6 +1948,7 @@ const data = [{...}, {...}];
 		res.status(201).json({
 			message: 'Cloud text processed and data stored successfully',
 			dashboard: dashboardObj,
+			extraction: { chunks: extraction.chunks, failed: extraction.failed },
 		});
 	} catch (error) {
 		logger.error('Error processing cloud text', {
@@ -2441,7 +2182,11 @@ export const checkAndUpdateMonitoredFiles = async (req, res) => {
 
 				if (currentDate > storedDate) {
 					const fileContent = await fetchFileContent(fileId, authClient);
-					const dashboardData = await processFileContent(fileContent, filename);
+					const dashboardData = await processFileContent(
+						fileContent,
+						filename,
+						dashboard.rcp
+					);
 					dashboard.files = dashboard.files.filter(
 						(f) => f.filename !== filename
 					);
@@ -2577,7 +2322,7 @@ async function fetchFileContent(fileId, authClient) {
 	}
 }
 
-async function processFileContent(fullText, fileName) {
+async function processFileContent(fullText, fileName, recipe = []) {
 	try {
 		let data;
 		try {
@@ -2601,7 +2346,8 @@ async function processFileContent(fullText, fileName) {
 				}));
 		}
 
-		const { dashboardData } = transformDataStructure(data, fileName);
+		const { rows } = createRecipeRunner(recipe).apply(data);
+		const { dashboardData } = transformDataStructure(rows, fileName);
 		if (
 			!dashboardData ||
 			!Array.isArray(dashboardData) ||
@@ -2833,20 +2579,12 @@ export const createOrUpdateDashboard = async (req, res) => {
 				logger.info('Stored file in GridFS', { userId, fileName, fileId });
 			}
 		} else if (fileType === 'application/pdf') {
-			const pdfReader = new PdfReader();
-			documentText = await new Promise((resolve, reject) => {
-				let text = '';
-				pdfReader.parseBuffer(file.buffer, (err, item) => {
-					if (err) reject(err);
-					else if (!item) resolve(text);
-					else if (item.text) text += item.text + ' ';
-				});
+			documentText = await getDocumentText(file.buffer, fileType, {
+				pages: req.body.pages,
+				tables: req.body.tables,
 			});
 		} else if (fileType === 'image/png' || fileType === 'image/jpeg') {
-			const image = sharp(file.buffer);
-			const buffer = await image.toBuffer();
-			const result = await tesseract.recognize(buffer);
-			documentText = result.data.text;
+			documentText = (await recognizeDocument(file.buffer)).text;
 		} else {
 			logger.error('Unexpected file type after validation', {
 				userId,
@@ -2862,28 +2600,47 @@ export const createOrUpdateDashboard = async (req, res) => {
 			length: documentText.length,
 		});
 
-		// Transform data
-		let response;
-		try {
-			response = transformExcelDataToJSCode(documentText);
-			logger.info('AI transformation response', {
-				userId,
-				fileName,
-				length: response.length,
-			});
-		} catch (transformError) {
-			logger.error('Error transforming data', {
-				userId,
-				fileName,
-				error: transformError.message,
-				stack: transformError.stack,
-			});
-			return res.status(500).json({
-				message: `Data transformation failed: ${transformError.message}`,
-			});
+		// Transform data: spreadsheets and PDF tables arrive as JSON rows, other
+		// text is converted to rows by the LLM
+		let extractedData;
+		let extraction = null;
+		if (isJsonArray(documentText)) {
+			let response;
+			try {
+				response = transformExcelDataToJSCode(documentText);
+				logger.info('AI transformation response', {
+					userId,
+					fileName,
+					length: response.length,
+				});
+			} catch (transformError) {
+				logger.error('Error transforming data', {
+					userId,
+					fileName,
+					error: transformError.message,
+					stack: transformError.stack,
+				});
+				return res.status(500).json({
+					message: `Data transformation failed: ${transformError.message}`,
+				});
+			}
+			extractedData = extractJavascriptCode(response);
+		} else {
+			try {
+				extraction = await extractRows(documentText);
+			} catch (extractionError) {
+				if (!(extractionError instanceof CustomError)) throw extractionError;
+				logger.error('Failed to extract document rows', {
+					userId,
+					fileName,
+					error: extractionError.message,
+				});
+				return res
+					.status(extractionError.statusCode)
+					.json({ message: extractionError.message });
+			}
+			extractedData = extraction.rows;
 		}
-
-		const extractedData = extractJavascriptCode(response);
 		logger.info('Extracted data items', {
 			userId,
 			fileName,
@@ -3000,6 +2757,9 @@ export const createOrUpdateDashboard = async (req, res) => {
 		res.status(201).json({
 			message: 'Dashboard processed successfully',
 			dashboard: dashboardObj,
+			...(extraction && {
+				extraction: { chunks: extraction.chunks, failed: extraction.failed },
+			}),
 		});
 	} catch (error) {
 		logger.error('Error in createOrUpdateDashboard', {
@@ -3,10 +3,13 @@ import { GridFSBucket } from 'mongodb';
 import xlsx from 'xlsx';
 import winston from 'winston';
 import Queue from 'bull';
-import { Redis } from '@upstash/redis';
 import Papa from 'papaparse';
 import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import Dashboard from '../model/Data.js';
+import User from '../model/User.js';
+import Chat from '../model/Chat.js';
 import {
 	setCachedDashboard,
 	getCachedDashboard,
@@ -14,10 +17,13 @@ import {
 } from '../utils/cache.js';
 import {
 	calculateDynamicParameters,
+	applyCalculatedFields,
+	validateCalculatedField,
 	getNumericTitles,
 	mergeDashboardData,
-	limitDashboardDataSize,
+	MERGE_STRATEGIES,
 	getDateTitles,
+	queryDashboardData,
 } from '../utils/dashboardUtils.js';
 import {
 	cleanNumeric,
@@ -26,6 +32,78 @@ import {
 	extractJavascriptCode,
 	transformDataStructure,
 } from '../utils/dataTransform.js';
+import {
+	parseExpression,
+	getExpressionTitles,
+} from '../utils/formulaEngine.js';
+import { CustomError } from '../utils/CustomError.js';
+import { parseWorkbookSheets, streamFileRows } from '../utils/fileParser.js';
+import { parsePageList, parsePdfTables } from '../utils/pdfTables.js';
+import {
+	IMAGE_EXTENSIONS,
+	parseLanguageList,
+	parseScannedInvoice,
+} from '../utils/ocr.js';
+import { diffDashboardData } from '../utils/uploadDiff.js';
+import {
+	MAX_QUALITY_REPORTS,
+	createQualityProfile,
+	summarizeQuality,
+} from '../utils/qualityReport.js';
+import {
+	removeSourceData,
+	selectSourceData,
+	summarizeSources,
+	tagUploadSource,
+} from '../utils/provenance.js';
+import { createRecipeRunner, validateRecipe } from '../utils/recipe.js';
+import {
+	MAX_JOINS,
+	createJoinRunner,
+	createLookupTable,
+	validateJoin,
+} from '../utils/joins.js';
+import { decodeCsv, resolveCsvDialect } from '../utils/csvDialect.js';
+import { HEADER_SEPARATOR } from '../utils/sheetLayout.js';
+import {
+	DEFAULT_UNPIVOT_TITLE,
+	detectPeriodColumns,
+	parsePeriodHeader,
+	parseUnpivotOption,
+} from '../utils/periods.js';
+import { getDataPlanLimits } from '../utils/plans.js';
+import {
+	createUploadSession,
+	getUploadSession,
+	storeChunk,
+	getUploadProgress,
+	assembleUpload,
+	verifyUpload,
+	openUploadStream,
+	deleteUploadSession,
+	MAX_BUFFERED_UPLOAD,
+	MAX_CHUNK_SIZE,
+	SESSION_TTL,
+} from '../utils/uploadSessions.js';
+import {
+	inferColumnSchema,
+	mergeColumnSchema,
+	validateColumnSchema,
+	selectColumns,
+	applyColumnSchema,
+} from '../utils/columnSchema.js';
+import {
+	aggregateTimeSeries,
+	BUCKET_SIZES,
+	AGGREGATIONS,
+} from '../utils/timeSeries.js';
+import {
+	EXPORT_FORMATS,
+	writeXlsxExport,
+	writeCsvExport,
+	writeJsonExport,
+} from '../utils/dashboardExport.js';
+import { warmDashboardIndex } from '../utils/dashboardIndex.js';
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -47,7 +125,6 @@ mongoose.connection.once('open', () => {
 	logger.info('GridFS initialized');
 });
 
-const redis = Redis.fromEnv();
 const deletionQueue = new Queue('gridfs-deletion', {
 	redis: {
 		url: process.env.UPSTASH_REDIS_REST_URL,
@@ -55,6 +132,18 @@ const deletionQueue = new Queue('gridfs-deletion', {
 	},
 });
 
+const TIME_SERIES_CACHE_TTL = 60 * 60; // 1 hour
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = 1000;
+const PREVIEW_CATEGORY_LIMIT = 50;
+const MAX_RECIPE_PREVIEW_ROWS = 100;
+const MAX_SCHEMA_WARNINGS = 100;
+const UPLOAD_MIME_TYPES = {
+	csv: 'text/csv',
+	xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+	xls: 'application/vnd.ms-excel',
+};
+
 // Valid chart types
 const validChartTypes = [
 	'EntryArea',
@@ -97,15 +186,29 @@ function sanitizeJsonString(s) {
 		});
 }
 
-// Sanitize key for JSON
+// Whether a header reads as a period (the year does not matter here)
+const isPeriodHeader = (header) => parsePeriodHeader(header, 2000) !== null;
+
+// Sanitize key for JSON; levels of a flattened multi-row header keep their
+// " / " separator, and period headers such as "01/2024" keep the characters
+// period detection reads
 function sanitizeKey(k) {
 	return (
 		k
-			.replace(/[\x00-\x1F\x7F-\x9F]/g, '')
-			.replace(/[^\w\s-]/g, '')
-			.replace(/\s+/g, '_')
-			.replace(/^\d/, '_$&')
-			.trim() || 'unk_col'
+			.split(HEADER_SEPARATOR)
+			.map((level) => {
+				const text = level.replace(/[\x00-\x1F\x7F-\x9F]/g, '');
+				const key = text
+					.replace(/[^\w\s-]/g, '')
+					.replace(/\s+/g, '_')
+					.trim();
+				return !isPeriodHeader(key) && isPeriodHeader(text)
+					? text.trim().replace(/\s+/g, '_')
+					: key;
+			})
+			.filter(Boolean)
+			.join(HEADER_SEPARATOR)
+			.replace(/^\d/, '_$&') || 'unk_col'
 	);
 }
 
@@ -216,44 +319,23 @@ function sanitizeExcelData(data) {
 	});
 }
 
-// Parse Excel stream
-async function parseExcelStream(buffer, callback) {
-	const workbook = xlsx.read(buffer, {
-		type: 'buffer',
-		cellDates: true,
-		raw: false,
-		cellText: false,
-	});
-	const sheetName =
-		workbook.SheetNames.find((name) => name.toLowerCase().includes('sheet')) ||
-		workbook.SheetNames[0];
-	const sheet = workbook.Sheets[sheetName];
-	const data = [];
-	const batchSize = 1000;
-
-	const jsonData = xlsx.utils.sheet_to_json(sheet, {
-		raw: false,
-		defval: null,
-	});
-	for (let i = 0; i < jsonData.length; i += batchSize) {
-		const batch = jsonData.slice(i, i + batchSize);
-		data.push(...batch);
-		callback(batch);
-		await new Promise((resolve) => setTimeout(resolve, 0));
-		logger.info(`Processed ${data.length} rows`, { fileName: sheetName });
-	}
-	return data;
-}
-
-// Parse CSV buffer
-function parseCsv(buffer) {
+// Parse CSV buffer in its resolved dialect (see utils/csvDialect.js)
+function parseCsv(buffer, dialect) {
 	return new Promise((resolve, reject) => {
-		Papa.parse(buffer.toString(), {
+		// Rows delivered to step() are not repeated in complete()
+		const rows = [];
+		Papa.parse(decodeCsv(buffer, dialect.encoding), {
 			header: true,
-			chunkSize: 1000,
-			step: (results) =>
-				logger.info(`Processed CSV chunk`, { rows: results.data.length }),
-			complete: (results) => resolve(results.data),
+			skipEmptyLines: true,
+			delimiter: dialect.delimiter,
+			quoteChar: dialect.quoteChar,
+			escapeChar: dialect.quoteChar,
+			skipFirstNLines: dialect.headerRow,
+			step: (results) => rows.push(results.data),
+			complete: () => {
+				logger.info('Processed CSV', { rows: rows.length });
+				resolve(rows);
+			},
 			error: (error) => reject(error),
 		});
 	});
@@ -281,254 +363,434 @@ async function writeToGridFS(fileId, filename, data, contentType, metadata) {
 	return fileId.toString();
 }
 
-/**
- * POST /users/:userId/dashboard/upload
- * Creates or updates a dashboard with uploaded file data.
- */
-export async function createOrUpdateDashboard(req, res) {
-	const authHeader = req.headers.authorization;
-	logger.debug('Received upload request', {
-		userId: req.params.userId,
-		authHeader: !!authHeader,
-	});
-	if (!validateAuth(authHeader)) {
-		logger.error('Unauthorized access attempt', { userId: req.params.userId });
-		return res.status(401).json({ msg: 'Unauthorized' });
-	}
-
-	const uid = req.params.userId;
-	const start = Date.now();
-	let chunkKey;
+// Error for dashboard data larger than the plan allows
+function dataSizeError(maxDataSize) {
+	return new CustomError(
+		413,
+		`ERR_SIZE_LIMIT: Dashboard data exceeds the ${Math.round(
+			maxDataSize / (1024 * 1024)
+		)}MB allowed by your plan`
+	);
+}
 
-	try {
-		if (!mongoose.Types.ObjectId.isValid(uid)) {
-			logger.error('Invalid userId', { uid });
-			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid userId' });
-		}
+// Uncompressed JSON size of dashboard categories, serialized one at a time
+function dataSizeOf(categories) {
+	return categories.reduce(
+		(size, category) =>
+			size + Buffer.byteLength(JSON.stringify(category), 'utf8') + 1,
+		1
+	);
+}
 
-		const {
-			id,
-			name,
-			chunkIdx,
-			totalChunks,
-			parameters,
-			operations,
-			resultName,
-		} = req.body;
-		const file = req.file;
-		if (!file) {
-			logger.error('No file uploaded', { uid });
-			return res.status(400).json({ msg: 'No file uploaded' });
+// Stream dashboard data to GridFS as gzipped JSON, one category at a time.
+// Returns the uncompressed size in bytes; data larger than maxSize is not
+// stored (the chunks written so far are removed) and throws a 413.
+async function writeJsonToGridFS(
+	fileId,
+	filename,
+	data,
+	metadata,
+	maxSize = Infinity
+) {
+	let size = 2;
+	async function* serialize() {
+		yield '[';
+		for (const [i, category] of data.entries()) {
+			const part = (i ? ',' : '') + JSON.stringify(category);
+			size += Buffer.byteLength(part, 'utf8');
+			if (size > maxSize) throw dataSizeError(maxSize);
+			yield part;
 		}
-
-		let fileType = file.mimetype;
-		let fileName = file.originalname;
-		logger.info('Processing file', {
-			uid,
-			fileName,
-			fileType,
-			size: file.buffer.length,
-			chunkIdx,
-			totalChunks,
-		});
-
-		// Handle "blob" filename by using dashboardName or default
-		if (fileName === 'blob' || !fileName.match(/\.(csv|xlsx|xls)$/i)) {
-			const dashboardName = name || `upload-${Date.now()}`;
-			const inferredExtension = fileType == 'numeric' ? '.csv' : '.xlsx';
-			fileName = `${dashboardName}${inferredExtension}`;
-			logger.warn('Corrected invalid filename', {
-				uid,
-				originalName: file.originalname,
-				newName: fileName,
-			});
+		yield ']';
+	}
+	const upload = gfs.openUploadStreamWithId(
+		mongoose.Types.ObjectId(fileId),
+		filename,
+		{
+			contentType: 'application/json',
+			metadata: { ...metadata, compressed: true },
 		}
+	);
+	try {
+		await pipeline(Readable.from(serialize()), zlib.createGzip(), upload);
+	} catch (e) {
+		await upload.abort().catch(() => {});
+		throw e;
+	}
+	return size;
+}
 
-		let fileBuffer;
-		const MAX_CHUNK_SIZE = 500 * 1024; // 500 KB
-		const MAX_FILE_SIZE = 6 * 1024 * 1024; // 6MB
-		chunkKey = `chunk:${uid}:${id || 'new'}:${fileName}`;
-
-		if (totalChunks && chunkIdx !== undefined) {
-			const chunkIndex = parseInt(chunkIdx, 10);
-			const totalChunksCount = parseInt(totalChunks, 10);
+// Copy a stream to GridFS without buffering it
+async function writeStreamToGridFS(
+	fileId,
+	filename,
+	source,
+	contentType,
+	metadata
+) {
+	await pipeline(
+		source,
+		gfs.openUploadStreamWithId(mongoose.Types.ObjectId(fileId), filename, {
+			contentType,
+			metadata: { ...metadata, compressed: false },
+		})
+	);
+	return fileId.toString();
+}
 
-			if (
-				isNaN(chunkIndex) ||
-				isNaN(totalChunksCount) ||
-				chunkIndex >= totalChunksCount ||
-				chunkIndex < 0
-			) {
-				logger.error('Invalid chunk parameters', {
-					uid,
-					chunkIdx,
-					totalChunks,
-				});
-				return res
-					.status(400)
-					.json({ msg: 'ERR_INVALID_CHUNK: Invalid chunk parameters' });
+// Resolve the column schema for an upload: saved settings for the file win
+// over inferred types, and an explicit override wins over both
+function resolveColumnSchema(rows, stored, override, decimal) {
+	let cols = mergeColumnSchema(stored, inferColumnSchema(rows, { decimal }));
+	if (override) {
+		let parsed = override;
+		if (typeof override === 'string') {
+			try {
+				parsed = JSON.parse(override);
+			} catch (e) {
+				throw new CustomError(
+					400,
+					'ERR_INVALID_SCHEMA: Schema must be valid JSON'
+				);
 			}
+		}
+		cols = mergeColumnSchema(validateColumnSchema(parsed), cols);
+	}
+	return validateColumnSchema(cols);
+}
 
-			if (file.buffer.length > MAX_CHUNK_SIZE) {
-				logger.error('Chunk size exceeds max', {
-					uid,
-					fileName,
-					chunkIdx: chunkIndex,
-				});
-				return res.status(400).json({ msg: 'Chunk size exceeds 500KB' });
-			}
+// Create or update the saved settings of one file on a dashboard
+function setFileConfig(dashboard, fileName, settings) {
+	const sheet = settings.sh || null;
+	const existing = dashboard.cfg.find(
+		(c) => c.fn === fileName && (c.sh || null) === sheet
+	);
+	if (existing) {
+		existing.set({ ...settings, ua: new Date() });
+	} else {
+		dashboard.cfg.push({ fn: fileName, ...settings, ua: new Date() });
+	}
+}
 
-			await redis.rpush(chunkKey, file.buffer.toString('base64'));
-			logger.info('Stored chunk', {
+// Parse an uploaded CSV, Excel, PDF or image buffer into one row set per
+// sheet; CSV files also report the dialect they were read in, and the sheets
+// of a PDF are the tables found on the selected pages. Images and PDFs
+// without a text layer are read as scanned invoices (see utils/ocr.js) and
+// report the confidence of each field read
+async function parseUploadBuffer(
+	fileBuffer,
+	fileName,
+	uid,
+	sheets,
+	csv,
+	pages,
+	languages
+) {
+	if (fileName.endsWith('.csv')) {
+		const dialect = resolveCsvDialect(fileBuffer, csv);
+		return {
+			sheetNames: [],
+			sheets: [{ name: null, rows: await parseCsv(fileBuffer, dialect) }],
+			dialect,
+		};
+	}
+	if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+		const validation = validateXlsxStructure(fileBuffer, fileName, uid);
+		if (!validation.valid) {
+			throw new CustomError(
+				400,
+				`Invalid XLSX structure: ${
+					validation.error || 'Failed to parse Excel file'
+				}`
+			);
+		}
+		const workbook = await parseWorkbookSheets(fileBuffer, { sheets });
+		workbook.sheets.forEach((sheet) => {
+			sheet.rows = sanitizeExcelData(sheet.rows);
+			logger.info(`Processed ${sheet.rows.length} rows`, {
 				uid,
 				fileName,
-				chunkIdx: chunkIndex,
-				totalChunks: totalChunksCount,
-				size: file.buffer.length,
+				sheet: sheet.name,
 			});
+		});
+		return workbook;
+	}
+	if (IMAGE_EXTENSIONS.some((ext) => fileName.endsWith(ext))) {
+		return readScannedInvoice(fileBuffer, fileName, uid, {
+			languages,
+			sheets,
+		});
+	}
+	if (fileName.endsWith('.pdf')) {
+		const pdf = await parsePdfTables(fileBuffer, { pages, tables: sheets });
+		if (pdf.sheetNames.length === 0 && !pdf.text.trim()) {
+			return readScannedInvoice(fileBuffer, fileName, uid, {
+				pdf: true,
+				languages,
+				sheets,
+			});
+		}
+		if (pdf.sheetNames.length === 0) {
+			throw new CustomError(400, 'ERR_NO_DATA: No tables found in the PDF');
+		}
+		pdf.sheets.forEach((sheet) => {
+			sheet.rows = sanitizeExcelData(sheet.rows);
+		});
+		logger.info('Processed PDF tables', {
+			uid,
+			fileName,
+			pages: pdf.pages,
+			tables: pdf.sheets.map(({ name, rows }) => ({ name, rows: rows.length })),
+		});
+		return { sheetNames: pdf.sheetNames, sheets: pdf.sheets };
+	}
+	throw new CustomError(400, 'Unsupported file type');
+}
 
-			if (chunkIndex < totalChunksCount - 1) {
-				const progress = ((chunkIndex + 1) / totalChunksCount) * 100;
-				return res.status(200).json({
-					msg: `Chunk ${chunkIndex + 1} of ${totalChunksCount} uploaded`,
-					chunkIdx: chunkIndex,
-					totalChunks: totalChunksCount,
-					progress: progress.toFixed(2),
-				});
-			}
+// OCR a scanned invoice into sheets (see parseScannedInvoice)
+async function readScannedInvoice(fileBuffer, fileName, uid, options) {
+	const invoice = await parseScannedInvoice(fileBuffer, options);
+	logger.info('Processed scanned invoice', {
+		uid,
+		fileName,
+		pages: invoice.ocr.pages.length,
+		review: invoice.ocr.review,
+	});
+	return invoice;
+}
 
-			const chunks = await redis.lrange(chunkKey, 0, -1);
-			fileBuffer = Buffer.concat(
-				chunks.map((chunk) => Buffer.from(chunk, 'base64'))
-			);
-			await redis.del(chunkKey);
+// Open the stored content of an uploaded file (see fileData in
+// processDashboardUpload); lean documents hold small files as BSON Binary
+function openStoredFile(file) {
+	if (file.ch) {
+		return gfs.openDownloadStream(new mongoose.Types.ObjectId(file.fid));
+	}
+	return Readable.from([
+		Buffer.isBuffer(file.c) ? file.c : Buffer.from(file.c.buffer),
+	]);
+}
 
-			if (fileBuffer.length > MAX_FILE_SIZE) {
-				logger.error('File size exceeds max', {
-					uid,
-					fileName,
-					size: fileBuffer.length,
-				});
-				return res.status(400).json({ msg: 'File size exceeds 6MB' });
+/**
+ * Reads the lookup tables of the dashboard's joins whose left file is being
+ * uploaded. Each lookup file is streamed from its latest upload, with the
+ * dashboard's recipe applied like on any upload.
+ * @returns {Promise<Array<{join: Object, table: Object}>>} Lookups for
+ *   createJoinRunner, in join order.
+ * @throws {CustomError} 400 with ERR_JOIN_SOURCE when a lookup file is not
+ *   on the dashboard or cannot be used.
+ */
+async function loadJoinLookups(dashboard, fileName, uid) {
+	const lookups = [];
+	for (const join of (dashboard?.jn || []).filter((j) => j.l === fileName)) {
+		const file = [...dashboard.f].reverse().find((f) => f.fn === join.r);
+		if (!file) {
+			throw new CustomError(
+				400,
+				`ERR_JOIN_SOURCE: Lookup file '${join.r}' of join '${join.n}' is not on the dashboard`
+			);
+		}
+		const table = createLookupTable(join);
+		const recipe = createRecipeRunner(dashboard.rcp);
+		const isExcel = !join.r.toLowerCase().endsWith('.csv');
+		let sheet;
+		await streamFileRows(
+			openStoredFile(file),
+			join.r,
+			{ sheets: join.sh ? [join.sh] : undefined },
+			(name, batch) => {
+				// Without a selected sheet the first sheet is the lookup table
+				if (sheet === undefined) sheet = name;
+				if (name !== sheet) return;
+				table.add(
+					recipe.apply(isExcel ? sanitizeExcelData(batch) : batch).rows
+				);
 			}
+		);
+		logger.info('Loaded lookup table', {
+			uid,
+			fileName,
+			join: join.n,
+			lookup: join.r,
+			...table.stats(),
+		});
+		lookups.push({ join, table });
+	}
+	return lookups;
+}
 
-			// Validate reassembled file content
-			if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-				const validation = validateXlsxStructure(fileBuffer, fileName, uid);
-				if (!validation.valid) {
-					logger.error('Invalid reassembled XLSX file', {
-						uid,
-						fileName,
-						details: validation.error,
-					});
-					return res.status(400).json({
-						msg: 'Invalid XLSX structure in reassembled file',
-						details: validation.error,
-					});
-				}
-				fileType =
-					'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-			} else if (fileName.endsWith('.csv')) {
-				try {
-					await parseCsv(fileBuffer);
-				} catch (e) {
-					logger.error('Invalid reassembled CSV file', {
-						uid,
-						fileName,
-						error: e.message,
-					});
-					return res.status(400).json({
-						msg: 'Invalid CSV structure in reassembled file',
-					});
-				}
-				fileType = 'text/csv';
-			} else {
-				logger.error('Unsupported reassembled file type', {
-					uid,
-					fileName,
-					extension: fileName.toLowerCase().match(/\.[^\.]+$/)?.[0] || '',
-				});
-				return res.status(400).json({ msg: 'Unsupported file type' });
-			}
+// Parse the sheet selection sent with an upload (JSON array or comma list)
+function parseSheetList(value) {
+	if (!value) return undefined;
+	if (Array.isArray(value)) return value.map(String);
+	try {
+		const parsed = JSON.parse(value);
+		if (Array.isArray(parsed)) return parsed.map(String);
+	} catch (e) {
+		// Not JSON, fall through to comma separated names
+	}
+	return String(value)
+		.split(',')
+		.map((name) => name.trim())
+		.filter(Boolean);
+}
 
-			logger.debug('Reassembled buffer validated', {
-				uid,
-				fileName,
-				size: fileBuffer.length,
-				fileType,
-				sample: fileBuffer.slice(0, 100).toString('hex'),
-			});
-		} else {
-			fileBuffer = file.buffer;
-		}
+// Resolve the column schema, date column, key column and period columns of
+// one sheet. Saved settings for the file are combined with the request's
+// schema override and column choice.
+function resolveSheetColumns(rawData, fileName, dashboard, settings = {}) {
+	const sheet = settings.sheet || null;
+	const stored = dashboard?.cfg?.find(
+		(c) => c.fn === fileName && (c.sh || null) === sheet
+	);
+	const columnSchema = resolveColumnSchema(
+		rawData,
+		stored?.cols || [],
+		settings.schema,
+		settings.decimal
+	);
+	const isDateColumn = (k) =>
+		columnSchema.some((c) => c.k === k && c.t === 'date');
+	const dateColumn =
+		settings.dateColumn ||
+		(stored?.dc && isDateColumn(stored.dc) ? stored.dc : null) ||
+		columnSchema.find((c) => c.t === 'date')?.k ||
+		null;
+	const selected = selectColumns(columnSchema, {
+		categoryColumn: settings.categoryColumn,
+		dateColumn,
+		dateFormat: settings.dateFormat,
+	});
+	// A dashboard's default key column only applies to files that have it
+	const merge = settings.merge || {};
+	const keyColumn = selected.some((c) => c.k === merge.keyColumn)
+		? merge.keyColumn
+		: null;
+	if (merge.keyColumn && !keyColumn && merge.keyRequired) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_KEY: Key column '${merge.keyColumn}' not found`
+		);
+	}
+	const periods = detectPeriodColumns(selected, {
+		unpivot: settings.unpivot,
+		year: settings.periodYear,
+		exclude: [
+			dateColumn,
+			keyColumn,
+			selected.find((c) => c.t === 'category')?.k,
+		],
+	});
+	return {
+		columnSchema: selected,
+		dateColumn,
+		decimal: settings.decimal,
+		periods,
+		periodTitle: settings.unpivotTitle,
+		keyColumn,
+	};
+}
 
-		let rawData = [];
-		const onBatch = (batch) => {
-			rawData.push(...batch);
-			logger.info(`Processed ${batch.length} rows`, { uid, fileName });
-		};
+// Merge settings of an upload: the request's strategy and key column, else
+// the dashboard's defaults. Without a strategy data is merged as before.
+function resolveMergeSettings(mergeStrategy, keyColumn, dashboard) {
+	if (mergeStrategy && !MERGE_STRATEGIES.includes(mergeStrategy)) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_PARAM: mergeStrategy must be one of ${MERGE_STRATEGIES.join(
+				', '
+			)}`
+		);
+	}
+	const key = typeof keyColumn === 'string' ? keyColumn.trim() : '';
+	return {
+		strategy: mergeStrategy || dashboard?.mrg?.s || null,
+		keyColumn: key || dashboard?.mrg?.k || null,
+		keyRequired: Boolean(key),
+	};
+}
 
-		if (fileName.endsWith('.csv')) {
-			rawData = await parseCsv(fileBuffer);
-		} else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-			const validation = validateXlsxStructure(fileBuffer, fileName, uid);
-			if (!validation.valid) {
-				logger.error('XLSX validation failed', {
-					uid,
-					fileName,
-					details: validation.error,
-				});
-				return res.status(400).json({
-					msg: 'Invalid XLSX structure',
-					details: validation.error || 'Failed to parse Excel file',
-				});
-			}
-			rawData = await parseExcelStream(fileBuffer, onBatch);
-			rawData = sanitizeExcelData(rawData);
-		} else {
-			return res.status(400).json({ msg: 'Unsupported file type' });
-		}
+// Rows of one upload are combined with the upload's strategy too (several
+// rows for one key are summed under accumulate); replace only concerns
+// earlier uploads.
+const foldStrategy = (strategy) =>
+	strategy === 'replace' ? undefined : strategy || undefined;
+
+// Merge an upload into the dashboard's data. Values record the upload they
+// came from (see utils/provenance.js), so a replace upload of the same file or
+// the removal of a source takes out only that file's values.
+function mergeUpload(existingData, uploadData, merge, source) {
+	const tagged = tagUploadSource(uploadData, source);
+	if (!merge.strategy) {
+		return existingData ? mergeDashboardData(existingData, tagged) : tagged;
+	}
+	const folded = mergeDashboardData([], tagged, {
+		strategy: foldStrategy(merge.strategy),
+	});
+	return existingData
+		? mergeDashboardData(existingData, folded, {
+				strategy: merge.strategy,
+				source: source.fileName,
+				sourceIds: source.earlierIds,
+		  })
+		: folded;
+}
 
-		if (!Array.isArray(rawData) || rawData.length === 0) {
-			logger.error('No valid data extracted', { uid, fileName });
-			return res
-				.status(400)
-				.json({ msg: 'ERR_NO_DATA: No valid data extracted from file' });
-		}
+// Convert rows to dashboard categories with the resolved columns of their
+// sheet (see resolveSheetColumns). rowOffset counts the sheet's rows before
+// rawData; rowNumbers gives the sheet row of each row when the recipe
+// removed some. Schema warnings report sheet rows.
+function transformRows(
+	rawData,
+	fileName,
+	columns,
+	rowOffset = 0,
+	rowNumbers = null
+) {
+	const { columnSchema, dateColumn, decimal, periods, periodTitle, keyColumn } =
+		columns;
+	const {
+		rows,
+		warnings: schemaWarnings,
+		invalid,
+	} = applyColumnSchema(rawData, columnSchema);
 
-		let dataString;
+	let dataString;
+	try {
+		dataString = JSON.stringify(rows);
+		JSON.parse(dataString);
+	} catch (e) {
 		try {
-			dataString = JSON.stringify(rawData);
+			dataString = sanitizeJsonString(JSON.stringify(rows));
 			JSON.parse(dataString);
-		} catch (e) {
-			try {
-				dataString = sanitizeJsonString(JSON.stringify(rawData));
-				JSON.parse(dataString);
-			} catch (err) {
-				logger.error('Failed to sanitize JSON', {
-					uid,
-					fileName,
-					error: err.message,
-				});
-				return res
-					.status(400)
-					.json({ msg: 'ERR_INVALID_DATA: Invalid or corrupted data' });
-			}
+		} catch (err) {
+			logger.error('Failed to sanitize JSON', {
+				fileName,
+				error: err.message,
+			});
+			throw new CustomError(400, 'ERR_INVALID_DATA: Invalid or corrupted data');
 		}
+	}
 
-		const responseCode = transformExcelDataToJSCode(dataString);
-		const extractedData = extractJavascriptCode(responseCode);
-		let { dashboardData } = transformDataStructure(extractedData, fileName);
-
-		if (!Array.isArray(dashboardData) || dashboardData.length === 0) {
-			logger.error('No valid dashboard data', { uid, fileName });
-			return res
-				.status(400)
-				.json({ msg: 'ERR_NO_DATA: No valid dashboard data extracted' });
+	const responseCode = transformExcelDataToJSCode(dataString);
+	const extractedData = extractJavascriptCode(responseCode);
+	const { dashboardData, skipped } = transformDataStructure(
+		extractedData,
+		fileName,
+		{
+			schema: columnSchema,
+			dateColumn,
+			decimal,
+			periods,
+			periodTitle,
+			keyColumn,
+			rowOffset,
+			rowNumbers,
 		}
+	);
 
-		// Convert date strings to Date objects
-		dashboardData = dashboardData.map((category) => ({
+	// Convert date strings to Date objects
+	return {
+		dashboardData: (dashboardData || []).map((category) => ({
 			...category,
 			data: category.data.map((entry) => ({
 				...entry,
@@ -540,259 +802,3507 @@ export async function createOrUpdateDashboard(req, res) {
 							: node.d,
 				})),
 			})),
-		}));
+		})),
+		schemaWarnings: schemaWarnings.map((w) => ({
+			...w,
+			row: rowNumbers ? rowNumbers[w.row - 1] : rowOffset + w.row,
+		})),
+		issues: { invalid, skipped },
+	};
+}
 
-		// Apply summation of Weight_kg and Height_cm
-		const sumParameters = ['Weight_kg', 'Height_cm'];
-		const sumOperation = ['plus'];
-		const sumResultName = 'result';
-		dashboardData = calculateDynamicParameters(
-			dashboardData,
-			sumParameters,
-			sumOperation,
-			sumResultName
+/**
+ * Turns parsed rows into dashboard categories using the file's column schema.
+ * The dashboard's recipe runs on the rows first, then the joins of the file
+ * (settings.lookups, see loadJoinLookups). Saved settings for the file
+ * are combined with the request's schema override and category/date column
+ * choice; period columns of wide sheets are unpivoted. The rows are profiled
+ * for the quality report.
+ * @returns {{dashboardData: Array, columnSchema: Array, dateColumn: string|null, periods: Array, periodTitle?: string, keyColumn: string|null, schemaWarnings: Array, profile: Object, recipe: Object, joins: Object}}
+ * @throws {CustomError} 400 on invalid settings or when no data can be extracted.
+ */
+function buildDashboardData(rawData, fileName, dashboard, settings = {}) {
+	if (!Array.isArray(rawData) || rawData.length === 0) {
+		throw new CustomError(
+			400,
+			'ERR_NO_DATA: No valid data extracted from file'
+		);
+	}
+
+	const recipe = createRecipeRunner(dashboard?.rcp);
+	const recipeResult = recipe.apply(rawData);
+	if (recipeResult.rows.length === 0) {
+		throw new CustomError(
+			400,
+			'ERR_NO_DATA: The recipe filtered out every row'
 		);
+	}
+	const joins = createJoinRunner(settings.lookups);
+	const { rows, rowNumbers } = joins.apply(
+		recipeResult.rows,
+		0,
+		recipeResult.rowNumbers
+	);
+	if (rows.length === 0) {
+		throw new CustomError(400, 'ERR_NO_DATA: No row matched the inner joins');
+	}
 
-		// Identify numeric parameters for validation
-		const numericParameters = getNumericTitles(dashboardData);
+	const columns = resolveSheetColumns(rows, fileName, dashboard, settings);
+	const { dashboardData, schemaWarnings, issues } = transformRows(
+		rows,
+		fileName,
+		columns,
+		0,
+		rowNumbers
+	);
+	const profile = createQualityProfile(columns);
+	profile.add(rows, issues, 0, rowNumbers);
+	if (dashboardData.length === 0) {
+		throw new CustomError(
+			400,
+			'ERR_NO_DATA: No valid dashboard data extracted'
+		);
+	}
+	return {
+		dashboardData,
+		...columns,
+		schemaWarnings,
+		profile,
+		recipe,
+		joins,
+	};
+}
 
-		// Apply additional dynamic parameter calculation if provided
-		if (parameters && operations && resultName) {
-			if (!parameters.every((p) => numericParameters.includes(p))) {
-				logger.error('Selected parameters are not all numeric', {
-					uid,
-					parameters,
-				});
-				return res
-					.status(400)
-					.json({ msg: 'ERR_INVALID_PARAM: Parameters must be numeric' });
-			}
-			dashboardData = calculateDynamicParameters(
-				dashboardData,
-				parameters,
-				operations,
-				resultName
-			);
+// Combine per-sheet results into one upload: categories of a multi-sheet
+// workbook are grouped by sheet, failed sheets are only reported
+function collectSheetResults(results, fileName, grouped) {
+	const dashboardData = [];
+	const configs = [];
+	const schemaWarnings = [];
+	const quality = [];
+	const report = results.map((sheet) => {
+		const result = { name: sheet.name, rows: sheet.rows };
+		if (sheet.layout) result.layout = sheet.layout;
+		if (sheet.error) {
+			quality.push({ sh: sheet.name, rows: sheet.rows, error: sheet.error });
+			return { ...result, categories: 0, error: sheet.error };
 		}
+		const recipe = sheet.recipe.steps > 0 ? sheet.recipe.report() : null;
+		const joins = sheet.joins.joins > 0 ? sheet.joins.report() : null;
+		const removed = [];
+		if (recipe) removed.push({ reason: 'filtered', ...recipe.filtered });
+		if (joins) removed.push({ reason: 'no match', ...joins.unmatched });
+		quality.push({
+			sh: sheet.name,
+			...sheet.profile.finish(sheet.dashboardData, sheet.layout, removed),
+		});
+		sheet.dashboardData.forEach((category) => {
+			if (grouped) category.grp = sheet.name;
+			dashboardData.push(category);
+		});
+		const config = {
+			fn: fileName,
+			sh: sheet.name,
+			cols: sheet.columnSchema,
+			dc: sheet.dateColumn,
+		};
+		configs.push(config);
+		sheet.schemaWarnings.forEach((w) =>
+			schemaWarnings.push(sheet.name ? { sh: sheet.name, ...w } : w)
+		);
+		return {
+			...result,
+			categories: sheet.dashboardData.length,
+			schema: config,
+			...(recipe && { recipe }),
+			...(joins && { joins: joins.joins }),
+			...(sheet.periods.length > 0 && {
+				unpivot: {
+					title: sheet.periodTitle || DEFAULT_UNPIVOT_TITLE,
+					columns: sheet.periods.map((p) => p.k),
+				},
+			}),
+		};
+	});
+	return {
+		dashboardData,
+		sheets: report,
+		configs,
+		schemaWarnings,
+		quality: { sum: summarizeQuality(quality), sh: quality },
+	};
+}
 
-		const maxSize = 8 * 1024 * 1024;
-		const limitedData = limitDashboardDataSize(dashboardData, maxSize);
+/**
+ * Parses an upload and builds dashboard data for each selected sheet. Every
+ * sheet of a multi-sheet workbook becomes its own category group (`grp`).
+ * Sheets that fail are reported instead of failing the upload.
+ * @returns {Promise<{dashboardData: Array, sheets: Array, configs: Array, schemaWarnings: Array, quality: {sum: Object, sh: Array}, dialect?: Object, ocr?: Object}>}
+ * @throws {CustomError} 400 when the file itself cannot be read.
+ */
+async function buildUploadData(fileBuffer, fileName, uid, dashboard, settings) {
+	const { sheetNames, sheets, dialect, ocr } = await parseUploadBuffer(
+		fileBuffer,
+		fileName,
+		uid,
+		settings.sheets,
+		settings.csv,
+		settings.pages,
+		settings.languages
+	);
+	const decimal = dialect?.decimalSeparator || undefined;
 
-		const isValid = limitedData.every(
-			(category) =>
-				typeof category.cat === 'string' &&
-				Array.isArray(category.data) &&
-				category.data.every(
-					(entry) =>
-						typeof entry.i === 'string' &&
-						Array.isArray(entry.d) &&
-						entry.d.every(
-							(node) =>
-								typeof node.t === 'string' &&
-								node.v !== undefined &&
-								node.d instanceof Date
-						)
-				)
-		);
-		if (!isValid) {
-			logger.error('Invalid dashboard data structure', {
+	const results = sheets.map((sheet) => {
+		const result = {
+			name: sheet.name,
+			rows: sheet.rows.length,
+			layout: sheet.layout,
+		};
+		if (sheet.error) return { ...result, error: sheet.error };
+		try {
+			return {
+				...result,
+				...buildDashboardData(sheet.rows, fileName, dashboard, {
+					...settings,
+					sheet: sheet.name,
+					decimal,
+				}),
+			};
+		} catch (buildError) {
+			if (!(buildError instanceof CustomError)) throw buildError;
+			logger.warn('Failed to build sheet', {
 				uid,
 				fileName,
-				limitedDataSample: JSON.stringify(limitedData.slice(0, 1)),
-			});
-			return res.status(400).json({
-				msg: 'ERR_INVALID_STRUCTURE: Invalid dashboard data structure',
+				sheet: sheet.name,
+				error: buildError.message,
 			});
+			return { ...result, error: buildError.message };
 		}
+	});
 
-		const dashboardJson = JSON.stringify(limitedData);
-		const dataFileId = new mongoose.Types.ObjectId();
-		const dataFileName = `data-${id || 'new'}-${Date.now()}.json`;
-		await writeToGridFS(
-			dataFileId,
-			dataFileName,
-			dashboardJson,
-			'application/json',
-			{ uid }
-		);
+	return {
+		...collectSheetResults(results, fileName, sheetNames.length > 1),
+		dialect,
+		ocr,
+	};
+}
+
+/**
+ * Streaming variant of buildUploadData for large files. Rows are read and
+ * transformed in batches; each batch is merged into its sheet's categories
+ * right away, so memory holds one batch of rows plus the merged result. The
+ * dashboard's recipe and the file's joins run on each batch, and the column
+ * schema of a sheet is resolved from the first rows they keep.
+ * @returns {Promise<{dashboardData: Array, sheets: Array, configs: Array, schemaWarnings: Array, dialect?: Object}>}
+ * @throws {CustomError} 400 when the file itself cannot be read, 413 as soon
+ *   as the merged data outgrows settings.maxDataSize.
+ */
+async function buildUploadStream(source, fileName, uid, dashboard, settings) {
+	const start = Date.now();
+	const isExcel = !fileName.toLowerCase().endsWith('.csv');
+	const states = new Map();
+	// Size of the merged data, an upper bound between measurements
+	let size = 0;
+
+	const { sheetNames, sheets, dialect } = await streamFileRows(
+		source,
+		fileName,
+		{ sheets: settings.sheets, csv: settings.csv },
+		(name, batch, csvDialect) => {
+			if (!states.has(name)) {
+				states.set(name, { dashboardData: [], schemaWarnings: [], rows: 0 });
+			}
+			const state = states.get(name);
+			const offset = state.rows;
+			state.rows += batch.length;
+			if (state.error) return;
+
+			let added = 0;
+			try {
+				if (!state.recipe) {
+					state.recipe = createRecipeRunner(dashboard?.rcp);
+					state.joins = createJoinRunner(settings.lookups);
+				}
+				const recipeResult = state.recipe.apply(
+					isExcel ? sanitizeExcelData(batch) : batch,
+					offset
+				);
+				if (recipeResult.rows.length === 0) return;
+				state.recipeKept = true;
+				const { rows, rowNumbers } = state.joins.apply(
+					recipeResult.rows,
+					offset,
+					recipeResult.rowNumbers
+				);
+				// The schema is resolved from the first rows the joins keep
+				if (rows.length === 0) return;
+				if (!state.columnSchema) {
+					Object.assign(
+						state,
+						resolveSheetColumns(rows, fileName, dashboard, {
+							...settings,
+							sheet: name,
+							decimal: csvDialect?.decimalSeparator || undefined,
+						})
+					);
+					state.profile = createQualityProfile(state);
+				}
+				const built = transformRows(rows, fileName, state, offset, rowNumbers);
+				state.profile.add(rows, built.issues, offset, rowNumbers);
+				state.dashboardData = mergeDashboardData(
+					state.dashboardData,
+					built.dashboardData,
+					{ strategy: foldStrategy(settings.merge?.strategy) }
+				);
+				added = dataSizeOf(built.dashboardData);
+				built.schemaWarnings.forEach((w) => {
+					if (state.schemaWarnings.length < MAX_SCHEMA_WARNINGS) {
+						state.schemaWarnings.push(w);
+					}
+				});
+			} catch (buildError) {
+				if (!(buildError instanceof CustomError)) throw buildError;
+				logger.warn('Failed to build sheet', {
+					uid,
+					fileName,
+					sheet: name,
+					error: buildError.message,
+				});
+				state.error = buildError.message;
+				state.dashboardData = [];
+			}
 
-		let fileId;
-		let isChunked = false;
-		const GRIDFS_THRESHOLD = 300 * 1024;
-		if (fileBuffer.length > GRIDFS_THRESHOLD) {
-			fileId = new mongoose.Types.ObjectId();
-			await writeToGridFS(fileId, fileName, fileBuffer, fileType, { uid });
-			isChunked = true;
+			// Merged batches may update earlier values, so the running total
+			// is measured again before the upload is refused
+			size += added;
+			if (size > settings.maxDataSize) {
+				size = [...states.values()].reduce(
+					(total, { dashboardData }) => total + dataSizeOf(dashboardData),
+					0
+				);
+				if (size > settings.maxDataSize) {
+					throw dataSizeError(settings.maxDataSize);
+				}
+			}
 		}
+	);
 
-		const fileData = {
-			fid: fileId || new mongoose.Types.ObjectId().toString(),
-			fn: fileName,
-			c: isChunked ? undefined : fileBuffer,
-			src: 'local',
-			ch: isChunked,
-			cc: totalChunks ? parseInt(totalChunks, 10) : 1,
-			lu: new Date(),
-			mon: { s: 'active' },
-		};
+	const results = sheets.map((sheet) => {
+		const state = states.get(sheet.name);
+		const result = { name: sheet.name, rows: sheet.rows, layout: sheet.layout };
+		if (!state || (!state.error && state.dashboardData.length === 0)) {
+			return {
+				...result,
+				error: !state
+					? 'ERR_NO_DATA: No valid data extracted from file'
+					: state.columnSchema
+					? 'ERR_NO_DATA: No valid dashboard data extracted'
+					: state.recipeKept
+					? 'ERR_NO_DATA: No row matched the inner joins'
+					: 'ERR_NO_DATA: The recipe filtered out every row',
+			};
+		}
+		return { ...state, ...result };
+	});
 
-		const dataRef = {
-			fid: dataFileId.toString(),
-			fn: dataFileName,
-			ch: true,
-			cc: 1,
-			lu: new Date(),
+	logger.info('Streamed upload', {
+		uid,
+		fileName,
+		sheets: results.map(({ name, rows }) => ({ name, rows })),
+		duration: (Date.now() - start) / 1000,
+	});
+	return {
+		...collectSheetResults(results, fileName, sheetNames.length > 1),
+		dialect,
+	};
+}
+
+// Summarize categories for upload previews
+function summarizeCategories(dashboardData, limit) {
+	return dashboardData.slice(0, limit).map((category) => {
+		const titles = [];
+		let from = null;
+		let to = null;
+		category.data.forEach((entry) =>
+			entry.d.forEach((node) => {
+				if (!titles.includes(node.t)) titles.push(node.t);
+				const date = node.d instanceof Date ? node.d : new Date(node.d);
+				if (isNaN(date.getTime())) return;
+				if (!from || date < from) from = date;
+				if (!to || date > to) to = date;
+			})
+		);
+		return {
+			cat: category.cat,
+			grp: category.grp,
+			entries: category.data.length,
+			titles,
+			// Entries with a value per period (unpivoted rows) list them all
+			sample: category.data
+				.slice(0, 5)
+				.map((entry) =>
+					entry.d.length === 1
+						? { t: entry.d[0].t, v: entry.d[0].v }
+						: { t: entry.d[0].t, v: entry.d.map(({ d, v }) => ({ d, v })) }
+				),
+			from,
+			to,
 		};
+	});
+}
 
-		let dashboard;
-		if (id) {
-			if (!mongoose.Types.ObjectId.isValid(id)) {
-				logger.error('Invalid dashboard ID', { uid, id });
-				return res
-					.status(400)
-					.json({ msg: 'ERR_INVALID_ID: Invalid dashboard ID' });
+// Plan limits (version retention, upload size) from the owner's subscription
+async function getPlanLimits(uid) {
+	const user = await User.findById(uid, { subscription: 1 }).lean();
+	return getDataPlanLimits(user?.subscription);
+}
+
+// Load dashboard data from GridFS with a timeout
+function fetchDashboardData(dashboard, timeoutMs = 5000) {
+	return Promise.race([
+		Dashboard.prototype.getDashboardData.call(dashboard),
+		new Promise((_, reject) =>
+			setTimeout(() => reject(new Error('Database query timeout')), timeoutMs)
+		),
+	]);
+}
+
+// Convert legacy parameters/operations into a formula expression
+function legacyToExpression(parameters, operations, calculationType) {
+	if (calculationType === 'date') {
+		return `days([${parameters[0]}], [${parameters[1]}])`;
+	}
+	const symbols = { plus: '+', minus: '-', multiply: '*', divide: '/' };
+	return operations.reduce(
+		(expr, op, i) => `(${expr} ${symbols[op]} [${parameters[i + 1]}])`,
+		`[${parameters[0]}]`
+	);
+}
+
+// Names of calculated fields whose expression references the given field
+function getDependentFields(fields, name) {
+	return fields
+		.filter((f) => {
+			if (f.n === name) return false;
+			try {
+				return getExpressionTitles(parseExpression(f.x)).includes(name);
+			} catch {
+				return false;
 			}
+		})
+		.map((f) => f.n);
+}
 
-			dashboard = await Dashboard.findOne({ _id: id, uid });
-			if (!dashboard) {
-				logger.error('Dashboard not found', { uid, id });
-				return res
-					.status(404)
-					.json({ msg: `ERR_NOT_FOUND: Dashboard ID ${id} not found` });
+// Parse a from/to query date. new Date() reads a bare YYYY-MM-DD as midnight,
+// so a date-only upper bound is moved to the last moment of that day.
+function parseQueryDate(key, value) {
+	const date = new Date(value);
+	if (isNaN(date.getTime())) return null;
+	if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+		return new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+	}
+	return date;
+}
+
+// Parse filter, sort and pagination query parameters for getDashboardData.
+// Returns null when none are present so the full dashboard is returned.
+function parseDashboardQuery(query) {
+	const keys = [
+		'q',
+		'titles',
+		'min',
+		'max',
+		'from',
+		'to',
+		'sort',
+		'limit',
+		'cursor',
+	];
+	if (!keys.some((k) => query[k] !== undefined)) {
+		return { options: null };
+	}
+
+	const options = { ranges: {}, offset: 0, limit: DEFAULT_PAGE_LIMIT };
+
+	if (query.q !== undefined) {
+		options.search = String(query.q).trim();
+	}
+	if (query.titles !== undefined) {
+		options.titles = String(query.titles)
+			.split(',')
+			.map((t) => t.trim())
+			.filter(Boolean);
+	}
+	for (const bound of ['min', 'max']) {
+		if (query[bound] === undefined) continue;
+		if (typeof query[bound] !== 'object' || Array.isArray(query[bound])) {
+			return {
+				error: `ERR_INVALID_INPUT: ${bound} must be given as ${bound}[Title]=value`,
+			};
+		}
+		for (const [title, raw] of Object.entries(query[bound])) {
+			const value = Number(raw);
+			if (raw === '' || isNaN(value)) {
+				return {
+					error: `ERR_INVALID_INPUT: ${bound}[${title}] must be numeric`,
+				};
 			}
+			options.ranges[title] = { ...options.ranges[title], [bound]: value };
+		}
+	}
+	for (const key of ['from', 'to']) {
+		if (query[key] === undefined) continue;
+		const date = parseQueryDate(key, query[key]);
+		if (!date) {
+			return { error: `ERR_INVALID_INPUT: Invalid ${key} date` };
+		}
+		options[key] = date;
+	}
+	if (query.sort !== undefined) {
+		options.sort = String(query.sort).trim() || undefined;
+	}
+	if (query.limit !== undefined) {
+		const limit = parseInt(query.limit, 10);
+		if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+			return {
+				error: `ERR_INVALID_INPUT: limit must be between 1 and ${MAX_PAGE_LIMIT}`,
+			};
+		}
+		options.limit = limit;
+	}
+	if (query.cursor !== undefined) {
+		try {
+			const cursor = JSON.parse(
+				Buffer.from(String(query.cursor), 'base64url').toString('utf8')
+			);
+			if (!Number.isInteger(cursor.o) || cursor.o < 0) throw new Error();
+			options.offset = cursor.o;
+			options.cursorFid = cursor.f;
+		} catch {
+			return { error: 'ERR_INVALID_INPUT: Invalid cursor' };
+		}
+	}
 
-			const existingData = await Promise.race([
-				dashboard.getDashboardData(),
-				new Promise((_, reject) =>
-					setTimeout(() => reject(new Error('Database query timeout')), 5000)
-				),
-			]);
-			const mergedData = mergeDashboardData(existingData, limitedData);
-			const finalData = limitDashboardDataSize(mergedData, maxSize);
+	return { options };
+}
 
-			const finalJson = JSON.stringify(finalData);
-			if (Buffer.byteLength(finalJson, 'utf8') > maxSize) {
-				logger.error('Merged data exceeds 8MB', { uid, id });
-				return res
-					.status(400)
-					.json({ msg: 'ERR_SIZE_LIMIT: Merged data exceeds 8MB' });
+// Encode an opaque pagination cursor bound to the current data file
+function encodeDashboardCursor(offset, fid) {
+	return Buffer.from(JSON.stringify({ o: offset, f: fid }), 'utf8').toString(
+		'base64url'
+	);
+}
+
+// Apply parsed query options to dashboard data and build page metadata
+function pageDashboardData(data, options, fid) {
+	const { data: items, total } = queryDashboardData(data, options);
+	const nextOffset = options.offset + items.length;
+	return {
+		data: items,
+		page: {
+			limit: options.limit,
+			total,
+			nextCursor:
+				nextOffset < total ? encodeDashboardCursor(nextOffset, fid) : null,
+		},
+	};
+}
+
+/**
+ * Parses, merges and stores an uploaded file. Shared by direct uploads and
+ * finalized upload sessions.
+ * @param {string} uid - User ID.
+ * @param {Object} file - Uploaded file.
+ * @param {string} file.name - File name (.csv, .xlsx, .xls, .pdf or an
+ *   image: .png, .jpg, .jpeg, .tif, .tiff).
+ * @param {string} file.type - MIME type.
+ * @param {number} file.size - Size in bytes.
+ * @param {Buffer} [file.buffer] - Content of files parsed in memory.
+ * @param {Function} [file.open] - Opens the content as a stream; large files
+ *   are parsed and stored from it without buffering.
+ * @param {Object} options - Upload options: id or name, parameters, operations,
+ *   resultName, schema, categoryColumn, dateColumn, dateFormat, sheets (sheet
+ *   or PDF table names), pages (PDF pages to read), languages (OCR
+ *   languages of images and scanned PDFs), dryRun, totalChunks, the
+ *   CSV dialect overrides encoding, delimiter, quoteChar,
+ *   headerRow and decimalSeparator, the unpivot options unpivot,
+ *   unpivotTitle and periodYear, mergeStrategy and keyColumn, and
+ *   replaceSource (file id of an earlier upload whose values this upload
+ *   replaces).
+ * @param {number} start - Request start time in milliseconds.
+ * @returns {Promise<{status: number, body: Object}>} Response status and body.
+ */
+async function processDashboardUpload(uid, file, options, start) {
+	const { name: fileName, type: fileType } = file;
+	const {
+		id,
+		name,
+		parameters,
+		operations,
+		resultName,
+		schema,
+		categoryColumn,
+		dateColumn,
+		dateFormat,
+		sheets,
+		pages,
+		languages,
+		dryRun,
+		totalChunks,
+		encoding,
+		delimiter,
+		quoteChar,
+		headerRow,
+		decimalSeparator,
+		unpivot,
+		unpivotTitle,
+		periodYear,
+		mergeStrategy,
+		keyColumn,
+		replaceSource,
+	} = options;
+
+	let dashboard = null;
+	if (id) {
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			logger.error('Invalid dashboard ID', { uid, id });
+			return {
+				status: 400,
+				body: { msg: 'ERR_INVALID_ID: Invalid dashboard ID' },
+			};
+		}
+
+		dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.error('Dashboard not found', { uid, id });
+			return {
+				status: 404,
+				body: { msg: `ERR_NOT_FOUND: Dashboard ID ${id} not found` },
+			};
+		}
+	} else if (name && (await Dashboard.findOne({ name, uid }).lean())) {
+		// Checked before anything is parsed or stored
+		logger.error('Dashboard name exists', { uid, name });
+		return {
+			status: 400,
+			body: { msg: 'ERR_NAME_EXISTS: Dashboard name exists' },
+		};
+	}
+
+	let replaced = null;
+	if (replaceSource) {
+		replaced = dashboard?.f.find((f) => f.fid === String(replaceSource));
+		if (!replaced) {
+			logger.error('Replaced source not found', { uid, id, replaceSource });
+			return {
+				status: 404,
+				body: {
+					msg: `ERR_NOT_FOUND: Source file ${replaceSource} not found`,
+				},
+			};
+		}
+	}
+	// Existing data without the values of the replaced source
+	const withoutReplaced = (data) =>
+		replaced
+			? removeSourceData(data, sourceFilter(dashboard, replaced)).data
+			: data;
+	const source = {
+		fileId: new mongoose.Types.ObjectId(),
+		fileName,
+		uploadedAt: new Date(),
+		earlierIds: (dashboard?.f || [])
+			.filter((f) => f.fn === fileName)
+			.map((f) => f.fid),
+	};
+
+	const { maxDataSize } = await getPlanLimits(uid);
+	let built;
+	let merge;
+	try {
+		merge = resolveMergeSettings(mergeStrategy, keyColumn, dashboard);
+		const settings = {
+			schema,
+			categoryColumn,
+			dateColumn,
+			dateFormat,
+			sheets: parseSheetList(sheets),
+			pages: parsePageList(pages),
+			languages: parseLanguageList(languages),
+			csv: { encoding, delimiter, quoteChar, headerRow, decimalSeparator },
+			unpivot: parseUnpivotOption(unpivot),
+			unpivotTitle,
+			periodYear,
+			merge,
+			lookups: await loadJoinLookups(dashboard, fileName, uid),
+			maxDataSize,
+		};
+		built = file.buffer
+			? await buildUploadData(file.buffer, fileName, uid, dashboard, settings)
+			: await buildUploadStream(
+					await file.open(),
+					fileName,
+					uid,
+					dashboard,
+					settings
+			  );
+	} catch (buildError) {
+		if (!(buildError instanceof CustomError)) throw buildError;
+		logger.error('Failed to build dashboard data', {
+			uid,
+			fileName,
+			error: buildError.message,
+		});
+		return { status: buildError.statusCode, body: { msg: buildError.message } };
+	}
+	if (built.dashboardData.length === 0) {
+		logger.error('No sheet produced dashboard data', {
+			uid,
+			fileName,
+			sheets: built.sheets,
+		});
+		return {
+			status: 400,
+			body: {
+				msg:
+					built.sheets.length === 1
+						? built.sheets[0].error
+						: 'ERR_NO_DATA: No sheet could be processed',
+				sheets: built.sheets,
+				quality: built.quality.sum,
+			},
+		};
+	}
+	let { dashboardData } = built;
+	const { configs, schemaWarnings, quality } = built;
+
+	// Apply summation of Weight_kg and Height_cm
+	const sumParameters = ['Weight_kg', 'Height_cm'];
+	const sumOperation = ['plus'];
+	const sumResultName = 'result';
+	dashboardData = calculateDynamicParameters(
+		dashboardData,
+		sumParameters,
+		sumOperation,
+		sumResultName
+	);
+
+	// Identify numeric parameters for validation
+	const numericParameters = getNumericTitles(dashboardData);
+
+	// Apply additional dynamic parameter calculation if provided
+	if (parameters && operations && resultName) {
+		if (!parameters.every((p) => numericParameters.includes(p))) {
+			logger.error('Selected parameters are not all numeric', {
+				uid,
+				parameters,
+			});
+			return {
+				status: 400,
+				body: { msg: 'ERR_INVALID_PARAM: Parameters must be numeric' },
+			};
+		}
+		dashboardData = calculateDynamicParameters(
+			dashboardData,
+			parameters,
+			operations,
+			resultName
+		);
+	}
+
+	const isValid = dashboardData.every(
+		(category) =>
+			typeof category.cat === 'string' &&
+			Array.isArray(category.data) &&
+			category.data.every(
+				(entry) =>
+					typeof entry.i === 'string' &&
+					Array.isArray(entry.d) &&
+					entry.d.every(
+						(node) =>
+							typeof node.t === 'string' &&
+							node.v !== undefined &&
+							node.d instanceof Date
+					)
+			)
+	);
+	if (!isValid) {
+		logger.error('Invalid dashboard data structure', {
+			uid,
+			fileName,
+			dataSample: JSON.stringify(dashboardData.slice(0, 1)),
+		});
+		return {
+			status: 400,
+			body: {
+				msg: 'ERR_INVALID_STRUCTURE: Invalid dashboard data structure',
+			},
+		};
+	}
+
+	if (dryRun) {
+		if (!dashboard && !name) {
+			logger.error('ID or name required', { uid });
+			return {
+				status: 400,
+				body: { msg: 'ERR_MISSING_PARAM: ID or name required' },
+			};
+		}
+		const existingData = dashboard ? await fetchDashboardData(dashboard) : [];
+		// mergeDashboardData updates existing entries in place
+		const mergedData = mergeUpload(
+			withoutReplaced(structuredClone(existingData)),
+			dashboardData,
+			merge,
+			source
+		);
+		if (dataSizeOf(mergedData) > maxDataSize) {
+			logger.error('Dashboard data exceeds plan limit', {
+				uid,
+				id: dashboard?._id,
+				fileName,
+				maxDataSize,
+			});
+			return {
+				status: 413,
+				body: { msg: dataSizeError(maxDataSize).message, maxDataSize },
+			};
+		}
+		const diff = diffDashboardData(existingData, dashboardData, mergedData);
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Upload dry run completed', {
+			uid,
+			id: dashboard?._id,
+			fileName,
+			newCategories: diff.newCategories.total,
+			changedValues: diff.changedValues.total,
+			duration,
+		});
+
+		return {
+			status: 200,
+			body: {
+				msg: 'Dry run results',
+				dryRun: true,
+				diff,
+				quality: quality.sum,
+				merge: { strategy: merge.strategy, keyColumn: merge.keyColumn },
+				schema: configs[0],
+				sheets: built.sheets,
+				dialect: built.dialect,
+				ocr: built.ocr,
+				schemaWarnings,
+				numericParameters,
+				duration,
+			},
+		};
+	}
+
+	const fileId = source.fileId;
+	let isChunked = false;
+	const GRIDFS_THRESHOLD = 300 * 1024;
+	if (!file.buffer) {
+		await writeStreamToGridFS(fileId, fileName, await file.open(), fileType, {
+			uid,
+		});
+		isChunked = true;
+	} else if (file.size > GRIDFS_THRESHOLD) {
+		await writeToGridFS(fileId, fileName, file.buffer, fileType, { uid });
+		isChunked = true;
+	}
+
+	const fileData = {
+		fid: fileId.toString(),
+		fn: fileName,
+		c: isChunked ? undefined : file.buffer,
+		src: 'local',
+		ch: isChunked,
+		cc: totalChunks || 1,
+		lu: new Date(),
+		mon: { s: 'active' },
+	};
+	const qualityReport = {
+		fid: fileData.fid,
+		fn: fileName,
+		ca: new Date(),
+		...quality,
+	};
+
+	// Store the merged data unless it outgrows the plan, in which case the
+	// source file stored above is removed again
+	const storeData = async (dataFileId, dataFileName, data) => {
+		try {
+			return {
+				size: await writeJsonToGridFS(
+					dataFileId,
+					dataFileName,
+					data,
+					{ uid },
+					maxDataSize
+				),
+			};
+		} catch (storeError) {
+			if (!(storeError instanceof CustomError)) throw storeError;
+			logger.error('Dashboard data exceeds plan limit', {
+				uid,
+				id: dashboard?._id,
+				fileName,
+				maxDataSize,
+			});
+			if (isChunked) {
+				await deletionQueue.add({ fileIds: [fileData.fid] }, { attempts: 3 });
 			}
+			return {
+				result: {
+					status: storeError.statusCode,
+					body: { msg: storeError.message, maxDataSize },
+				},
+			};
+		}
+	};
 
-			const newFileId = new mongoose.Types.ObjectId();
-			const newFileName = `data-${id}-${Date.now()}.json`;
-			await writeToGridFS(
-				newFileId,
-				newFileName,
-				finalJson,
-				'application/json',
-				{ uid }
-			);
+	let finalData;
+	let prunedFileIds = [];
+	if (dashboard) {
+		const existingData = await Promise.race([
+			dashboard.getDashboardData(),
+			new Promise((_, reject) =>
+				setTimeout(() => reject(new Error('Database query timeout')), 5000)
+			),
+		]);
+		finalData = mergeUpload(
+			withoutReplaced(existingData),
+			dashboardData,
+			merge,
+			source
+		);
 
-			if (dashboard.ref?.fid) {
-				await deletionQueue.add(
-					{ fileIds: [dashboard.ref.fid] },
-					{ attempts: 3 }
-				);
+		const newFileId = new mongoose.Types.ObjectId();
+		const newFileName = `data-${id}-${Date.now()}.json`;
+		const stored = await storeData(newFileId, newFileName, finalData);
+		if (stored.result) return stored.result;
+		const dataSize = stored.size;
+
+		// The previous data file and a replaced source file stay available
+		// with the older version
+		if (replaced) dashboard.detachFile(replaced.fid);
+		dashboard.f.push(fileData);
+		dashboard.addVersion(
+			{ fid: newFileId.toString(), fn: newFileName, ch: true, cc: 1 },
+			{
+				by: uid,
+				sz: dataSize,
+				src: fileName,
+				act: 'upload',
+			}
+		);
+		prunedFileIds = dashboard.pruneVersions(await getPlanLimits(uid));
+		dashboard.qr.push(qualityReport);
+		if (dashboard.qr.length > MAX_QUALITY_REPORTS) {
+			dashboard.qr.splice(0, dashboard.qr.length - MAX_QUALITY_REPORTS);
+		}
+		configs.forEach(({ sh, cols, dc }) =>
+			setFileConfig(dashboard, fileName, { sh, cols, dc })
+		);
+	} else if (name) {
+		finalData = mergeUpload(null, dashboardData, merge, source);
+		const dataFileId = new mongoose.Types.ObjectId();
+		const dataFileName = `data-new-${Date.now()}.json`;
+		const stored = await storeData(dataFileId, dataFileName, finalData);
+		if (stored.result) return stored.result;
+		const dataSize = stored.size;
+
+		dashboard = new Dashboard({
+			name,
+			f: [fileData],
+			cfg: configs.map((config) => ({ ...config, ua: new Date() })),
+			qr: [qualityReport],
+			uid,
+		});
+		dashboard.addVersion(
+			{ fid: dataFileId.toString(), fn: dataFileName, ch: true, cc: 1 },
+			{
+				by: uid,
+				sz: dataSize,
+				src: fileName,
+				act: 'upload',
 			}
+		);
+	} else {
+		logger.error('ID or name required', { uid });
+		return {
+			status: 400,
+			body: { msg: 'ERR_MISSING_PARAM: ID or name required' },
+		};
+	}
+
+	await dashboard.save();
+	if (prunedFileIds.length > 0) {
+		await deletionQueue.add({ fileIds: prunedFileIds }, { attempts: 3 });
+	}
+	const cacheData = finalData;
+	let cacheWarning = null;
+
+	try {
+		const cacheKey = `dash:${uid}:${dashboard._id}:data`;
+		const cached = await setCachedDashboard(uid, cacheKey, cacheData);
+		if (!cached) {
+			cacheWarning = 'Data too large to cache';
+		}
+		await Dashboard.cacheDashboardMetadata(uid, dashboard._id);
+	} catch (e) {
+		logger.warn('Failed to cache data', {
+			uid,
+			id: dashboard._id,
+			error: e.message,
+		});
+		cacheWarning = 'Cache failed due to server issue';
+	}
+
+	// Dashboards with a chat get their search index ready for the next question
+	if (await Chat.exists({ dashboardId: dashboard._id })) {
+		warmDashboardIndex(dashboard);
+	}
+
+	// Re-evaluate calculated fields on the merged data
+	const { data: calculatedData, errors: calculationErrors } =
+		applyCalculatedFields(cacheData, dashboard.calc);
+
+	const duration = (Date.now() - start) / 1000;
+	logger.info('Dashboard processed', {
+		uid,
+		id: dashboard._id,
+		fileName,
+		duration,
+	});
+
+	return {
+		status: 201,
+		body: {
+			msg: 'Dashboard processed',
+			dashboard: {
+				_id: dashboard._id,
+				name: dashboard.name,
+				ref: dashboard.ref,
+				f: dashboard.f,
+				uid: dashboard.uid,
+				calc: dashboard.calc,
+				version: dashboard.ver[dashboard.ver.length - 1]?.n,
+				ca: dashboard.ca,
+				ua: dashboard.ua,
+				data: calculatedData,
+			},
+			quality: { fid: fileData.fid, ...quality.sum },
+			merge: { strategy: merge.strategy, keyColumn: merge.keyColumn },
+			source: {
+				fid: fileData.fid,
+				fn: fileName,
+				replaced: replaced?.fid || null,
+			},
+			schema: configs[0],
+			sheets: built.sheets,
+			dialect: built.dialect,
+			ocr: built.ocr,
+			schemaWarnings,
+			// Joins using this file as lookup apply from the next upload of
+			// their left file; data already stored is not recomputed
+			staleJoins: dashboard.jn.filter((j) => j.r === fileName).map((j) => j.n),
+			duration,
+			cacheWarning,
+			numericParameters,
+			calculationErrors,
+		},
+	};
+}
+
+/**
+ * POST /users/:userId/dashboard/upload
+ * Creates or updates a dashboard with uploaded file data.
+ */
+export async function createOrUpdateDashboard(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received upload request', {
+		userId: req.params.userId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const uid = req.params.userId;
+	const start = Date.now();
+
+	try {
+		if (!mongoose.Types.ObjectId.isValid(uid)) {
+			logger.error('Invalid userId', { uid });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid userId' });
+		}
+
+		const {
+			id,
+			name,
+			parameters,
+			operations,
+			resultName,
+			schema,
+			categoryColumn,
+			dateColumn,
+			dateFormat,
+			sheets,
+			pages,
+			languages,
+			encoding,
+			delimiter,
+			quoteChar,
+			headerRow,
+			decimalSeparator,
+			unpivot,
+			unpivotTitle,
+			periodYear,
+			mergeStrategy,
+			keyColumn,
+		} = req.body;
+		const file = req.file;
+		if (!file) {
+			logger.error('No file uploaded', { uid });
+			return res.status(400).json({ msg: 'No file uploaded' });
+		}
+		// Dry runs parse and merge in memory and report the changes only
+		const isDryRun =
+			req.query.dryRun === 'true' ||
+			req.body.dryRun === 'true' ||
+			req.body.dryRun === true;
+
+		const fileType = file.mimetype;
+		let fileName = file.originalname;
+		logger.info('Processing file', {
+			uid,
+			fileName,
+			fileType,
+			size: file.buffer.length,
+		});
+
+		// Handle "blob" filename by using dashboardName or default
+		if (
+			fileName === 'blob' ||
+			!fileName.match(/\.(csv|xlsx|xls|pdf|png|jpe?g|tiff?)$/i)
+		) {
+			const dashboardName = name || `upload-${Date.now()}`;
+			const inferredExtension =
+				{
+					'application/pdf': '.pdf',
+					'image/png': '.png',
+					'image/jpeg': '.jpg',
+					'image/tiff': '.tiff',
+				}[fileType] || (fileType == 'numeric' ? '.csv' : '.xlsx');
+			fileName = `${dashboardName}${inferredExtension}`;
+			logger.warn('Corrected invalid filename', {
+				uid,
+				originalName: file.originalname,
+				newName: fileName,
+			});
+		}
+
+		const { status, body } = await processDashboardUpload(
+			uid,
+			{
+				name: fileName,
+				type: fileType,
+				size: file.buffer.length,
+				buffer: file.buffer,
+			},
+			{
+				id,
+				name,
+				parameters,
+				operations,
+				resultName,
+				schema,
+				categoryColumn,
+				dateColumn,
+				dateFormat,
+				sheets,
+				pages,
+				languages,
+				dryRun: isDryRun,
+				encoding,
+				delimiter,
+				quoteChar,
+				headerRow,
+				decimalSeparator,
+				unpivot,
+				unpivotTitle,
+				periodYear,
+				mergeStrategy,
+				keyColumn,
+			},
+			start
+		);
+		res.status(status).json(body);
+	} catch (e) {
+		logger.error('Error in createOrUpdateDashboard', {
+			uid,
+			fileName: req.file?.originalname,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * DELETE /users/:userId/dashboard/:dashboardId
+ * Deletes a dashboard and its associated data.
+ */
+export async function deleteDashboardData(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received delete dashboard request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const fileIds = [
+			...new Set([
+				dashboard.ref?.fid,
+				...dashboard.ver.map((version) => version.fid),
+				...[...dashboard.f, ...dashboard.xf].map((file) => file.fid),
+			]),
+		].filter((fid) => mongoose.Types.ObjectId.isValid(fid));
+
+		if (fileIds.length > 0) {
+			await deletionQueue.add({ fileIds }, { attempts: 3 });
+		}
+
+		await Dashboard.deleteOne({ _id: id, uid });
+		await deleteCachedDashboard(uid, `dash:${uid}:${id}:data`);
+		await deleteCachedDashboard(uid, `dash:${uid}:all`);
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Dashboard deleted', {
+			uid,
+			id,
+			queuedFiles: fileIds.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Dashboard deleted',
+			modifiedCount: 1,
+			queuedFiles: fileIds.length,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in deleteDashboardData', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboards
+ * Retrieves all dashboards for a user.
+ */
+export async function getAllDashboards(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received get all dashboards request', {
+		userId: req.params.userId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid } = req.params;
+	const start = Date.now();
+
+	try {
+		if (!mongoose.Types.ObjectId.isValid(uid)) {
+			logger.error('Invalid uid', { uid });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid' });
+		}
+
+		const cacheKey = `dash:${uid}:all`;
+		const cachedData = await getCachedDashboard(uid, cacheKey);
+		if (cachedData) {
+			const duration = (Date.now() - start) / 1000;
+			logger.info('Retrieved all dashboards from cache', {
+				uid,
+				count: cachedData.length,
+				duration,
+			});
+			return res.status(200).json({
+				msg: 'Dashboards retrieved',
+				dashboards: cachedData.map((d) => ({ ...d, data: [] })),
+				duration,
+			});
+		}
+
+		const dashboards = await Dashboard.find(
+			{ uid },
+			{ name: 1, ref: 1, f: 1, uid: 1, ca: 1, ua: 1 }
+		).lean();
+
+		// Add empty data array to each dashboard
+		const dashboardsWithData = dashboards.map((d) => ({ ...d, data: [] }));
+
+		let cacheWarning = null;
+		try {
+			const cached = await setCachedDashboard(
+				uid,
+				cacheKey,
+				dashboardsWithData
+			);
+			if (!cached) {
+				cacheWarning = 'Data too large to cache';
+			}
+		} catch (e) {
+			logger.warn('Failed to cache dashboards', { uid, error: e.message });
+			cacheWarning = 'Cache failed';
+		}
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved all dashboards from DB', {
+			uid,
+			count: dashboards.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Dashboards retrieved',
+			dashboards: dashboardsWithData,
+			duration,
+			cacheWarning,
+		});
+	} catch (e) {
+		logger.error('Error in getAllDashboards', {
+			uid,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * PUT /users/:userId/dashboard/:dashboardId/category/:categoryName
+ * Updates a specific category's chart type or IDs.
+ */
+export async function updateCategoryData(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received update category request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		categoryName: req.params.categoryName,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id, categoryName: cn } = req.params;
+	const decodedCategoryName = decodeURIComponent(cn);
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.error('Dashboard not found', { id, uid });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const category = (await dashboard.getDashboardData()).find(
+			(c) => c.cat === decodedCategoryName
+		);
+		if (!category) {
+			logger.error('Category not found', {
+				category: decodedCategoryName,
+				id,
+				uid,
+			});
+			return res.status(404).json({ msg: 'ERR_NOT_FOUND: Category not found' });
+		}
+
+		const { chart, ids } = req.body;
+		if (chart && !validChartTypes.includes(chart)) {
+			logger.error('Invalid chart type', { chart, uid, id });
+			return res
+				.status(400)
+				.json({ msg: 'ERR_INVALID_CHART: Invalid chart type' });
+		}
+
+		if (chart) category.chart = chart;
+		if (Array.isArray(ids)) category.ids = ids;
+
+		const dashboardData = await dashboard.getDashboardData();
+		const dashboardJson = JSON.stringify(dashboardData);
+		const { maxDataSize } = await getPlanLimits(uid);
+		if (Buffer.byteLength(dashboardJson, 'utf8') > maxDataSize) {
+			logger.error('Data exceeds plan limit', { uid, id, maxDataSize });
+			return res
+				.status(413)
+				.json({ msg: dataSizeError(maxDataSize).message, maxDataSize });
+		}
+
+		const dataFileId = new mongoose.Types.ObjectId();
+		const dataFileName = `data-${id}-${Date.now()}.json`;
+		await writeToGridFS(
+			dataFileId,
+			dataFileName,
+			dashboardJson,
+			'application/json',
+			{ uid }
+		);
+
+		dashboard.addVersion(
+			{ fid: dataFileId.toString(), fn: dataFileName, ch: true, cc: 1 },
+			{ by: uid, sz: Buffer.byteLength(dashboardJson, 'utf8'), act: 'update' }
+		);
+		const prunedFileIds = dashboard.pruneVersions(await getPlanLimits(uid));
+		await dashboard.save();
+		if (prunedFileIds.length > 0) {
+			await deletionQueue.add({ fileIds: prunedFileIds }, { attempts: 3 });
+		}
+
+		let cacheWarning = null;
+		try {
+			const cacheKey = `dash:${uid}:${dashboard._id}:data`;
+			const cached = await setCachedDashboard(uid, cacheKey, dashboardData);
+			if (!cached) {
+				cacheWarning = 'Data too large to cache';
+			}
+			await Dashboard.cacheDashboardMetadata(uid, id);
+		} catch (e) {
+			logger.warn('Failed to cache data', { uid, id, error: e.message });
+			cacheWarning = 'Cache failed';
+		}
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Updated category', {
+			uid,
+			id,
+			category: decodedCategoryName,
+			duration,
+		});
+		res.status(200).json({ msg: 'Category updated', duration, cacheWarning });
+	} catch (e) {
+		logger.error('Error updating category', {
+			uid,
+			id,
+			category: decodedCategoryName,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/file/:fileId
+ * Downloads a file associated with a dashboard.
+ */
+export async function downloadDashboardFile(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received download file request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		fileId: req.params.fileId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id, fileId: fid } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id) ||
+			!mongoose.Types.ObjectId.isValid(fid)
+		) {
+			logger.error('Invalid uid, id, or fid', { uid, id, fid });
+			return res
+				.status(400)
+				.json({ msg: 'ERR_INVALID_ID: Invalid uid, id, or fid' });
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid }).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const fileData = dashboard.f.find((file) => file.fid === fid);
+		if (!fileData) {
+			logger.warn('File not found', { uid, id, fid });
+			return res.status(404).json({ msg: 'ERR_NOT_FOUND: File not found' });
+		}
+
+		if (!fileData.ch) {
+			res.set({
+				'Content-Type': fileData.contentType || 'application/octet-stream',
+				'Content-Disposition': `attachment; filename="${fileData.fn}"`,
+			});
+			res.send(fileData.c);
+			const duration = (Date.now() - start) / 1000;
+			logger.info('Served non-chunked file', { uid, id, fid, duration });
+			return;
+		}
+
+		const downloadStream = gfs.openDownloadStream(
+			new mongoose.Types.ObjectId(fid)
+		);
+		res.set({
+			'Content-Type': fileData.contentType || 'application/octet-stream',
+			'Content-Disposition': `attachment; filename="${fileData.fn}"`,
+		});
+		downloadStream.pipe(res);
+
+		downloadStream.on('error', (e) => {
+			logger.error('Error streaming file', { uid, id, fid, error: e.message });
+			if (!res.headersSent) {
+				res.status(500).json({ msg: 'ERR_SERVER: Error streaming file' });
+			}
+		});
+
+		downloadStream.on('end', () => {
+			const duration = (Date.now() - start) / 1000;
+			logger.info('File download completed', { uid, id, fid, duration });
+		});
+	} catch (e) {
+		logger.error('Error in downloadDashboardFile', {
+			uid,
+			id,
+			fid,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+/**
+ * GET /users/:userId/dashboard/:dashboardId
+ * Retrieves dashboard data from cache or database.
+ * Optional query: q (category search), titles (comma list), min[Title], max[Title],
+ * from, to (ISO dates), sort (cat or a title, "-" for descending), limit, cursor.
+ * When any is given the response is filtered and paged, with `page.nextCursor`.
+ */
+export async function getDashboardData(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received get dashboard request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const { options: pageOptions, error: queryError } = parseDashboardQuery(
+			req.query
+		);
+		if (queryError) {
+			logger.error('Invalid dashboard query', { uid, id, query: req.query });
+			return res.status(400).json({ msg: queryError });
+		}
+
+		const cacheKey = `dash:${uid}:${id}:data`;
+		let cachedData = null;
+		try {
+			const cacheRaw = await getCachedDashboard(uid, cacheKey);
+			if (cacheRaw && Array.isArray(cacheRaw)) {
+				cachedData = cacheRaw;
+				logger.debug('Cache hit', {
+					uid,
+					id,
+					dataSample: JSON.stringify(cachedData.slice(0, 1)),
+				});
+			} else if (cacheRaw) {
+				logger.warn('Invalid cache data, clearing cache', { uid, id });
+				await deleteCachedDashboard(uid, cacheKey);
+			}
+		} catch (cacheError) {
+			logger.warn('Failed to retrieve cache, falling back to database', {
+				uid,
+				id,
+				error: cacheError.message,
+			});
+		}
+
+		if (cachedData) {
+			const dashboard = await Dashboard.findOne(
+				{ _id: id, uid },
+				{ name: 1, ref: 1, f: 1, calc: 1, uid: 1, ca: 1, ua: 1 }
+			).lean();
+			if (!dashboard) {
+				logger.warn('Dashboard not found', { uid, id });
+				return res
+					.status(404)
+					.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+			}
+			if (
+				pageOptions?.cursorFid &&
+				pageOptions.cursorFid !== dashboard.ref?.fid
+			) {
+				return res.status(409).json({
+					msg: 'ERR_STALE_CURSOR: Dashboard data changed, restart paging',
+				});
+			}
+			const { data: calculatedData, errors: calculationErrors } =
+				applyCalculatedFields(cachedData, dashboard.calc);
+			const numericParameters = getNumericTitles(calculatedData);
+			const dateParameters = getDateTitles(calculatedData);
+			const { data: pageData, page } = pageOptions
+				? pageDashboardData(calculatedData, pageOptions, dashboard.ref?.fid)
+				: { data: calculatedData, page: null };
+			const duration = (Date.now() - start) / 1000;
+			logger.info('Retrieved from cache', { uid, id, duration });
+			return res.status(200).json({
+				msg: 'Dashboard retrieved',
+				dashboard: { ...dashboard, data: pageData },
+				numericParameters,
+				dateParameters,
+				calculationErrors,
+				page,
+				duration,
+			});
+		}
+
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ name: 1, ref: 1, f: 1, calc: 1, uid: 1, ca: 1, ua: 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		if (
+			pageOptions?.cursorFid &&
+			pageOptions.cursorFid !== dashboard.ref?.fid
+		) {
+			return res.status(409).json({
+				msg: 'ERR_STALE_CURSOR: Dashboard data changed, restart paging',
+			});
+		}
+
+		const downloadStream = gfs.openDownloadStream(
+			new mongoose.Types.ObjectId(dashboard.ref.fid)
+		);
+		let data = Buffer.alloc(0);
+		downloadStream.on('data', (chunk) => {
+			data = Buffer.concat([data, chunk]);
+		});
+		await new Promise((resolve, reject) => {
+			downloadStream.on('end', resolve);
+			downloadStream.on('error', reject);
+		});
+
+		let dashboardData;
+		try {
+			let dataString;
+			// Check for gzip compression
+			if (data[0] === 0x1f && data[1] === 0x8b) {
+				logger.debug('Decompressing GridFS data', { uid, id });
+				try {
+					dataString = zlib.gunzipSync(data).toString('utf8');
+				} catch (decompressError) {
+					logger.error('Failed to decompress GridFS data', {
+						uid,
+						id,
+						error: decompressError.message,
+					});
+					throw new Error('Corrupted compressed data');
+				}
+			} else {
+				dataString = data.toString('utf8');
+			}
+
+			// Validate JSON format
+			if (!dataString.trim().startsWith('[')) {
+				throw new Error('Invalid JSON format: Data does not start with array');
+			}
+
+			dashboardData = JSON.parse(dataString, (key, value) => {
+				if (
+					key === 'd' &&
+					typeof value === 'string' &&
+					/\d{4}-\d{2}-\d{2}T/.test(value)
+				) {
+					return new Date(value);
+				}
+				if (key === 'v' && typeof value === 'string' && !isNaN(Number(value))) {
+					return Number(value); // Convert numeric strings to numbers
+				}
+				return value;
+			});
+
+			// Validate data structure
+			if (!Array.isArray(dashboardData)) {
+				throw new Error('Invalid data structure: Not an array');
+			}
+			dashboardData.forEach((category, index) => {
+				if (typeof category.cat !== 'string' || !Array.isArray(category.data)) {
+					throw new Error(`Invalid category at index ${index}`);
+				}
+				category.data.forEach((entry, entryIndex) => {
+					if (
+						typeof entry.i !== 'string' ||
+						!Array.isArray(entry.d) ||
+						!entry.d.every(
+							(node) =>
+								typeof node.t === 'string' &&
+								node.v !== undefined &&
+								node.d instanceof Date
+						)
+					) {
+						throw new Error(
+							`Invalid entry at category ${index}, entry ${entryIndex}`
+						);
+					}
+				});
+			});
+		} catch (parseError) {
+			logger.error('Failed to parse GridFS data', {
+				uid,
+				id,
+				error: parseError.message,
+				dataSample: data.slice(0, 50).toString('hex'),
+			});
+			try {
+				await deleteCachedDashboard(uid, cacheKey);
+				logger.info('Cleared corrupted cache', { uid, key: cacheKey });
+			} catch (clearError) {
+				logger.warn('Failed to clear cache', {
+					uid,
+					id,
+					error: clearError.message,
+				});
+			}
+			return res.status(500).json({
+				msg: 'ERR_SERVER: Invalid or corrupted dashboard data',
+				error: parseError.message,
+			});
+		}
+
+		let cacheWarning = null;
+		try {
+			const cached = await setCachedDashboard(uid, cacheKey, dashboardData);
+			if (!cached) {
+				cacheWarning = 'Data too large to cache';
+			}
+			await Dashboard.cacheDashboardMetadata(uid, id);
+		} catch (cacheError) {
+			logger.warn('Failed to cache data', {
+				uid,
+				id,
+				error: cacheError.message,
+			});
+			cacheWarning = 'Cache failed';
+		}
+
+		const { data: calculatedData, errors: calculationErrors } =
+			applyCalculatedFields(dashboardData, dashboard.calc);
+		const numericParameters = getNumericTitles(calculatedData);
+		const dateParameters = getDateTitles(calculatedData);
+		const { data: pageData, page } = pageOptions
+			? pageDashboardData(calculatedData, pageOptions, dashboard.ref?.fid)
+			: { data: calculatedData, page: null };
+		const dashboardObject = { ...dashboard, data: pageData };
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved from DB', {
+			uid,
+			id,
+			categories: dashboardData.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Dashboard retrieved',
+			dashboard: dashboardObject,
+			numericParameters,
+			dateParameters,
+			calculationErrors,
+			page,
+			duration,
+			cacheWarning,
+		});
+	} catch (e) {
+		logger.error('Error in getDashboardData', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * POST /users/:userId/dashboard/:dashboardId/calculate
+ * POST /users/:userId/dashboard/:dashboardId/calculated-fields
+ * Saves a calculated field definition and returns the dashboard with it applied.
+ * Accepts an `expression` (e.g. "(Revenue - Cost) / Revenue * 100") or the legacy
+ * `parameters`/`operations` pair, which is converted to an equivalent expression.
+ * Calculated fields are stored on the dashboard and evaluated on read, so source
+ * parameters are kept and results follow new uploads. Categories that cannot be
+ * calculated are reported in `errors`.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+export async function calculateDashboardParameters(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received calculate parameters request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+		parameters: req.body.parameters,
+		operations: req.body.operations,
+		resultName: req.body.resultName,
+		calculationType: req.body.calculationType,
+		expression: req.body.expression,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const {
+		parameters,
+		operations,
+		resultName,
+		calculationType = 'numeric',
+		expression,
+	} = req.body;
+	const start = Date.now();
+
+	try {
+		// Validate IDs
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid id' });
+		}
+
+		if (typeof resultName !== 'string' || !resultName.trim()) {
+			logger.error('Invalid resultName: must be a non-empty string', {
+				uid,
+				id,
+				resultName,
+			});
+			return res.status(400).json({
+				msg: 'ERR_INVALID_INPUT: Result name must be a non-empty string',
+			});
+		}
+
+		if (expression === undefined) {
+			// Validate legacy input
+			if (!Array.isArray(parameters) || parameters.length < 2) {
+				logger.error('Invalid parameters: at least two required', {
+					uid,
+					id,
+					parameters,
+				});
+				return res
+					.status(400)
+					.json({ msg: 'ERR_INVALID_INPUT: At least two parameters required' });
+			}
+
+			if (
+				!Array.isArray(operations) ||
+				(calculationType === 'numeric' &&
+					operations.length !== parameters.length - 1) ||
+				(calculationType === 'date' &&
+					(parameters.length !== 2 || operations[0] !== 'minus'))
+			) {
+				logger.error('Invalid operations', {
+					uid,
+					id,
+					operations,
+					calculationType,
+					expected:
+						calculationType === 'numeric' ? parameters.length - 1 : 'minus',
+				});
+				return res.status(400).json({
+					msg: 'ERR_INVALID_INPUT: Invalid operations for calculation type',
+				});
+			}
+
+			const validOperations =
+				calculationType === 'numeric'
+					? ['plus', 'minus', 'multiply', 'divide']
+					: ['minus'];
+			if (!operations.every((op) => validOperations.includes(op))) {
+				logger.error('Invalid operation', {
+					uid,
+					id,
+					operations,
+					calculationType,
+				});
+				return res.status(400).json({
+					msg: `ERR_INVALID_OPERATION: Operations must be ${validOperations.join(
+						', '
+					)}`,
+				});
+			}
+		}
+
+		const fieldName = resultName.trim();
+		const fieldExpression =
+			expression !== undefined
+				? expression
+				: legacyToExpression(parameters, operations, calculationType);
+
+		// Find dashboard
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.error('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		// Retrieve raw dashboard data
+		const dashboardData = await fetchDashboardData(dashboard);
+		if (!Array.isArray(dashboardData) || dashboardData.length === 0) {
+			logger.error('No valid dashboard data', { uid, id });
+			return res
+				.status(400)
+				.json({ msg: 'ERR_NO_DATA: No valid dashboard data available' });
+		}
+
+		const existingIndex = dashboard.calc.findIndex((f) => f.n === fieldName);
+		const precedingFields =
+			existingIndex === -1
+				? dashboard.calc
+				: dashboard.calc.slice(0, existingIndex);
+
+		let validation;
+		try {
+			validation = validateCalculatedField(
+				dashboardData,
+				precedingFields,
+				fieldName,
+				fieldExpression
+			);
+		} catch (validationError) {
+			if (!(validationError instanceof CustomError)) throw validationError;
+			logger.error('Invalid calculated field', {
+				uid,
+				id,
+				fieldName,
+				expression: fieldExpression,
+				error: validationError.message,
+			});
+			return res
+				.status(validationError.statusCode)
+				.json({ msg: validationError.message });
+		}
+
+		if (validation.unknownTitles.length > 0) {
+			logger.error('Expression references unknown titles', {
+				uid,
+				id,
+				expression: fieldExpression,
+				unknownTitles: validation.unknownTitles,
+			});
+			return res.status(400).json({
+				msg: `ERR_INVALID_PARAM: Unknown or non-numeric titles: ${validation.unknownTitles.join(
+					', '
+				)}`,
+				unknownTitles: validation.unknownTitles,
+				numericTitles: validation.availableTitles,
+			});
+		}
+
+		const field = { n: fieldName, x: fieldExpression };
+		const fields =
+			existingIndex === -1
+				? [...dashboard.calc, field]
+				: dashboard.calc.map((f, i) => (i === existingIndex ? field : f));
+		const { data, errors } = applyCalculatedFields(dashboardData, fields);
+
+		const fieldErrors = errors.filter((err) => err.field === fieldName);
+		if (fieldErrors.length >= dashboardData.length) {
+			logger.error('Expression failed for every category', {
+				uid,
+				id,
+				expression: fieldExpression,
+				sample: fieldErrors.slice(0, 5),
+			});
+			return res.status(400).json({
+				msg: 'ERR_CALCULATION_FAILED: Expression could not be calculated for any category',
+				errors: fieldErrors,
+			});
+		}
+
+		if (existingIndex === -1) {
+			dashboard.calc.push(field);
+		} else {
+			dashboard.calc[existingIndex].x = fieldExpression;
+			dashboard.calc[existingIndex].ua = new Date();
+		}
+		await dashboard.save();
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Calculated field saved', {
+			uid,
+			id,
+			fieldName,
+			expression: fieldExpression,
+			failedCategories: fieldErrors.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Calculation applied successfully',
+			dashboard: {
+				_id: dashboard._id,
+				name: dashboard.name,
+				ref: dashboard.ref,
+				f: dashboard.f,
+				calc: dashboard.calc,
+				uid: dashboard.uid,
+				ca: dashboard.ca,
+				ua: dashboard.ua,
+				data,
+			},
+			calculatedField: field,
+			numericParameters: getNumericTitles(data),
+			dateParameters: getDateTitles(data),
+			errors,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in calculateDashboardParameters', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/calculated-fields
+ * Lists the calculated field definitions of a dashboard.
+ */
+export async function getCalculatedFields(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received get calculated fields request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ calc: 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved calculated fields', {
+			uid,
+			id,
+			count: dashboard.calc?.length || 0,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Calculated fields retrieved',
+			calculatedFields: dashboard.calc || [],
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in getCalculatedFields', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * PUT /users/:userId/dashboard/:dashboardId/calculated-fields/:fieldName
+ * Edits the expression and/or name of a calculated field.
+ */
+export async function updateCalculatedField(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received update calculated field request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		fieldName: req.params.fieldName,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id, fieldName: currentName } = req.params;
+	const { expression, name } = req.body;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const index = dashboard.calc.findIndex((f) => f.n === currentName);
+		if (index === -1) {
+			logger.warn('Calculated field not found', { uid, id, currentName });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Calculated field not found' });
+		}
+
+		const newName = name !== undefined ? String(name).trim() : currentName;
+		const newExpression =
+			expression !== undefined ? expression : dashboard.calc[index].x;
+		if (
+			newName !== currentName &&
+			dashboard.calc.some((f) => f.n === newName)
+		) {
+			return res
+				.status(400)
+				.json({ msg: `ERR_NAME_EXISTS: '${newName}' already exists` });
+		}
+
+		const dependents = getDependentFields(dashboard.calc, currentName);
+		if (newName !== currentName && dependents.length > 0) {
+			return res.status(400).json({
+				msg: `ERR_IN_USE: '${currentName}' is referenced by ${dependents.join(
+					', '
+				)}`,
+				dependents,
+			});
+		}
+
+		const dashboardData = await fetchDashboardData(dashboard);
+
+		let validation;
+		try {
+			validation = validateCalculatedField(
+				dashboardData,
+				dashboard.calc.slice(0, index),
+				newName,
+				newExpression
+			);
+		} catch (validationError) {
+			if (!(validationError instanceof CustomError)) throw validationError;
+			return res
+				.status(validationError.statusCode)
+				.json({ msg: validationError.message });
+		}
+		if (validation.unknownTitles.length > 0) {
+			return res.status(400).json({
+				msg: `ERR_INVALID_PARAM: Unknown or non-numeric titles: ${validation.unknownTitles.join(
+					', '
+				)}`,
+				unknownTitles: validation.unknownTitles,
+				numericTitles: validation.availableTitles,
+			});
+		}
+
+		dashboard.calc[index].n = newName;
+		dashboard.calc[index].x = newExpression;
+		dashboard.calc[index].ua = new Date();
+		await dashboard.save();
+
+		const { data, errors } = applyCalculatedFields(
+			dashboardData,
+			dashboard.calc
+		);
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Updated calculated field', {
+			uid,
+			id,
+			currentName,
+			newName,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Calculated field updated',
+			calculatedField: dashboard.calc[index],
+			calculatedFields: dashboard.calc,
+			data,
+			errors,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in updateCalculatedField', {
+			uid,
+			id,
+			fieldName: currentName,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * DELETE /users/:userId/dashboard/:dashboardId/calculated-fields/:fieldName
+ * Deletes a calculated field definition. Source data is not touched.
+ */
+export async function deleteCalculatedField(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received delete calculated field request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		fieldName: req.params.fieldName,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id, fieldName } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		if (!dashboard.calc.some((f) => f.n === fieldName)) {
+			logger.warn('Calculated field not found', { uid, id, fieldName });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Calculated field not found' });
+		}
+
+		const dependents = getDependentFields(dashboard.calc, fieldName);
+		if (dependents.length > 0) {
+			logger.error('Calculated field in use', {
+				uid,
+				id,
+				fieldName,
+				dependents,
+			});
+			return res.status(400).json({
+				msg: `ERR_IN_USE: '${fieldName}' is referenced by ${dependents.join(
+					', '
+				)}`,
+				dependents,
+			});
+		}
+
+		dashboard.calc = dashboard.calc.filter((f) => f.n !== fieldName);
+		await dashboard.save();
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Deleted calculated field', { uid, id, fieldName, duration });
+
+		res.status(200).json({
+			msg: 'Calculated field deleted',
+			calculatedFields: dashboard.calc,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in deleteCalculatedField', {
+			uid,
+			id,
+			fieldName,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/numeric-titles
+ * Retrieves numeric titles for a specific dashboard.
+ */
+export async function getNumericTitlesEndpoint(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received request for numeric titles', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		logger.debug('Querying dashboard', { uid, id });
+		const dashboard = await Dashboard.findOne({ _id: id, uid }).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		logger.debug('Fetching dashboard data', { uid, id });
+		const dashboardData = await Promise.race([
+			Dashboard.prototype.getDashboardData.call(dashboard),
+			new Promise((_, reject) =>
+				setTimeout(() => reject(new Error('Database query timeout')), 5000)
+			),
+		]);
+		logger.debug('Dashboard data retrieved', {
+			uid,
+			id,
+			categoryCount: dashboardData.length,
+		});
+
+		logger.debug('Calculating numeric titles', { uid, id });
+		const numericTitles = getNumericTitles(dashboardData);
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved numeric titles', {
+			uid,
+			id,
+			titleCount: numericTitles.length,
+			duration,
+			titles: numericTitles,
+		});
+
+		return res.status(200).json({
+			msg: 'Numeric titles retrieved',
+			numericTitles,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in getNumericTitlesEndpoint', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		return res
+			.status(500)
+			.json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/date-titles
+ * Retrieves date titles for a specific dashboard.
+ */
+export async function getDateTitlesEndpoint(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received request for date titles', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		logger.debug('Querying dashboard', { uid, id });
+		const dashboard = await Dashboard.findOne({ _id: id, uid }).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		logger.debug('Fetching dashboard data', { uid, id });
+		const dashboardData = await Promise.race([
+			Dashboard.prototype.getDashboardData.call(dashboard),
+			new Promise((_, reject) =>
+				setTimeout(() => reject(new Error('Database query timeout')), 5000)
+			),
+		]);
+		logger.debug('Dashboard data retrieved', {
+			uid,
+			id,
+			categoryCount: dashboardData.length,
+		});
+
+		logger.debug('Calculating date titles', { uid, id });
+		const dateTitles = getDateTitles(dashboardData);
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved date titles', {
+			uid,
+			id,
+			titleCount: dateTitles.length,
+			duration,
+		});
+
+		return res.status(200).json({
+			msg: 'Date titles retrieved',
+			dateTitles,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in getDateTitlesEndpoint', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		return res
+			.status(500)
+			.json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/timeseries
+ * Aggregates one title over time per category.
+ * Query: title (required), bucket (day|week|month|quarter, default month),
+ * agg (sum|avg|min|max|count|last, default sum), from, to (ISO dates).
+ */
+export async function getDashboardTimeSeries(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received time series request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		query: req.query,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const { title, bucket = 'month', agg = 'sum', from, to } = req.query;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		if (typeof title !== 'string' || !title.trim()) {
+			return res
+				.status(400)
+				.json({ msg: 'ERR_INVALID_INPUT: title is required' });
+		}
+		if (!BUCKET_SIZES.includes(bucket)) {
+			return res.status(400).json({
+				msg: `ERR_INVALID_INPUT: bucket must be ${BUCKET_SIZES.join(', ')}`,
+			});
+		}
+		if (!AGGREGATIONS.includes(agg)) {
+			return res.status(400).json({
+				msg: `ERR_INVALID_INPUT: agg must be ${AGGREGATIONS.join(', ')}`,
+			});
+		}
+
+		const range = {};
+		for (const [key, value] of Object.entries({ from, to })) {
+			if (value === undefined) continue;
+			const date = parseQueryDate(key, value);
+			if (!date) {
+				return res
+					.status(400)
+					.json({ msg: `ERR_INVALID_INPUT: Invalid ${key} date` });
+			}
+			range[key] = date;
+		}
+
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ ref: 1, calc: 1, ua: 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		// Keyed by data file and last update, so new uploads and calculated
+		// field edits never hit a stale entry
+		const cacheKey = [
+			'dash',
+			uid,
+			id,
+			'ts',
+			dashboard.ref?.fid || 'none',
+			new Date(dashboard.ua).getTime(),
+			title.trim(),
+			bucket,
+			agg,
+			range.from?.toISOString() || '',
+			range.to?.toISOString() || '',
+		].join(':');
+
+		const cached = await getCachedDashboard(uid, cacheKey);
+		if (cached && Array.isArray(cached.series)) {
+			const duration = (Date.now() - start) / 1000;
+			logger.info('Retrieved time series from cache', { uid, id, duration });
+			return res.status(200).json({
+				msg: 'Time series retrieved',
+				...cached,
+				duration,
+			});
+		}
+
+		const dashboardData = await fetchDashboardData(dashboard);
+		const { data } = applyCalculatedFields(dashboardData, dashboard.calc);
+		const { buckets, series } = aggregateTimeSeries(
+			data,
+			title.trim(),
+			bucket,
+			agg,
+			range
+		);
+		const result = { title: title.trim(), bucket, agg, buckets, series };
+
+		let cacheWarning = null;
+		const wasCached = await setCachedDashboard(
+			uid,
+			cacheKey,
+			result,
+			TIME_SERIES_CACHE_TTL
+		);
+		if (!wasCached) {
+			cacheWarning = 'Data too large to cache';
+		}
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Computed time series', {
+			uid,
+			id,
+			title,
+			bucket,
+			agg,
+			categories: series.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Time series retrieved',
+			...result,
+			duration,
+			cacheWarning,
+		});
+	} catch (e) {
+		logger.error('Error in getDashboardTimeSeries', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/export?format=xlsx|csv|json
+ * Streams the current dashboard data, including combined charts and
+ * calculated fields, as a download.
+ */
+export async function exportDashboardData(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received export dashboard request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		format: req.query.format,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const format = String(req.query.format || 'xlsx').toLowerCase();
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+		if (!EXPORT_FORMATS.includes(format)) {
+			return res.status(400).json({
+				msg: `ERR_INVALID_INPUT: format must be ${EXPORT_FORMATS.join(', ')}`,
+			});
+		}
+
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ name: 1, ref: 1, calc: 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const dashboardData = await fetchDashboardData(dashboard);
+		const { data } = applyCalculatedFields(dashboardData, dashboard.calc);
+
+		const contentTypes = {
+			xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+			csv: 'text/csv; charset=utf-8',
+			json: 'application/json; charset=utf-8',
+		};
+		const baseName =
+			dashboard.name.replace(/[^\w\- ]+/g, '').trim() || 'dashboard';
+		res.status(200).set({
+			'Content-Type': contentTypes[format],
+			'Content-Disposition': `attachment; filename="${baseName}.${format}"`,
+		});
+
+		if (format === 'xlsx') {
+			await writeXlsxExport(data, res);
+		} else if (format === 'csv') {
+			await writeCsvExport(data, res);
+		} else {
+			await writeJsonExport(data, res);
+		}
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Dashboard exported', {
+			uid,
+			id,
+			format,
+			categories: data.length,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in exportDashboardData', {
+			uid,
+			id,
+			format,
+			error: e.message,
+			stack: e.stack,
+		});
+		if (!res.headersSent) {
+			res
+				.status(500)
+				.json({ msg: 'ERR_SERVER: Server error', error: e.message });
+		} else {
+			res.end();
+		}
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/schema
+ * Lists the saved column schema of every file uploaded to a dashboard.
+ */
+export async function getColumnSchemas(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received get column schemas request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ cfg: 1, mrg: 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const schemas = (dashboard.cfg || []).map(({ fn, sh, cols, dc, ua }) => ({
+			fn,
+			sh,
+			cols,
+			dc,
+			ua,
+		}));
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved column schemas', {
+			uid,
+			id,
+			count: schemas.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Column schemas retrieved',
+			schemas,
+			merge: dashboard.mrg
+				? { strategy: dashboard.mrg.s, keyColumn: dashboard.mrg.k }
+				: null,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in getColumnSchemas', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * PUT /users/:userId/dashboard/:dashboardId/schema/:fileName
+ * Replaces the column schema of one file.
+ * Body: { cols: [{ k, t, fmt }], dateColumn, sheet }. `sheet` selects the
+ * workbook sheet the schema belongs to. The category column is the
+ * column typed 'category'. The schema is applied on the next upload of that
+ * file.
+ */
+export async function updateColumnSchema(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received update column schema request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		fileName: req.params.fileName,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id, fileName } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		let cols;
+		const dateColumn = req.body?.dateColumn || null;
+		const sheet = req.body?.sheet || null;
+		try {
+			cols = validateColumnSchema(req.body?.cols);
+			if (dateColumn) {
+				cols = selectColumns(cols, { dateColumn });
+			}
+		} catch (validationError) {
+			if (!(validationError instanceof CustomError)) throw validationError;
+			logger.error('Invalid column schema', {
+				uid,
+				id,
+				fileName,
+				error: validationError.message,
+			});
+			return res
+				.status(validationError.statusCode)
+				.json({ msg: validationError.message });
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+		if (
+			!dashboard.f.some((f) => f.fn === fileName) &&
+			!dashboard.cfg.some((c) => c.fn === fileName)
+		) {
+			logger.warn('File not found on dashboard', { uid, id, fileName });
+			return res.status(404).json({
+				msg: `ERR_NOT_FOUND: File '${fileName}' not found on dashboard`,
+			});
+		}
+
+		const dc = dateColumn || cols.find((c) => c.t === 'date')?.k || null;
+		setFileConfig(dashboard, fileName, { sh: sheet, cols, dc });
+		await dashboard.save();
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Updated column schema', {
+			uid,
+			id,
+			fileName,
+			columns: cols.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Column schema updated',
+			schema: { fn: fileName, sh: sheet, cols, dc },
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in updateColumnSchema', {
+			uid,
+			id,
+			fileName,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * PUT /users/:userId/dashboard/:dashboardId/merge-strategy
+ * Sets how uploads to the dashboard are merged when the upload does not
+ * choose. Body: { mergeStrategy, keyColumn }. mergeStrategy is one of
+ * replace, append, upsert and accumulate, or null to merge as before.
+ */
+export async function updateMergeStrategy(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received update merge strategy request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const mergeStrategy = req.body?.mergeStrategy || null;
+		const keyColumn =
+			typeof req.body?.keyColumn === 'string' ? req.body.keyColumn.trim() : '';
+		if (mergeStrategy && !MERGE_STRATEGIES.includes(mergeStrategy)) {
+			logger.error('Invalid merge strategy', { uid, id, mergeStrategy });
+			return res.status(400).json({
+				msg: `ERR_INVALID_PARAM: mergeStrategy must be one of ${MERGE_STRATEGIES.join(
+					', '
+				)}`,
+			});
+		}
+		if (keyColumn.length > 255 || (keyColumn && !mergeStrategy)) {
+			logger.error('Invalid key column', { uid, id, keyColumn });
+			return res.status(400).json({
+				msg: 'ERR_INVALID_KEY: keyColumn needs a mergeStrategy and at most 255 characters',
+			});
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		dashboard.mrg = mergeStrategy
+			? { s: mergeStrategy, k: keyColumn || null }
+			: null;
+		await dashboard.save();
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Updated merge strategy', {
+			uid,
+			id,
+			mergeStrategy,
+			keyColumn,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Merge strategy updated',
+			merge: {
+				strategy: mergeStrategy,
+				keyColumn: keyColumn || null,
+			},
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in updateMergeStrategy', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/recipe
+ * Returns the dashboard's transformation recipe.
+ */
+export async function getRecipe(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received get recipe request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ rcp: 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved recipe', {
+			uid,
+			id,
+			steps: (dashboard.rcp || []).length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Recipe retrieved',
+			steps: dashboard.rcp || [],
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in getRecipe', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * PUT /users/:userId/dashboard/:dashboardId/recipe
+ * Replaces the dashboard's transformation recipe. Body: { steps } with the
+ * steps described in utils/recipe.js; an empty list removes the recipe. The
+ * recipe runs on the rows of every later upload before they are transformed.
+ */
+export async function updateRecipe(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received update recipe request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		let steps;
+		try {
+			steps = validateRecipe(req.body?.steps);
+		} catch (validationError) {
+			if (!(validationError instanceof CustomError)) throw validationError;
+			logger.error('Invalid recipe', {
+				uid,
+				id,
+				error: validationError.message,
+			});
+			return res
+				.status(validationError.statusCode)
+				.json({ msg: validationError.message });
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		dashboard.rcp = steps;
+		await dashboard.save();
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Updated recipe', {
+			uid,
+			id,
+			steps: steps.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Recipe updated',
+			steps,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in updateRecipe', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * POST /users/:userId/dashboard/:dashboardId/recipe/preview
+ * Runs a recipe on sample rows without saving anything. Body: { rows, steps? }
+ * with up to 100 rows as objects keyed by column; steps default to the saved
+ * recipe. Returns the resulting rows, the column schema an upload would infer
+ * from them and what each step did.
+ */
+export async function previewRecipe(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received recipe preview request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const sample = req.body?.rows;
+		if (
+			!Array.isArray(sample) ||
+			sample.length === 0 ||
+			sample.length > MAX_RECIPE_PREVIEW_ROWS ||
+			!sample.every(
+				(row) => row && typeof row === 'object' && !Array.isArray(row)
+			)
+		) {
+			logger.error('Invalid preview rows', { uid, id });
+			return res.status(400).json({
+				msg: `ERR_INVALID_PARAM: rows must list 1-${MAX_RECIPE_PREVIEW_ROWS} row objects`,
+			});
+		}
+
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ rcp: 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		let recipe;
+		try {
+			recipe = createRecipeRunner(
+				req.body.steps === undefined ? dashboard.rcp : req.body.steps
+			);
+		} catch (validationError) {
+			if (!(validationError instanceof CustomError)) throw validationError;
+			logger.error('Invalid recipe', {
+				uid,
+				id,
+				error: validationError.message,
+			});
+			return res
+				.status(validationError.statusCode)
+				.json({ msg: validationError.message });
+		}
+		const { rows, rowNumbers } = recipe.apply(sample);
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Built recipe preview', {
+			uid,
+			id,
+			steps: recipe.steps,
+			rows: rows.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Recipe preview',
+			rows,
+			rowNumbers: rowNumbers || rows.map((row, idx) => idx + 1),
+			columns: inferColumnSchema(rows),
+			recipe: recipe.report(),
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in previewRecipe', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+// Values of one uploaded file. Values stored before they recorded their
+// upload are matched by file name while no other upload has that name.
+function sourceFilter(dashboard, file) {
+	const sameName = dashboard.f.filter((f) => f.fn === file.fn).length;
+	return {
+		fileIds: [file.fid],
+		fileName: sameName === 1 ? file.fn : undefined,
+	};
+}
+
+// Size of what one source contributed
+function describeSourceData(data) {
+	return {
+		categories: data.length,
+		entries: data.reduce((n, category) => n + category.data.length, 0),
+		values: data.reduce(
+			(n, category) =>
+				n + category.data.reduce((m, entry) => m + entry.d.length, 0),
+			0
+		),
+	};
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/joins
+ * Returns the dashboard's joins (see utils/joins.js).
+ */
+export async function getJoins(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received get joins request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ jn: 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved joins', {
+			uid,
+			id,
+			joins: (dashboard.jn || []).length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Joins retrieved',
+			joins: dashboard.jn || [],
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in getJoins', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * PUT /users/:userId/dashboard/:dashboardId/joins/:joinName
+ * Creates or replaces a join. Body: { l, lk, r, rk, sh?, t?, cols, px? } as
+ * described in utils/joins.js. The lookup file must already be on the
+ * dashboard; the join applies from the next upload of the left file.
+ */
+export async function updateJoin(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received update join request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		joinName: req.params.joinName,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id, joinName } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		let join;
+		try {
+			join = validateJoin({ ...req.body, n: joinName });
+		} catch (validationError) {
+			if (!(validationError instanceof CustomError)) throw validationError;
+			logger.error('Invalid join', {
+				uid,
+				id,
+				joinName,
+				error: validationError.message,
+			});
+			return res
+				.status(validationError.statusCode)
+				.json({ msg: validationError.message });
+		}
+
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+
+		if (!dashboard.f.some((f) => f.fn === join.r)) {
+			logger.error('Lookup file not found', { uid, id, lookup: join.r });
+			return res.status(400).json({
+				msg: `ERR_JOIN_SOURCE: Lookup file '${join.r}' is not on the dashboard`,
+			});
+		}
+		const index = dashboard.jn.findIndex((j) => j.n === join.n);
+		if (index === -1 && dashboard.jn.length >= MAX_JOINS) {
+			logger.error('Too many joins', { uid, id, joinName });
+			return res.status(400).json({
+				msg: `ERR_INVALID_JOIN: At most ${MAX_JOINS} joins per dashboard`,
+			});
+		}
+
+		if (index === -1) dashboard.jn.push(join);
+		else dashboard.jn.set(index, join);
+		await dashboard.save();
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Updated join', {
+			uid,
+			id,
+			joinName,
+			created: index === -1,
+			duration,
+		});
+
+		res.status(index === -1 ? 201 : 200).json({
+			msg: index === -1 ? 'Join created' : 'Join updated',
+			join,
+			joins: dashboard.jn,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in updateJoin', {
+			uid,
+			id,
+			joinName,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * DELETE /users/:userId/dashboard/:dashboardId/joins/:joinName
+ * Deletes a join. Values it already looked up stay in the dashboard data.
+ */
+export async function deleteJoin(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received delete join request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		joinName: req.params.joinName,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id, joinName } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
 
-			dashboard.ref = {
-				fid: newFileId.toString(),
-				fn: newFileName,
-				ch: true,
-				cc: 1,
-				lu: new Date(),
-			};
-			dashboard.f.push(fileData);
-		} else if (name) {
-			const exists = await Dashboard.findOne({ name, uid }).lean();
-			if (exists) {
-				logger.error('Dashboard name exists', { uid, name });
-				return res
-					.status(400)
-					.json({ msg: 'ERR_NAME_EXISTS: Dashboard name exists' });
-			}
-			dashboard = new Dashboard({
-				name,
-				ref: dataRef,
-				f: [fileData],
-				uid,
-			});
-		} else {
-			logger.error('ID or name required', { uid });
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
 			return res
-				.status(400)
-				.json({ msg: 'ERR_MISSING_PARAM: ID or name required' });
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
 		}
 
-		await dashboard.save();
-		const cacheData = id ? finalData : limitedData;
-		let cacheWarning = null;
-
-		try {
-			const cacheKey = `dash:${uid}:${dashboard._id}:data`;
-			const cached = await setCachedDashboard(uid, cacheKey, cacheData);
-			if (!cached) {
-				cacheWarning = 'Data too large to cache';
-			}
-			await Dashboard.cacheDashboardMetadata(uid, dashboard._id);
-		} catch (e) {
-			logger.warn('Failed to cache data', {
-				uid,
-				id: dashboard._id,
-				error: e.message,
-			});
-			cacheWarning = 'Cache failed due to server issue';
+		if (!dashboard.jn.some((j) => j.n === joinName)) {
+			logger.warn('Join not found', { uid, id, joinName });
+			return res.status(404).json({ msg: 'ERR_NOT_FOUND: Join not found' });
 		}
 
+		dashboard.jn = dashboard.jn.filter((j) => j.n !== joinName);
+		await dashboard.save();
+
 		const duration = (Date.now() - start) / 1000;
-		logger.info('Dashboard processed', {
-			uid,
-			id: dashboard._id,
-			fileName,
-			duration,
-		});
+		logger.info('Deleted join', { uid, id, joinName, duration });
 
-		res.status(201).json({
-			msg: 'Dashboard processed',
-			dashboard: {
-				_id: dashboard._id,
-				name: dashboard.name,
-				ref: dashboard.ref,
-				f: dashboard.f,
-				uid: dashboard.uid,
-				ca: dashboard.ca,
-				ua: dashboard.ua,
-				data: cacheData,
-			},
+		res.status(200).json({
+			msg: 'Join deleted',
+			joins: dashboard.jn,
 			duration,
-			cacheWarning,
-			numericParameters,
 		});
 	} catch (e) {
-		logger.error('Error in createOrUpdateDashboard', {
+		logger.error('Error in deleteJoin', {
 			uid,
-			fileName: req.file?.originalname,
+			id,
+			joinName,
 			error: e.message,
 			stack: e.stack,
 		});
-		if (chunkKey) {
-			await redis
-				.del(chunkKey)
-				.catch((err) =>
-					logger.error('Failed to clean Redis', { error: err.message })
-				);
-		}
 		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
 	}
 }
 
 /**
- * DELETE /users/:userId/dashboard/:dashboardId
- * Deletes a dashboard and its associated data.
+ * GET /users/:userId/dashboard/:dashboardId/sources
+ * Lists the uploaded files of a dashboard with what each contributed to its
+ * data: categories, entries, values, data rows and date range.
  */
-export async function deleteDashboardData(req, res) {
+export async function getDashboardSources(req, res) {
 	const authHeader = req.headers.authorization;
-	logger.debug('Received delete dashboard request', {
+	logger.debug('Received get dashboard sources request', {
 		userId: req.params.userId,
 		dashboardId: req.params.dashboardId,
 		authHeader: !!authHeader,
@@ -822,35 +4332,40 @@ export async function deleteDashboardData(req, res) {
 				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
 		}
 
-		const fileIds = [
-			dashboard.ref?.fid,
-			...dashboard.f.map((file) => file.fid),
-		].filter((fid) => mongoose.Types.ObjectId.isValid(fid));
-
-		if (fileIds.length > 0) {
-			await deletionQueue.add({ fileIds }, { attempts: 3 });
-		}
-
-		await Dashboard.deleteOne({ _id: id, uid });
-		await deleteCachedDashboard(uid, `dash:${uid}:${id}:data`);
-		await deleteCachedDashboard(uid, `dash:${uid}:all`);
+		const data = await fetchDashboardData(dashboard);
+		const { sources: stats, unattributed } = summarizeSources(data);
+		const sources = dashboard.f.map((file) => ({
+			fid: file.fid,
+			fn: file.fn,
+			src: file.src,
+			lu: file.lu,
+			...(stats.get(file.fid) || {
+				categories: 0,
+				entries: 0,
+				values: 0,
+				rows: null,
+				dates: null,
+				uploadedAt: null,
+			}),
+		}));
 
 		const duration = (Date.now() - start) / 1000;
-		logger.info('Dashboard deleted', {
+		logger.info('Retrieved dashboard sources', {
 			uid,
 			id,
-			queuedFiles: fileIds.length,
+			count: sources.length,
+			unattributed,
 			duration,
 		});
 
 		res.status(200).json({
-			msg: 'Dashboard deleted',
-			modifiedCount: 1,
-			queuedFiles: fileIds.length,
+			msg: 'Sources retrieved',
+			sources,
+			unattributed,
 			duration,
 		});
 	} catch (e) {
-		logger.error('Error in deleteDashboardData', {
+		logger.error('Error in getDashboardSources', {
 			uid,
 			id,
 			error: e.message,
@@ -861,13 +4376,16 @@ export async function deleteDashboardData(req, res) {
 }
 
 /**
- * GET /users/:userId/dashboards
- * Retrieves all dashboards for a user.
+ * GET /users/:userId/dashboard/:dashboardId/sources/:fileId
+ * Returns the data one uploaded file contributed, paged like the dashboard
+ * data (q, titles, min, max, from, to, sort, limit, cursor).
  */
-export async function getAllDashboards(req, res) {
+export async function getDashboardSourceData(req, res) {
 	const authHeader = req.headers.authorization;
-	logger.debug('Received get all dashboards request', {
+	logger.debug('Received get dashboard source data request', {
 		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		fileId: req.params.fileId,
 		authHeader: !!authHeader,
 	});
 	if (!validateAuth(authHeader)) {
@@ -875,70 +4393,76 @@ export async function getAllDashboards(req, res) {
 		return res.status(401).json({ msg: 'Unauthorized' });
 	}
 
-	const { userId: uid } = req.params;
+	const { userId: uid, dashboardId: id, fileId: fid } = req.params;
 	const start = Date.now();
 
 	try {
-		if (!mongoose.Types.ObjectId.isValid(uid)) {
-			logger.error('Invalid uid', { uid });
-			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid' });
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
 		}
 
-		const cacheKey = `dash:${uid}:all`;
-		const cachedData = await getCachedDashboard(uid, cacheKey);
-		if (cachedData) {
-			const duration = (Date.now() - start) / 1000;
-			logger.info('Retrieved all dashboards from cache', {
-				uid,
-				count: cachedData.length,
-				duration,
-			});
-			return res.status(200).json({
-				msg: 'Dashboards retrieved',
-				dashboards: cachedData.map((d) => ({ ...d, data: [] })),
-				duration,
-			});
+		const { options, error: queryError } = parseDashboardQuery(req.query);
+		if (queryError) {
+			logger.error('Invalid source data query', { uid, id, error: queryError });
+			return res.status(400).json({ msg: queryError });
 		}
 
-		const dashboards = await Dashboard.find(
-			{ uid },
-			{ name: 1, ref: 1, f: 1, uid: 1, ca: 1, ua: 1 }
-		).lean();
-
-		// Add empty data array to each dashboard
-		const dashboardsWithData = dashboards.map((d) => ({ ...d, data: [] }));
-
-		let cacheWarning = null;
-		try {
-			const cached = await setCachedDashboard(
-				uid,
-				cacheKey,
-				dashboardsWithData
-			);
-			if (!cached) {
-				cacheWarning = 'Data too large to cache';
-			}
-		} catch (e) {
-			logger.warn('Failed to cache dashboards', { uid, error: e.message });
-			cacheWarning = 'Cache failed';
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		}
+		const file = dashboard.f.find((f) => f.fid === fid);
+		if (!file) {
+			logger.warn('Source file not found', { uid, id, fid });
+			return res
+				.status(404)
+				.json({ msg: `ERR_NOT_FOUND: Source file ${fid} not found` });
+		}
+		if (options?.cursorFid && options.cursorFid !== dashboard.ref?.fid) {
+			return res.status(409).json({
+				msg: 'ERR_STALE_CURSOR: Dashboard data changed, restart paging',
+			});
 		}
 
+		const { data } = selectSourceData(
+			await fetchDashboardData(dashboard),
+			sourceFilter(dashboard, file)
+		);
+		const { data: pageData, page } = pageDashboardData(
+			data,
+			options || { ranges: {}, offset: 0, limit: DEFAULT_PAGE_LIMIT },
+			dashboard.ref?.fid
+		);
+
 		const duration = (Date.now() - start) / 1000;
-		logger.info('Retrieved all dashboards from DB', {
+		logger.info('Retrieved source data', {
 			uid,
-			count: dashboards.length,
+			id,
+			fid,
+			categories: data.length,
 			duration,
 		});
 
 		res.status(200).json({
-			msg: 'Dashboards retrieved',
-			dashboards: dashboardsWithData,
+			msg: 'Source data retrieved',
+			source: { fid: file.fid, fn: file.fn, lu: file.lu },
+			...describeSourceData(data),
+			data: pageData,
+			page,
 			duration,
-			cacheWarning,
 		});
 	} catch (e) {
-		logger.error('Error in getAllDashboards', {
+		logger.error('Error in getDashboardSourceData', {
 			uid,
+			id,
+			fid,
 			error: e.message,
 			stack: e.stack,
 		});
@@ -947,15 +4471,17 @@ export async function getAllDashboards(req, res) {
 }
 
 /**
- * PUT /users/:userId/dashboard/:dashboardId/category/:categoryName
- * Updates a specific category's chart type or IDs.
+ * DELETE /users/:userId/dashboard/:dashboardId/sources/:fileId
+ * Removes the data one uploaded file contributed, and the file itself, as a
+ * new data version; data from other files stays. ?dryRun=true only reports
+ * what would be removed.
  */
-export async function updateCategoryData(req, res) {
+export async function deleteDashboardSource(req, res) {
 	const authHeader = req.headers.authorization;
-	logger.debug('Received update category request', {
+	logger.debug('Received delete dashboard source request', {
 		userId: req.params.userId,
 		dashboardId: req.params.dashboardId,
-		categoryName: req.params.categoryName,
+		fileId: req.params.fileId,
 		authHeader: !!authHeader,
 	});
 	if (!validateAuth(authHeader)) {
@@ -963,8 +4489,7 @@ export async function updateCategoryData(req, res) {
 		return res.status(401).json({ msg: 'Unauthorized' });
 	}
 
-	const { userId: uid, dashboardId: id, categoryName: cn } = req.params;
-	const decodedCategoryName = decodeURIComponent(cn);
+	const { userId: uid, dashboardId: id, fileId: fid } = req.params;
 	const start = Date.now();
 
 	try {
@@ -978,68 +4503,65 @@ export async function updateCategoryData(req, res) {
 
 		const dashboard = await Dashboard.findOne({ _id: id, uid });
 		if (!dashboard) {
-			logger.error('Dashboard not found', { id, uid });
+			logger.warn('Dashboard not found', { uid, id });
 			return res
 				.status(404)
 				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
 		}
-
-		const category = (await dashboard.getDashboardData()).find(
-			(c) => c.cat === decodedCategoryName
-		);
-		if (!category) {
-			logger.error('Category not found', {
-				category: decodedCategoryName,
-				id,
-				uid,
-			});
-			return res.status(404).json({ msg: 'ERR_NOT_FOUND: Category not found' });
-		}
-
-		const { chart, ids } = req.body;
-		if (chart && !validChartTypes.includes(chart)) {
-			logger.error('Invalid chart type', { chart, uid, id });
+		const file = dashboard.f.find((f) => f.fid === fid);
+		if (!file) {
+			logger.warn('Source file not found', { uid, id, fid });
 			return res
-				.status(400)
-				.json({ msg: 'ERR_INVALID_CHART: Invalid chart type' });
+				.status(404)
+				.json({ msg: `ERR_NOT_FOUND: Source file ${fid} not found` });
 		}
 
-		if (chart) category.chart = chart;
-		if (Array.isArray(ids)) category.ids = ids;
+		const existingData = await fetchDashboardData(dashboard);
+		const filter = sourceFilter(dashboard, file);
+		const removed = describeSourceData(
+			selectSourceData(existingData, filter).data
+		);
 
-		const dashboardData = await dashboard.getDashboardData();
-		const dashboardJson = JSON.stringify(dashboardData);
-		const maxSize = 8 * 1024 * 1024;
-		if (Buffer.byteLength(dashboardJson, 'utf8') > maxSize) {
-			logger.error('Data exceeds 8MB', { uid, id });
-			return res
-				.status(400)
-				.json({ msg: 'ERR_SIZE_LIMIT: Data exceeds maxSize' });
+		if (req.query.dryRun === 'true') {
+			const duration = (Date.now() - start) / 1000;
+			logger.info('Source removal dry run completed', {
+				uid,
+				id,
+				fid,
+				...removed,
+				duration,
+			});
+			return res.status(200).json({
+				msg: 'Dry run results',
+				dryRun: true,
+				source: { fid: file.fid, fn: file.fn },
+				removed,
+				duration,
+			});
 		}
 
+		const { data } = removeSourceData(existingData, filter);
 		const dataFileId = new mongoose.Types.ObjectId();
 		const dataFileName = `data-${id}-${Date.now()}.json`;
-		await writeToGridFS(
-			dataFileId,
-			dataFileName,
-			dashboardJson,
-			'application/json',
-			{ uid }
+		const dataSize = await writeJsonToGridFS(dataFileId, dataFileName, data, {
+			uid,
+		});
+		// The source file is kept while older versions include its data
+		dashboard.detachFile(file.fid);
+		dashboard.addVersion(
+			{ fid: dataFileId.toString(), fn: dataFileName, ch: true, cc: 1 },
+			{ by: uid, sz: dataSize, src: file.fn, act: 'remove' }
 		);
-
-		dashboard.ref = {
-			fid: dataFileId.toString(),
-			fn: dataFileName,
-			ch: true,
-			cc: 1,
-			lu: new Date(),
-		};
+		const prunedFileIds = dashboard.pruneVersions(await getPlanLimits(uid));
 		await dashboard.save();
+		if (prunedFileIds.length > 0) {
+			await deletionQueue.add({ fileIds: prunedFileIds }, { attempts: 3 });
+		}
 
 		let cacheWarning = null;
 		try {
 			const cacheKey = `dash:${uid}:${dashboard._id}:data`;
-			const cached = await setCachedDashboard(uid, cacheKey, dashboardData);
+			const cached = await setCachedDashboard(uid, cacheKey, data);
 			if (!cached) {
 				cacheWarning = 'Data too large to cache';
 			}
@@ -1049,19 +4571,99 @@ export async function updateCategoryData(req, res) {
 			cacheWarning = 'Cache failed';
 		}
 
-		const duration = (Date.now() - start) / 1000;
-		logger.info('Updated category', {
-			uid,
-			id,
-			category: decodedCategoryName,
-			duration,
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Removed dashboard source', {
+			uid,
+			id,
+			fid,
+			...removed,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Source removed',
+			source: { fid: file.fid, fn: file.fn },
+			removed,
+			version: dashboard.ver[dashboard.ver.length - 1]?.n,
+			duration,
+			cacheWarning,
+		});
+	} catch (e) {
+		logger.error('Error in deleteDashboardSource', {
+			uid,
+			id,
+			fid,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * PUT /users/:userId/dashboard/:dashboardId/sources/:fileId
+ * Replaces the data one uploaded file contributed with a new file (multipart
+ * `file`, plus the upload options of POST /dashboard/upload); data from other
+ * files stays. ?dryRun=true reports the changes only.
+ */
+export async function replaceDashboardSource(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received replace dashboard source request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		fileId: req.params.fileId,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id, fileId: fid } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const file = req.file;
+		if (!file) {
+			logger.error('No file uploaded', { uid });
+			return res.status(400).json({ msg: 'No file uploaded' });
+		}
+
+		const options = {};
+		UPLOAD_OPTION_FIELDS.forEach((field) => {
+			if (req.body[field] !== undefined) options[field] = req.body[field];
 		});
-		res.status(200).json({ msg: 'Category updated', duration, cacheWarning });
+		const { status, body } = await processDashboardUpload(
+			uid,
+			{
+				name: file.originalname,
+				type: file.mimetype,
+				size: file.buffer.length,
+				buffer: file.buffer,
+			},
+			{
+				...options,
+				id,
+				name: undefined,
+				replaceSource: fid,
+				dryRun: req.query.dryRun === 'true' || req.body.dryRun === 'true',
+			},
+			start
+		);
+		res.status(status).json(body);
 	} catch (e) {
-		logger.error('Error updating category', {
+		logger.error('Error in replaceDashboardSource', {
 			uid,
 			id,
-			category: decodedCategoryName,
+			fid,
 			error: e.message,
 			stack: e.stack,
 		});
@@ -1070,15 +4672,16 @@ export async function updateCategoryData(req, res) {
 }
 
 /**
- * GET /users/:userId/dashboard/:dashboardId/file/:fileId
- * Downloads a file associated with a dashboard.
+ * GET /users/:userId/dashboard/:dashboardId/quality
+ * Returns the data quality reports of the dashboard's uploads, newest first:
+ * missing and invalid values per column, skipped rows with reasons,
+ * duplicate keys and outliers. ?fileId= selects the report of one upload.
  */
-export async function downloadDashboardFile(req, res) {
+export async function getQualityReports(req, res) {
 	const authHeader = req.headers.authorization;
-	logger.debug('Received download file request', {
+	logger.debug('Received get quality reports request', {
 		userId: req.params.userId,
 		dashboardId: req.params.dashboardId,
-		fileId: req.params.fileId,
 		authHeader: !!authHeader,
 	});
 	if (!validateAuth(authHeader)) {
@@ -1086,22 +4689,23 @@ export async function downloadDashboardFile(req, res) {
 		return res.status(401).json({ msg: 'Unauthorized' });
 	}
 
-	const { userId: uid, dashboardId: id, fileId: fid } = req.params;
+	const { userId: uid, dashboardId: id } = req.params;
+	const fid = req.query.fileId ? String(req.query.fileId) : null;
 	const start = Date.now();
 
 	try {
 		if (
 			!mongoose.Types.ObjectId.isValid(uid) ||
-			!mongoose.Types.ObjectId.isValid(id) ||
-			!mongoose.Types.ObjectId.isValid(fid)
+			!mongoose.Types.ObjectId.isValid(id)
 		) {
-			logger.error('Invalid uid, id, or fid', { uid, id, fid });
-			return res
-				.status(400)
-				.json({ msg: 'ERR_INVALID_ID: Invalid uid, id, or fid' });
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
 		}
 
-		const dashboard = await Dashboard.findOne({ _id: id, uid }).lean();
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ qr: 1 }
+		).lean();
 		if (!dashboard) {
 			logger.warn('Dashboard not found', { uid, id });
 			return res
@@ -1109,63 +4713,56 @@ export async function downloadDashboardFile(req, res) {
 				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
 		}
 
-		const fileData = dashboard.f.find((file) => file.fid === fid);
-		if (!fileData) {
-			logger.warn('File not found', { uid, id, fid });
-			return res.status(404).json({ msg: 'ERR_NOT_FOUND: File not found' });
-		}
-
-		if (!fileData.ch) {
-			res.set({
-				'Content-Type': fileData.contentType || 'application/octet-stream',
-				'Content-Disposition': `attachment; filename="${fileData.fn}"`,
-			});
-			res.send(fileData.c);
-			const duration = (Date.now() - start) / 1000;
-			logger.info('Served non-chunked file', { uid, id, fid, duration });
-			return;
+		const reports = (dashboard.qr || [])
+			.filter((report) => !fid || report.fid === fid)
+			.reverse();
+		if (fid && reports.length === 0) {
+			logger.warn('Quality report not found', { uid, id, fid });
+			return res
+				.status(404)
+				.json({ msg: `ERR_NOT_FOUND: No quality report for file ${fid}` });
 		}
 
-		const downloadStream = gfs.openDownloadStream(
-			new mongoose.Types.ObjectId(fid)
-		);
-		res.set({
-			'Content-Type': fileData.contentType || 'application/octet-stream',
-			'Content-Disposition': `attachment; filename="${fileData.fn}"`,
-		});
-		downloadStream.pipe(res);
-
-		downloadStream.on('error', (e) => {
-			logger.error('Error streaming file', { uid, id, fid, error: e.message });
-			if (!res.headersSent) {
-				res.status(500).json({ msg: 'ERR_SERVER: Error streaming file' });
-			}
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved quality reports', {
+			uid,
+			id,
+			count: reports.length,
+			duration,
 		});
 
-		downloadStream.on('end', () => {
-			const duration = (Date.now() - start) / 1000;
-			logger.info('File download completed', { uid, id, fid, duration });
+		res.status(200).json({
+			msg: 'Quality reports retrieved',
+			reports,
+			duration,
 		});
 	} catch (e) {
-		logger.error('Error in downloadDashboardFile', {
+		logger.error('Error in getQualityReports', {
 			uid,
 			id,
-			fid,
 			error: e.message,
 			stack: e.stack,
 		});
 		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
 	}
 }
+
 /**
- * GET /users/:userId/dashboard/:dashboardId
- * Retrieves dashboard data from cache or database.
+ * POST /users/:userId/dashboard/preview
+ * Parses an uploaded file with the requested category/date columns and
+ * returns the resulting schema and categories without saving anything.
+ * Body (multipart): file, id?, categoryColumn?, dateColumn?, dateFormat?,
+ * schema?, sheets?, pages?, languages?, encoding?, delimiter?, quoteChar?,
+ * headerRow?, decimalSeparator?, unpivot?, unpivotTitle?, periodYear?,
+ * keyColumn?
+ * PDFs are read as one sheet per table found, so a preview without sheets
+ * lists every table to pick from. Scanned invoices report each field read
+ * with its confidence (`ocr`) for review before uploading.
  */
-export async function getDashboardData(req, res) {
+export async function previewDashboardUpload(req, res) {
 	const authHeader = req.headers.authorization;
-	logger.debug('Received get dashboard request', {
+	logger.debug('Received upload preview request', {
 		userId: req.params.userId,
-		dashboardId: req.params.dashboardId,
 		authHeader: !!authHeader,
 	});
 	if (!validateAuth(authHeader)) {
@@ -1173,215 +4770,118 @@ export async function getDashboardData(req, res) {
 		return res.status(401).json({ msg: 'Unauthorized' });
 	}
 
-	const { userId: uid, dashboardId: id } = req.params;
+	const uid = req.params.userId;
 	const start = Date.now();
 
 	try {
-		if (
-			!mongoose.Types.ObjectId.isValid(uid) ||
-			!mongoose.Types.ObjectId.isValid(id)
-		) {
-			logger.error('Invalid uid or id', { uid, id });
-			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		if (!mongoose.Types.ObjectId.isValid(uid)) {
+			logger.error('Invalid userId', { uid });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid userId' });
 		}
 
-		const cacheKey = `dash:${uid}:${id}:data`;
-		let cachedData = null;
-		try {
-			const cacheRaw = await getCachedDashboard(uid, cacheKey);
-			if (cacheRaw && Array.isArray(cacheRaw)) {
-				cachedData = cacheRaw;
-				logger.debug('Cache hit', {
-					uid,
-					id,
-					dataSample: JSON.stringify(cachedData.slice(0, 1)),
-				});
-			} else if (cacheRaw) {
-				logger.warn('Invalid cache data, clearing cache', { uid, id });
-				await deleteCachedDashboard(uid, cacheKey);
-			}
-		} catch (cacheError) {
-			logger.warn('Failed to retrieve cache, falling back to database', {
-				uid,
-				id,
-				error: cacheError.message,
-			});
+		const {
+			id,
+			schema,
+			categoryColumn,
+			dateColumn,
+			dateFormat,
+			sheets,
+			pages,
+			languages,
+			encoding,
+			delimiter,
+			quoteChar,
+			headerRow,
+			decimalSeparator,
+			unpivot,
+			unpivotTitle,
+			periodYear,
+			mergeStrategy,
+			keyColumn,
+		} = req.body;
+		const file = req.file;
+		if (!file) {
+			logger.error('No file uploaded', { uid });
+			return res.status(400).json({ msg: 'No file uploaded' });
 		}
+		const fileName = file.originalname;
 
-		if (cachedData) {
-			const dashboard = await Dashboard.findOne(
+		let dashboard = null;
+		if (id) {
+			if (!mongoose.Types.ObjectId.isValid(id)) {
+				logger.error('Invalid dashboard ID', { uid, id });
+				return res
+					.status(400)
+					.json({ msg: 'ERR_INVALID_ID: Invalid dashboard ID' });
+			}
+			dashboard = await Dashboard.findOne(
 				{ _id: id, uid },
-				{ name: 1, ref: 1, f: 1, uid: 1, ca: 1, ua: 1 }
+				{ cfg: 1, mrg: 1, rcp: 1, jn: 1, f: 1 }
 			).lean();
 			if (!dashboard) {
-				logger.warn('Dashboard not found', { uid, id });
+				logger.error('Dashboard not found', { uid, id });
 				return res
 					.status(404)
-					.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
-			}
-			const numericParameters = getNumericTitles(cachedData);
-			const dateParameters = getDateTitles(cachedData);
-			const duration = (Date.now() - start) / 1000;
-			logger.info('Retrieved from cache', { uid, id, duration });
-			return res.status(200).json({
-				msg: 'Dashboard retrieved',
-				dashboard: { ...dashboard, data: cachedData },
-				numericParameters,
-				dateParameters,
-				duration,
-			});
-		}
-
-		const dashboard = await Dashboard.findOne(
-			{ _id: id, uid },
-			{ name: 1, ref: 1, f: 1, uid: 1, ca: 1, ua: 1 }
-		).lean();
-		if (!dashboard) {
-			logger.warn('Dashboard not found', { uid, id });
-			return res
-				.status(404)
-				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
-		}
-
-		const downloadStream = gfs.openDownloadStream(
-			new mongoose.Types.ObjectId(dashboard.ref.fid)
-		);
-		let data = Buffer.alloc(0);
-		downloadStream.on('data', (chunk) => {
-			data = Buffer.concat([data, chunk]);
-		});
-		await new Promise((resolve, reject) => {
-			downloadStream.on('end', resolve);
-			downloadStream.on('error', reject);
-		});
-
-		let dashboardData;
-		try {
-			let dataString;
-			// Check for gzip compression
-			if (data[0] === 0x1f && data[1] === 0x8b) {
-				logger.debug('Decompressing GridFS data', { uid, id });
-				try {
-					dataString = zlib.gunzipSync(data).toString('utf8');
-				} catch (decompressError) {
-					logger.error('Failed to decompress GridFS data', {
-						uid,
-						id,
-						error: decompressError.message,
-					});
-					throw new Error('Corrupted compressed data');
-				}
-			} else {
-				dataString = data.toString('utf8');
-			}
-
-			// Validate JSON format
-			if (!dataString.trim().startsWith('[')) {
-				throw new Error('Invalid JSON format: Data does not start with array');
-			}
-
-			dashboardData = JSON.parse(dataString, (key, value) => {
-				if (
-					key === 'd' &&
-					typeof value === 'string' &&
-					/\d{4}-\d{2}-\d{2}T/.test(value)
-				) {
-					return new Date(value);
-				}
-				if (key === 'v' && typeof value === 'string' && !isNaN(Number(value))) {
-					return Number(value); // Convert numeric strings to numbers
-				}
-				return value;
-			});
-
-			// Validate data structure
-			if (!Array.isArray(dashboardData)) {
-				throw new Error('Invalid data structure: Not an array');
-			}
-			dashboardData.forEach((category, index) => {
-				if (typeof category.cat !== 'string' || !Array.isArray(category.data)) {
-					throw new Error(`Invalid category at index ${index}`);
-				}
-				category.data.forEach((entry, entryIndex) => {
-					if (
-						typeof entry.i !== 'string' ||
-						!Array.isArray(entry.d) ||
-						!entry.d.every(
-							(node) =>
-								typeof node.t === 'string' &&
-								node.v !== undefined &&
-								node.d instanceof Date
-						)
-					) {
-						throw new Error(
-							`Invalid entry at category ${index}, entry ${entryIndex}`
-						);
-					}
-				});
-			});
-		} catch (parseError) {
-			logger.error('Failed to parse GridFS data', {
-				uid,
-				id,
-				error: parseError.message,
-				dataSample: data.slice(0, 50).toString('hex'),
-			});
-			try {
-				await deleteCachedDashboard(uid, cacheKey);
-				logger.info('Cleared corrupted cache', { uid, key: cacheKey });
-			} catch (clearError) {
-				logger.warn('Failed to clear cache', {
-					uid,
-					id,
-					error: clearError.message,
-				});
+					.json({ msg: `ERR_NOT_FOUND: Dashboard ID ${id} not found` });
 			}
-			return res.status(500).json({
-				msg: 'ERR_SERVER: Invalid or corrupted dashboard data',
-				error: parseError.message,
-			});
 		}
 
-		let cacheWarning = null;
+		let built;
 		try {
-			const cached = await setCachedDashboard(uid, cacheKey, dashboardData);
-			if (!cached) {
-				cacheWarning = 'Data too large to cache';
-			}
-			await Dashboard.cacheDashboardMetadata(uid, id);
-		} catch (cacheError) {
-			logger.warn('Failed to cache data', {
+			built = await buildUploadData(file.buffer, fileName, uid, dashboard, {
+				schema,
+				categoryColumn,
+				dateColumn,
+				dateFormat,
+				sheets: parseSheetList(sheets),
+				pages: parsePageList(pages),
+				languages: parseLanguageList(languages),
+				csv: { encoding, delimiter, quoteChar, headerRow, decimalSeparator },
+				unpivot: parseUnpivotOption(unpivot),
+				unpivotTitle,
+				periodYear,
+				merge: resolveMergeSettings(undefined, keyColumn, dashboard),
+				lookups: await loadJoinLookups(dashboard, fileName, uid),
+			});
+		} catch (buildError) {
+			if (!(buildError instanceof CustomError)) throw buildError;
+			logger.error('Failed to build upload preview', {
 				uid,
-				id,
-				error: cacheError.message,
+				fileName,
+				error: buildError.message,
 			});
-			cacheWarning = 'Cache failed';
+			return res
+				.status(buildError.statusCode)
+				.json({ msg: buildError.message });
 		}
 
-		const numericParameters = getNumericTitles(dashboardData);
-		const dateParameters = getDateTitles(dashboardData);
-		const dashboardObject = { ...dashboard, data: dashboardData };
-
 		const duration = (Date.now() - start) / 1000;
-		logger.info('Retrieved from DB', {
+		logger.info('Built upload preview', {
 			uid,
-			id,
-			categories: dashboardData.length,
+			fileName,
+			categories: built.dashboardData.length,
 			duration,
 		});
 
 		res.status(200).json({
-			msg: 'Dashboard retrieved',
-			dashboard: dashboardObject,
-			numericParameters,
-			dateParameters,
+			msg: 'Upload preview',
+			schema: built.configs[0] || null,
+			sheets: built.sheets,
+			dialect: built.dialect,
+			ocr: built.ocr,
+			schemaWarnings: built.schemaWarnings,
+			quality: built.quality,
+			categories: summarizeCategories(
+				built.dashboardData,
+				PREVIEW_CATEGORY_LIMIT
+			),
+			totalCategories: built.dashboardData.length,
 			duration,
-			cacheWarning,
 		});
 	} catch (e) {
-		logger.error('Error in getDashboardData', {
+		logger.error('Error in previewDashboardUpload', {
 			uid,
-			id,
+			fileName: req.file?.originalname,
 			error: e.message,
 			stack: e.stack,
 		});
@@ -1389,24 +4889,23 @@ export async function getDashboardData(req, res) {
 	}
 }
 
+// Parse a version number route parameter
+function parseVersionNumber(value) {
+	const n = Number(value);
+	return Number.isInteger(n) && n > 0 ? n : null;
+}
+
 /**
- * Calculates a dynamic result from user-specified parameters and operations.
- * Removes used parameters and adds result to each category's data array.
- * Handles numeric calculations, date differences, and string concatenation.
- * Ensures `d` fields are Date objects to pass validation.
- * @param {Object} req - Express request object.
- * @param {Object} res - Express response object.
+ * GET /users/:userId/dashboard/:dashboardId/versions
+ * Lists the stored data versions of a dashboard, newest first, with the
+ * retention limits of the user's plan.
  */
-export async function calculateDashboardParameters(req, res) {
+export async function getDashboardVersions(req, res) {
 	const authHeader = req.headers.authorization;
-	logger.debug('Received calculate parameters request', {
+	logger.debug('Received get dashboard versions request', {
 		userId: req.params.userId,
 		dashboardId: req.params.dashboardId,
 		authHeader: !!authHeader,
-		parameters: req.body.parameters,
-		operations: req.body.operations,
-		resultName: req.body.resultName,
-		calculationType: req.body.calculationType,
 	});
 	if (!validateAuth(authHeader)) {
 		logger.error('Unauthorized access attempt', { userId: req.params.userId });
@@ -1414,343 +4913,262 @@ export async function calculateDashboardParameters(req, res) {
 	}
 
 	const { userId: uid, dashboardId: id } = req.params;
-	const {
-		parameters,
-		operations,
-		resultName,
-		calculationType = 'numeric',
-	} = req.body;
 	const start = Date.now();
 
 	try {
-		// Validate IDs
 		if (
 			!mongoose.Types.ObjectId.isValid(uid) ||
 			!mongoose.Types.ObjectId.isValid(id)
 		) {
 			logger.error('Invalid uid or id', { uid, id });
-			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid id' });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
 		}
 
-		// Validate input
-		if (!Array.isArray(parameters) || parameters.length < 2) {
-			logger.error('Invalid parameters: at least two required', {
-				uid,
-				id,
-				parameters,
-			});
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ ver: 1, 'ref.fid': 1 }
+		).lean();
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
 			return res
-				.status(400)
-				.json({ msg: 'ERR_INVALID_INPUT: At least two parameters required' });
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
 		}
 
+		const versions = [...(dashboard.ver || [])]
+			.sort((a, b) => b.n - a.n)
+			.map(({ n, fn, by, ca, sz, src, act, rn, fid }) => ({
+				n,
+				fn,
+				by,
+				ca,
+				sz,
+				src,
+				act,
+				rn,
+				current: fid === dashboard.ref?.fid,
+			}));
+		const { planId, versionLimit, versionDays } = await getPlanLimits(uid);
+
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Retrieved dashboard versions', {
+			uid,
+			id,
+			count: versions.length,
+			duration,
+		});
+
+		res.status(200).json({
+			msg: 'Dashboard versions retrieved',
+			versions,
+			retention: { planId, versionLimit, versionDays },
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in getDashboardVersions', {
+			uid,
+			id,
+			error: e.message,
+			stack: e.stack,
+		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
+
+/**
+ * GET /users/:userId/dashboard/:dashboardId/versions/diff?from=1&to=2
+ * Compares two versions. `to` defaults to the current version.
+ */
+export async function diffDashboardVersions(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received diff dashboard versions request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		query: req.query,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
 		if (
-			!Array.isArray(operations) ||
-			(calculationType === 'numeric' &&
-				operations.length !== parameters.length - 1) ||
-			(calculationType === 'date' &&
-				(parameters.length !== 2 || operations[0] !== 'minus'))
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
 		) {
-			logger.error('Invalid operations', {
-				uid,
-				id,
-				operations,
-				calculationType,
-				expected:
-					calculationType === 'numeric' ? parameters.length - 1 : 'minus',
-			});
-			return res.status(400).json({
-				msg: 'ERR_INVALID_INPUT: Invalid operations for calculation type',
-			});
-		}
-
-		if (typeof resultName !== 'string' || !resultName.trim()) {
-			logger.error('Invalid resultName: must be a non-empty string', {
-				uid,
-				id,
-				resultName,
-			});
-			return res.status(400).json({
-				msg: 'ERR_INVALID_INPUT: Result name must be a non-empty string',
-			});
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
 		}
 
-		const validOperations =
-			calculationType === 'numeric'
-				? ['plus', 'minus', 'multiply', 'divide']
-				: ['minus'];
-		if (!operations.every((op) => validOperations.includes(op))) {
-			logger.error('Invalid operation', {
-				uid,
-				id,
-				operations,
-				calculationType,
-			});
+		const from = parseVersionNumber(req.query.from);
+		if (
+			!from ||
+			(req.query.to !== undefined && !parseVersionNumber(req.query.to))
+		) {
+			logger.error('Invalid version numbers', { uid, id, query: req.query });
 			return res.status(400).json({
-				msg: `ERR_INVALID_OPERATION: Operations must be ${validOperations.join(
-					', '
-				)}`,
+				msg: 'ERR_INVALID_PARAM: from and to must be version numbers',
 			});
 		}
 
-		// Find dashboard
-		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		const dashboard = await Dashboard.findOne(
+			{ _id: id, uid },
+			{ ver: 1, ref: 1 }
+		);
 		if (!dashboard) {
-			logger.error('Dashboard not found', { uid, id });
+			logger.warn('Dashboard not found', { uid, id });
 			return res
 				.status(404)
 				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
 		}
 
-		// Retrieve existing dashboard data
-		logger.debug('Fetching dashboard data', { uid, id });
-		let dashboardData = await Promise.race([
-			dashboard.getDashboardData(),
-			new Promise((_, reject) =>
-				setTimeout(() => reject(new Error('Database query timeout')), 5000)
-			),
+		const current = dashboard.ver.find((v) => v.fid === dashboard.ref?.fid);
+		const to = parseVersionNumber(req.query.to) || current?.n;
+		const [fromData, toData] = await Promise.all([
+			dashboard.getVersionData(from),
+			to ? dashboard.getVersionData(to) : null,
 		]);
-		logger.debug('Dashboard data retrieved', {
-			uid,
-			id,
-			categoryCount: dashboardData.length,
-			sample: JSON.stringify(dashboardData.slice(0, 1)),
-		});
-
-		// Validate dashboardData
-		if (!Array.isArray(dashboardData) || dashboardData.length === 0) {
-			logger.error('No valid dashboard data', { uid, id });
-			return res
-				.status(400)
-				.json({ msg: 'ERR_NO_DATA: No valid dashboard data available' });
+		if (!fromData || !toData) {
+			logger.warn('Dashboard version not found', { uid, id, from, to });
+			return res.status(404).json({
+				msg: `ERR_NOT_FOUND: Version ${!fromData ? from : to} not found`,
+			});
 		}
 
-		// Convert d fields to Date objects and v fields to numbers where applicable
-		dashboardData = dashboardData.map((category) => ({
-			...category,
-			data: Array.isArray(category.data)
-				? category.data.map((entry) => ({
-						...entry,
-						d: Array.isArray(entry.d)
-							? entry.d.map((node) => {
-									const dValue = node.d;
-									const vValue = node.v;
-									const dType = typeof dValue;
-									const vType = typeof vValue;
-									const isDate = dValue instanceof Date;
-									const isValidString =
-										typeof dValue === 'string' &&
-										/\d{4}-\d{2}-\d{2}T/.test(dValue);
-									const isNumericString =
-										typeof vValue === 'string' && !isNaN(Number(vValue));
-									logger.debug('Field analysis', {
-										uid,
-										id,
-										cat: category.cat,
-										entry: entry.i,
-										dValue,
-										dType,
-										vValue,
-										vType,
-										isDate,
-										isValidString,
-										isNumericString,
-									});
-									return {
-										...node,
-										d: isDate
-											? dValue
-											: isValidString
-											? new Date(dValue)
-											: new Date(),
-										v: isNumericString ? Number(vValue) : vValue,
-									};
-							  })
-							: [],
-				  }))
-				: [],
-		}));
+		const diff = diffDashboardData(fromData, toData, toData);
 
-		// Validate initial dashboardData structure
-		const isValidInitialStructure = dashboardData.every(
-			(category) =>
-				typeof category.cat === 'string' &&
-				Array.isArray(category.data) &&
-				category.data.every(
-					(entry) =>
-						typeof entry.i === 'string' &&
-						Array.isArray(entry.d) &&
-						entry.d.every(
-							(node) =>
-								typeof node.t === 'string' &&
-								node.v !== undefined &&
-								node.d instanceof Date
-						)
-				)
-		);
-		if (!isValidInitialStructure) {
-			logger.error('Invalid initial dashboard data structure', {
-				uid,
-				id,
-				sample: JSON.stringify(dashboardData.slice(0, 1)),
-			});
-			return res.status(400).json({
-				msg: 'ERR_INVALID_STRUCTURE: Invalid initial dashboard data structure',
-			});
-		}
+		const duration = (Date.now() - start) / 1000;
+		logger.info('Diffed dashboard versions', { uid, id, from, to, duration });
 
-		// Validate parameters based on calculation type
-		const validTitles =
-			calculationType === 'numeric'
-				? getNumericTitles(dashboardData)
-				: getDateTitles(dashboardData);
-		logger.debug('Valid titles identified', {
+		res.status(200).json({
+			msg: 'Dashboard versions compared',
+			from,
+			to,
+			diff,
+			duration,
+		});
+	} catch (e) {
+		logger.error('Error in diffDashboardVersions', {
 			uid,
 			id,
-			validTitles,
-			requestedParameters: parameters,
-			calculationType,
+			error: e.message,
+			stack: e.stack,
 		});
-		if (!parameters.every((p) => validTitles.includes(p))) {
-			logger.error('Selected parameters are not valid', {
-				uid,
-				id,
-				parameters,
-				validTitles,
-				calculationType,
-			});
-			return res.status(400).json({
-				msg: `ERR_INVALID_PARAM: Parameters must be ${calculationType} fields`,
-			});
-		}
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
 
-		// Apply dynamic parameter calculation
-		dashboardData = calculateDynamicParameters(
-			dashboardData,
-			parameters,
-			operations,
-			resultName,
-			calculationType
-		);
+/**
+ * POST /users/:userId/dashboard/:dashboardId/versions/:version/restore
+ * Makes an older version current again. The restore is recorded as a new
+ * version pointing at the same immutable data file.
+ */
+export async function restoreDashboardVersion(req, res) {
+	const authHeader = req.headers.authorization;
+	logger.debug('Received restore dashboard version request', {
+		userId: req.params.userId,
+		dashboardId: req.params.dashboardId,
+		version: req.params.version,
+		authHeader: !!authHeader,
+	});
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
 
-		// Validate updated data structure
-		const maxSize = 8 * 1024 * 1024;
-		const limitedData = limitDashboardDataSize(dashboardData, maxSize);
-		const isValid = limitedData.every(
-			(category) =>
-				typeof category.cat === 'string' &&
-				Array.isArray(category.data) &&
-				category.data.every(
-					(entry) =>
-						typeof entry.i === 'string' &&
-						Array.isArray(entry.d) &&
-						entry.d.every(
-							(node) =>
-								typeof node.t === 'string' &&
-								node.v !== undefined &&
-								node.d instanceof Date
-						)
-				)
-		);
-		if (!isValid) {
-			logger.error('Invalid dashboard data structure after calculation', {
+	const { userId: uid, dashboardId: id } = req.params;
+	const start = Date.now();
+
+	try {
+		if (
+			!mongoose.Types.ObjectId.isValid(uid) ||
+			!mongoose.Types.ObjectId.isValid(id)
+		) {
+			logger.error('Invalid uid or id', { uid, id });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		}
+
+		const n = parseVersionNumber(req.params.version);
+		if (!n) {
+			logger.error('Invalid version number', {
 				uid,
 				id,
-				sample: JSON.stringify(limitedData.slice(0, 1)),
+				version: req.params.version,
 			});
-			return res.status(400).json({
-				msg: 'ERR_INVALID_STRUCTURE: Invalid dashboard data structure after calculation',
-			});
-		}
-
-		// Save updated data to GridFS
-		const dashboardJson = JSON.stringify(limitedData);
-		if (Buffer.byteLength(dashboardJson, 'utf8') > maxSize) {
-			logger.error('Updated data exceeds 8MB', { uid, id });
 			return res
 				.status(400)
-				.json({ msg: 'ERR_SIZE_LIMIT: Updated data exceeds 8MB' });
+				.json({ msg: 'ERR_INVALID_PARAM: Invalid version number' });
 		}
 
-		const fileId = new mongoose.Types.ObjectId();
-		const fileName = `data-${id}-${Date.now()}.json`;
-		await writeToGridFS(fileId, fileName, dashboardJson, 'application/json', {
-			uid,
-		});
-
-		// Update dashboard reference
-		if (dashboard.ref?.fid) {
-			try {
-				await deletionQueue.add(
-					{ fileIds: [dashboard.ref.fid] },
-					{ attempts: 3 }
-				);
-			} catch (queueError) {
-				logger.warn('Failed to add deletion job to queue', {
-					uid,
-					id,
-					error: queueError.message,
-				});
-			}
+		const dashboard = await Dashboard.findOne({ _id: id, uid });
+		if (!dashboard) {
+			logger.warn('Dashboard not found', { uid, id });
+			return res
+				.status(404)
+				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
 		}
-		dashboard.ref = {
-			fid: fileId.toString(),
-			fn: fileName,
-			ch: true,
-			cc: 1,
-			lu: new Date(),
-		};
-
-		await dashboard.save();
 
-		// Cache updated data
-		let cacheWarning = null;
-		try {
-			const cacheKey = `dash:${uid}:${id}:data`;
-			const cached = await setCachedDashboard(uid, cacheKey, limitedData);
-			if (!cached) {
-				cacheWarning = 'Data too large to cache';
-			}
-			await Dashboard.cacheDashboardMetadata(uid, id);
-		} catch (cacheError) {
-			logger.warn('Failed to cache data', {
+		const version = dashboard.ver.find((v) => v.n === n);
+		if (!version) {
+			logger.warn('Dashboard version not found', { uid, id, version: n });
+			return res
+				.status(404)
+				.json({ msg: `ERR_NOT_FOUND: Version ${n} not found` });
+		}
+		if (version.fid === dashboard.ref?.fid) {
+			return res
+				.status(400)
+				.json({ msg: `ERR_ALREADY_CURRENT: Version ${n} is current` });
+		}
+
+		dashboard.restoreFiles(version);
+		const restored = dashboard.addVersion(
+			{ fid: version.fid, fn: version.fn, ch: true, cc: 1 },
+			{ by: uid, sz: version.sz, src: version.src, act: 'restore', rn: n }
+		);
+		const prunedFileIds = dashboard.pruneVersions(await getPlanLimits(uid));
+		await dashboard.save();
+		if (prunedFileIds.length > 0) {
+			await deletionQueue.add({ fileIds: prunedFileIds }, { attempts: 3 });
+		}
+
+		await Promise.all([
+			deleteCachedDashboard(uid, `dash:${uid}:${id}:data`),
+			Dashboard.cacheDashboardMetadata(uid, id),
+		]).catch((err) =>
+			logger.warn('Failed to refresh cache after restore', {
 				uid,
 				id,
-				error: cacheError.message,
-			});
-			cacheWarning = 'Cache failed due to error';
-		}
+				error: err.message,
+			})
+		);
 
 		const duration = (Date.now() - start) / 1000;
-		logger.info('Dashboard calculation completed', {
+		logger.info('Restored dashboard version', {
 			uid,
 			id,
-			resultName,
-			parameters,
-			operations,
-			calculationType,
+			restoredFrom: n,
+			version: restored.n,
 			duration,
 		});
 
 		res.status(200).json({
-			msg: 'Calculation applied successfully',
-			dashboard: {
-				_id: dashboard._id,
-				name: dashboard.name,
-				ref: dashboard.ref,
-				f: dashboard.f,
-				uid: dashboard.uid,
-				ca: dashboard.ca,
-				ua: dashboard.ua,
-				data: limitedData,
+			msg: `Version ${n} restored`,
+			version: {
+				n: restored.n,
+				fn: restored.fn,
+				ca: restored.ca,
+				act: restored.act,
+				rn: restored.rn,
 			},
-			numericParameters: getNumericTitles(limitedData),
-			dateParameters: getDateTitles(limitedData),
 			duration,
-			cacheWarning,
 		});
 	} catch (e) {
-		logger.error('Error in calculateDashboardParameters', {
+		logger.error('Error in restoreDashboardVersion', {
 			uid,
 			id,
 			error: e.message,
@@ -1760,163 +5178,390 @@ export async function calculateDashboardParameters(req, res) {
 	}
 }
 
+// Fields of an upload session request that are applied on finalize
+const UPLOAD_OPTION_FIELDS = [
+	'id',
+	'name',
+	'parameters',
+	'operations',
+	'resultName',
+	'schema',
+	'categoryColumn',
+	'dateColumn',
+	'dateFormat',
+	'sheets',
+	'pages',
+	'languages',
+	'encoding',
+	'delimiter',
+	'quoteChar',
+	'headerRow',
+	'decimalSeparator',
+	'unpivot',
+	'unpivotTitle',
+	'periodYear',
+	'mergeStrategy',
+	'keyColumn',
+	'replaceSource',
+];
+// Sessions take spreadsheets only, so the PDF and OCR options are left out
+const SESSION_OPTION_FIELDS = UPLOAD_OPTION_FIELDS.filter(
+	(field) => !['pages', 'languages'].includes(field)
+);
+
 /**
- * GET /users/:userId/dashboard/:dashboardId/numeric-titles
- * Retrieves numeric titles for a specific dashboard.
+ * POST /users/:userId/uploads
+ * Starts a resumable upload session. Body: fileName, size, totalChunks, the
+ * dashboard id or name and the usual upload options (schema, categoryColumn,
+ * dateColumn, dateFormat, sheets, dryRun, parameters, operations, resultName,
+ * the CSV dialect overrides and the unpivot options).
+ * The file size limit comes from the user's plan.
  */
-export async function getNumericTitlesEndpoint(req, res) {
+export async function startUploadSession(req, res) {
 	const authHeader = req.headers.authorization;
-	logger.debug('Received request for numeric titles', {
+	logger.debug('Received start upload session request', {
 		userId: req.params.userId,
-		dashboardId: req.params.dashboardId,
 		authHeader: !!authHeader,
 	});
-
 	if (!validateAuth(authHeader)) {
 		logger.error('Unauthorized access attempt', { userId: req.params.userId });
 		return res.status(401).json({ msg: 'Unauthorized' });
 	}
 
-	const { userId: uid, dashboardId: id } = req.params;
-	const start = Date.now();
+	const uid = req.params.userId;
 
 	try {
+		if (!mongoose.Types.ObjectId.isValid(uid)) {
+			logger.error('Invalid userId', { uid });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid userId' });
+		}
+
+		const { fileName, size, totalChunks, id, name, dryRun } = req.body;
+		if (!id && !name) {
+			logger.error('ID or name required', { uid });
+			return res
+				.status(400)
+				.json({ msg: 'ERR_MISSING_PARAM: ID or name required' });
+		}
+		if (id) {
+			if (!mongoose.Types.ObjectId.isValid(id)) {
+				logger.error('Invalid dashboard ID', { uid, id });
+				return res
+					.status(400)
+					.json({ msg: 'ERR_INVALID_ID: Invalid dashboard ID' });
+			}
+			if (!(await Dashboard.exists({ _id: id, uid }))) {
+				logger.error('Dashboard not found', { uid, id });
+				return res
+					.status(404)
+					.json({ msg: `ERR_NOT_FOUND: Dashboard ID ${id} not found` });
+			}
+		}
+
+		// Files above the in-memory limit are streamed, which .xls does not support
 		if (
-			!mongoose.Types.ObjectId.isValid(uid) ||
-			!mongoose.Types.ObjectId.isValid(id)
+			Number(size) > MAX_BUFFERED_UPLOAD &&
+			/\.xls$/i.test(String(fileName))
 		) {
-			logger.error('Invalid uid or id', { uid, id });
-			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+			logger.error('Large .xls upload rejected', { uid, fileName, size });
+			return res.status(400).json({
+				msg: `ERR_UNSUPPORTED_TYPE: .xls files above ${
+					MAX_BUFFERED_UPLOAD / (1024 * 1024)
+				}MB are not supported; use .xlsx or CSV`,
+			});
 		}
 
-		logger.debug('Querying dashboard', { uid, id });
-		const dashboard = await Dashboard.findOne({ _id: id, uid }).lean();
-		if (!dashboard) {
-			logger.warn('Dashboard not found', { uid, id });
+		const { maxUploadSize } = await getPlanLimits(uid);
+		const options = { dryRun: dryRun === true || dryRun === 'true' };
+		SESSION_OPTION_FIELDS.forEach((field) => {
+			if (req.body[field] !== undefined) options[field] = req.body[field];
+		});
+
+		let session;
+		try {
+			session = await createUploadSession(uid, {
+				fileName,
+				size,
+				totalChunks,
+				maxFileSize: maxUploadSize,
+				options,
+			});
+		} catch (sessionError) {
+			if (!(sessionError instanceof CustomError)) throw sessionError;
+			logger.error('Invalid upload session request', {
+				uid,
+				fileName,
+				error: sessionError.message,
+			});
 			return res
-				.status(404)
-				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+				.status(sessionError.statusCode)
+				.json({ msg: sessionError.message });
 		}
 
-		logger.debug('Fetching dashboard data', { uid, id });
-		const dashboardData = await Promise.race([
-			Dashboard.prototype.getDashboardData.call(dashboard),
-			new Promise((_, reject) =>
-				setTimeout(() => reject(new Error('Database query timeout')), 5000)
-			),
-		]);
-		logger.debug('Dashboard data retrieved', {
+		res.status(201).json({
+			msg: 'Upload session created',
+			sessionId: session.sid,
+			fileName: session.fn,
+			size: session.size,
+			totalChunks: session.tc,
+			chunkSize: MAX_CHUNK_SIZE,
+			expiresIn: SESSION_TTL,
+		});
+	} catch (e) {
+		logger.error('Error in startUploadSession', {
 			uid,
-			id,
-			categoryCount: dashboardData.length,
+			error: e.message,
+			stack: e.stack,
 		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
 
-		logger.debug('Calculating numeric titles', { uid, id });
-		const numericTitles = getNumericTitles(dashboardData);
+/**
+ * PUT /users/:userId/uploads/:sessionId/chunks/:index
+ * Stores one chunk (raw application/octet-stream body). The X-Chunk-Hash
+ * header carries the SHA-256 hex digest of the chunk. Chunks may be sent in
+ * any order and re-sent after a failure.
+ */
+export async function uploadSessionChunk(req, res) {
+	const authHeader = req.headers.authorization;
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
 
-		const duration = (Date.now() - start) / 1000;
-		logger.info('Retrieved numeric titles', {
+	const { userId: uid, sessionId: sid } = req.params;
+
+	try {
+		if (!mongoose.Types.ObjectId.isValid(uid)) {
+			logger.error('Invalid userId', { uid });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid userId' });
+		}
+
+		const index = Number(req.params.index);
+		let progress;
+		try {
+			const session = await getUploadSession(uid, sid);
+			await storeChunk(session, index, req.body, req.headers['x-chunk-hash']);
+			progress = await getUploadProgress(session);
+		} catch (chunkError) {
+			if (!(chunkError instanceof CustomError)) throw chunkError;
+			logger.error('Chunk rejected', {
+				uid,
+				sid,
+				index: req.params.index,
+				error: chunkError.message,
+			});
+			return res
+				.status(chunkError.statusCode)
+				.json({ msg: chunkError.message });
+		}
+
+		const totalChunks = progress.received.length + progress.missing.length;
+		res.status(200).json({
+			msg: `Chunk ${index + 1} of ${totalChunks} stored`,
+			index,
+			received: progress.received.length,
+			totalChunks,
+			missing: progress.missing,
+			progress: ((progress.received.length / totalChunks) * 100).toFixed(2),
+		});
+	} catch (e) {
+		logger.error('Error in uploadSessionChunk', {
 			uid,
-			id,
-			titleCount: numericTitles.length,
-			duration,
-			titles: numericTitles,
+			sid,
+			index: req.params.index,
+			error: e.message,
+			stack: e.stack,
 		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
 
-		return res.status(200).json({
-			msg: 'Numeric titles retrieved',
-			numericTitles,
-			duration,
+/**
+ * GET /users/:userId/uploads/:sessionId
+ * Reports which chunks were received so an interrupted upload can resume.
+ */
+export async function getUploadSessionStatus(req, res) {
+	const authHeader = req.headers.authorization;
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, sessionId: sid } = req.params;
+
+	try {
+		if (!mongoose.Types.ObjectId.isValid(uid)) {
+			logger.error('Invalid userId', { uid });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid userId' });
+		}
+
+		let session;
+		try {
+			session = await getUploadSession(uid, sid);
+		} catch (sessionError) {
+			if (!(sessionError instanceof CustomError)) throw sessionError;
+			return res
+				.status(sessionError.statusCode)
+				.json({ msg: sessionError.message });
+		}
+
+		const { received, missing, bytes } = await getUploadProgress(session);
+		res.status(200).json({
+			sessionId: session.sid,
+			fileName: session.fn,
+			size: session.size,
+			totalChunks: session.tc,
+			chunkSize: MAX_CHUNK_SIZE,
+			received,
+			missing,
+			bytes,
+			createdAt: session.ca,
 		});
 	} catch (e) {
-		logger.error('Error in getNumericTitlesEndpoint', {
+		logger.error('Error in getUploadSessionStatus', {
 			uid,
-			id,
+			sid,
 			error: e.message,
 			stack: e.stack,
 		});
-		return res
-			.status(500)
-			.json({ msg: 'ERR_SERVER: Server error', error: e.message });
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
 	}
 }
 
 /**
- * GET /users/:userId/dashboard/:dashboardId/date-titles
- * Retrieves date titles for a specific dashboard.
+ * POST /users/:userId/uploads/:sessionId/finalize
+ * Reassembles the chunks, verifies the whole-file SHA-256 (body: checksum)
+ * and processes the file like a direct upload. Files above 6MB are parsed
+ * and stored as streams. Missing chunks are listed in
+ * a 409 response. Dry-run sessions stay open so they can be finalized again.
  */
-export async function getDateTitlesEndpoint(req, res) {
+export async function finalizeUploadSession(req, res) {
 	const authHeader = req.headers.authorization;
-	logger.debug('Received request for date titles', {
+	logger.debug('Received finalize upload session request', {
 		userId: req.params.userId,
-		dashboardId: req.params.dashboardId,
+		sessionId: req.params.sessionId,
 		authHeader: !!authHeader,
 	});
-
 	if (!validateAuth(authHeader)) {
 		logger.error('Unauthorized access attempt', { userId: req.params.userId });
 		return res.status(401).json({ msg: 'Unauthorized' });
 	}
 
-	const { userId: uid, dashboardId: id } = req.params;
+	const { userId: uid, sessionId: sid } = req.params;
 	const start = Date.now();
 
 	try {
-		if (
-			!mongoose.Types.ObjectId.isValid(uid) ||
-			!mongoose.Types.ObjectId.isValid(id)
-		) {
-			logger.error('Invalid uid or id', { uid, id });
-			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid uid or id' });
+		if (!mongoose.Types.ObjectId.isValid(uid)) {
+			logger.error('Invalid userId', { uid });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid userId' });
 		}
 
-		logger.debug('Querying dashboard', { uid, id });
-		const dashboard = await Dashboard.findOne({ _id: id, uid }).lean();
-		if (!dashboard) {
-			logger.warn('Dashboard not found', { uid, id });
-			return res
-				.status(404)
-				.json({ msg: 'ERR_NOT_FOUND: Dashboard not found' });
+		// Large files are verified first, then streamed from the stored chunks
+		let session;
+		let fileBuffer;
+		try {
+			session = await getUploadSession(uid, sid);
+			if (session.size > MAX_BUFFERED_UPLOAD) {
+				await verifyUpload(session, req.body.checksum);
+			} else {
+				fileBuffer = await assembleUpload(session, req.body.checksum);
+			}
+		} catch (sessionError) {
+			if (!(sessionError instanceof CustomError)) throw sessionError;
+			logger.error('Upload session cannot be finalized', {
+				uid,
+				sid,
+				error: sessionError.message,
+			});
+			return res.status(sessionError.statusCode).json({
+				msg: sessionError.message,
+				...(sessionError.missing && { missing: sessionError.missing }),
+			});
 		}
 
-		logger.debug('Fetching dashboard data', { uid, id });
-		const dashboardData = await Promise.race([
-			Dashboard.prototype.getDashboardData.call(dashboard),
-			new Promise((_, reject) =>
-				setTimeout(() => reject(new Error('Database query timeout')), 5000)
-			),
-		]);
-		logger.debug('Dashboard data retrieved', {
+		const extension = session.fn.toLowerCase().split('.').pop();
+		logger.info('Processing file', {
 			uid,
-			id,
-			categoryCount: dashboardData.length,
+			sid,
+			fileName: session.fn,
+			size: session.size,
+			totalChunks: session.tc,
+			streamed: !fileBuffer,
 		});
+		const { status, body } = await processDashboardUpload(
+			uid,
+			{
+				name: session.fn,
+				type: UPLOAD_MIME_TYPES[extension],
+				size: session.size,
+				buffer: fileBuffer,
+				open: () => openUploadStream(session),
+			},
+			{ ...session.opts, totalChunks: session.tc },
+			start
+		);
 
-		logger.debug('Calculating date titles', { uid, id });
-		const dateTitles = getDateTitles(dashboardData);
-
-		const duration = (Date.now() - start) / 1000;
-		logger.info('Retrieved date titles', {
+		if (status < 300 && !session.opts.dryRun) {
+			await deleteUploadSession(session).catch((err) =>
+				logger.warn('Failed to delete upload session', {
+					uid,
+					sid,
+					error: err.message,
+				})
+			);
+		}
+		res.status(status).json({ ...body, sessionId: session.sid });
+	} catch (e) {
+		logger.error('Error in finalizeUploadSession', {
 			uid,
-			id,
-			titleCount: dateTitles.length,
-			duration,
+			sid,
+			error: e.message,
+			stack: e.stack,
 		});
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
+	}
+}
 
-		return res.status(200).json({
-			msg: 'Date titles retrieved',
-			dateTitles,
-			duration,
-		});
+/**
+ * DELETE /users/:userId/uploads/:sessionId
+ * Cancels an upload session and removes its chunks.
+ */
+export async function cancelUploadSession(req, res) {
+	const authHeader = req.headers.authorization;
+	if (!validateAuth(authHeader)) {
+		logger.error('Unauthorized access attempt', { userId: req.params.userId });
+		return res.status(401).json({ msg: 'Unauthorized' });
+	}
+
+	const { userId: uid, sessionId: sid } = req.params;
+
+	try {
+		if (!mongoose.Types.ObjectId.isValid(uid)) {
+			logger.error('Invalid userId', { uid });
+			return res.status(400).json({ msg: 'ERR_INVALID_ID: Invalid userId' });
+		}
+
+		let session;
+		try {
+			session = await getUploadSession(uid, sid);
+		} catch (sessionError) {
+			if (!(sessionError instanceof CustomError)) throw sessionError;
+			return res
+				.status(sessionError.statusCode)
+				.json({ msg: sessionError.message });
+		}
+
+		await deleteUploadSession(session);
+		res.status(200).json({ msg: 'Upload session cancelled', sessionId: sid });
 	} catch (e) {
-		logger.error('Error in getDateTitlesEndpoint', {
+		logger.error('Error in cancelUploadSession', {
 			uid,
-			id,
+			sid,
 			error: e.message,
 			stack: e.stack,
 		});
-		return res
-			.status(500)
-			.json({ msg: 'ERR_SERVER: Server error', error: e.message });
+		res.status(500).json({ msg: 'ERR_SERVER: Server error', error: e.message });
 	}
 }
@@ -1,12 +1,11 @@
-import { PdfReader } from 'pdfreader';
 import { format } from 'date-fns';
-import sharp from 'sharp';
-import tesseract from 'tesseract.js';
 import openpyxl from 'xlsx';
-import { ChatOpenAI } from '@langchain/openai';
-import { PromptTemplate } from '@langchain/core/prompts';
 import fs from 'fs';
 import path from 'path';
+import { parsePdfTables } from '../utils/pdfTables.js';
+import { recognizeDocument } from '../utils/ocr.js';
+import { extractRows } from '../utils/llmExtraction.js';
+import { CustomError } from '../utils/CustomError.js';
 
 const UPLOAD_FOLDER = './uploads';
 
@@ -14,28 +13,16 @@ const UPLOAD_FOLDER = './uploads';
 const getDocumentText = async (filePath, fileType) => {
 	let text = '';
 	if (fileType === 'application/pdf') {
-		const pdfReader = new PdfReader();
-		const data = fs.readFileSync(filePath);
-		return new Promise((resolve, reject) => {
-			pdfReader.parseBuffer(data, (err, item) => {
-				if (err) {
-					console.error('Error parsing PDF:', err);
-					reject(err);
-				} else if (!item) {
-					// End of file
-					resolve(text);
-				} else if (item.text) {
-					text += item.text + ' ';
-				}
-			});
-		});
+		const buffer = fs.readFileSync(filePath);
+		const pdf = await parsePdfTables(buffer);
+		// Scanned PDFs have no text layer to read
+		return pdf.text.trim()
+			? pdf.text
+			: (await recognizeDocument(buffer, { pdf: true })).text;
 	} else if (fileType === 'image/png' || fileType === 'image/jpeg') {
-		// Load image with sharp and then use tesseract.js for OCR
-		const image = sharp(filePath);
-		const buffer = await image.toBuffer();
-		const result = await tesseract.recognize(buffer);
-		text = result.data.text;
-		return text;
+		// Preprocess the image and OCR it with the bundled language data
+		const result = await recognizeDocument(fs.readFileSync(filePath));
+		return result.text;
 	} else if (
 		fileType ===
 			'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
@@ -50,39 +37,6 @@ const getDocumentText = async (filePath, fileType) => {
 		throw new Error('Unsupported file type');
 	}
 };
-function extractJavascriptCode(response) {
-	try {
-		// Regex pattern to match JavaScript array declarations
-		const jsCodePattern = /const\s+\w+\s*=\s*\[.*?\];/s;
-		const match = response.match(jsCodePattern);
-
-		if (match) {
-			let jsArrayString = match[0];
-			// Remove any comments from the JavaScript code
-			jsArrayString = jsArrayString.replace(/\/\/.*/g, '');
-			// Extract the array portion from the JavaScript declaration
-			let jsonLikeString = jsArrayString.substring(
-				jsArrayString.indexOf('['),
-				jsArrayString.lastIndexOf(']') + 1
-			);
-			// Convert JavaScript object notation to JSON format
-			jsonLikeString = jsonLikeString.replace(/(\w+):/g, '"$1":');
-			jsonLikeString = jsonLikeString.replace(/'/g, '"');
-			// Handle JavaScript null and undefined values
-			jsonLikeString = jsonLikeString.replace(/\b(null|undefined)\b/g, 'null');
-			// Remove trailing commas before array closures
-			jsonLikeString = jsonLikeString.replace(/,\s*\]/g, ']');
-			// Parse the cleaned string into JSON
-			return JSON.parse(jsonLikeString);
-		} else {
-			return [];
-		}
-	} catch (error) {
-		console.error('Error decoding JSON:', error);
-		return [];
-	}
-}
-
 // Function to clean numeric values in strings and convert to appropriate data type
 function cleanNumeric(value) {
 	if (typeof value === 'string') {
@@ -147,44 +101,47 @@ export const uploadFile = async (req, res) => {
 		const filePath = path.join(UPLOAD_FOLDER, file.filename);
 		const fileType = file.mimetype;
 
-		// Extract text from the uploaded document
-		const documentText = await getDocumentText(filePath, fileType);
-
-		// Set up the prompt template
-		const TEMPLATE = `You are a helpful assistant that transforms the given data into table data in one array of objects called 'data' in JavaScript don't add additional text or code.
-
-Given the following text:
-{document_text}
-
-Transform it into table data in one array of objects called 'data' in JavaScript. Provide only the JavaScript code, and ensure the code is valid JavaScript.`;
-
-		// Initialize the prompt with the extracted document text
-		const prompt = PromptTemplate.fromTemplate(TEMPLATE);
-		const formattedPrompt = await prompt.format({
-			document_text: documentText,
-		});
-
-		// Initialize the ChatOpenAI model
-		const model = new ChatOpenAI({
-			openAIApiKey: process.env.OPENAI_API_KEY,
-			modelName: 'gpt-3.5-turbo',
-			temperature: 0.8,
-		});
-
-		// Use model.predict instead of model.call
-		const response = await model.predict(formattedPrompt);
-
-		// The response is a string containing the AI's reply
-		const aiResponseContent = response;
+		// Extract text from the uploaded document. Tables of a PDF are read
+		// from the text layout; the LLM below only handles PDFs without
+		// tables. Body: pages?, tables? to pick them.
+		let documentText;
+		if (fileType === 'application/pdf') {
+			const buffer = fs.readFileSync(filePath);
+			const pdf = await parsePdfTables(buffer, {
+				pages: req.body.pages,
+				tables: req.body.tables,
+			});
+			const rows = pdf.sheets.flatMap((sheet) => sheet.rows);
+			if (rows.length > 0) {
+				const formedData = transformDataStructure(rows);
+				return res.json(JSON.stringify(formedData, null, 4));
+			}
+			documentText = pdf.text.trim()
+				? pdf.text
+				: (await recognizeDocument(buffer, { pdf: true })).text;
+		} else {
+			documentText = await getDocumentText(filePath, fileType);
+		}
 
-		// Extract the JavaScript code containing the data array from the response
-		const extractedData = extractJavascriptCode(aiResponseContent);
-		const formedData = transformDataStructure(extractedData);
+		// Extract rows as schema-validated JSON; long text is extracted in
+		// chunks, and chunks that failed are logged
+		const { rows, chunks, failed } = await extractRows(documentText);
+		if (failed > 0) {
+			console.warn(
+				'Failed to extract lines:',
+				chunks
+					.filter((chunk) => chunk.error)
+					.map((chunk) => `${chunk.from}-${chunk.to}: ${chunk.error}`)
+			);
+		}
+		const formedData = transformDataStructure(rows);
 		console.log('data=', JSON.stringify(formedData, null, 4));
 
 		res.json(JSON.stringify(formedData, null, 4));
 	} catch (error) {
 		console.error('Error processing file:', error);
-		res.status(500).json({ error: error.message });
+		res
+			.status(error instanceof CustomError ? error.statusCode : 500)
+			.json({ error: error.message });
 	}
 };
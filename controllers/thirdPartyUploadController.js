@@ -3,6 +3,9 @@ import * as url from 'url';
 import crypto from 'crypto';
 import jwksRsa from 'jwks-rsa';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Dashboard from '../model/Data.js';
+import { createRecipeRunner } from '../utils/recipe.js';
 // QuickBooks Configuration
 const QUICKBOOKS_CLIENT_ID = process.env.QUICKBOOKS_CLIENT_ID;
 const QUICKBOOKS_CLIENT_SECRET = process.env.QUICKBOOKS_CLIENT_SECRET;
@@ -236,8 +239,35 @@ function slugify(text) {
 	return text.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
 }
 
-function restructureQuickbooksResponse(response) {
+function restructureQuickbooksResponse(response, recipe = []) {
 	const categories = [];
+	const runner = createRecipeRunner(recipe);
+
+	// Values pass the dashboard's recipe as rows of Id, Name, Amount and Date,
+	// like the rows of uploaded files
+	const withRecipe = (data) => {
+		if (runner.steps === 0) return data;
+		const { rows } = runner.apply(
+			data.map(({ i, d: [node] }) => ({
+				Id: i,
+				Name: node.t,
+				Amount: node.v,
+				Date: node.d,
+			}))
+		);
+		return rows
+			.filter((row) => row.Name !== undefined && row.Name !== null)
+			.map((row) => ({
+				i: String(row.Id ?? slugify(String(row.Name))),
+				d: [
+					{
+						t: String(row.Name),
+						v: parseFloat(row.Amount) || 0,
+						d: row.Date,
+					},
+				],
+			}));
+	};
 
 	// General function for reports (like ProfitAndLoss, CashFlow, etc.)
 	const processReport = (reportData, catName, endDate) => {
@@ -303,7 +333,7 @@ function restructureQuickbooksResponse(response) {
 
 		categories.push({
 			cat: catName,
-			data,
+			data: withRecipe(data),
 			comp: [],
 			sum: [],
 			ids: [],
@@ -332,7 +362,7 @@ function restructureQuickbooksResponse(response) {
 
 			categories.push({
 				cat: catName,
-				data,
+				data: withRecipe(data),
 				comp: [],
 				sum: [],
 				ids: [],
@@ -360,12 +390,13 @@ function restructureQuickbooksResponse(response) {
 }
 
 /**
- * Fetches essential QuickBooks data for SaaS financial metrics
+ * Fetches essential QuickBooks data for SaaS financial metrics. With a
+ * dashboardId, the dashboard's transformation recipe is applied.
  * @route GET /upload/quickbooks/all-data
  */
 const quickbooksAllData = async (req, res) => {
 	const userId = req.user?.id || 'user_123';
-	const { start_date, end_date } = req.query;
+	const { start_date, end_date, dashboardId } = req.query;
 
 	// Validate date parameters
 	if (!start_date || !end_date) {
@@ -418,6 +449,33 @@ const quickbooksAllData = async (req, res) => {
 		});
 	}
 
+	let recipe = [];
+	if (dashboardId) {
+		if (
+			!mongoose.Types.ObjectId.isValid(dashboardId) ||
+			!mongoose.Types.ObjectId.isValid(userId)
+		) {
+			return res.status(400).json({
+				error: 'dashboardId must be a dashboard of the signed-in user',
+			});
+		}
+		try {
+			const dashboard = await Dashboard.findOne(
+				{ _id: dashboardId, uid: userId },
+				{ rcp: 1 }
+			).lean();
+			if (!dashboard) {
+				return res.status(404).json({ error: 'Dashboard not found' });
+			}
+			recipe = dashboard.rcp || [];
+		} catch (error) {
+			return res.status(500).json({
+				error: 'Failed to load dashboard recipe',
+				details: error.message,
+			});
+		}
+	}
+
 	const { realmId } = tokenStore[userId];
 
 	// Define optimized endpoints for SaaS metrics
@@ -546,7 +604,7 @@ const quickbooksAllData = async (req, res) => {
 		});
 
 		await Promise.all(promises);
-		const restructured = restructureQuickbooksResponse(results);
+		const restructured = restructureQuickbooksResponse(results, recipe);
 		return res.status(200).json(restructured);
 	} catch (error) {
 		return res.status(500).json({
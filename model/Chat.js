@@ -4,6 +4,20 @@ import mongoose from 'mongoose';
 
 const Schema = mongoose.Schema;
 
+// Define CitationSchema (dashboard data an answer was given from)
+const CitationSchema = new Schema(
+	{
+		n: { type: Number, required: true }, // number cited in the answer
+		category: { type: String, required: true },
+		group: { type: String, default: null },
+		title: { type: String, required: true },
+		from: { type: String }, // date of the first entry
+		to: { type: String }, // date of the last entry
+		score: { type: Number }, // similarity to the question
+	},
+	{ _id: false }
+);
+
 // Define MessageSchema
 const MessageSchema = new Schema({
 	role: {
@@ -19,6 +33,10 @@ const MessageSchema = new Schema({
 		type: Date,
 		default: Date.now,
 	},
+	citations: {
+		type: [CitationSchema],
+		default: undefined,
+	},
 });
 
 // Define ChatSchema
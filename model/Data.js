@@ -8,6 +8,18 @@ import {
 	getCachedDashboard,
 	deleteCachedDashboard,
 } from '../utils/cache.js';
+import { MERGE_STRATEGIES } from '../utils/dashboardUtils.js';
+import {
+	CAST_TYPES,
+	FILTER_COMPARISONS,
+	RECIPE_OPERATIONS,
+} from '../utils/recipe.js';
+import { JOIN_TYPES, MAX_LOOKUP_COLUMNS } from '../utils/joins.js';
+import {
+	selectKeptVersions,
+	splitDetachedFiles,
+	filesAtVersion,
+} from '../utils/versions.js';
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -37,6 +49,10 @@ const EntrySchema = new mongoose.Schema(
 		t: { type: String, required: true, trim: true, maxlength: 100 }, // title
 		v: { type: mongoose.Schema.Types.Mixed, required: true }, // value
 		d: { type: Date, required: true }, // date
+		k: { type: String, trim: true, maxlength: 255 }, // key (value of the key column)
+		f: { type: String, trim: true }, // sourceFileId (f.fid of the upload)
+		u: { type: Date }, // uploadedAt
+		r: { type: Number, min: 1 }, // rowNumber (data row of the source sheet)
 	},
 	{ _id: false }
 );
@@ -50,6 +66,7 @@ const IndexedEntriesSchema = new mongoose.Schema(
 			required: true,
 			validate: [(arr) => arr.length > 0, 'Data array cannot be empty'],
 		}, // data
+		s: { type: String, trim: true, maxlength: 255 }, // sourceFilename
 	},
 	{ _id: false }
 );
@@ -91,6 +108,7 @@ const DashboardCategorySchema = new mongoose.Schema(
 		sum: { type: [EntrySchema], default: [] }, // summaryData
 		chart: { type: String }, // appliedChartType
 		ids: { type: [String], default: [] }, // checkedIds
+		grp: { type: String, trim: true, maxlength: 100 }, // group (e.g. sheet name)
 	},
 	{ _id: false }
 );
@@ -126,6 +144,144 @@ const DashboardDataRefSchema = new mongoose.Schema(
 	{ _id: false }
 );
 
+// Schema for calculated field definitions (evaluated on read)
+const CalculatedFieldSchema = new mongoose.Schema(
+	{
+		n: { type: String, required: true, trim: true, maxlength: 100 }, // name
+		x: { type: String, required: true, trim: true, maxlength: 1000 }, // expression
+		ca: { type: Date, default: Date.now }, // createdAt
+		ua: { type: Date, default: Date.now }, // updatedAt
+	},
+	{ _id: false }
+);
+
+// Schema for a column type definition
+const ColumnSchema = new mongoose.Schema(
+	{
+		k: { type: String, required: true, trim: true, maxlength: 255 }, // key
+		t: {
+			type: String,
+			required: true,
+			enum: [
+				'number',
+				'currency',
+				'percent',
+				'date',
+				'category',
+				'text',
+				'ignore',
+			],
+		}, // type
+		fmt: { type: String, trim: true, maxlength: 50 }, // format
+		dec: { type: String, enum: ['.', ','] }, // decimal separator
+	},
+	{ _id: false }
+);
+
+// Schema for per-file upload settings
+const FileConfigSchema = new mongoose.Schema(
+	{
+		fn: { type: String, required: true, trim: true, maxlength: 255 }, // filename
+		sh: { type: String, trim: true, maxlength: 100, default: null }, // sheetName
+		cols: { type: [ColumnSchema], default: [] }, // columns
+		dc: { type: String, trim: true, maxlength: 255 }, // dateColumn
+		ua: { type: Date, default: Date.now }, // updatedAt
+	},
+	{ _id: false }
+);
+
+// Schema for the default merge of re-uploaded files
+const MergeSettingsSchema = new mongoose.Schema(
+	{
+		s: { type: String, enum: MERGE_STRATEGIES, required: true }, // strategy
+		k: { type: String, trim: true, maxlength: 255, default: null }, // keyColumn
+	},
+	{ _id: false }
+);
+
+// Schema for one step of the dashboard's transformation recipe
+// (see utils/recipe.js for what each operation reads)
+const RecipeStepSchema = new mongoose.Schema(
+	{
+		op: { type: String, enum: RECIPE_OPERATIONS, required: true }, // operation
+		c: { type: String, required: true, trim: true, maxlength: 255 }, // column
+		to: { type: String, trim: true, maxlength: 255 }, // newName (rename)
+		cmp: { type: String, enum: FILTER_COMPARISONS }, // comparison (filter)
+		v: { type: mongoose.Schema.Types.Mixed }, // value (filter)
+		sep: { type: String, maxlength: 10 }, // separator (split)
+		into: { type: [String], default: undefined }, // targetColumns (split)
+		keep: { type: Boolean }, // keepSource (split)
+		t: { type: String, enum: CAST_TYPES }, // type (cast)
+		fmt: { type: String, trim: true, maxlength: 50 }, // dateFormat (cast)
+		dec: { type: String, enum: ['.', ','] }, // decimal separator (cast)
+		x: { type: String, trim: true, maxlength: 1000 }, // expression (derive)
+	},
+	{ _id: false }
+);
+
+// Schema for a join enriching the rows of one file with a lookup file
+const JoinSchema = new mongoose.Schema(
+	{
+		n: { type: String, required: true, trim: true, maxlength: 100 }, // name
+		l: { type: String, required: true, trim: true, maxlength: 255 }, // leftFilename
+		lk: { type: String, required: true, trim: true, maxlength: 255 }, // leftKey
+		r: { type: String, required: true, trim: true, maxlength: 255 }, // lookupFilename
+		rk: { type: String, required: true, trim: true, maxlength: 255 }, // lookupKey
+		sh: { type: String, trim: true, maxlength: 100, default: null }, // lookupSheet
+		t: { type: String, enum: JOIN_TYPES, default: 'left' }, // type
+		cols: {
+			type: [String],
+			validate: [
+				(arr) => arr.length > 0 && arr.length <= MAX_LOOKUP_COLUMNS,
+				`Between 1 and ${MAX_LOOKUP_COLUMNS} lookup columns required`,
+			],
+		}, // lookupColumns
+		px: { type: String, trim: true, maxlength: 50, default: '' }, // prefix
+	},
+	{ _id: false }
+);
+
+// Schema for the data quality report of an upload
+const QualityReportSchema = new mongoose.Schema(
+	{
+		fid: { type: String, required: true, trim: true }, // fileId (f.fid of the upload)
+		fn: { type: String, required: true, trim: true, maxlength: 255 }, // filename
+		ca: { type: Date, default: Date.now }, // createdAt
+		sum: {
+			rows: { type: Number, default: 0 },
+			missing: { type: Number, default: 0 },
+			invalid: { type: Number, default: 0 },
+			skipped: { type: Number, default: 0 },
+			duplicates: { type: Number, default: 0 },
+			outliers: { type: Number, default: 0 },
+			failedSheets: { type: Number, default: 0 },
+		}, // summary
+		sh: { type: [mongoose.Schema.Types.Mixed], default: [] }, // sheets (see utils/qualityReport.js)
+	},
+	{ _id: false }
+);
+
+// Schema for immutable dashboard data versions
+const DashboardVersionSchema = new mongoose.Schema(
+	{
+		n: { type: Number, required: true, min: 1 }, // versionNumber
+		fid: { type: String, required: true, trim: true }, // fileId
+		fn: { type: String, required: true, trim: true, maxlength: 255 }, // filename
+		by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // createdBy
+		ca: { type: Date, default: Date.now }, // createdAt
+		sz: { type: Number, default: 0 }, // sizeInBytes
+		src: { type: String, trim: true, maxlength: 255, default: null }, // sourceFilename
+		act: {
+			type: String,
+			enum: ['upload', 'update', 'restore', 'remove'],
+			default: 'upload',
+		}, // action
+		rn: { type: Number, default: null }, // restoredFromVersion
+		sf: { type: [String], default: undefined }, // sourceFileIds (f.fid)
+	},
+	{ _id: false }
+);
+
 // Dashboard Schema
 const DashboardSchema = new mongoose.Schema(
 	{
@@ -138,6 +294,14 @@ const DashboardSchema = new mongoose.Schema(
 		}, // dashboardName
 		ref: { type: DashboardDataRefSchema, default: null }, // dashboardDataRef
 		f: [FileDataSchema], // files
+		xf: { type: [FileDataSchema], default: [] }, // detachedFiles (removed, still in older versions)
+		calc: { type: [CalculatedFieldSchema], default: [] }, // calculatedFields
+		cfg: { type: [FileConfigSchema], default: [] }, // fileConfigs
+		mrg: { type: MergeSettingsSchema, default: null }, // mergeSettings
+		qr: { type: [QualityReportSchema], default: [] }, // qualityReports
+		rcp: { type: [RecipeStepSchema], default: [] }, // recipe
+		jn: { type: [JoinSchema], default: [] }, // joins
+		ver: { type: [DashboardVersionSchema], default: [] }, // versions
 		uid: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User',
@@ -180,6 +344,9 @@ DashboardSchema.pre('remove', async function (next) {
 		if (this.ref?.fid && this.ref?.ch) {
 			fileIds.push(new mongoose.Types.ObjectId(this.ref.fid));
 		}
+		new Set(this.ver.map((version) => version.fid)).forEach((fid) => {
+			if (fid !== this.ref?.fid) fileIds.push(new mongoose.Types.ObjectId(fid));
+		});
 		this.f
 			.filter((file) => file.fid && file.ch)
 			.forEach((file) => fileIds.push(new mongoose.Types.ObjectId(file.fid)));
@@ -201,20 +368,14 @@ DashboardSchema.pre('remove', async function (next) {
 	}
 });
 
-// Retrieve dashboard data from GridFS, decompressing if needed
-DashboardSchema.methods.getDashboardData = async function () {
-	if (!this.ref?.fid || !this.ref?.ch) {
-		logger.warn('No dashboard data reference found', {
-			dashboardId: this._id.toString(),
-		});
-		return [];
-	}
+// Read a dashboard data file from GridFS, decompressing if needed
+async function readDataFile(fid, dashboardId) {
 	const gfs = new GridFSBucket(mongoose.connection.db, {
 		bucketName: 'Uploads',
 	});
 	try {
 		const downloadStream = gfs.openDownloadStream(
-			new mongoose.Types.ObjectId(this.ref.fid)
+			new mongoose.Types.ObjectId(fid)
 		);
 		let chunks = [];
 		for await (const chunk of downloadStream) {
@@ -229,29 +390,132 @@ DashboardSchema.methods.getDashboardData = async function () {
 			try {
 				json = zlib.gunzipSync(data).toString('utf8'); // Compressed
 			} catch (e) {
-				logger.warn('Data not compressed, trying raw', {
-					dashboardId: this._id.toString(),
-				});
+				logger.warn('Data not compressed, trying raw', { dashboardId });
 				json = data.toString('utf8');
 			}
 		}
 
 		const parsed = JSON.parse(json);
 		if (!Array.isArray(parsed)) {
-			logger.error('Invalid dashboard data format', {
-				dashboardId: this._id.toString(),
-			});
+			logger.error('Invalid dashboard data format', { dashboardId });
 			return [];
 		}
 		return parsed;
 	} catch (err) {
 		logger.error('Error retrieving dashboard data from GridFS', {
-			dashboardId: this._id.toString(),
-			fileId: this.ref.fid,
+			dashboardId,
+			fileId: fid,
 			error: err.message,
 		});
 		return [];
 	}
+}
+
+// Retrieve dashboard data from GridFS, decompressing if needed
+DashboardSchema.methods.getDashboardData = async function () {
+	if (!this.ref?.fid || !this.ref?.ch) {
+		logger.warn('No dashboard data reference found', {
+			dashboardId: this._id.toString(),
+		});
+		return [];
+	}
+	return readDataFile(this.ref.fid, this._id.toString());
+};
+
+// Retrieve the data of one stored version
+DashboardSchema.methods.getVersionData = async function (n) {
+	const version = this.ver.find((v) => v.n === n);
+	if (!version) {
+		logger.warn('Dashboard version not found', {
+			dashboardId: this._id.toString(),
+			version: n,
+		});
+		return null;
+	}
+	return readDataFile(version.fid, this._id.toString());
+};
+
+// Record a new data version of the current source files and point the
+// dashboard at it. Dashboards created before versioning get their current
+// data recorded first.
+DashboardSchema.methods.addVersion = function (ref, meta = {}) {
+	if (this.ver.length === 0 && this.ref?.fid && this.ref.fid !== ref.fid) {
+		this.ver.push({
+			n: 1,
+			fid: this.ref.fid,
+			fn: this.ref.fn,
+			by: this.uid,
+			ca: this.ref.lu || this.ca,
+			act: 'upload',
+		});
+	}
+	const n = (this.ver[this.ver.length - 1]?.n || 0) + 1;
+	this.ver.push({
+		n,
+		fid: ref.fid,
+		fn: ref.fn,
+		by: meta.by || this.uid,
+		ca: new Date(),
+		sz: meta.sz || 0,
+		src: meta.src || null,
+		act: meta.act || 'upload',
+		rn: meta.rn ?? null,
+		sf: this.f.map((file) => file.fid),
+	});
+	this.ref = { ...ref, lu: new Date() };
+	return this.ver[this.ver.length - 1];
+};
+
+// Remove a source file from the dashboard. It stays detached while an older
+// version includes its data, so restoring that version brings it back.
+DashboardSchema.methods.detachFile = function (fid) {
+	const file = this.f.find((f) => f.fid === fid);
+	if (!file) return;
+	this.f = this.f.filter((f) => f.fid !== fid);
+	this.xf.push(file);
+};
+
+// Make the source files of a version the dashboard's files again; versions
+// recorded before their files were leave the files as they are
+DashboardSchema.methods.restoreFiles = function (version) {
+	if (!version.sf) return;
+	const { files, detached } = filesAtVersion(this.f, this.xf, version);
+	this.f = files;
+	this.xf = detached;
+};
+
+// Drop versions beyond the plan's count and age limits. The current version
+// is always kept. Returns the file ids no remaining version references: data
+// files of dropped versions and stored detached source files.
+DashboardSchema.methods.pruneVersions = function ({
+	versionLimit,
+	versionDays,
+}) {
+	const kept = selectKeptVersions(this.ver, this.ref?.fid, {
+		versionLimit,
+		versionDays,
+	});
+
+	const keptFids = new Set(kept.map((v) => v.fid));
+	const removedFids = [
+		...new Set(this.ver.filter((v) => !keptFids.has(v.fid)).map((v) => v.fid)),
+	];
+	const { inUse, released } = splitDetachedFiles(this.xf, kept);
+	if (released.length > 0) {
+		this.xf = inUse;
+		released.forEach((file) => {
+			if (file.ch) removedFids.push(file.fid);
+		});
+	}
+	if (kept.length === this.ver.length) return removedFids;
+
+	this.ver = kept.reverse();
+	logger.info('Pruned dashboard versions', {
+		dashboardId: this._id.toString(),
+		kept: kept.length,
+		removedFiles: removedFids.length,
+	});
+	return removedFids;
 };
 
 // Cache dashboard metadata
@@ -397,7 +661,7 @@ DashboardSchema.statics.deleteDashboardData = async function (id, uid) {
 
 		const dashboard = await this.findOne(
 			{ _id: id, uid },
-			{ 'ref.fid': 1, 'ref.ch': 1, f: 1 }
+			{ 'ref.fid': 1, 'ref.ch': 1, f: 1, xf: 1, ver: 1 }
 		).lean();
 
 		if (!dashboard) {
@@ -409,13 +673,16 @@ DashboardSchema.statics.deleteDashboardData = async function (id, uid) {
 		if (dashboard.ref?.fid && dashboard.ref?.ch) {
 			fileIds.push(dashboard.ref.fid);
 		}
-		dashboard.f?.forEach((file) => {
+		[...(dashboard.f || []), ...(dashboard.xf || [])].forEach((file) => {
 			if (file.fid && file.ch) fileIds.push(file.fid);
 		});
+		dashboard.ver?.forEach((version) => {
+			if (!fileIds.includes(version.fid)) fileIds.push(version.fid);
+		});
 
 		const result = await this.updateOne(
 			{ _id: id, uid },
-			{ $set: { ref: null, f: [] } },
+			{ $set: { ref: null, f: [], xf: [], ver: [], qr: [] } },
 			{ writeConcern: { w: 0 } }
 		);
 
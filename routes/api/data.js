@@ -14,8 +14,6 @@ import {
 	deleteCombinedChart,
 	updateCombinedChart,
 	processCloudText,
-	uploadChunk,
-	finalizeChunk,
 	deleteDashboardData,
 } from '../../controllers/dataController.js';
 import verifyJWT from '../../middleware/verifyJWT.js';
@@ -44,21 +42,6 @@ router.post(
 	createOrUpdateDashboard
 );
 
-// Route for chunked file upload
-router.post(
-	'/users/:id/dashboard/upload-chunk',
-	verifyUserOwnership,
-	upload.single('chunk'),
-	uploadChunk
-);
-
-// Route to finalize chunked upload
-router.post(
-	'/users/:id/dashboard/finalize-chunk',
-	verifyUserOwnership,
-	finalizeChunk
-);
-
 // Route to process cloud text data
 router.post(
 	'/users/:id/dashboard/:dashboardId/cloudText',
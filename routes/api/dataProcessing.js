@@ -7,9 +7,42 @@ import {
 	getDashboardData,
 	getAllDashboards,
 	calculateDashboardParameters,
+	getCalculatedFields,
+	updateCalculatedField,
+	deleteCalculatedField,
 	getNumericTitlesEndpoint,
 	getDateTitlesEndpoint,
+	getDashboardTimeSeries,
+	exportDashboardData,
+	getColumnSchemas,
+	updateColumnSchema,
+	updateMergeStrategy,
+	getRecipe,
+	updateRecipe,
+	previewRecipe,
+	getJoins,
+	updateJoin,
+	deleteJoin,
+	getDashboardSources,
+	getDashboardSourceData,
+	deleteDashboardSource,
+	replaceDashboardSource,
+	getQualityReports,
+	previewDashboardUpload,
+	getDashboardVersions,
+	diffDashboardVersions,
+	restoreDashboardVersion,
+	startUploadSession,
+	uploadSessionChunk,
+	getUploadSessionStatus,
+	finalizeUploadSession,
+	cancelUploadSession,
 } from '../../controllers/dataProcessingController.js';
+import {
+	MAX_BUFFERED_UPLOAD,
+	MAX_CHUNK_SIZE,
+} from '../../utils/uploadSessions.js';
+import { IMAGE_EXTENSIONS } from '../../utils/ocr.js';
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -31,33 +64,27 @@ const router = express.Router();
 const upload = multer({
 	storage: multer.memoryStorage(),
 	limits: {
-		fileSize: 6 * 1024 * 1024, // 6MB total file limit
+		fileSize: MAX_BUFFERED_UPLOAD, // larger files use an upload session
 		fieldSize: 1 * 1024 * 1024, // 1MB for form fields
 	},
 	fileFilter: (req, file, cb) => {
-		const chunkIdx = parseInt(req.body.chunkIdx, 10);
-		const isChunked = !isNaN(chunkIdx) && req.body.totalChunks;
-
-		if (isChunked) {
-			// Skip MIME type and extension validation for all chunks
-			logger.info('Skipping file type validation for chunked upload', {
-				filename: file.originalname,
-				mimetype: file.mimetype,
-				chunkIdx,
-				fileSize: file.size,
-				userId: req.params.userId,
-			});
-			cb(null, true);
-			return;
-		}
-
 		const allowedMimeTypes = [
 			'text/csv',
 			'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
 			'application/vnd.ms-excel',
+			'application/pdf',
+			'image/png',
+			'image/jpeg',
+			'image/tiff',
 			'application/octet-stream',
 		];
-		const allowedExtensions = ['.csv', '.xlsx', '.xls'];
+		const allowedExtensions = [
+			'.csv',
+			'.xlsx',
+			'.xls',
+			'.pdf',
+			...IMAGE_EXTENSIONS,
+		];
 		const extension =
 			file.originalname.toLowerCase().match(/\.[^\.]+$/)?.[0] || '';
 
@@ -83,7 +110,9 @@ const upload = multer({
 				userId: req.params.userId,
 			});
 			cb(
-				new Error('Only CSV and Excel (.csv, .xlsx, .xls) files are supported')
+				new Error(
+					'Only CSV, Excel, PDF and image (.csv, .xlsx, .xls, .pdf, .png, .jpg, .tif) files are supported'
+				)
 			);
 		}
 	},
@@ -98,12 +127,16 @@ const handleMulterError = (err, req, res, next) => {
 			field: err.field,
 			userId: req.params.userId,
 		});
-		return res.status(400).json({
-			msg:
-				err.message === 'File too large'
-					? 'File size exceeds 6MB limit'
-					: 'File upload error',
-		});
+		if (err.code === 'LIMIT_FILE_SIZE') {
+			// The plan's upload limit applies to upload sessions
+			return res.status(413).json({
+				msg: `ERR_SIZE_LIMIT: Files above ${
+					MAX_BUFFERED_UPLOAD / (1024 * 1024)
+				}MB must be uploaded through an upload session`,
+				uploadSession: `${req.baseUrl}/users/${req.params.userId}/uploads`,
+			});
+		}
+		return res.status(400).json({ msg: 'File upload error' });
 	} else if (err) {
 		logger.error('File validation error', {
 			error: err.message,
@@ -121,14 +154,105 @@ router.post(
 	handleMulterError,
 	createOrUpdateDashboard
 );
+router.post(
+	'/users/:userId/dashboard/preview',
+	upload.single('file'),
+	handleMulterError,
+	previewDashboardUpload
+);
+router.post('/users/:userId/uploads', startUploadSession);
+router.put(
+	'/users/:userId/uploads/:sessionId/chunks/:index',
+	express.raw({ type: 'application/octet-stream', limit: MAX_CHUNK_SIZE }),
+	uploadSessionChunk
+);
+router.get('/users/:userId/uploads/:sessionId', getUploadSessionStatus);
+router.post(
+	'/users/:userId/uploads/:sessionId/finalize',
+	finalizeUploadSession
+);
+router.delete('/users/:userId/uploads/:sessionId', cancelUploadSession);
 router.post(
 	'/users/:userId/dashboard/:dashboardId/calculate',
 	calculateDashboardParameters
 );
+router.get(
+	'/users/:userId/dashboard/:dashboardId/calculated-fields',
+	getCalculatedFields
+);
+router.post(
+	'/users/:userId/dashboard/:dashboardId/calculated-fields',
+	calculateDashboardParameters
+);
+router.put(
+	'/users/:userId/dashboard/:dashboardId/calculated-fields/:fieldName',
+	updateCalculatedField
+);
+router.delete(
+	'/users/:userId/dashboard/:dashboardId/calculated-fields/:fieldName',
+	deleteCalculatedField
+);
 router.get(
 	'/users/:userId/dashboard/:dashboardId/date-titles',
 	getDateTitlesEndpoint
 );
+router.get(
+	'/users/:userId/dashboard/:dashboardId/timeseries',
+	getDashboardTimeSeries
+);
+router.get('/users/:userId/dashboard/:dashboardId/export', exportDashboardData);
+router.get('/users/:userId/dashboard/:dashboardId/schema', getColumnSchemas);
+router.get(
+	'/users/:userId/dashboard/:dashboardId/versions',
+	getDashboardVersions
+);
+router.get(
+	'/users/:userId/dashboard/:dashboardId/versions/diff',
+	diffDashboardVersions
+);
+router.post(
+	'/users/:userId/dashboard/:dashboardId/versions/:version/restore',
+	restoreDashboardVersion
+);
+router.put(
+	'/users/:userId/dashboard/:dashboardId/schema/:fileName',
+	updateColumnSchema
+);
+router.put(
+	'/users/:userId/dashboard/:dashboardId/merge-strategy',
+	updateMergeStrategy
+);
+router.get('/users/:userId/dashboard/:dashboardId/recipe', getRecipe);
+router.put('/users/:userId/dashboard/:dashboardId/recipe', updateRecipe);
+router.post(
+	'/users/:userId/dashboard/:dashboardId/recipe/preview',
+	previewRecipe
+);
+router.get('/users/:userId/dashboard/:dashboardId/joins', getJoins);
+router.put('/users/:userId/dashboard/:dashboardId/joins/:joinName', updateJoin);
+router.delete(
+	'/users/:userId/dashboard/:dashboardId/joins/:joinName',
+	deleteJoin
+);
+router.get(
+	'/users/:userId/dashboard/:dashboardId/sources',
+	getDashboardSources
+);
+router.get(
+	'/users/:userId/dashboard/:dashboardId/sources/:fileId',
+	getDashboardSourceData
+);
+router.put(
+	'/users/:userId/dashboard/:dashboardId/sources/:fileId',
+	upload.single('file'),
+	handleMulterError,
+	replaceDashboardSource
+);
+router.delete(
+	'/users/:userId/dashboard/:dashboardId/sources/:fileId',
+	deleteDashboardSource
+);
+router.get('/users/:userId/dashboard/:dashboardId/quality', getQualityReports);
 router.get('/users/:userId/dashboard/:dashboardId', getDashboardData);
 router.delete('/users/:userId/dashboard/:dashboardId', deleteDashboardData);
 router.get('/users/:userId/dashboards', getAllDashboards);
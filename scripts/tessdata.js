@@ -0,0 +1,82 @@
+// Unpacks the OCR language data of the @tesseract.js-data/* dependencies into
+// TESSDATA_PATH (default node_modules/.cache/tessdata), where utils/ocr.js
+// reads it. Runs after npm install; nothing is downloaded. A language whose
+// package is missing is skipped with a warning, so the install never fails.
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import winston from 'winston';
+
+// Logger configuration; console only, an install writes no log files
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [new winston.transports.Console()],
+});
+
+const require = createRequire(import.meta.url);
+const SCOPE = '@tesseract.js-data/';
+// Integer LSTM models, the ones tesseract.js loads by default
+const MODEL = '4.0.0_best_int';
+
+/**
+ * Unpacks the language data of @tesseract.js-data packages.
+ * @param {Array<string>} packages - Package names; others are ignored.
+ * @param {string} target - Directory receiving <lang>.traineddata files.
+ * @returns {{unpacked: Array<string>, skipped: Array<string>}} Languages
+ *   unpacked, and languages whose package or data file was not found.
+ */
+export function unpackTessdata(packages, target) {
+	const unpacked = [];
+	const skipped = [];
+	fs.mkdirSync(target, { recursive: true });
+	packages
+		.filter((name) => name.startsWith(SCOPE))
+		.forEach((name) => {
+			const lang = name.slice(SCOPE.length);
+			try {
+				const source = path.join(
+					path.dirname(require.resolve(`${name}/package.json`)),
+					MODEL,
+					`${lang}.traineddata.gz`
+				);
+				fs.writeFileSync(
+					path.join(target, `${lang}.traineddata`),
+					zlib.gunzipSync(fs.readFileSync(source))
+				);
+				unpacked.push(lang);
+			} catch (e) {
+				logger.warn('Skipped OCR language data', {
+					lang,
+					error: e.message,
+				});
+				skipped.push(lang);
+			}
+		});
+	return { unpacked, skipped };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+	const { dependencies = {} } = JSON.parse(
+		fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')
+	);
+	const target =
+		process.env.TESSDATA_PATH || path.resolve('node_modules/.cache/tessdata');
+	try {
+		const { unpacked, skipped } = unpackTessdata(
+			Object.keys(dependencies),
+			target
+		);
+		logger.info('Unpacked OCR language data', { target, unpacked, skipped });
+	} catch (e) {
+		logger.warn('Could not unpack OCR language data', {
+			target,
+			error: e.message,
+		});
+	}
+}
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumber } from '../utils/columnSchema.js';
+
+describe('parseNumber', () => {
+	it('passes finite numbers through', () => {
+		assert.equal(parseNumber(12.5), 12.5);
+		assert.equal(parseNumber(Infinity), null);
+		assert.equal(parseNumber(NaN), null);
+	});
+
+	it('reads thousands separators and decimal commas', () => {
+		assert.equal(parseNumber('1,234.56'), 1234.56);
+		assert.equal(parseNumber('1.234,56'), 1234.56);
+		assert.equal(parseNumber('1 234,56'), 1234.56);
+		assert.equal(parseNumber('12,5'), 12.5);
+	});
+
+	it('treats ambiguous groups as thousands unless told otherwise', () => {
+		assert.equal(parseNumber('1,234'), 1234);
+		assert.equal(parseNumber('1,234', ','), 1.234);
+		assert.equal(parseNumber('1.234', ','), 1234);
+	});
+
+	it('reads signs and accounting negatives', () => {
+		assert.equal(parseNumber('-5'), -5);
+		assert.equal(parseNumber('+ 5'), 5);
+		assert.equal(parseNumber('(1,200.50)'), -1200.5);
+	});
+
+	it('returns null for anything else', () => {
+		for (const v of ['', 'abc', '12abc', '1.2.3,4,5', null, undefined, {}]) {
+			assert.equal(parseNumber(v), null, String(v));
+		}
+	});
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	detectEncoding,
+	detectCsvDialect,
+	resolveCsvDialect,
+	decodeCsv,
+} from '../utils/csvDialect.js';
+
+describe('detectEncoding', () => {
+	it('follows a byte order mark', () => {
+		assert.equal(
+			detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x41])),
+			'utf-8'
+		);
+		assert.equal(
+			detectEncoding(Buffer.from([0xff, 0xfe, 0x41, 0])),
+			'utf-16le'
+		);
+	});
+
+	it('tells UTF-8 from Windows-1250 and ISO-8859-2', () => {
+		assert.equal(
+			detectEncoding(Buffer.from('Název;Částka\n', 'utf8')),
+			'utf-8'
+		);
+		// "Šárka" in Windows-1250 and ISO-8859-2
+		assert.equal(
+			detectEncoding(Buffer.from([0x8a, 0xe1, 0x72, 0x6b, 0x61])),
+			'windows-1250'
+		);
+		assert.equal(
+			detectEncoding(Buffer.from([0xa9, 0xe1, 0x72, 0x6b, 0x61])),
+			'iso-8859-2'
+		);
+	});
+});
+
+describe('detectCsvDialect', () => {
+	it('detects the delimiter and decimal comma', () => {
+		const dialect = detectCsvDialect('Name;Amount\nA;1,5\nB;2,25\nC;3,75\n');
+		assert.equal(dialect.delimiter, ';');
+		assert.equal(dialect.quoteChar, '"');
+		assert.equal(dialect.headerRow, 0);
+		assert.equal(dialect.decimalSeparator, ',');
+	});
+
+	it('skips a title block above the header', () => {
+		const text = [
+			'Sales report',
+			'Generated 2024-01-31',
+			'',
+			'Region,Date,Revenue',
+			'East,2024-01-01,100.5',
+			'West,2024-01-02,200.25',
+		].join('\r\n');
+		const dialect = detectCsvDialect(text);
+		assert.equal(dialect.delimiter, ',');
+		assert.equal(dialect.headerRow, 3);
+		assert.equal(dialect.decimalSeparator, '.');
+	});
+
+	it('keeps known settings', () => {
+		const dialect = detectCsvDialect("a|'b'\n1|2\n", { delimiter: '|' });
+		assert.equal(dialect.delimiter, '|');
+		assert.equal(dialect.quoteChar, "'");
+	});
+
+	it('returns null as the decimal separator when numbers show none', () => {
+		assert.equal(detectCsvDialect('a,b\n1,2\n3,4\n').decimalSeparator, null);
+	});
+});
+
+describe('resolveCsvDialect', () => {
+	it('lets overrides win over detection', () => {
+		const dialect = resolveCsvDialect(Buffer.from('a;b\n1;2\n'), {
+			delimiter: 'tab',
+			headerRow: '1',
+		});
+		assert.equal(dialect.encoding, 'utf-8');
+		assert.equal(dialect.delimiter, '\t');
+		assert.equal(dialect.headerRow, 1);
+	});
+
+	it('rejects invalid overrides', () => {
+		assert.throws(
+			() => resolveCsvDialect(Buffer.from('a,b\n'), { decimalSeparator: ';' }),
+			(e) => e.statusCode === 400 && /^ERR_INVALID_DIALECT/.test(e.message)
+		);
+	});
+});
+
+describe('decodeCsv', () => {
+	it('decodes single-byte encodings and drops a byte order mark', () => {
+		assert.equal(decodeCsv(Buffer.from([0x8a, 0xe1]), 'windows-1250'), 'Šá');
+		assert.equal(
+			decodeCsv(Buffer.from([0xef, 0xbb, 0xbf, 0x61]), 'utf-8'),
+			'a'
+		);
+	});
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import {
+	flattenDashboardData,
+	groupCategories,
+	writeCsvExport,
+	writeXlsxExport,
+} from '../utils/dashboardExport.js';
+
+const category = (values) => ({
+	cat: 'A',
+	data: [
+		{
+			i: 'a1',
+			d: values.map((v) => ({ t: 'Code', v, d: new Date('2024-01-01') })),
+		},
+	],
+});
+
+const collect = async (write, data) => {
+	const stream = new PassThrough();
+	const chunks = [];
+	stream.on('data', (chunk) => chunks.push(chunk));
+	await write(data, stream);
+	return Buffer.concat(chunks);
+};
+
+const readCsv = async (data) =>
+	(await collect(writeCsvExport, data)).toString().split('\r\n').slice(1, -1);
+
+const readXlsx = async (data) => {
+	const workbook = new ExcelJS.Workbook();
+	await workbook.xlsx.load(await collect(writeXlsxExport, data));
+	return workbook.worksheets.map((sheet) => ({
+		name: sheet.name,
+		rows: sheet
+			.getSheetValues()
+			.filter(Boolean)
+			.map((row) => row.slice(1)),
+	}));
+};
+
+describe('flattenDashboardData', () => {
+	it('turns plain numeric text into numbers and keeps other text', () => {
+		const values = [
+			...flattenDashboardData([category(['42', '-1.5', '00123', '1e3', 7])]),
+		].map((row) => row.value);
+		assert.deepEqual(values, [42, -1.5, '00123', '1e3', 7]);
+	});
+});
+
+describe('writeCsvExport', () => {
+	it('keeps leading zeros and escapes formula-like text', async () => {
+		const lines = await readCsv([
+			{ ...category(['00123', '=1+1', '@SUM(A1)', -5]), cat: '+cmd' },
+		]);
+		assert.deepEqual(
+			lines.map((line) => line.split(',')[5]),
+			['00123', "'=1+1", "'@SUM(A1)", '-5']
+		);
+		assert.ok(lines[0].startsWith("'+cmd,"));
+	});
+});
+
+describe('groupCategories', () => {
+	it('groups by group name, else by the set of titles', () => {
+		const groups = groupCategories([
+			{ cat: 'A', grp: 'Sheet1', data: [{ i: 'a', d: [{ t: 'X' }] }] },
+			{ cat: 'B', data: [{ i: 'b', d: [{ t: 'Y' }, { t: 'Z' }] }] },
+			{ cat: 'C', data: [{ i: 'c', d: [{ t: 'Z' }, { t: 'Y' }] }] },
+		]);
+		assert.deepEqual(
+			groups.map((g) => [g.name, g.titles, g.categories.map((c) => c.cat)]),
+			[
+				['Sheet1', ['X'], ['A']],
+				['Y, Z', ['Y', 'Z'], ['B', 'C']],
+			]
+		);
+	});
+});
+
+describe('writeXlsxExport', () => {
+	it('writes a typed row per category and date with text unchanged', async () => {
+		const [sheet] = await readXlsx([
+			{
+				cat: '-Discounts',
+				data: [
+					{
+						i: 'a1',
+						d: [
+							{ t: 'Phone', v: '+420 777', d: new Date('2024-01-01') },
+							{ t: 'Rate', v: '12.5', d: new Date('2024-01-01') },
+						],
+					},
+				],
+			},
+		]);
+		assert.equal(sheet.name, 'Phone, Rate');
+		assert.deepEqual(sheet.rows, [
+			['Category', 'Date', 'Phone', 'Rate'],
+			['-Discounts', new Date('2024-01-01'), '+420 777', 12.5],
+		]);
+	});
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	buildDashboardChunks,
+	searchDashboard,
+} from '../utils/dashboardIndex.js';
+import { createLlmProvider, readLlmConfig } from '../utils/llmProvider.js';
+
+const month = (m) => new Date(Date.UTC(2024, m, 1));
+const category = (cat, title, values, extra = {}) => ({
+	cat,
+	...extra,
+	data: [
+		{
+			i: `${cat}-${title}`,
+			d: values.map((v, m) => ({ t: title, v, d: month(m) })),
+		},
+	],
+});
+
+describe('buildDashboardChunks', () => {
+	it('writes one chunk per title citing category, group and dates', () => {
+		const [chunk] = buildDashboardChunks([
+			category('East', 'Revenue', [100, 120], { grp: 'Sheet1' }),
+		]);
+		assert.deepEqual(
+			{ ...chunk, hash: typeof chunk.hash },
+			{
+				category: 'East',
+				group: 'Sheet1',
+				title: 'Revenue',
+				from: '2024-01-01',
+				to: '2024-02-01',
+				text: 'Category: East\nGroup: Sheet1\nTitle: Revenue\n2024-01-01: 100\n2024-02-01: 120',
+				hash: 'string',
+			}
+		);
+	});
+
+	it('splits long titles into chunks of consecutive entries', () => {
+		const values = Array.from({ length: 12 }, (_, m) => 1000 + m);
+		const chunks = buildDashboardChunks(
+			[category('East', 'Units', values)],
+			100
+		);
+		assert.ok(chunks.length > 1);
+		chunks.forEach((chunk) => {
+			assert.ok(chunk.text.length <= 100);
+			assert.ok(chunk.text.startsWith('Category: East\nTitle: Units\n'));
+		});
+		assert.equal(chunks[0].from, '2024-01-01');
+		assert.equal(chunks.at(-1).to, '2024-12-01');
+		assert.equal(
+			chunks.reduce((n, chunk) => n + chunk.text.split('\n').length - 2, 0),
+			12
+		);
+	});
+
+	it('hashes chunks by their text', () => {
+		const data = [
+			category('East', 'Revenue', [1]),
+			category('West', 'Revenue', [1]),
+		];
+		const [a, b] = buildDashboardChunks(data);
+		assert.notEqual(a.hash, b.hash);
+		assert.equal(buildDashboardChunks(data)[0].hash, a.hash);
+	});
+
+	it('skips entries without a title', () => {
+		assert.deepEqual(
+			buildDashboardChunks([{ cat: 'X', data: [{ i: 'x', d: [] }] }]),
+			[]
+		);
+	});
+});
+
+describe('searchDashboard', () => {
+	it('returns the most similar chunks first', async () => {
+		const provider = createLlmProvider(
+			readLlmConfig({ LLM_PROVIDER: 'offline' })
+		);
+		const data = [
+			category('East', 'Revenue', [100]),
+			category('West', 'Headcount', [12]),
+		];
+		const dashboard = {
+			_id: 'd1',
+			ref: { fid: 'f1' },
+			calc: [],
+			getDashboardData: async () => data,
+		};
+		const [best] = await searchDashboard(dashboard, 'West headcount', {
+			provider,
+			k: 1,
+		});
+		assert.equal(best.category, 'West');
+		assert.ok(best.score > 0);
+	});
+});
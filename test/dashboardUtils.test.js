@@ -0,0 +1,323 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	applyCalculatedFields,
+	validateCalculatedField,
+	queryDashboardData,
+	mergeDashboardData,
+} from '../utils/dashboardUtils.js';
+import { transformDataStructure } from '../utils/dataTransform.js';
+import { detectPeriodColumns } from '../utils/periods.js';
+
+const day = (s) => new Date(`${s}T00:00:00Z`);
+const entry = (cat, t, v, d = '2024-01-01') => ({
+	i: `${cat}-${t}`,
+	d: [{ t, v, d: day(d) }],
+});
+const category = (cat, values) => ({
+	cat,
+	data: Object.entries(values).map(([t, v]) => entry(cat, t, v)),
+});
+const valueOf = (category, title) =>
+	category.data.find((e) => e.d[0].t === title)?.d[0].v;
+
+describe('applyCalculatedFields', () => {
+	const data = [
+		category('East', { Revenue: 200, Cost: 150 }),
+		category('West', { Revenue: 100 }),
+	];
+	const fields = [
+		{ n: 'Profit', x: 'Revenue - Cost' },
+		{ n: 'Margin', x: 'round(Profit / Revenue * 100, 1)' },
+	];
+
+	it('adds calculated entries and keeps the source values', () => {
+		const { data: result } = applyCalculatedFields(data, fields);
+		const [east] = result;
+		assert.equal(valueOf(east, 'Revenue'), 200);
+		assert.equal(valueOf(east, 'Cost'), 150);
+		assert.equal(valueOf(east, 'Profit'), 50);
+		assert.equal(valueOf(east, 'Margin'), 25);
+		assert.equal(east.data.find((e) => e.d[0].t === 'Margin').cf, true);
+		// The raw data is not changed
+		assert.equal(data[0].data.length, 2);
+	});
+
+	it('reports categories a field cannot be calculated for', () => {
+		const { data: result, errors } = applyCalculatedFields(data, fields);
+		assert.equal(valueOf(result[1], 'Profit'), undefined);
+		assert.deepEqual(
+			errors.map((e) => [e.field, e.cat]),
+			[
+				['Profit', 'West'],
+				['Margin', 'West'],
+			]
+		);
+	});
+
+	it('recalculates from new data on every read', () => {
+		const updated = [category('East', { Revenue: 300, Cost: 150 })];
+		const { data: result } = applyCalculatedFields(updated, fields);
+		assert.equal(valueOf(result[0], 'Profit'), 150);
+	});
+
+	it('skips fields with invalid expressions', () => {
+		const { data: result, errors } = applyCalculatedFields(data, [
+			{ n: 'Broken', x: 'Revenue +' },
+		]);
+		assert.equal(result, data);
+		assert.equal(errors[0].field, 'Broken');
+	});
+});
+
+describe('validateCalculatedField', () => {
+	const data = [category('East', { Revenue: 200, Cost: 150 })];
+
+	it('resolves data titles and preceding fields', () => {
+		const { unknownTitles } = validateCalculatedField(
+			data,
+			[{ n: 'Profit', x: 'Revenue - Cost' }],
+			'Gross Margin %',
+			'Profit / Revenue + Tax'
+		);
+		assert.deepEqual(unknownTitles, ['Tax']);
+	});
+
+	it('rejects names of data titles', () => {
+		assert.throws(
+			() => validateCalculatedField(data, [], 'Revenue', 'Cost * 2'),
+			(e) => e.statusCode === 400 && /^ERR_NAME_EXISTS/.test(e.message)
+		);
+	});
+});
+
+describe('queryDashboardData', () => {
+	const data = [
+		category('Prague', { Revenue: 300, Region: 'CZ' }),
+		category('Brno', { Revenue: '150', Region: 'CZ' }),
+		category('Bratislava', { Revenue: 200, Region: 'SK' }),
+		category('Vienna', { Region: 'AT' }),
+	];
+	const cats = (options) =>
+		queryDashboardData(data, options).data.map((c) => c.cat);
+
+	it('searches category names case-insensitively', () => {
+		assert.deepEqual(cats({ search: 'BR' }), ['Brno', 'Bratislava']);
+	});
+
+	it('keeps only the requested titles', () => {
+		const { data: page } = queryDashboardData(data, { titles: ['Region'] });
+		assert.equal(page.length, 4);
+		assert.ok(page.every((c) => c.data.length === 1));
+	});
+
+	it('filters by value ranges and excludes categories without the title', () => {
+		assert.deepEqual(cats({ ranges: { Revenue: { min: 150, max: 250 } } }), [
+			'Brno',
+			'Bratislava',
+		]);
+	});
+
+	it('sorts by name or title value with missing values last', () => {
+		assert.deepEqual(cats({ sort: 'cat' }), [
+			'Bratislava',
+			'Brno',
+			'Prague',
+			'Vienna',
+		]);
+		assert.deepEqual(cats({ sort: '-Revenue' }), [
+			'Prague',
+			'Bratislava',
+			'Brno',
+			'Vienna',
+		]);
+	});
+
+	it('pages the matches and returns their total', () => {
+		const { data: page, total } = queryDashboardData(data, {
+			sort: 'cat',
+			offset: 1,
+			limit: 2,
+		});
+		assert.deepEqual(
+			page.map((c) => c.cat),
+			['Brno', 'Prague']
+		);
+		assert.equal(total, 4);
+	});
+
+	it('drops values outside the date range', () => {
+		const dated = [
+			{
+				cat: 'A',
+				data: [entry('A', 'Revenue', 1, '2024-01-01')],
+			},
+			{
+				cat: 'B',
+				data: [entry('B', 'Revenue', 2, '2024-03-01')],
+			},
+		];
+		const { data: page } = queryDashboardData(dated, {
+			from: day('2024-02-01'),
+		});
+		assert.deepEqual(
+			page.map((c) => c.cat),
+			['B']
+		);
+	});
+});
+
+describe('unpivoted rows', () => {
+	// A budget sheet with a column per month, unpivoted into "Actual"
+	const schema = [
+		{ k: 'Account', t: 'category' },
+		{ k: 'Jan', t: 'number' },
+		{ k: 'Feb', t: 'number' },
+		{ k: 'Mar', t: 'number' },
+		{ k: 'Budget', t: 'number' },
+	];
+	const { dashboardData: data } = transformDataStructure(
+		[
+			{ Account: 'Rent', Jan: 100, Feb: 110, Mar: 120, Budget: 400 },
+			{ Account: 'Power', Jan: 10, Feb: '', Mar: 30, Budget: 100 },
+		],
+		'budget.xlsx',
+		{
+			schema,
+			periods: detectPeriodColumns(schema, { year: 2024 }),
+			periodTitle: 'Actual',
+		}
+	);
+	const series = (category, title) =>
+		category.data
+			.find((e) => e.d[0].t === title)
+			.d.map((node) => [node.d.toISOString().slice(0, 10), node.v]);
+
+	it('evaluates formulas for every period', () => {
+		const { data: result, errors } = applyCalculatedFields(data, [
+			{ n: 'Used', x: 'round(Actual / Budget * 100, 1)' },
+			{ n: 'Change', x: 'Used - 25' },
+		]);
+		assert.deepEqual(errors, []);
+		assert.deepEqual(series(result[0], 'Used'), [
+			['2024-01-01', 25],
+			['2024-02-01', 27.5],
+			['2024-03-01', 30],
+		]);
+		assert.deepEqual(series(result[0], 'Change'), [
+			['2024-01-01', 0],
+			['2024-02-01', 2.5],
+			['2024-03-01', 5],
+		]);
+		// Power has no February value
+		assert.deepEqual(series(result[1], 'Used'), [
+			['2024-01-01', 10],
+			['2024-03-01', 30],
+		]);
+	});
+
+	it('knows the unpivoted title', () => {
+		assert.throws(
+			() => validateCalculatedField(data, [], 'Actual', 'Budget'),
+			(e) => /^ERR_NAME_EXISTS/.test(e.message)
+		);
+	});
+
+	it('filters and sorts by the latest period in the date range', () => {
+		const query = (options) =>
+			queryDashboardData(data, options).data.map((c) => c.cat);
+		assert.deepEqual(query({ ranges: { Actual: { min: 100 } } }), ['Rent']);
+		assert.deepEqual(
+			query({ ranges: { Actual: { max: 10 } }, to: new Date('2024-01-31') }),
+			['Power']
+		);
+		assert.deepEqual(query({ sort: '-Actual' }), ['Rent', 'Power']);
+		const [rent] = queryDashboardData(data, { titles: ['Actual'] }).data;
+		assert.deepEqual(series(rent, 'Actual').length, 3);
+		assert.equal(rent.data.length, 1);
+	});
+});
+
+describe('mergeDashboardData strategies', () => {
+	const node = (v, d, extra = {}) => ({ t: 'Units', v, d: day(d), ...extra });
+	const units = (nodes, s = 'sales.csv') => [
+		{ cat: 'North', data: [{ i: 'n1', s, d: nodes }] },
+	];
+	const existing = () =>
+		units([node(10, '2024-01-01', { f: 'f1' }), node(20, '2024-02-01')]);
+	const incoming = () =>
+		units([node(5, '2024-02-01', { f: 'f2' }), node(7, '2024-03-01')]);
+	const values = (data) => data[0].data[0].d.map((n) => n.v);
+
+	it('replaces the values of an entry by default', () => {
+		assert.deepEqual(
+			values(mergeDashboardData(existing(), incoming())),
+			[5, 7]
+		);
+	});
+
+	it('append only adds values for new dates', () => {
+		const merged = mergeDashboardData(existing(), incoming(), {
+			strategy: 'append',
+		});
+		assert.deepEqual(values(merged), [10, 20, 7]);
+	});
+
+	it('upsert replaces values with the same date and adds others', () => {
+		const merged = mergeDashboardData(existing(), incoming(), {
+			strategy: 'upsert',
+		});
+		assert.deepEqual(values(merged), [10, 5, 7]);
+	});
+
+	it('accumulate sums numeric values with the same date', () => {
+		const merged = mergeDashboardData(existing(), incoming(), {
+			strategy: 'accumulate',
+		});
+		assert.deepEqual(values(merged), [10, 25, 7]);
+	});
+
+	it('matches values by business key when there is one', () => {
+		const merged = mergeDashboardData(
+			units([
+				node(1, '2024-01-01', { k: 'A' }),
+				node(2, '2024-01-01', { k: 'B' }),
+			]),
+			units([node(3, '2024-05-01', { k: 'A' })]),
+			{ strategy: 'accumulate' }
+		);
+		assert.deepEqual(
+			merged[0].data[0].d.map((n) => [
+				n.k,
+				n.v,
+				n.d.toISOString().slice(0, 10),
+			]),
+			[
+				['B', 2, '2024-01-01'],
+				['A', 4, '2024-05-01'],
+			]
+		);
+	});
+
+	it('replace removes the values of earlier uploads of the source first', () => {
+		const data = [
+			...existing(),
+			{
+				cat: 'South',
+				data: [
+					{ i: 's1', s: 'sales.csv', d: [node(3, '2024-01-01', { f: 'f1' })] },
+				],
+			},
+		];
+		const merged = mergeDashboardData(data, incoming(), {
+			strategy: 'replace',
+			source: 'sales.csv',
+			sourceIds: ['f1'],
+		});
+		assert.deepEqual(
+			merged.map((c) => c.cat),
+			['North']
+		);
+		assert.deepEqual(values(merged), [5, 7]);
+	});
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { streamFileRows } from '../utils/fileParser.js';
+
+const readCsv = async (chunks) => {
+	const rows = [];
+	const result = await streamFileRows(
+		Readable.from(chunks.map((chunk) => Buffer.from(chunk))),
+		'data.csv',
+		{},
+		(sheet, batch) => rows.push(...batch)
+	);
+	return { rows, dialect: result.dialect };
+};
+
+describe('streamFileRows', () => {
+	const expected = [
+		{ Region: 'East', Revenue: '100' },
+		{ Region: 'West', Revenue: '200' },
+	];
+
+	it('skips a title block with CR line breaks', async () => {
+		const { rows, dialect } = await readCsv([
+			'Sales report\rGenerated 2024-01-31\r\rRegion,Revenue\rEast,100\rWest,200\r',
+		]);
+		assert.equal(dialect.headerRow, 3);
+		assert.deepEqual(rows, expected);
+	});
+
+	it('counts a CRLF split across chunks as one line break', async () => {
+		const { rows } = await readCsv([
+			'Sales report\r',
+			'\nGenerated 2024-01-31\r\n\r\nRegion,Revenue\r\nEast,100\r\nWest,200\r\n',
+		]);
+		assert.deepEqual(rows, expected);
+	});
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	parseExpression,
+	getExpressionTitles,
+	getExpressionDateTitles,
+	evaluateExpression,
+} from '../utils/formulaEngine.js';
+
+const evaluate = (src, scope = {}) =>
+	evaluateExpression(parseExpression(src), scope);
+
+describe('parseExpression', () => {
+	it('applies operator precedence and right-associative powers', () => {
+		assert.equal(evaluate('1 + 2 * 3'), 7);
+		assert.equal(evaluate('(1 + 2) * 3'), 9);
+		assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+		assert.equal(evaluate('-2 ^ 2'), -4);
+		assert.equal(evaluate('.5 + 1e2'), 100.5);
+	});
+
+	it('reads bare and bracketed titles', () => {
+		const ast = parseExpression('(Revenue - [Cost of Sales]) / Revenue');
+		assert.deepEqual(getExpressionTitles(ast), ['Revenue', 'Cost of Sales']);
+	});
+
+	it('rejects invalid expressions with ERR_FORMULA_SYNTAX', () => {
+		for (const src of ['', '1 +', '(1', 'a $ b', '[Open', '[ ]', 'foo(1)']) {
+			assert.throws(
+				() => parseExpression(src),
+				(e) => e.statusCode === 400 && /^ERR_FORMULA_SYNTAX/.test(e.message),
+				src
+			);
+		}
+	});
+
+	it('checks the number of function arguments', () => {
+		assert.throws(() => parseExpression('round()'), /ERR_FORMULA_SYNTAX/);
+		assert.throws(() => parseExpression('if(1, 2)'), /ERR_FORMULA_SYNTAX/);
+	});
+
+	it('only accepts titles as arguments of days()', () => {
+		assert.throws(() => parseExpression('days(1, 2)'), /ERR_FORMULA_SYNTAX/);
+	});
+});
+
+describe('evaluateExpression', () => {
+	it('evaluates functions and comparisons', () => {
+		assert.equal(evaluate('round(2 / 3, 2)'), 0.67);
+		assert.equal(evaluate('abs(-4) + min(3, 1, 2) + max(1, 5)'), 10);
+		assert.equal(evaluate('if(A > 1, 10, 20)', { A: 2 }), 10);
+		assert.equal(evaluate('A == 2', { A: 2 }), 1);
+	});
+
+	it('does not evaluate the branch if() does not take', () => {
+		assert.equal(evaluate('if(B == 0, 0, A / B)', { A: 1, B: 0 }), 0);
+	});
+
+	it('fails on missing, non-numeric and non-finite values', () => {
+		assert.throws(() => evaluate('A + 1'), /Missing value for 'A'/);
+		assert.throws(() => evaluate('A + 1', { A: 'x' }), /not numeric/);
+		assert.throws(() => evaluate('1 / 0'), /Division by zero/);
+		assert.throws(() => evaluate('10 ^ 400'), /not a finite number/);
+	});
+
+	it('counts days between date titles', () => {
+		const ast = parseExpression('days(Due, Issued) + Amount');
+		assert.deepEqual(getExpressionDateTitles(ast), ['Due', 'Issued']);
+		assert.equal(
+			evaluateExpression(ast, {
+				Due: new Date('2024-02-01T00:00:00Z'),
+				Issued: new Date('2024-01-01T00:00:00Z'),
+				Amount: 3,
+			}),
+			34
+		);
+	});
+});
@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	validateJoin,
+	createLookupTable,
+	createJoinRunner,
+} from '../utils/joins.js';
+
+const join = (extra = {}) =>
+	validateJoin({
+		n: 'Product groups',
+		l: 'sales.csv',
+		lk: 'Code',
+		r: 'groups.csv',
+		rk: 'Product',
+		cols: ['Group'],
+		...extra,
+	});
+
+const lookup = (j, rows) => {
+	const table = createLookupTable(j);
+	table.add(rows);
+	return { join: j, table };
+};
+
+const groups = [
+	{ Product: 'P-100', Group: 'Tools' },
+	{ Product: 'p-200 ', Group: 'Paint' },
+	{ Product: 'P-100', Group: 'Ignored' },
+	{ Product: '', Group: 'No key' },
+];
+
+describe('validateJoin', () => {
+	it('defaults to a left join without prefix', () => {
+		assert.deepEqual(join(), {
+			n: 'Product groups',
+			l: 'sales.csv',
+			lk: 'Code',
+			r: 'groups.csv',
+			rk: 'Product',
+			sh: null,
+			t: 'left',
+			cols: ['Group'],
+			px: '',
+		});
+	});
+
+	it('rejects invalid joins', () => {
+		for (const extra of [
+			{ t: 'outer' },
+			{ cols: [] },
+			{ cols: ['Group', 'Group'] },
+			{ r: 'sales.csv' },
+			{ n: ' ' },
+		]) {
+			assert.throws(
+				() => join(extra),
+				(e) => e.statusCode === 400 && /^ERR_INVALID_JOIN/.test(e.message)
+			);
+		}
+	});
+});
+
+describe('createLookupTable', () => {
+	it('keeps the first row of a key and counts the rest', () => {
+		const { table } = lookup(join(), groups);
+		assert.deepEqual(table.get('p-100'), ['Tools']);
+		assert.deepEqual(table.stats(), {
+			rows: 4,
+			keys: 2,
+			duplicates: 1,
+			noKey: 1,
+		});
+	});
+
+	it('fails when the lookup file lacks the key column', () => {
+		const { table } = lookup(join(), [{ Name: 'x' }]);
+		assert.throws(
+			() => table.stats(),
+			(e) => /^ERR_JOIN_SOURCE/.test(e.message)
+		);
+	});
+});
+
+describe('createJoinRunner', () => {
+	const sales = [
+		{ Code: 'P-100', Amount: 1 },
+		{ Code: 'P-200', Amount: 2 },
+		{ Code: 'P-300', Amount: 3 },
+	];
+
+	it('copies lookup columns by case-insensitive key in left joins', () => {
+		const runner = createJoinRunner([lookup(join({ px: 'g_' }), groups)]);
+		const { rows, rowNumbers } = runner.apply(sales);
+		assert.deepEqual(
+			rows.map((r) => r.g_Group),
+			['Tools', 'Paint', null]
+		);
+		assert.equal(rowNumbers, null);
+		assert.deepEqual(
+			runner
+				.report()
+				.joins.map(({ matched, unmatched }) => [matched, unmatched]),
+			[[2, 1]]
+		);
+	});
+
+	it('drops unmatched rows in inner joins and reports them', () => {
+		const runner = createJoinRunner([lookup(join({ t: 'inner' }), groups)]);
+		const { rows, rowNumbers } = runner.apply(sales, 10);
+		assert.equal(rows.length, 2);
+		assert.deepEqual(rowNumbers, [11, 12]);
+		assert.deepEqual(runner.report().unmatched, { total: 1, items: [13] });
+	});
+});
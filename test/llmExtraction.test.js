@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRowsReply, extractRows } from '../utils/llmExtraction.js';
+import { createLlmProvider, readLlmConfig } from '../utils/llmProvider.js';
+
+const offline = () =>
+	createLlmProvider(readLlmConfig({ LLM_PROVIDER: 'offline' }));
+
+// Provider replying with the given replies in turn
+const scripted = (replies) => {
+	const calls = [];
+	return {
+		calls,
+		async extract(messages) {
+			calls.push(messages);
+			const reply = replies[Math.min(calls.length, replies.length) - 1];
+			return typeof reply === 'string'
+				? { content: reply, finishReason: 'stop' }
+				: reply;
+		},
+	};
+};
+
+describe('parseRowsReply', () => {
+	it('reads rows from JSON in a code fence', () => {
+		assert.deepEqual(
+			parseRowsReply('```json\n{"rows": [{"Item": "A", "Amount": 1}]}\n```'),
+			{ rows: [{ Item: 'A', Amount: 1 }], errors: [], truncated: false }
+		);
+	});
+
+	it('reports schema errors', () => {
+		const result = parseRowsReply('{"rows": [{"Item": {"x": 1}}]}');
+		assert.equal(result.rows, null);
+		assert.ok(result.errors.length > 0);
+		assert.equal(result.truncated, false);
+	});
+
+	it('tells a reply cut off from one that is not JSON', () => {
+		assert.equal(parseRowsReply('{"rows": [{"Item": "A"').truncated, true);
+		assert.equal(parseRowsReply('Here are the rows').truncated, false);
+	});
+});
+
+describe('extractRows', () => {
+	it('extracts delimited text with the offline provider', async () => {
+		const text = 'Item;Amount\nPaper;1 200,50\nInk;30,00\n';
+		const result = await extractRows(text, { provider: offline() });
+		assert.deepEqual(result.columns, ['Item', 'Amount']);
+		assert.deepEqual(result.rows, [
+			{ Item: 'Paper', Amount: 1200.5 },
+			{ Item: 'Ink', Amount: 30 },
+		]);
+		assert.equal(result.failed, 0);
+	});
+
+	it('extracts "label: value" lines with the offline provider', async () => {
+		const result = await extractRows('Invoice: 2024-17\nTotal: 99.90\n', {
+			provider: offline(),
+		});
+		assert.deepEqual(result.rows, [{ Invoice: '2024-17', Total: 99.9 }]);
+	});
+
+	it('stitches chunks into rows with all columns', async () => {
+		const text = 'Item,Amount\nPaper,1\nInk,2\n';
+		const provider = scripted([
+			'{"rows": [{"Item": "Paper", "Amount": 1}]}',
+			'{"rows": [{"Item": "Ink", "Note": "late"}]}',
+		]);
+		const result = await extractRows(text, { provider, maxChunkChars: 20 });
+		assert.deepEqual(result.columns, ['Item', 'Amount', 'Note']);
+		assert.deepEqual(result.rows, [
+			{ Item: 'Paper', Amount: 1, Note: null },
+			{ Item: 'Ink', Amount: null, Note: 'late' },
+		]);
+		assert.equal(result.chunks.length, 2);
+	});
+
+	it('retries an invalid reply with the validation errors', async () => {
+		const provider = scripted(['not json', '{"rows": [{"Item": "A"}]}']);
+		const result = await extractRows('Item\nA\n', { provider });
+		assert.deepEqual(result.rows, [{ Item: 'A' }]);
+		assert.equal(result.chunks[0].attempts, 2);
+		assert.match(provider.calls[1].at(-1)[1], /does not match the schema/);
+	});
+
+	it('splits a chunk whose reply hit the token limit', async () => {
+		const provider = scripted([
+			{ content: '{"rows": [{"Item": "A"', finishReason: 'length' },
+			'{"rows": [{"Item": "A"}]}',
+		]);
+		const result = await extractRows('Item\nA\nB\nC\n', { provider });
+		assert.ok(result.chunks.length > 1);
+		assert.equal(result.failed, 0);
+	});
+
+	it('fails with ERR_LLM_EXTRACTION when no chunk could be read', async () => {
+		await assert.rejects(
+			extractRows('Item\nA\n', { provider: scripted(['nope']) }),
+			(e) => e.statusCode === 502 && /^ERR_LLM_EXTRACTION/.test(e.message)
+		);
+	});
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	parseLanguageList,
+	extractInvoiceFields,
+	REVIEW_CONFIDENCE,
+} from '../utils/ocr.js';
+
+const line = (text, confidence = 0.95) => ({ text, confidence });
+
+describe('parseLanguageList', () => {
+	it('reads lists and arrays of supported languages', () => {
+		assert.equal(parseLanguageList(''), undefined);
+		assert.deepEqual(parseLanguageList('CES, eng,ces'), ['ces', 'eng']);
+		assert.deepEqual(parseLanguageList(['slk']), ['slk']);
+	});
+
+	it('rejects other languages', () => {
+		assert.throws(
+			() => parseLanguageList('eng,deu'),
+			(e) => e.statusCode === 400 && /^ERR_INVALID_LANGUAGES/.test(e.message)
+		);
+	});
+});
+
+describe('extractInvoiceFields', () => {
+	it('reads labelled Czech invoice fields with their confidence', () => {
+		const { fields, review } = extractInvoiceFields([
+			line('Faktura č. 2024001'),
+			line('Dodavatel: ACME s.r.o.'),
+			line('Datum vystavení: 15.03.2024'),
+			line('Základ 1 404,96'),
+			line('DPH 21 % 295,04'),
+			line('Celkem k úhradě 1 700,00 Kč', 0.5),
+		]);
+		assert.deepEqual(
+			Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, f.value])),
+			{
+				supplier: 'ACME s.r.o.',
+				date: '2024-03-15',
+				total: 1700,
+				vat: 295.04,
+				currency: 'CZK',
+			}
+		);
+		assert.ok(fields.total.confidence < REVIEW_CONFIDENCE);
+		assert.equal(fields.total.review, true);
+		assert.equal(fields.date.review, false);
+		assert.equal(review, 2);
+	});
+
+	it('reads line items below an item header', () => {
+		const { items } = extractInvoiceFields([
+			line('Description Qty Amount'),
+			line('Printer paper 2 12.50'),
+			line('Toner 1 89.90'),
+			line('Total 102.40'),
+		]);
+		assert.deepEqual(
+			items.map(({ description, quantity, amount }) => [
+				description,
+				quantity,
+				amount,
+			]),
+			[
+				['Printer paper', 2, 12.5],
+				['Toner', 1, 89.9],
+			]
+		);
+	});
+});
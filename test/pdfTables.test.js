@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePageList, parsePdfTables } from '../utils/pdfTables.js';
+
+// Minimal PDF with one 10pt Helvetica text item per [x, y, text] of a page
+function makePdf(pages) {
+	const objects = [
+		'<< /Type /Catalog /Pages 2 0 R >>',
+		null,
+		'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+	];
+	const kids = [];
+	pages.forEach((items) => {
+		const stream = items
+			.map(([x, y, text]) => `BT /F1 10 Tf ${x} ${y} Td (${text}) Tj ET`)
+			.join('\n');
+		objects.push(
+			`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+		);
+		objects.push(
+			'<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] ' +
+				`/Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`
+		);
+		kids.push(`${objects.length} 0 R`);
+	});
+	objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${
+		kids.length
+	} >>`;
+
+	let pdf = '%PDF-1.4\n';
+	const offsets = objects.map((body, i) => {
+		const offset = pdf.length;
+		pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+		return offset;
+	});
+	const xref = pdf.length;
+	pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+	offsets.forEach((offset) => {
+		pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+	});
+	pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n`;
+	pdf += `startxref\n${xref}\n%%EOF\n`;
+	return Buffer.from(pdf, 'latin1');
+}
+
+// Text items of a table whose columns are 120pt apart, rows 14pt apart
+const table = (top, rows) =>
+	rows.flatMap((cells, r) =>
+		cells.map((text, c) => [72 + c * 120, top - r * 14, text])
+	);
+
+const report = makePdf([
+	[
+		[72, 740, 'Quarterly report'],
+		...table(700, [
+			['Region', 'Revenue', 'Cost'],
+			['North East', '1200', '800'],
+			['South', '900', '700'],
+			['Total', '2100', '1500'],
+		]),
+		...table(500, [
+			['Month', 'Units'],
+			['Jan', '10'],
+			['Feb', '12'],
+		]),
+	],
+	[[72, 740, 'Notes only']],
+]);
+
+const rejects = (promise, code) =>
+	assert.rejects(
+		promise,
+		(e) => e.statusCode === 400 && e.message.startsWith(code)
+	);
+
+describe('parsePageList', () => {
+	it('expands pages and ranges in order', () => {
+		assert.deepEqual(parsePageList('5, 1,3-4'), [1, 3, 4, 5]);
+		assert.deepEqual(parsePageList(['2', '2-3']), [2, 3]);
+	});
+
+	it('returns undefined when nothing is selected', () => {
+		assert.equal(parsePageList(undefined), undefined);
+		assert.equal(parsePageList(''), undefined);
+	});
+
+	it('rejects malformed pages', () => {
+		['0', '3-1', 'a', '1-'].forEach((value) =>
+			assert.throws(
+				() => parsePageList(value),
+				(e) => e.statusCode === 400 && e.message.startsWith('ERR_INVALID_PAGES')
+			)
+		);
+	});
+});
+
+describe('parsePdfTables', () => {
+	it('finds the tables of each page and skips total rows', async () => {
+		const result = await parsePdfTables(report);
+		assert.equal(result.pages, 2);
+		assert.deepEqual(result.sheetNames, ['Page 1 Table 1', 'Page 1 Table 2']);
+		const [sales, units] = result.sheets;
+		assert.deepEqual(sales.rows, [
+			{ Region: 'North East', Revenue: '1200', Cost: '800' },
+			{ Region: 'South', Revenue: '900', Cost: '700' },
+		]);
+		assert.deepEqual(sales.layout.skippedRows, {
+			total: 1,
+			items: [{ row: 4, label: 'Total' }],
+		});
+		assert.deepEqual(units.rows, [
+			{ Month: 'Jan', Units: '10' },
+			{ Month: 'Feb', Units: '12' },
+		]);
+	});
+
+	it('returns the text of the selected pages line by line', async () => {
+		const result = await parsePdfTables(report, { pages: '2' });
+		assert.deepEqual(result.sheetNames, []);
+		assert.equal(result.text, 'Notes only');
+		assert.match(
+			(await parsePdfTables(report)).text,
+			/^Quarterly report\nRegion Revenue Cost\nNorth East 1200 800\n/
+		);
+	});
+
+	it('returns only the requested tables', async () => {
+		const result = await parsePdfTables(report, { tables: 'Page 1 Table 2' });
+		assert.equal(result.sheetNames.length, 2);
+		assert.deepEqual(
+			result.sheets.map((t) => t.name),
+			['Page 1 Table 2']
+		);
+	});
+
+	it('rejects missing pages and tables', async () => {
+		await rejects(parsePdfTables(report, { pages: '3' }), 'ERR_INVALID_PAGES');
+		await rejects(
+			parsePdfTables(report, { tables: 'Page 2 Table 1' }),
+			'ERR_UNKNOWN_SHEET'
+		);
+	});
+
+	it('rejects files that are not PDFs', async () => {
+		await rejects(
+			parsePdfTables(Buffer.from('Region,Revenue\nNorth,1200\n')),
+			'Failed to parse file'
+		);
+	});
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	parsePeriodHeader,
+	parseUnpivotOption,
+	detectPeriodColumns,
+} from '../utils/periods.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('parsePeriodHeader', () => {
+	it('reads months in their common spellings', () => {
+		const cases = {
+			Jan: '2023-01-01',
+			'January 2024': '2024-01-01',
+			'Jan-24': '2024-01-01',
+			'2024-03': '2024-03-01',
+			'03/2024': '2024-03-01',
+			Leden: '2023-01-01',
+			'máj 2024': '2024-05-01',
+			'Sept.': '2023-09-01',
+		};
+		Object.entries(cases).forEach(([header, iso]) =>
+			assert.deepEqual(parsePeriodHeader(header, 2023), day(iso), header)
+		);
+	});
+
+	it('reads quarters, years and dates', () => {
+		assert.deepEqual(parsePeriodHeader('Q2', 2023), day('2023-04-01'));
+		assert.deepEqual(parsePeriodHeader('2024 Q4', 2023), day('2024-10-01'));
+		assert.deepEqual(parsePeriodHeader('2022', 2023), day('2022-01-01'));
+		assert.deepEqual(parsePeriodHeader('2024-02-29', 2023), day('2024-02-29'));
+	});
+
+	it('keeps reading headers mangled into keys', () => {
+		assert.deepEqual(parsePeriodHeader('_2024-01', 2023), day('2024-01-01'));
+		assert.deepEqual(parsePeriodHeader('Jan_2024', 2023), day('2024-01-01'));
+	});
+
+	it('returns null for other headers', () => {
+		for (const header of ['Revenue', '2024-13', '13/2024', '2023-02-30', 7]) {
+			assert.equal(parsePeriodHeader(header, 2023), null, String(header));
+		}
+	});
+});
+
+describe('parseUnpivotOption', () => {
+	it('normalizes request values', () => {
+		assert.equal(parseUnpivotOption(undefined), 'auto');
+		assert.equal(parseUnpivotOption('true'), true);
+		assert.equal(parseUnpivotOption(false), false);
+		assert.deepEqual(parseUnpivotOption('["Jan", "Feb"]'), ['Jan', 'Feb']);
+		assert.deepEqual(parseUnpivotOption('Jan, Feb'), ['Jan', 'Feb']);
+	});
+
+	it('rejects other values', () => {
+		assert.throws(() => parseUnpivotOption('{"a":1}'), /ERR_INVALID_UNPIVOT/);
+	});
+});
+
+describe('detectPeriodColumns', () => {
+	const schema = [
+		{ k: 'Region', t: 'string' },
+		{ k: 'Jan', t: 'number' },
+		{ k: 'Feb', t: 'number' },
+		{ k: 'Mar', t: 'currency' },
+		{ k: 'Apr', t: 'string' },
+	];
+
+	it('unpivots three or more numeric period columns in auto mode', () => {
+		assert.deepEqual(detectPeriodColumns(schema, { year: 2024 }), [
+			{ k: 'Jan', d: day('2024-01-01') },
+			{ k: 'Feb', d: day('2024-02-01') },
+			{ k: 'Mar', d: day('2024-03-01') },
+		]);
+		assert.deepEqual(
+			detectPeriodColumns(schema, { year: 2024, exclude: ['Mar'] }),
+			[]
+		);
+	});
+
+	it('requires listed columns to be periods', () => {
+		assert.deepEqual(
+			detectPeriodColumns(schema, { unpivot: ['Apr'], year: 2024 }),
+			[{ k: 'Apr', d: day('2024-04-01') }]
+		);
+		assert.throws(
+			() => detectPeriodColumns(schema, { unpivot: ['Region'] }),
+			/ERR_INVALID_UNPIVOT/
+		);
+	});
+
+	it('rejects an invalid year', () => {
+		assert.throws(
+			() => detectPeriodColumns(schema, { year: 'soon' }),
+			/ERR_INVALID_UNPIVOT/
+		);
+	});
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	tagUploadSource,
+	selectSourceData,
+	removeSourceData,
+	summarizeSources,
+} from '../utils/provenance.js';
+
+const uploadedAt = new Date('2024-03-01T12:00:00Z');
+const node = (t, v, d, extra = {}) => ({ t, v, d: new Date(d), ...extra });
+
+// Category A holds values of uploads f1 and f2 and a legacy value of old.csv
+const data = () => [
+	{
+		cat: 'A',
+		data: [
+			{
+				i: 'a1',
+				s: 'new.csv',
+				d: [
+					node('Revenue', 1, '2024-01-01', { f: 'f1', r: 2 }),
+					node('Revenue', 2, '2024-02-01', { f: 'f2', r: 5 }),
+				],
+			},
+			{ i: 'a2', s: 'old.csv', d: [node('Revenue', 3, '2023-12-01')] },
+		],
+	},
+	{
+		cat: 'B',
+		data: [{ i: 'b1', d: [node('Units', 4, '2024-01-15', { f: 'f1', r: 3 })] }],
+	},
+];
+
+describe('tagUploadSource', () => {
+	it('records the file on entries and the upload on values', () => {
+		const [category] = tagUploadSource(
+			[
+				{
+					cat: 'A',
+					data: [{ i: 'a1', d: [node('Revenue', 1, '2024-01-01')] }],
+				},
+			],
+			{ fileId: 42, fileName: 'sales.csv', uploadedAt }
+		);
+		assert.equal(category.data[0].s, 'sales.csv');
+		assert.equal(category.data[0].d[0].f, '42');
+		assert.equal(category.data[0].d[0].u, uploadedAt);
+	});
+});
+
+describe('selectSourceData', () => {
+	it('keeps only the values of the given uploads', () => {
+		const { data: selected, values } = selectSourceData(data(), {
+			fileIds: ['f1'],
+		});
+		assert.equal(values, 2);
+		assert.deepEqual(
+			selected.map((c) => [c.cat, c.data.map((e) => e.d.map((n) => n.v))]),
+			[
+				['A', [[1]]],
+				['B', [[4]]],
+			]
+		);
+	});
+
+	it('matches values stored without an upload id by file name', () => {
+		const { values } = selectSourceData(data(), {
+			fileIds: [],
+			fileName: 'old.csv',
+		});
+		assert.equal(values, 1);
+	});
+});
+
+describe('removeSourceData', () => {
+	it('removes the values of an upload and drops empty categories', () => {
+		const original = data();
+		const { data: rest, values } = removeSourceData(original, {
+			fileIds: ['f1'],
+		});
+		assert.equal(values, 2);
+		assert.deepEqual(
+			rest.map((c) => [c.cat, c.data.map((e) => e.d.map((n) => n.v))]),
+			[['A', [[2], [3]]]]
+		);
+		// The input is left as it was
+		assert.equal(original[0].data[0].d.length, 2);
+	});
+});
+
+describe('summarizeSources', () => {
+	it('counts what each upload contributed', () => {
+		const { sources, unattributed } = summarizeSources(data());
+		assert.equal(unattributed, 1);
+		assert.deepEqual(sources.get('f1'), {
+			categories: 2,
+			entries: 2,
+			values: 2,
+			rows: { first: 2, last: 3 },
+			dates: {
+				from: new Date('2024-01-01'),
+				to: new Date('2024-01-15'),
+			},
+			uploadedAt: null,
+		});
+		assert.equal(sources.get('f2').values, 1);
+	});
+});
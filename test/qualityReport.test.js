@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	createQualityProfile,
+	summarizeQuality,
+} from '../utils/qualityReport.js';
+
+const columnSchema = [
+	{ k: 'Region', t: 'category' },
+	{ k: 'Month', t: 'date' },
+	{ k: 'Revenue', t: 'number' },
+	{ k: 'Note', t: 'ignore' },
+];
+const rows = [
+	{ Region: 'North', Month: '2024-01', Revenue: 10 },
+	{ Region: 'North', Month: '2024-01', Revenue: '' },
+	{ Region: 'South', Month: '2024-01', Revenue: 'n/a' },
+	{ Region: ' ', Month: '2024-02', Revenue: 12 },
+	{ Region: 'North', Month: '2024-01', Revenue: 11 },
+];
+
+// Dashboard data with one value per row, the last one far off the others
+const revenueData = (values) => [
+	{
+		cat: 'All',
+		data: [
+			{
+				i: 'a',
+				d: values.map((v, idx) => ({ t: 'Revenue', v, r: idx + 1 })),
+			},
+		],
+	},
+];
+
+describe('createQualityProfile', () => {
+	it('counts missing and invalid values of the profiled columns', () => {
+		const profile = createQualityProfile({ columnSchema, dateColumn: 'Month' });
+		profile.add(rows, { invalid: { Revenue: 1, Unknown: 3 } });
+		const report = profile.finish();
+		assert.equal(report.rows, 5);
+		assert.deepEqual(report.columns, [
+			{ k: 'Region', t: 'category', missing: 1, invalid: 0 },
+			{ k: 'Month', t: 'date', missing: 0, invalid: 0 },
+			{ k: 'Revenue', t: 'number', missing: 1, invalid: 1 },
+		]);
+	});
+
+	it('reports categories repeated on a date with their rows', () => {
+		const profile = createQualityProfile({ columnSchema, dateColumn: 'Month' });
+		profile.add(rows.slice(0, 3));
+		profile.add(rows.slice(3), {}, 3);
+		const { duplicates } = profile.finish();
+		assert.deepEqual(duplicates, {
+			columns: ['Region', 'Month'],
+			total: 2,
+			truncated: false,
+			items: [{ value: 'North | 2024-01', count: 3, rows: [1, 2, 5] }],
+		});
+	});
+
+	it('checks a key column for unique values', () => {
+		const profile = createQualityProfile({
+			columnSchema: [...columnSchema, { k: 'Id', t: 'text' }],
+			keyColumn: 'Id',
+		});
+		profile.add([{ Id: 'A' }, { Id: 'B' }, { Id: 'A' }], {}, 0, [4, 7, 9]);
+		const { duplicates } = profile.finish();
+		assert.deepEqual(duplicates.columns, ['Id']);
+		assert.deepEqual(duplicates.items, [
+			{ value: 'A', count: 2, rows: [4, 9] },
+		]);
+	});
+
+	it('counts skipped rows by reason, including unlisted ones', () => {
+		const profile = createQualityProfile({ columnSchema });
+		profile.add(rows, { skipped: [{ row: 3, reason: 'invalid date' }] });
+		const { skipped } = profile.finish(
+			[],
+			{ skippedRows: { total: 1, items: [{ row: 9, label: 'Total' }] } },
+			[{ reason: 'recipe filter', total: 4, items: [2, 4] }]
+		);
+		assert.equal(skipped.total, 6);
+		assert.deepEqual(skipped.reasons, {
+			'invalid date': 1,
+			'total row': 1,
+			'recipe filter': 4,
+		});
+		assert.deepEqual(skipped.items, [
+			{ row: 3, reason: 'invalid date' },
+			{ sheetRow: 9, reason: 'total row', label: 'Total' },
+			{ row: 2, reason: 'recipe filter' },
+			{ row: 4, reason: 'recipe filter' },
+		]);
+	});
+
+	it('finds numeric outliers outside the interquartile fences', () => {
+		const profile = createQualityProfile({ columnSchema });
+		const { outliers } = profile.finish(
+			revenueData([10, 11, 12, 13, 14, 15, 16, 100])
+		);
+		assert.equal(outliers.length, 1);
+		assert.equal(outliers[0].k, 'Revenue');
+		assert.equal(outliers[0].total, 1);
+		assert.deepEqual(outliers[0].items, [{ row: 8, cat: 'All', v: 100 }]);
+	});
+
+	it('does not look for outliers in short or constant columns', () => {
+		const profile = createQualityProfile({ columnSchema });
+		assert.deepEqual(profile.finish(revenueData([1, 2, 3, 1000])).outliers, []);
+		assert.deepEqual(
+			profile.finish(revenueData([5, 5, 5, 5, 5, 5, 5, 5, 500])).outliers,
+			[]
+		);
+	});
+});
+
+describe('summarizeQuality', () => {
+	it('totals the sheet reports and counts failed sheets', () => {
+		const profile = createQualityProfile({ columnSchema, dateColumn: 'Month' });
+		profile.add(rows, {
+			invalid: { Revenue: 1 },
+			skipped: [{ row: 6, reason: 'empty' }],
+		});
+		const sheet = profile.finish(
+			revenueData([10, 11, 12, 13, 14, 15, 16, 100])
+		);
+		assert.deepEqual(summarizeQuality([sheet, sheet, { error: 'Bad' }]), {
+			rows: 10,
+			missing: 4,
+			invalid: 2,
+			skipped: 2,
+			duplicates: 4,
+			outliers: 2,
+			failedSheets: 1,
+		});
+	});
+});
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRecipe, createRecipeRunner } from '../utils/recipe.js';
+
+const rejects = (steps, code = 'ERR_INVALID_RECIPE') =>
+	assert.throws(
+		() => validateRecipe(steps),
+		(e) => e.statusCode === 400 && e.message.startsWith(code)
+	);
+const run = (steps, rows, rowOffset) =>
+	createRecipeRunner(steps).apply(rows, rowOffset);
+
+describe('validateRecipe', () => {
+	it('keeps only the known fields of each step', () => {
+		assert.deepEqual(
+			validateRecipe([
+				{ op: 'rename', c: ' Amt ', to: 'Amount', x: 'ignored' },
+				{ op: 'filter', c: 'Amount', cmp: 'empty', v: 3 },
+				{ op: 'split', c: 'Name', sep: ' ', into: ['First', 'Last'] },
+				{ op: 'derive', c: 'Net', x: ' Amount - Tax ' },
+			]),
+			[
+				{ op: 'rename', c: 'Amt', to: 'Amount' },
+				{ op: 'filter', c: 'Amount', cmp: 'empty' },
+				{
+					op: 'split',
+					c: 'Name',
+					sep: ' ',
+					into: ['First', 'Last'],
+					keep: false,
+				},
+				{ op: 'derive', c: 'Net', x: 'Amount - Tax' },
+			]
+		);
+	});
+
+	it('rejects invalid steps with their step number', () => {
+		assert.throws(
+			() =>
+				validateRecipe([
+					{ op: 'drop', c: 'A' },
+					{ op: 'merge', c: 'B' },
+				]),
+			/Step 2: op must be one of/
+		);
+		rejects('rename');
+		rejects([{ op: 'drop', c: '' }]);
+		rejects([{ op: 'filter', c: 'A', cmp: 'like', v: 'x' }]);
+		rejects([{ op: 'filter', c: 'A', cmp: 'eq' }]);
+		rejects([{ op: 'split', c: 'A', sep: '', into: ['B'] }]);
+		rejects([{ op: 'split', c: 'A', sep: '-', into: ['B', 'B'] }]);
+		rejects([{ op: 'cast', c: 'A', t: 'boolean' }]);
+		rejects([{ op: 'cast', c: 'A', t: 'number', dec: ';' }]);
+		rejects([{ op: 'derive', c: 'A', x: 'B +' }]);
+	});
+
+	it('limits the number of steps', () => {
+		rejects(Array.from({ length: 51 }, () => ({ op: 'drop', c: 'A' })));
+	});
+});
+
+describe('createRecipeRunner', () => {
+	it('returns rows unchanged without steps', () => {
+		const rows = [{ A: 1 }];
+		const result = run([], rows);
+		assert.equal(result.rows, rows);
+		assert.equal(result.rowNumbers, null);
+	});
+
+	it('renames, drops and splits columns without changing the input', () => {
+		const input = [{ Name: 'Ada Lovelace King', Tmp: 1, Amt: 5 }];
+		const { rows, rowNumbers } = run(
+			[
+				{ op: 'rename', c: 'Amt', to: 'Amount' },
+				{ op: 'drop', c: 'Tmp' },
+				{ op: 'split', c: 'Name', sep: ' ', into: ['First', 'Last'] },
+			],
+			input
+		);
+		assert.deepEqual(rows, [
+			{ Amount: 5, First: 'Ada', Last: 'Lovelace King' },
+		]);
+		assert.equal(rowNumbers, null);
+		assert.deepEqual(input, [{ Name: 'Ada Lovelace King', Tmp: 1, Amt: 5 }]);
+	});
+
+	it('filters rows and reports their sheet row numbers', () => {
+		const runner = createRecipeRunner([
+			{ op: 'filter', c: 'Amount', cmp: 'gte', v: 10 },
+		]);
+		const first = runner.apply([{ Amount: '9' }, { Amount: '1,200' }]);
+		const second = runner.apply(
+			[{ Amount: 10 }, { Amount: 2 }, { Other: 1 }],
+			2
+		);
+		assert.deepEqual(first.rows, [{ Amount: '1,200' }]);
+		assert.deepEqual(first.rowNumbers, [2]);
+		// Rows without the column are kept
+		assert.deepEqual(second.rowNumbers, [3, 5]);
+		assert.deepEqual(runner.report(), {
+			steps: [{ op: 'filter', c: 'Amount', changed: 2, failed: 0 }],
+			filtered: { total: 2, items: [1, 4] },
+		});
+	});
+
+	it('compares text case-insensitively', () => {
+		const rows = [{ R: 'North' }, { R: 'south' }, { R: '' }];
+		const kept = (cmp, v) =>
+			run([{ op: 'filter', c: 'R', cmp, v }], rows).rows.map((r) => r.R);
+		assert.deepEqual(kept('eq', 'NORTH'), ['North']);
+		assert.deepEqual(kept('contains', 'OUT'), ['south']);
+		assert.deepEqual(kept('notEmpty'), ['North', 'south']);
+		assert.deepEqual(kept('lt', 'o'), ['North', '']);
+	});
+
+	it('casts values and counts those that do not convert', () => {
+		const runner = createRecipeRunner([
+			{ op: 'cast', c: 'Amount', t: 'number', dec: ',' },
+			{ op: 'cast', c: 'Day', t: 'date', fmt: 'dd.MM.yyyy' },
+		]);
+		const { rows } = runner.apply([
+			{ Amount: '1.234,5', Day: '31.01.2024' },
+			{ Amount: 'n/a', Day: '' },
+		]);
+		assert.equal(rows[0].Amount, 1234.5);
+		assert.equal(rows[0].Day, '2024-01-31');
+		assert.equal(rows[1].Amount, null);
+		assert.equal(rows[1].Day, '');
+		assert.deepEqual(
+			runner.report().steps.map(({ changed, failed }) => [changed, failed]),
+			[
+				[1, 1],
+				[1, 0],
+			]
+		);
+	});
+
+	it('derives a column from a formula over the row', () => {
+		const runner = createRecipeRunner([
+			{ op: 'derive', c: 'Net', x: 'Amount - Tax' },
+		]);
+		const { rows } = runner.apply([{ Amount: '100', Tax: 21 }, { Amount: 50 }]);
+		assert.equal(rows[0].Net, 79);
+		assert.equal(rows[1].Net, null);
+		assert.deepEqual(runner.report().steps, [
+			{ op: 'derive', c: 'Net', changed: 1, failed: 1 },
+		]);
+	});
+});
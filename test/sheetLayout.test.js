@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	totalRowLabel,
+	detectHeader,
+	flattenHeader,
+	extractTable,
+	createTableReader,
+} from '../utils/sheetLayout.js';
+
+describe('totalRowLabel', () => {
+	it('matches labels that are only a total marker', () => {
+		assert.equal(totalRowLabel(['Total', 150]), 'Total');
+		assert.equal(totalRowLabel(['', ' Grand total: ', 1, 2]), 'Grand total:');
+		assert.equal(totalRowLabel(['Subtotal', '1,200.50']), 'Subtotal');
+		assert.equal(totalRowLabel(['Celkem', 10, 20]), 'Celkem');
+	});
+
+	it('leaves labels that merely start with a marker', () => {
+		assert.equal(totalRowLabel(['Total Quality Mgmt', 150]), null);
+		assert.equal(totalRowLabel(['Summary', 1]), null);
+		assert.equal(totalRowLabel(['Celkem za rok', 1]), null);
+	});
+
+	it('requires the rest of the row to be empty or mostly numbers', () => {
+		assert.equal(totalRowLabel(['Total', 'Sales', 100]), null);
+		assert.equal(totalRowLabel(['Subtotal', 'East', 1, 2, 3]), 'Subtotal');
+		assert.equal(totalRowLabel(['Total', '2024', 100]), 'Total');
+		assert.equal(totalRowLabel(['Total']), 'Total');
+	});
+});
+
+describe('detectHeader', () => {
+	it('finds the header below a title block', () => {
+		const grid = [
+			['Quarterly sales'],
+			['Exported 2024-04-01'],
+			[],
+			['Region', 'Product', 'Revenue'],
+			['East', 'A', 100],
+		];
+		assert.deepEqual(detectHeader(grid), { start: 3, end: 3 });
+	});
+
+	it('includes parent rows of a multi-row header', () => {
+		const grid = [
+			['', '2023', '', '2024', ''],
+			['Region', 'Q1', 'Q2', 'Q1', 'Q2'],
+			['East', 1, 2, 3, 4],
+		];
+		assert.deepEqual(detectHeader(grid), { start: 0, end: 1 });
+	});
+
+	it('falls back to the first filled row without a label row', () => {
+		assert.deepEqual(detectHeader([[], [1, 2], [3, 4]]), { start: 1, end: 1 });
+	});
+});
+
+describe('flattenHeader', () => {
+	it('repeats a parent label over its group when cells are not merged', () => {
+		assert.deepEqual(
+			flattenHeader([
+				['', '2023', '', '2024', ''],
+				['Region', 'Q1', 'Q2', 'Q1', 'Q2'],
+			]),
+			['Region', '2023 / Q1', '2023 / Q2', '2024 / Q1', '2024 / Q2']
+		);
+	});
+});
+
+describe('extractTable', () => {
+	it('expands merged header cells and names duplicate columns', () => {
+		const grid = [
+			['Sales', null, 'Costs', null],
+			['Jan', 'Feb', 'Jan', 'Jan'],
+			[1, 2, 3, 4],
+		];
+		const merges = [
+			{ s: { r: 0, c: 0 }, e: { r: 0, c: 1 } },
+			{ s: { r: 0, c: 2 }, e: { r: 0, c: 3 } },
+		];
+		const { rows, layout } = extractTable(grid, { merges });
+		assert.deepEqual(rows, [
+			{
+				'Sales / Jan': 1,
+				'Sales / Feb': 2,
+				'Costs / Jan': 3,
+				'Costs / Jan_1': 4,
+			},
+		]);
+		assert.equal(layout.headerRow, 2);
+		assert.equal(layout.headerRows, 2);
+		assert.equal(layout.mergedCells, 2);
+	});
+
+	it('skips blank and total rows and reports the total rows', () => {
+		const grid = [
+			['Region', 'Revenue'],
+			['East', 100],
+			[],
+			['West', 50],
+			['Total Quality Mgmt', 25],
+			['Total', 175],
+		];
+		const { rows, layout } = extractTable(grid);
+		assert.deepEqual(rows, [
+			{ Region: 'East', Revenue: 100 },
+			{ Region: 'West', Revenue: 50 },
+			{ Region: 'Total Quality Mgmt', Revenue: 25 },
+		]);
+		assert.deepEqual(layout.skippedRows, {
+			total: 1,
+			items: [{ row: 6, label: 'Total' }],
+		});
+	});
+});
+
+describe('createTableReader', () => {
+	it('reads streamed rows like extractTable', () => {
+		const reader = createTableReader();
+		const rows = [];
+		[['Title'], [], ['Name', 'Amount'], ['a', 1], ['b', 2]].forEach(
+			(values, r) => reader.add(values, r + 1).forEach((row) => rows.push(row))
+		);
+		const rest = reader.finish();
+		rest.rows.forEach((row) => rows.push(row));
+		assert.deepEqual(rows, [
+			{ Name: 'a', Amount: 1 },
+			{ Name: 'b', Amount: 2 },
+		]);
+		assert.equal(rest.layout.headerRow, 3);
+	});
+});
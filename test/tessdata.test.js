@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { unpackTessdata } from '../scripts/tessdata.js';
+
+describe('unpackTessdata', () => {
+	it('unpacks installed languages and skips missing packages', () => {
+		const target = fs.mkdtempSync(path.join(os.tmpdir(), 'tessdata-'));
+		try {
+			const result = unpackTessdata(
+				['express', '@tesseract.js-data/eng', '@tesseract.js-data/xyz'],
+				target
+			);
+			assert.deepEqual(result, { unpacked: ['eng'], skipped: ['xyz'] });
+			assert.deepEqual(fs.readdirSync(target), ['eng.traineddata']);
+			assert.ok(fs.statSync(path.join(target, 'eng.traineddata')).size > 0);
+		} finally {
+			fs.rmSync(target, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBucket, aggregateTimeSeries } from '../utils/timeSeries.js';
+
+const day = (s) => new Date(`${s}T00:00:00Z`);
+const category = (cat, values) => ({
+	cat,
+	data: [
+		{
+			i: `${cat}-Revenue`,
+			d: values.map(([d, v]) => ({ t: 'Revenue', v, d: day(d) })),
+		},
+		{ i: `${cat}-Cost`, d: [{ t: 'Cost', v: 1, d: day('2024-01-01') }] },
+	],
+});
+
+describe('getBucket', () => {
+	it('labels days, months and quarters', () => {
+		const date = new Date('2024-05-17T15:30:00Z');
+		assert.deepEqual(getBucket(date, 'day'), {
+			start: day('2024-05-17'),
+			label: '2024-05-17',
+		});
+		assert.equal(getBucket(date, 'month').label, '2024-05');
+		assert.deepEqual(getBucket(date, 'quarter'), {
+			start: day('2024-04-01'),
+			label: '2024-Q2',
+		});
+	});
+
+	it('uses ISO weeks starting on Monday', () => {
+		// Sunday 2023-01-01 belongs to the last week of 2022
+		assert.deepEqual(getBucket(day('2023-01-01'), 'week'), {
+			start: day('2022-12-26'),
+			label: '2022-W52',
+		});
+		assert.equal(getBucket(day('2024-12-30'), 'week').label, '2025-W01');
+	});
+
+	it('rejects unknown bucket sizes', () => {
+		assert.throws(() => getBucket(day('2024-01-01'), 'year'));
+	});
+});
+
+describe('aggregateTimeSeries', () => {
+	const data = [
+		category('East', [
+			['2024-01-05', 10],
+			['2024-01-20', '30'],
+			['2024-02-03', 5],
+		]),
+		category('West', [['2024-03-31', 7]]),
+	];
+	const values = (result) =>
+		result.series.map((s) => [s.cat, s.points.map((p) => [p.l, p.v])]);
+
+	it('rolls values up per category and bucket', () => {
+		const result = aggregateTimeSeries(data, 'Revenue', 'month', 'sum');
+		assert.deepEqual(
+			result.buckets.map((b) => b.l),
+			['2024-01', '2024-02', '2024-03']
+		);
+		assert.deepEqual(values(result), [
+			[
+				'East',
+				[
+					['2024-01', 40],
+					['2024-02', 5],
+				],
+			],
+			['West', [['2024-03', 7]]],
+		]);
+		assert.equal(result.series[0].points[0].n, 2);
+	});
+
+	it('supports avg, min, max, count and last', () => {
+		const january = (agg) =>
+			aggregateTimeSeries(data, 'Revenue', 'quarter', agg).series[0].points[0]
+				.v;
+		assert.equal(january('avg'), 15);
+		assert.equal(january('min'), 5);
+		assert.equal(january('max'), 30);
+		assert.equal(january('count'), 3);
+		assert.equal(january('last'), 5);
+	});
+
+	it('keeps values inside the date range', () => {
+		const result = aggregateTimeSeries(data, 'Revenue', 'month', 'sum', {
+			from: day('2024-01-10'),
+			to: new Date('2024-02-29T23:59:59.999Z'),
+		});
+		assert.deepEqual(values(result), [
+			[
+				'East',
+				[
+					['2024-01', 30],
+					['2024-02', 5],
+				],
+			],
+		]);
+	});
+});
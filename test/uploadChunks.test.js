@@ -0,0 +1,192 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	MAX_CHUNK_SIZE,
+	sha256,
+	checkSessionParams,
+	checkChunk,
+	chunkProgress,
+	checkChecksumParam,
+	checkAssembled,
+} from '../utils/uploadChunks.js';
+
+const MB = 1024 * 1024;
+const params = (extra = {}) => ({
+	fileName: 'sales.csv',
+	size: 2 * MB,
+	totalChunks: 5,
+	maxFileSize: 10 * MB,
+	...extra,
+});
+const rejects = (fn, status, code) =>
+	assert.throws(
+		fn,
+		(e) => e.statusCode === status && e.message.startsWith(code)
+	);
+
+describe('checkSessionParams', () => {
+	it('accepts numeric strings', () => {
+		assert.deepEqual(
+			checkSessionParams(params({ size: String(MB), totalChunks: '3' })),
+			{ fileSize: MB, chunkCount: 3 }
+		);
+	});
+
+	it('rejects other file types', () => {
+		rejects(
+			() => checkSessionParams(params({ fileName: 'sales.pdf' })),
+			400,
+			'ERR_INVALID_PARAM'
+		);
+	});
+
+	it('rejects invalid sizes and chunk counts', () => {
+		rejects(
+			() => checkSessionParams(params({ size: 0 })),
+			400,
+			'ERR_INVALID_PARAM'
+		);
+		rejects(
+			() => checkSessionParams(params({ totalChunks: 1.5 })),
+			400,
+			'ERR_INVALID_PARAM'
+		);
+		rejects(
+			() => checkSessionParams(params({ totalChunks: 10001 })),
+			400,
+			'ERR_INVALID_PARAM'
+		);
+	});
+
+	it('rejects files over the plan limit', () => {
+		rejects(
+			() => checkSessionParams(params({ size: 11 * MB, totalChunks: 30 })),
+			413,
+			'ERR_SIZE_LIMIT'
+		);
+	});
+
+	it('rejects too few chunks for the file size', () => {
+		rejects(
+			() => checkSessionParams(params({ size: 2 * MB, totalChunks: 4 })),
+			400,
+			'ERR_INVALID_PARAM: Chunks cannot exceed'
+		);
+	});
+});
+
+describe('checkChunk', () => {
+	const session = { tc: 3 };
+	const buffer = Buffer.from('Region,Revenue\nNorth,100\n');
+
+	it('returns the lower-case digest of a valid chunk', () => {
+		const hash = sha256(buffer);
+		assert.equal(checkChunk(session, 2, buffer, hash.toUpperCase()), hash);
+	});
+
+	it('rejects indexes outside the session', () => {
+		rejects(
+			() => checkChunk(session, 3, buffer, sha256(buffer)),
+			400,
+			'ERR_INVALID_CHUNK'
+		);
+		rejects(
+			() => checkChunk(session, -1, buffer, sha256(buffer)),
+			400,
+			'ERR_INVALID_CHUNK'
+		);
+	});
+
+	it('rejects empty and oversized chunks', () => {
+		const empty = Buffer.alloc(0);
+		const large = Buffer.alloc(MAX_CHUNK_SIZE + 1);
+		rejects(
+			() => checkChunk(session, 0, empty, sha256(empty)),
+			400,
+			'ERR_INVALID_CHUNK'
+		);
+		rejects(
+			() => checkChunk(session, 0, large, sha256(large)),
+			400,
+			'ERR_INVALID_CHUNK'
+		);
+	});
+
+	it('rejects malformed and mismatching hashes', () => {
+		rejects(
+			() => checkChunk(session, 0, buffer, 'abc'),
+			400,
+			'ERR_INVALID_CHUNK'
+		);
+		rejects(
+			() => checkChunk(session, 0, buffer, sha256(Buffer.from('other'))),
+			400,
+			'ERR_CHECKSUM_MISMATCH'
+		);
+	});
+});
+
+describe('chunkProgress', () => {
+	it('lists received and missing indexes with the bytes received', () => {
+		const byIndex = new Map([
+			[0, { length: 100 }],
+			[2, { length: 40 }],
+		]);
+		assert.deepEqual(chunkProgress({ tc: 4 }, byIndex), {
+			received: [0, 2],
+			missing: [1, 3],
+			bytes: 140,
+		});
+	});
+
+	it('ignores chunks beyond the session', () => {
+		const byIndex = new Map([
+			[0, { length: 10 }],
+			[5, { length: 10 }],
+		]);
+		assert.deepEqual(chunkProgress({ tc: 1 }, byIndex), {
+			received: [0],
+			missing: [],
+			bytes: 10,
+		});
+	});
+});
+
+describe('checkAssembled', () => {
+	const content = Buffer.from('a,b\n1,2\n');
+	const session = { size: content.length };
+
+	it('accepts a file matching size and checksum', () => {
+		const digest = sha256(content);
+		checkChecksumParam(digest);
+		checkAssembled(session, content.length, digest, digest.toUpperCase());
+	});
+
+	it('rejects a size mismatch', () => {
+		const digest = sha256(content);
+		rejects(
+			() => checkAssembled(session, content.length - 1, digest, digest),
+			400,
+			'ERR_SIZE_MISMATCH'
+		);
+	});
+
+	it('rejects a checksum mismatch', () => {
+		rejects(
+			() =>
+				checkAssembled(
+					session,
+					content.length,
+					sha256(content),
+					sha256(Buffer.from('x'))
+				),
+			400,
+			'ERR_CHECKSUM_MISMATCH'
+		);
+	});
+
+	it('rejects a malformed checksum parameter', () => {
+		rejects(() => checkChecksumParam('not-a-hash'), 400, 'ERR_INVALID_PARAM');
+		rejects(() => checkChecksumParam(undefined), 400, 'ERR_INVALID_PARAM');
+	});
+});
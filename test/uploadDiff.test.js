@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffDashboardData } from '../utils/uploadDiff.js';
+import { mergeDashboardData } from '../utils/dashboardUtils.js';
+
+const date = new Date('2024-01-01T00:00:00Z');
+const category = (cat, values, grp) => ({
+	cat,
+	...(grp && { grp }),
+	data: Object.entries(values).map(([t, v]) => ({
+		i: `${cat}-${t}`.toLowerCase(),
+		d: [{ t, v, d: date }],
+	})),
+});
+
+describe('diffDashboardData', () => {
+	const existing = [
+		category('East', { Revenue: 100, Units: 5 }),
+		category('West', { Revenue: 50 }),
+	];
+	const incoming = [
+		category('East', { Revenue: 120, Units: '5', Margin: 0.2 }),
+		category('North', { Revenue: 10 }, 'Sheet2'),
+	];
+	// The dry run merges into a copy, as mergeDashboardData changes its input
+	const merged = mergeDashboardData(structuredClone(existing), incoming);
+	const diff = diffDashboardData(existing, incoming, merged);
+
+	it('lists new categories and entries', () => {
+		assert.deepEqual(diff.newCategories, {
+			total: 1,
+			items: [{ cat: 'North', grp: 'Sheet2', entries: 1 }],
+		});
+		assert.deepEqual(diff.newEntries.items, [
+			{ cat: 'East', i: 'east-margin', t: 'Margin' },
+		]);
+	});
+
+	it('lists changed values with before and after', () => {
+		assert.deepEqual(
+			diff.changedValues.items.map(({ i, from, to }) => [i, from, to]),
+			[
+				['east-revenue', 100, 120],
+				['east-units', 5, '5'],
+			]
+		);
+		assert.equal(diff.changedValues.items[0].d, date);
+	});
+
+	it('warns about values changing type', () => {
+		assert.deepEqual(diff.typeWarnings.items, [
+			{
+				cat: 'East',
+				i: 'east-units',
+				t: 'Units',
+				existingType: 'number',
+				newType: 'string',
+			},
+		]);
+	});
+
+	it('lists entries the merge removed', () => {
+		const { removedEntries } = diffDashboardData(existing, [], [existing[0]]);
+		assert.deepEqual(removedEntries, {
+			total: 1,
+			items: [{ cat: 'West', i: 'west-revenue', t: 'Revenue' }],
+		});
+		assert.equal(diff.removedEntries.total, 0);
+	});
+});
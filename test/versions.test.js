@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	selectKeptVersions,
+	splitDetachedFiles,
+	filesAtVersion,
+} from '../utils/versions.js';
+
+const now = new Date('2024-06-30T12:00:00Z').getTime();
+const daysAgo = (days) => new Date(now - days * 24 * 60 * 60 * 1000);
+const version = (n, fid, days, extra = {}) => ({
+	n,
+	fid,
+	ca: daysAgo(days),
+	...extra,
+});
+
+describe('selectKeptVersions', () => {
+	const versions = [
+		version(1, 'v1', 40),
+		version(2, 'v2', 20),
+		version(3, 'v3', 10),
+		version(4, 'v4', 1),
+	];
+
+	it('keeps the newest versions up to the limit', () => {
+		const kept = selectKeptVersions(
+			versions,
+			'v4',
+			{ versionLimit: 2, versionDays: 90 },
+			now
+		);
+		assert.deepEqual(
+			kept.map((v) => v.n),
+			[4, 3]
+		);
+	});
+
+	it('drops versions older than the age limit', () => {
+		const kept = selectKeptVersions(
+			versions,
+			'v4',
+			{ versionLimit: 10, versionDays: 30 },
+			now
+		);
+		assert.deepEqual(
+			kept.map((v) => v.n),
+			[4, 3, 2]
+		);
+	});
+
+	it('always keeps the version of the current data', () => {
+		const kept = selectKeptVersions(
+			versions,
+			'v1',
+			{ versionLimit: 1, versionDays: 7 },
+			now
+		);
+		assert.deepEqual(
+			kept.map((v) => v.n),
+			[4, 1]
+		);
+	});
+
+	it('orders by version number, not by position', () => {
+		const kept = selectKeptVersions(
+			[...versions].reverse(),
+			'v4',
+			{ versionLimit: 2, versionDays: 90 },
+			now
+		);
+		assert.deepEqual(
+			kept.map((v) => v.n),
+			[4, 3]
+		);
+	});
+});
+
+describe('splitDetachedFiles', () => {
+	const files = [
+		{ fid: 'a', lu: daysAgo(30) },
+		{ fid: 'b', lu: daysAgo(5) },
+	];
+
+	it('keeps files a kept version includes', () => {
+		const { inUse, released } = splitDetachedFiles(files, [
+			version(3, 'v3', 10, { sf: ['a'] }),
+		]);
+		assert.deepEqual(
+			inUse.map((f) => f.fid),
+			['a']
+		);
+		assert.deepEqual(
+			released.map((f) => f.fid),
+			['b']
+		);
+	});
+
+	it('treats files uploaded before a version without sf as included', () => {
+		const { inUse, released } = splitDetachedFiles(files, [
+			version(1, 'v1', 10),
+		]);
+		assert.deepEqual(
+			inUse.map((f) => f.fid),
+			['a']
+		);
+		assert.deepEqual(
+			released.map((f) => f.fid),
+			['b']
+		);
+	});
+
+	it('releases every file when no version is kept', () => {
+		const { inUse, released } = splitDetachedFiles(files, []);
+		assert.deepEqual(inUse, []);
+		assert.equal(released.length, 2);
+	});
+});
+
+describe('filesAtVersion', () => {
+	const files = [{ fid: 'a' }, { fid: 'c' }];
+	const detached = [{ fid: 'b' }];
+
+	it('restores the files of the version and detaches the others', () => {
+		const result = filesAtVersion(files, detached, { sf: ['a', 'b'] });
+		assert.deepEqual(
+			result.files.map((f) => f.fid),
+			['a', 'b']
+		);
+		assert.deepEqual(
+			result.detached.map((f) => f.fid),
+			['c']
+		);
+	});
+
+	it('leaves the files as they are for versions without sf', () => {
+		const result = filesAtVersion(files, detached, { n: 1 });
+		assert.equal(result.files, files);
+		assert.equal(result.detached, detached);
+	});
+});
@@ -23,9 +23,10 @@ const MAX_CACHE_SIZE = 5 * 1024 * 1024; // 5MB threshold
  * @param {string} uid - User ID.
  * @param {string} k - Cache key.
  * @param {Array} d - Dashboard data.
+ * @param {number} [ttl] - Optional expiry in seconds.
  * @returns {Promise<boolean>} True if cached, false if too large.
  */
-export async function setCachedDashboard(uid, k, d) {
+export async function setCachedDashboard(uid, k, d, ttl) {
 	try {
 		const json = JSON.stringify(d);
 		const size = Buffer.byteLength(json, 'utf8');
@@ -54,7 +55,11 @@ export async function setCachedDashboard(uid, k, d) {
 			data: compressed.toString('base64'),
 		};
 
-		await redis.set(k, JSON.stringify(cacheData));
+		await redis.set(
+			k,
+			JSON.stringify(cacheData),
+			ttl ? { ex: ttl } : undefined
+		);
 		return true;
 	} catch (e) {
 		logger.error('Error caching data', { uid, key: k, error: e.message });
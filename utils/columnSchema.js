@@ -0,0 +1,504 @@
+import { format, parse, isValid } from 'date-fns';
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+export const COLUMN_TYPES = [
+	'number',
+	'currency',
+	'percent',
+	'date',
+	'category',
+	'text',
+	'ignore',
+];
+
+// Candidate date formats, tried in order (US month-first wins when ambiguous)
+export const DATE_FORMATS = [
+	'yyyy-MM-dd',
+	'MM/dd/yyyy',
+	'dd/MM/yyyy',
+	'dd.MM.yyyy',
+	'yyyy/MM/dd',
+	'MM/dd/yy',
+	'dd/MM/yy',
+	'yyyy-MM',
+];
+
+const DATE_SHAPES = {
+	'yyyy-MM-dd': /^\d{4}-\d{1,2}-\d{1,2}$/,
+	'MM/dd/yyyy': /^\d{1,2}\/\d{1,2}\/\d{4}$/,
+	'dd/MM/yyyy': /^\d{1,2}\/\d{1,2}\/\d{4}$/,
+	'dd.MM.yyyy': /^\d{1,2}\.\d{1,2}\.\d{4}$/,
+	'yyyy/MM/dd': /^\d{4}\/\d{1,2}\/\d{1,2}$/,
+	'MM/dd/yy': /^\d{1,2}\/\d{1,2}\/\d{2}$/,
+	'dd/MM/yy': /^\d{1,2}\/\d{1,2}\/\d{2}$/,
+	'yyyy-MM': /^\d{4}-\d{1,2}$/,
+};
+
+const CURRENCY_SYMBOLS = ['$', '€', '£', '¥', 'Kč', 'USD', 'EUR', 'GBP', 'CZK'];
+const CATEGORY_PREFERRED = ['Notes', 'Description', 'Comments'];
+const INFERENCE_SAMPLE_SIZE = 500;
+const MAX_WARNINGS = 100;
+
+export const DECIMAL_SEPARATORS = ['.', ','];
+
+// Numbers by decimal separator: "1,234.5" / "1.234,5"; spaces and
+// apostrophes between digit groups are removed beforehand
+const NUMBER_RX = {
+	'.': /^[-+]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$|^[-+]?\.\d+$/,
+	',': /^[-+]?(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$|^[-+]?,\d+$/,
+};
+const GROUP_SPACES = /(\d)[\s\u00a0\u202f']+(?=\d{3}(?!\d))/g;
+const PERCENT_RX = /^([-+]?[\d.,\s\u00a0\u202f]+)\s*%$/;
+
+// Column definition without working fields
+const pickColumn = ({ k, t, fmt, dec }) => ({
+	k,
+	t,
+	...(fmt && { fmt }),
+	...(dec && { dec }),
+});
+
+const isEmpty = (v) =>
+	v === null || v === undefined || (typeof v === 'string' && !v.trim());
+
+// Decimal separator a number string clearly uses, or null when ambiguous
+// ("1,234" may be a thousand or one point two three four)
+function decimalOf(t) {
+	const lastDot = t.lastIndexOf('.');
+	const lastComma = t.lastIndexOf(',');
+	if (lastDot >= 0 && lastComma >= 0) return lastDot > lastComma ? '.' : ',';
+	const sep = lastDot >= 0 ? '.' : lastComma >= 0 ? ',' : null;
+	if (!sep) return null;
+	if (t.indexOf(sep) !== t.lastIndexOf(sep)) return sep === '.' ? ',' : '.';
+	return /^\d{3}$/.test(t.slice(t.lastIndexOf(sep) + 1)) ? null : sep;
+}
+
+/**
+ * Parses a number written with either decimal separator. Thousands may be
+ * grouped with the other separator, spaces or apostrophes ("1 234,56",
+ * "1,234.56"); accounting negatives in parentheses ("(1,234.00)") are
+ * supported.
+ * @param {any} v - Cell value.
+ * @param {string} [decimal] - Decimal separator ('.' or ','); detected from
+ *   the value when omitted, with '.' for ambiguous values such as "1,234".
+ * @returns {number|null} Parsed number or null.
+ */
+export function parseNumber(v, decimal) {
+	if (typeof v === 'number') return isFinite(v) ? v : null;
+	if (typeof v !== 'string') return null;
+	let t = v
+		.trim()
+		.replace(GROUP_SPACES, '$1')
+		.replace(/^([-+(])\s+/, '$1');
+	let negative = false;
+	if (/^\(.+\)$/.test(t)) {
+		negative = true;
+		t = t.slice(1, -1);
+	}
+	const dec = decimal || decimalOf(t) || '.';
+	if (!NUMBER_RX[dec]?.test(t)) return null;
+	const group = dec === '.' ? /,/g : /\./g;
+	const n = Number(t.replace(group, '').replace(',', '.'));
+	if (!isFinite(n)) return null;
+	return negative ? -Math.abs(n) : n;
+}
+
+/**
+ * Parses a percentage such as "12.5%" into 12.5.
+ * @param {any} v - Cell value.
+ * @returns {number|null} Parsed percentage or null.
+ */
+export function parsePercent(v, decimal) {
+	if (typeof v === 'number') return isFinite(v) ? v : null;
+	if (typeof v !== 'string') return null;
+	const m = v.trim().match(PERCENT_RX);
+	return m ? parseNumber(m[1], decimal) : null;
+}
+
+/**
+ * Parses a monetary amount with a leading or trailing currency symbol, e.g.
+ * "$1,234.50", "1 234,56 €" or "(€1,234.00)".
+ * @param {any} v - Cell value.
+ * @param {string} [decimal] - Decimal separator ('.' or ','), see parseNumber.
+ * @returns {{value: number, symbol: string}|null} Amount and symbol, or null.
+ */
+export function parseCurrency(v, decimal) {
+	if (typeof v === 'number')
+		return isFinite(v) ? { value: v, symbol: '' } : null;
+	if (typeof v !== 'string') return null;
+	let t = v.trim();
+	let negative = false;
+	if (/^\(.+\)$/.test(t)) {
+		negative = true;
+		t = t.slice(1, -1).trim();
+	}
+	if (t.startsWith('-')) {
+		negative = true;
+		t = t.slice(1).trim();
+	}
+	for (const symbol of CURRENCY_SYMBOLS) {
+		let rest = null;
+		if (t.startsWith(symbol)) rest = t.slice(symbol.length);
+		else if (t.endsWith(symbol)) rest = t.slice(0, -symbol.length);
+		if (rest === null) continue;
+		const value = parseNumber(rest.trim(), decimal);
+		if (value !== null) {
+			return { value: negative ? -value : value, symbol };
+		}
+	}
+	return null;
+}
+
+/**
+ * Parses a date with an explicit date-fns format.
+ * @param {any} v - Cell value (string or Date).
+ * @param {string} fmt - date-fns format, e.g. "dd.MM.yyyy".
+ * @returns {string|null} Date as yyyy-MM-dd, or null.
+ */
+export function parseDateValue(v, fmt) {
+	if (v instanceof Date) {
+		return isValid(v) ? format(v, 'yyyy-MM-dd') : null;
+	}
+	if (typeof v !== 'string' || !v.trim()) return null;
+	const t = v.trim();
+	const shape = DATE_SHAPES[fmt];
+	if (shape && !shape.test(t)) return null;
+	const date = parse(t, fmt, new Date());
+	return isValid(date) ? format(date, 'yyyy-MM-dd') : null;
+}
+
+// Decimal separator used by most values of a column that show one clearly
+function inferDecimal(values, fallback) {
+	const votes = { '.': 0, ',': 0 };
+	values.forEach((v) => {
+		if (typeof v !== 'string') return;
+		const digits = v.replace(GROUP_SPACES, '$1').match(/\d[\d.,]*/);
+		const dec = digits && decimalOf(digits[0]);
+		if (dec) votes[dec]++;
+	});
+	if (votes[','] > votes['.']) return ',';
+	if (votes['.'] > votes[',']) return '.';
+	return fallback || '.';
+}
+
+// Detect the type of one column from its non-empty values. Numeric types
+// carry the decimal separator when it is a comma.
+function inferColumnType(values, decimal) {
+	if (values.length === 0) return { t: 'ignore' };
+	const dec = inferDecimal(values, decimal);
+	const withDecimal = (col) => (dec === ',' ? { ...col, dec } : col);
+	if (values.every((v) => parseNumber(v, dec) !== null)) {
+		return withDecimal({ t: 'number' });
+	}
+	if (
+		values.every(
+			(v) =>
+				typeof v === 'string' &&
+				PERCENT_RX.test(v.trim()) &&
+				parsePercent(v, dec) !== null
+		)
+	) {
+		return withDecimal({ t: 'percent' });
+	}
+
+	const amounts = values.map((v) => parseCurrency(v, dec));
+	if (amounts.every((a) => a && a.symbol)) {
+		const counts = {};
+		amounts.forEach((a) => (counts[a.symbol] = (counts[a.symbol] || 0) + 1));
+		const symbol = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+		return withDecimal({ t: 'currency', fmt: symbol });
+	}
+
+	if (values.every((v) => v instanceof Date)) {
+		return { t: 'date', fmt: 'yyyy-MM-dd' };
+	}
+	const fmt = DATE_FORMATS.find((f) =>
+		values.every((v) => parseDateValue(v, f) !== null)
+	);
+	if (fmt) return { t: 'date', fmt };
+
+	return { t: 'text' };
+}
+
+/**
+ * Infers a column schema from parsed rows. Numbers, currencies, percentages
+ * and dates are detected from a sample of values; one fully populated text
+ * column becomes the category column.
+ * @param {Array<Object>} rows - Parsed rows (one object per row).
+ * @param {Object} [options]
+ * @param {string} [options.decimal] - Decimal separator assumed for columns
+ *   whose values are ambiguous (e.g. ',' for a semicolon separated export).
+ * @returns {Array<{k: string, t: string, fmt?: string, dec?: string}>} Column schema.
+ */
+export function inferColumnSchema(rows, { decimal } = {}) {
+	if (!Array.isArray(rows) || rows.length === 0) return [];
+
+	const keys = [];
+	rows.slice(0, INFERENCE_SAMPLE_SIZE).forEach((row) => {
+		if (!row || typeof row !== 'object') return;
+		Object.keys(row).forEach((k) => {
+			if (!keys.includes(k)) keys.push(k);
+		});
+	});
+
+	const sample = rows.slice(0, INFERENCE_SAMPLE_SIZE);
+	const cols = keys.map((k) => {
+		const values = sample.map((row) => row?.[k]).filter((v) => !isEmpty(v));
+		return {
+			k,
+			...inferColumnType(values, decimal),
+			filled: values.length === sample.length,
+		};
+	});
+
+	const textCols = cols.filter((c) => c.t === 'text' && c.filled);
+	const categoryCol =
+		CATEGORY_PREFERRED.map((k) => textCols.find((c) => c.k === k)).find(
+			Boolean
+		) || textCols[0];
+	if (categoryCol) categoryCol.t = 'category';
+
+	logger.info('Inferred column schema', {
+		columns: cols.length,
+		categoryColumn: categoryCol?.k || null,
+	});
+
+	return cols.map(pickColumn);
+}
+
+/**
+ * Validates a user supplied column schema.
+ * @param {Array} cols - Column definitions [{k, t, fmt, dec}].
+ * @returns {Array<{k: string, t: string, fmt?: string, dec?: string}>} Normalized schema.
+ * @throws {CustomError} 400 with ERR_INVALID_SCHEMA on invalid input.
+ */
+export function validateColumnSchema(cols) {
+	if (!Array.isArray(cols)) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_SCHEMA: Schema must be an array of columns'
+		);
+	}
+
+	const seen = new Set();
+	const normalized = cols.map((col, idx) => {
+		if (!col || typeof col.k !== 'string' || !col.k.trim()) {
+			throw new CustomError(
+				400,
+				`ERR_INVALID_SCHEMA: Column ${idx + 1} is missing a key`
+			);
+		}
+		const k = col.k.trim();
+		if (seen.has(k)) {
+			throw new CustomError(400, `ERR_INVALID_SCHEMA: Duplicate column '${k}'`);
+		}
+		seen.add(k);
+		if (!COLUMN_TYPES.includes(col.t)) {
+			throw new CustomError(
+				400,
+				`ERR_INVALID_SCHEMA: Column '${k}' has invalid type '${
+					col.t
+				}'. Allowed: ${COLUMN_TYPES.join(', ')}`
+			);
+		}
+		if (col.t === 'date') {
+			const fmt = col.fmt || 'yyyy-MM-dd';
+			try {
+				format(new Date(2000, 0, 31), fmt);
+			} catch (e) {
+				throw new CustomError(
+					400,
+					`ERR_INVALID_SCHEMA: Column '${k}' has invalid date format '${fmt}'`
+				);
+			}
+			return { k, t: 'date', fmt };
+		}
+		if (col.dec !== undefined && !DECIMAL_SEPARATORS.includes(col.dec)) {
+			throw new CustomError(
+				400,
+				`ERR_INVALID_SCHEMA: Column '${k}' has invalid decimal separator '${col.dec}'`
+			);
+		}
+		const dec =
+			col.dec === ',' && ['number', 'currency', 'percent'].includes(col.t)
+				? { dec: ',' }
+				: {};
+		if (col.t === 'currency' && col.fmt) {
+			return { k, t: 'currency', fmt: String(col.fmt).trim(), ...dec };
+		}
+		return { k, t: col.t, ...dec };
+	});
+
+	if (normalized.filter((c) => c.t === 'category').length > 1) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_SCHEMA: Only one column can be the category'
+		);
+	}
+	return normalized;
+}
+
+/**
+ * Combines a stored schema with columns inferred from a new upload. Stored
+ * columns win; columns seen for the first time are appended as inferred.
+ * @param {Array} stored - Saved column schema (may be empty).
+ * @param {Array} inferred - Schema inferred from the current rows.
+ * @returns {Array<{k: string, t: string, fmt?: string, dec?: string}>} Merged schema.
+ */
+export function mergeColumnSchema(stored = [], inferred = []) {
+	const merged = stored.map(pickColumn);
+	const hasCategory = merged.some((c) => c.t === 'category');
+	inferred.forEach((col) => {
+		if (merged.some((c) => c.k === col.k)) return;
+		merged.push(
+			col.t === 'category' && hasCategory ? { k: col.k, t: 'text' } : col
+		);
+	});
+	return merged;
+}
+
+/**
+ * Applies an explicit category and date column choice to a schema. The chosen
+ * category column replaces any other category column; the chosen date column
+ * becomes a date column with the given (or previously known) format.
+ * @param {Array<{k: string, t: string, fmt?: string, dec?: string}>} cols - Column schema.
+ * @param {Object} selection - Column choice.
+ * @param {string} [selection.categoryColumn] - Column that names each category.
+ * @param {string} [selection.dateColumn] - Column holding the row date.
+ * @param {string} [selection.dateFormat] - date-fns format of the date column.
+ * @returns {Array<{k: string, t: string, fmt?: string, dec?: string}>} Updated schema.
+ * @throws {CustomError} 400 on unknown or conflicting columns.
+ */
+export function selectColumns(
+	cols,
+	{ categoryColumn, dateColumn, dateFormat } = {}
+) {
+	const keys = cols.map((c) => c.k);
+	[categoryColumn, dateColumn].forEach((k) => {
+		if (k && !keys.includes(k)) {
+			throw new CustomError(
+				400,
+				`ERR_UNKNOWN_COLUMN: Column '${k}' not found. Available: ${keys.join(
+					', '
+				)}`
+			);
+		}
+	});
+	if (categoryColumn && categoryColumn === dateColumn) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_SCHEMA: Category and date column must differ'
+		);
+	}
+	if (dateFormat && !dateColumn) {
+		throw new CustomError(
+			400,
+			'ERR_MISSING_PARAM: dateFormat requires a date column'
+		);
+	}
+
+	return validateColumnSchema(
+		cols.map((c) => {
+			if (categoryColumn) {
+				if (c.k === categoryColumn) return { k: c.k, t: 'category' };
+				if (c.t === 'category') return { k: c.k, t: 'text' };
+			}
+			if (dateColumn && c.k === dateColumn) {
+				return {
+					k: c.k,
+					t: 'date',
+					fmt: dateFormat || (c.t === 'date' && c.fmt) || 'yyyy-MM-dd',
+				};
+			}
+			return c;
+		})
+	);
+}
+
+/**
+ * Converts row values according to a column schema: numbers, currencies and
+ * percentages become numbers, dates become yyyy-MM-dd strings and ignored
+ * columns are dropped. Values that do not match their type are kept as-is and
+ * reported.
+ * @param {Array<Object>} rows - Parsed rows.
+ * @param {Array<{k: string, t: string, fmt?: string, dec?: string}>} cols - Column schema.
+ * @returns {{rows: Array<Object>, warnings: Array<{row: number, k: string, t: string, v: any}>, invalid: Object<string, number>}}
+ *   invalid counts the values of each column that did not match its type.
+ */
+export function applyColumnSchema(rows, cols) {
+	const byKey = new Map(cols.map((c) => [c.k, c]));
+	const warnings = [];
+	const invalid = {};
+	const warn = (row, col, v) => {
+		invalid[col.k] = (invalid[col.k] || 0) + 1;
+		if (warnings.length < MAX_WARNINGS) {
+			warnings.push({ row, k: col.k, t: col.t, v });
+		}
+	};
+
+	const converted = rows.map((row, idx) => {
+		if (!row || typeof row !== 'object') return row;
+		const out = {};
+		Object.entries(row).forEach(([k, v]) => {
+			const col = byKey.get(k);
+			if (!col) {
+				out[k] = v;
+				return;
+			}
+			if (col.t === 'ignore') return;
+			if (isEmpty(v)) {
+				out[k] = v;
+				return;
+			}
+
+			let value;
+			switch (col.t) {
+				case 'number':
+					value = parseNumber(v, col.dec);
+					break;
+				case 'currency':
+					value = parseCurrency(v, col.dec)?.value ?? parseNumber(v, col.dec);
+					break;
+				case 'percent':
+					value = parsePercent(v, col.dec) ?? parseNumber(v, col.dec);
+					break;
+				case 'date':
+					value = parseDateValue(v, col.fmt || 'yyyy-MM-dd');
+					break;
+				default:
+					value = typeof v === 'string' ? v.trim() : String(v);
+			}
+
+			if (value === null) {
+				warn(idx + 1, col, v);
+				out[k] = v;
+			} else {
+				out[k] = value;
+			}
+		});
+		return out;
+	});
+
+	if (warnings.length) {
+		logger.warn('Values did not match column schema', {
+			count: warnings.length,
+			sample: warnings.slice(0, 5),
+		});
+	}
+	return { rows: converted, warnings, invalid };
+}
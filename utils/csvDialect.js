@@ -0,0 +1,269 @@
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// Bytes of a file inspected to detect its dialect
+export const DIALECT_SAMPLE_SIZE = 64 * 1024;
+// Line breaks counted by headerRow
+export const LINE_BREAK = /\r\n|\n|\r/;
+
+const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+const QUOTE_CHARS = ['"', "'"];
+const MAX_SAMPLE_LINES = 50;
+const MAX_HEADER_ROW = 1000;
+
+// Bytes of Š Ť Ž š ť ž: C1 range in Windows-1250, 0xA0+ in ISO-8859-2
+const CP1250_RANGE = [0x80, 0x9f];
+const LATIN2_LETTERS = new Set([0xa9, 0xab, 0xae, 0xb9, 0xbb, 0xbe]);
+
+/**
+ * Detects the text encoding of a CSV file. A byte order mark wins; otherwise
+ * valid UTF-8 is assumed to be UTF-8 and anything else a Central European
+ * single-byte encoding (Windows-1250, or ISO-8859-2 when only its letters
+ * appear).
+ * @param {Buffer} buffer - File content or its beginning.
+ * @returns {string} WHATWG encoding name.
+ */
+export function detectEncoding(buffer) {
+	if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+		return 'utf-8';
+	}
+	if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+	if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+
+	const sample = buffer.subarray(0, DIALECT_SAMPLE_SIZE);
+	try {
+		// stream: a character cut off at the end of the sample is not an error
+		new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+		return 'utf-8';
+	} catch (e) {
+		// Not UTF-8, fall through to single-byte encodings
+	}
+
+	let latin2 = false;
+	for (const byte of sample) {
+		if (byte >= CP1250_RANGE[0] && byte <= CP1250_RANGE[1]) {
+			return 'windows-1250';
+		}
+		if (LATIN2_LETTERS.has(byte)) latin2 = true;
+	}
+	return latin2 ? 'iso-8859-2' : 'windows-1250';
+}
+
+// Split a line into fields, honouring quoted delimiters
+function splitLine(line, delimiter, quoteChar) {
+	const fields = [];
+	let field = '';
+	let quoted = false;
+	for (let i = 0; i < line.length; i++) {
+		const ch = line[i];
+		if (ch === quoteChar) {
+			if (quoted && line[i + 1] === quoteChar) {
+				field += ch;
+				i++;
+			} else {
+				quoted = !quoted;
+			}
+		} else if (ch === delimiter && !quoted) {
+			fields.push(field);
+			field = '';
+		} else {
+			field += ch;
+		}
+	}
+	fields.push(field);
+	return fields;
+}
+
+// Most frequent field count above one and how many lines have it
+function modalCount(lines, delimiter, quoteChar) {
+	const counts = new Map();
+	lines.forEach(({ text }) => {
+		const n = splitLine(text, delimiter, quoteChar).length;
+		if (n > 1) counts.set(n, (counts.get(n) || 0) + 1);
+	});
+	let best = { fields: 1, lines: 0 };
+	counts.forEach((count, fields) => {
+		if (count > best.lines || (count === best.lines && fields > best.fields)) {
+			best = { fields, lines: count };
+		}
+	});
+	return best;
+}
+
+/**
+ * Detects the delimiter, quote character, header row and decimal separator
+ * of CSV text. The delimiter is the candidate that splits most lines into the
+ * same number of fields; the header row is the first such line with mostly
+ * non-empty fields, so title lines above the table are skipped.
+ * @param {string} text - Decoded CSV text or its beginning.
+ * @param {Object} [known] - Delimiter and quote character already known.
+ * @returns {{delimiter: string, quoteChar: string, headerRow: number, decimalSeparator: string|null}}
+ *   decimalSeparator is null when the numbers do not show one.
+ */
+export function detectCsvDialect(text, known = {}) {
+	const lines = [];
+	const raw = text.split(LINE_BREAK);
+	for (
+		let row = 0;
+		row < raw.length && lines.length < MAX_SAMPLE_LINES;
+		row++
+	) {
+		if (raw[row].trim()) lines.push({ row, text: raw[row] });
+	}
+
+	const boundary = (q) =>
+		lines.filter(({ text: line }) => new RegExp(`(^|[,;\\t|])${q}`).test(line))
+			.length;
+	const quoteChar =
+		known.quoteChar || (boundary("'") > boundary('"') ? "'" : '"');
+
+	let delimiter = known.delimiter || ',';
+	let best = { fields: 1, lines: 0 };
+	const candidates = known.delimiter
+		? [known.delimiter]
+		: Object.values(DELIMITERS);
+	candidates.forEach((candidate) => {
+		const mode = modalCount(lines, candidate, quoteChar);
+		if (
+			mode.lines > best.lines ||
+			(mode.lines === best.lines && mode.fields > best.fields)
+		) {
+			delimiter = candidate;
+			best = mode;
+		}
+	});
+
+	const header = lines.find(({ text: line }) => {
+		const fields = splitLine(line, delimiter, quoteChar);
+		return (
+			fields.length === best.fields &&
+			fields.filter((f) => f.trim()).length * 2 >= fields.length
+		);
+	});
+	const headerRow = header ? header.row : 0;
+
+	// Decimal commas only show when commas do not separate fields
+	let decimalSeparator = null;
+	const body = lines.filter(({ row }) => row > headerRow);
+	const count = (rx) =>
+		body.reduce(
+			(n, { text: line }) =>
+				n +
+				splitLine(line, delimiter, quoteChar).filter((f) => rx.test(f.trim()))
+					.length,
+			0
+		);
+	const commas = delimiter === ',' ? 0 : count(/^[-+(]?[\d\s.]*\d,\d+\D*$/);
+	const dots = count(/^[-+(]?[\d\s,]*\d\.\d+\D*$/);
+	if (commas > dots) decimalSeparator = ',';
+	else if (dots > commas) decimalSeparator = '.';
+
+	return { delimiter, quoteChar, headerRow, decimalSeparator };
+}
+
+// Validate dialect settings sent with an upload
+function validateOverrides({
+	encoding,
+	delimiter,
+	quoteChar,
+	headerRow,
+	decimalSeparator,
+} = {}) {
+	const result = {};
+	if (encoding) {
+		try {
+			result.encoding = new TextDecoder(String(encoding).trim()).encoding;
+		} catch (e) {
+			throw new CustomError(
+				400,
+				`ERR_INVALID_DIALECT: Unsupported encoding '${encoding}'`
+			);
+		}
+	}
+	if (delimiter) {
+		const d = DELIMITERS[String(delimiter).toLowerCase()] || delimiter;
+		if (typeof d !== 'string' || d.length !== 1 || /[\r\n"']/.test(d)) {
+			throw new CustomError(
+				400,
+				`ERR_INVALID_DIALECT: Invalid delimiter '${delimiter}'`
+			);
+		}
+		result.delimiter = d;
+	}
+	if (quoteChar) {
+		if (!QUOTE_CHARS.includes(quoteChar)) {
+			throw new CustomError(
+				400,
+				`ERR_INVALID_DIALECT: quoteChar must be one of ${QUOTE_CHARS.join(' ')}`
+			);
+		}
+		result.quoteChar = quoteChar;
+	}
+	if (headerRow !== undefined && headerRow !== null && headerRow !== '') {
+		const n = Number(headerRow);
+		if (!Number.isInteger(n) || n < 0 || n > MAX_HEADER_ROW) {
+			throw new CustomError(
+				400,
+				`ERR_INVALID_DIALECT: headerRow must be an integer from 0 to ${MAX_HEADER_ROW}`
+			);
+		}
+		result.headerRow = n;
+	}
+	if (decimalSeparator) {
+		if (!['.', ','].includes(decimalSeparator)) {
+			throw new CustomError(
+				400,
+				"ERR_INVALID_DIALECT: decimalSeparator must be '.' or ','"
+			);
+		}
+		result.decimalSeparator = decimalSeparator;
+	}
+	return result;
+}
+
+/**
+ * Resolves the dialect of an uploaded CSV file: settings sent with the upload
+ * win, the rest is detected from the beginning of the file.
+ * @param {Buffer} sample - File content or its first DIALECT_SAMPLE_SIZE bytes.
+ * @param {Object} [overrides] - encoding, delimiter (a character or comma,
+ *   semicolon, tab, pipe), quoteChar, headerRow (0-based line of the header)
+ *   and decimalSeparator.
+ * @returns {{encoding: string, delimiter: string, quoteChar: string, headerRow: number, decimalSeparator: string|null}}
+ * @throws {CustomError} 400 on invalid overrides.
+ */
+export function resolveCsvDialect(sample, overrides) {
+	const fixed = validateOverrides(overrides);
+	const head = sample.subarray(0, DIALECT_SAMPLE_SIZE);
+	const encoding = fixed.encoding || detectEncoding(head);
+	const text = new TextDecoder(encoding).decode(head, { stream: true });
+	const dialect = { encoding, ...detectCsvDialect(text, fixed), ...fixed };
+	logger.info('Resolved CSV dialect', {
+		...dialect,
+		overrides: Object.keys(fixed),
+	});
+	return dialect;
+}
+
+/**
+ * Decodes CSV content in the given encoding, dropping a byte order mark.
+ * @param {Buffer} buffer - File content.
+ * @param {string} encoding - WHATWG encoding name.
+ * @returns {string} Text.
+ */
+export function decodeCsv(buffer, encoding) {
+	return new TextDecoder(encoding).decode(buffer);
+}
@@ -0,0 +1,316 @@
+import ExcelJS from 'exceljs';
+import { once } from 'events';
+import winston from 'winston';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+export const EXPORT_FORMATS = ['xlsx', 'csv', 'json'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+// Numbers that read back the same; "00123" or "1e3" stay text
+const PLAIN_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+// CSV text spreadsheet apps would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+const MAX_SHEET_NAME = 31;
+
+// Convert a stored value to a typed cell value (number, Date or string)
+function toCellValue(v) {
+	if (v === null || v === undefined) return null;
+	if (typeof v === 'number' || typeof v === 'boolean' || v instanceof Date) {
+		return v;
+	}
+	if (typeof v === 'string') {
+		const t = v.trim();
+		if (PLAIN_NUMBER.test(t)) return Number(t);
+		if (ISO_DATE.test(t)) {
+			const date = new Date(t);
+			if (!isNaN(date.getTime())) return date;
+		}
+		return v;
+	}
+	return JSON.stringify(v);
+}
+
+// Prefix formula-like CSV text with an apostrophe so spreadsheet apps show it
+// instead of evaluating it; XLSX string cells are never evaluated
+function escapeFormula(v) {
+	return typeof v === 'string' && FORMULA_START.test(v) ? `'${v}` : v;
+}
+
+function toDate(d) {
+	const date = d instanceof Date ? d : new Date(d);
+	return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Yields one flat row per stored value: main entries, calculated fields and
+ * combined charts.
+ * @param {Array} dashboardData - Array of category objects.
+ * @returns {Generator<{cat: string, grp: string|null, id: string, title: string, value: any, date: Date|null, kind: string}>}
+ */
+export function* flattenDashboardData(dashboardData) {
+	for (const category of dashboardData) {
+		if (!category || !Array.isArray(category.data)) continue;
+		const grp = category.grp || null;
+		for (const entry of category.data) {
+			if (!Array.isArray(entry.d)) continue;
+			for (const node of entry.d) {
+				yield {
+					cat: category.cat,
+					grp,
+					id: entry.i,
+					title: node.t,
+					value: toCellValue(node.v),
+					date: toDate(node.d),
+					kind: entry.cf ? 'calculated' : 'data',
+				};
+			}
+		}
+		for (const chart of category.comb || []) {
+			if (!Array.isArray(chart.d)) continue;
+			for (const node of chart.d) {
+				yield {
+					cat: category.cat,
+					grp,
+					id: chart.i,
+					title: node.t,
+					value: toCellValue(node.v),
+					date: toDate(node.d),
+					kind: 'combined',
+				};
+			}
+		}
+	}
+}
+
+// Make a valid, unique worksheet name
+function sheetName(name, used) {
+	const base =
+		String(name)
+			.replace(/[\[\]:*?\/\\]/g, ' ')
+			.replace(/\s+/g, ' ')
+			.trim()
+			.slice(0, MAX_SHEET_NAME) || 'Data';
+	let candidate = base;
+	for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+		const suffix = ` (${n})`;
+		candidate = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+	}
+	used.add(candidate.toLowerCase());
+	return candidate;
+}
+
+/**
+ * Groups categories for one-sheet-per-group export. Categories carrying a
+ * group name (`grp`) use it; otherwise categories with the same set of titles
+ * share a sheet.
+ * @param {Array} dashboardData - Array of category objects.
+ * @returns {Array<{name: string, titles: Array<string>, categories: Array}>} Category groups.
+ */
+export function groupCategories(dashboardData) {
+	const groups = new Map();
+	for (const category of dashboardData) {
+		if (!category || !Array.isArray(category.data)) continue;
+		const titles = [
+			...new Set(
+				category.data.flatMap((entry) =>
+					Array.isArray(entry.d) ? entry.d.map((node) => node.t) : []
+				)
+			),
+		];
+		const key = category.grp
+			? `grp:${category.grp}`
+			: `sig:${[...titles].sort().join('\u0000')}`;
+		if (!groups.has(key)) {
+			groups.set(key, {
+				name: category.grp || titles.slice(0, 3).join(', ') || 'Data',
+				titles: [],
+				categories: [],
+			});
+		}
+		const group = groups.get(key);
+		titles.forEach((t) => {
+			if (!group.titles.includes(t)) group.titles.push(t);
+		});
+		group.categories.push(category);
+	}
+	return [...groups.values()];
+}
+
+/**
+ * Streams dashboard data as an XLSX workbook: one wide sheet per category
+ * group (a row per category and date, a column per title) plus a sheet for
+ * combined charts.
+ * @param {Array} dashboardData - Array of category objects (calculated fields applied).
+ * @param {stream.Writable} stream - Destination stream (e.g. Express response).
+ * @returns {Promise<void>}
+ */
+export async function writeXlsxExport(dashboardData, stream) {
+	const start = Date.now();
+	const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+		stream,
+		useStyles: true,
+		useSharedStrings: false,
+	});
+	const used = new Set();
+	const groups = groupCategories(dashboardData);
+
+	for (const group of groups) {
+		const sheet = workbook.addWorksheet(sheetName(group.name, used));
+		sheet.columns = [
+			{ header: 'Category', key: '__cat', width: 30 },
+			{
+				header: 'Date',
+				key: '__date',
+				width: 12,
+				style: { numFmt: 'yyyy-mm-dd' },
+			},
+			...group.titles.map((t, i) => ({
+				header: t,
+				key: `t${i}`,
+				width: 16,
+			})),
+		];
+
+		for (const category of group.categories) {
+			// One row per date so multi-dated entries stay aligned
+			const rows = new Map();
+			for (const row of flattenDashboardData([{ ...category, comb: [] }])) {
+				const key = row.date ? row.date.getTime() : 'none';
+				if (!rows.has(key)) {
+					rows.set(key, { __cat: category.cat, __date: row.date });
+				}
+				const cell = rows.get(key);
+				const col = `t${group.titles.indexOf(row.title)}`;
+				if (cell[col] === undefined) cell[col] = row.value;
+			}
+			for (const values of rows.values()) {
+				const added = sheet.addRow(values);
+				added.eachCell((cell) => {
+					if (cell.value instanceof Date) cell.numFmt = 'yyyy-mm-dd';
+				});
+				added.commit();
+			}
+		}
+		sheet.commit();
+	}
+
+	const hasCombined = dashboardData.some(
+		(category) => Array.isArray(category?.comb) && category.comb.length > 0
+	);
+	if (hasCombined) {
+		const sheet = workbook.addWorksheet(sheetName('Combined charts', used));
+		sheet.columns = [
+			{ header: 'Category', key: 'cat', width: 30 },
+			{ header: 'Chart', key: 'id', width: 24 },
+			{ header: 'Charts', key: 'charts', width: 30 },
+			{ header: 'Title', key: 'title', width: 20 },
+			{
+				header: 'Date',
+				key: 'date',
+				width: 12,
+				style: { numFmt: 'yyyy-mm-dd' },
+			},
+			{ header: 'Value', key: 'value', width: 16 },
+		];
+		for (const category of dashboardData) {
+			for (const chart of category?.comb || []) {
+				for (const node of chart.d || []) {
+					sheet
+						.addRow({
+							cat: category.cat,
+							id: chart.i,
+							charts: (chart.c || []).join(', '),
+							title: node.t,
+							date: toDate(node.d),
+							value: toCellValue(node.v),
+						})
+						.commit();
+				}
+			}
+		}
+		sheet.commit();
+	}
+
+	await workbook.commit();
+	logger.info('Exported dashboard as XLSX', {
+		sheets: used.size,
+		categories: dashboardData.length,
+		duration: (Date.now() - start) / 1000,
+	});
+}
+
+// Quote a CSV field when needed
+function csvField(v) {
+	if (v === null || v === undefined) return '';
+	const s = v instanceof Date ? v.toISOString() : String(escapeFormula(v));
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+async function writeChunk(stream, chunk) {
+	if (!stream.write(chunk)) {
+		await once(stream, 'drain');
+	}
+}
+
+/**
+ * Streams dashboard data as CSV in long format, one line per stored value.
+ * @param {Array} dashboardData - Array of category objects (calculated fields applied).
+ * @param {stream.Writable} stream - Destination stream.
+ * @returns {Promise<void>}
+ */
+export async function writeCsvExport(dashboardData, stream) {
+	const start = Date.now();
+	let count = 0;
+	await writeChunk(stream, 'Category,Group,Chart,Title,Date,Value,Kind\r\n');
+	for (const row of flattenDashboardData(dashboardData)) {
+		const line = [
+			row.cat,
+			row.grp,
+			row.id,
+			row.title,
+			row.date ? row.date.toISOString().slice(0, 10) : '',
+			row.value,
+			row.kind,
+		]
+			.map(csvField)
+			.join(',');
+		await writeChunk(stream, `${line}\r\n`);
+		count++;
+	}
+	stream.end();
+	logger.info('Exported dashboard as CSV', {
+		rows: count,
+		duration: (Date.now() - start) / 1000,
+	});
+}
+
+/**
+ * Streams dashboard data as a JSON array, one category at a time.
+ * @param {Array} dashboardData - Array of category objects (calculated fields applied).
+ * @param {stream.Writable} stream - Destination stream.
+ * @returns {Promise<void>}
+ */
+export async function writeJsonExport(dashboardData, stream) {
+	await writeChunk(stream, '[');
+	for (const [i, category] of dashboardData.entries()) {
+		await writeChunk(stream, (i ? ',' : '') + JSON.stringify(category));
+	}
+	await writeChunk(stream, ']');
+	stream.end();
+	logger.info('Exported dashboard as JSON', {
+		categories: dashboardData.length,
+	});
+}
@@ -0,0 +1,296 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import { applyCalculatedFields } from './dashboardUtils.js';
+import { getLlmProvider } from './llmProvider.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// Characters of dashboard data per chunk
+export const MAX_CHUNK_CHARS = 1500;
+// Chunks retrieved for a question
+export const TOP_K = 8;
+// Dashboards whose index is kept in memory; the least recently used goes first
+const MAX_INDEXES = 50;
+// Texts per embedding request
+const EMBED_BATCH_SIZE = 100;
+
+// Dashboard id -> { stamp, built: Promise<index> }
+const indexes = new Map();
+// hnswlib-node once loaded, null where its native addon is not available
+let hnswlib;
+
+// Date of an entry as exports write it
+function dayOf(value) {
+	const date = new Date(value);
+	return isNaN(date) ? String(value ?? '') : date.toISOString().slice(0, 10);
+}
+
+function valueText(value) {
+	return value !== null && typeof value === 'object'
+		? JSON.stringify(value)
+		: String(value ?? '');
+}
+
+function hashOf(text) {
+	return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Splits dashboard data into text chunks of one title of one category, each
+ * starting with the category, group and title it cites; titles with more
+ * entries than fit are split into chunks of consecutive entries.
+ * @param {Array} dashboardData - Categories as stored (cat, grp, data).
+ * @param {number} [maxChars] - Characters per chunk.
+ * @returns {Array<{category: string, group: string|null, title: string, from: string, to: string, text: string, hash: string}>}
+ *   Chunks with the dates of their first and last entry.
+ */
+export function buildDashboardChunks(
+	dashboardData,
+	maxChars = MAX_CHUNK_CHARS
+) {
+	const chunks = [];
+	(dashboardData || []).forEach((category) => {
+		(category.data || []).forEach((entry) => {
+			const title = entry.d?.[0]?.t;
+			if (!title) return;
+			const header = [
+				`Category: ${category.cat}`,
+				...(category.grp ? [`Group: ${category.grp}`] : []),
+				`Title: ${title}`,
+			].join('\n');
+			let current = null;
+			const push = () => {
+				if (!current) return;
+				const text = [header, ...current.lines].join('\n');
+				chunks.push({
+					category: category.cat,
+					group: category.grp || null,
+					title,
+					from: current.from,
+					to: current.to,
+					text,
+					hash: hashOf(text),
+				});
+				current = null;
+			};
+			entry.d.forEach((e) => {
+				const day = dayOf(e.d);
+				const line = `${day}${e.k ? ` (${e.k})` : ''}: ${valueText(e.v)}`;
+				if (
+					current &&
+					current.size + line.length + 1 > maxChars - header.length
+				) {
+					push();
+				}
+				if (!current) current = { lines: [], size: 0, from: day, to: day };
+				current.lines.push(line);
+				current.size += line.length + 1;
+				current.to = day;
+			});
+			push();
+		});
+	});
+	return chunks;
+}
+
+// The HierarchicalNSW class of hnswlib-node, or null when the addon cannot
+// be loaded (it is not built on every platform)
+async function loadHnswlib() {
+	if (hnswlib === undefined) {
+		try {
+			hnswlib = (await import('hnswlib-node')).default.HierarchicalNSW;
+		} catch (e) {
+			logger.warn('hnswlib-node unavailable, searching by linear scan', {
+				error: e.message,
+			});
+			hnswlib = null;
+		}
+	}
+	return hnswlib;
+}
+
+function norm(vector) {
+	return Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+}
+
+// Exact cosine search over all vectors, with the searchKnn() result shape of
+// hnswlib
+function createLinearIndex(vectors) {
+	const norms = vectors.map(norm);
+	return {
+		searchKnn(vector, k) {
+			const length = norm(vector);
+			const ranked = vectors
+				.map((v, label) => {
+					const dot = v.reduce((sum, x, i) => sum + x * vector[i], 0);
+					const similarity =
+						norms[label] && length ? dot / (norms[label] * length) : 0;
+					return { label, distance: 1 - similarity };
+				})
+				.sort((a, b) => a.distance - b.distance)
+				.slice(0, k);
+			return {
+				neighbors: ranked.map((r) => r.label),
+				distances: ranked.map((r) => r.distance),
+			};
+		},
+	};
+}
+
+function embeddingModelOf(provider) {
+	return `${provider.name}:${provider.models?.embedding ?? ''}`;
+}
+
+// What an index was built from: the data version, the calculated fields
+// applied on read and the embedding model
+function stampOf(dashboard, provider) {
+	return hashOf(
+		JSON.stringify([
+			dashboard.ref?.fid ?? null,
+			(dashboard.calc || []).map((field) => [field.n, field.x]),
+			embeddingModelOf(provider),
+		])
+	);
+}
+
+// Embeds the chunks of the dashboard's current data into a new index;
+// chunks unchanged since the previous index keep their vectors
+async function buildIndex(dashboard, provider, stamp, previous) {
+	const start = Date.now();
+	const embeddingModel = embeddingModelOf(provider);
+	const data = await dashboard.getDashboardData();
+	const { data: calculated } = applyCalculatedFields(data, dashboard.calc);
+	const chunks = buildDashboardChunks(calculated);
+
+	const known =
+		previous?.embeddingModel === embeddingModel ? previous.vectors : new Map();
+	const vectors = new Map();
+	const missing = new Map();
+	chunks.forEach((chunk) => {
+		if (known.has(chunk.hash)) vectors.set(chunk.hash, known.get(chunk.hash));
+		else missing.set(chunk.hash, chunk.text);
+	});
+	const texts = [...missing];
+	for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+		const batch = texts.slice(i, i + EMBED_BATCH_SIZE);
+		const embedded = await provider.embed(batch.map(([, text]) => text));
+		batch.forEach(([hash], j) => vectors.set(hash, embedded[j]));
+	}
+
+	let index = null;
+	if (chunks.length) {
+		const HierarchicalNSW = await loadHnswlib();
+		if (HierarchicalNSW) {
+			index = new HierarchicalNSW('cosine', vectors.get(chunks[0].hash).length);
+			index.initIndex(chunks.length);
+			chunks.forEach((chunk, label) =>
+				index.addPoint(vectors.get(chunk.hash), label)
+			);
+		} else {
+			index = createLinearIndex(chunks.map((chunk) => vectors.get(chunk.hash)));
+		}
+	}
+	logger.info('Built dashboard index', {
+		dashboardId: dashboard._id.toString(),
+		chunks: chunks.length,
+		embedded: texts.length,
+		duration: (Date.now() - start) / 1000,
+	});
+	return { stamp, embeddingModel, chunks, vectors, index };
+}
+
+// Index of the dashboard's current data, built once per change even when
+// requested concurrently
+function getIndex(dashboard, provider) {
+	const id = dashboard._id.toString();
+	const stamp = stampOf(dashboard, provider);
+	const current = indexes.get(id);
+	indexes.delete(id);
+	if (current?.stamp === stamp) {
+		indexes.set(id, current);
+		return current.built;
+	}
+
+	const previous = current
+		? current.built.catch(() => null)
+		: Promise.resolve(null);
+	const entry = {
+		stamp,
+		built: previous.then((prev) =>
+			buildIndex(dashboard, provider, stamp, prev)
+		),
+	};
+	entry.built.catch((e) => {
+		logger.error('Failed to build dashboard index', {
+			dashboardId: id,
+			error: e.message,
+		});
+		if (indexes.get(id) === entry) indexes.delete(id);
+	});
+	indexes.set(id, entry);
+	while (indexes.size > MAX_INDEXES) {
+		indexes.delete(indexes.keys().next().value);
+	}
+	return entry.built;
+}
+
+/**
+ * Starts building a dashboard's index ahead of the first question about its
+ * current data. Failures are logged; the next search tries again.
+ * @param {Object} dashboard - Dashboard document with ref, calc and
+ *   getDashboardData().
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - LLM provider (default getLlmProvider()).
+ */
+export function warmDashboardIndex(
+	dashboard,
+	{ provider = getLlmProvider() } = {}
+) {
+	getIndex(dashboard, provider).catch(() => {});
+}
+
+/**
+ * Finds the chunks of a dashboard's data (calculated fields included) most
+ * similar to a question. The dashboard's index is built on first use and
+ * rebuilt when its data version, calculated fields or the embedding model
+ * change.
+ * @param {Object} dashboard - Dashboard document with ref, calc and
+ *   getDashboardData().
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - LLM provider (default getLlmProvider()).
+ * @param {number} [options.k] - Chunks to return.
+ * @returns {Promise<Array<{category: string, group: string|null, title: string, from: string, to: string, text: string, score: number}>>}
+ *   Best matching first, score being the cosine similarity.
+ */
+export async function searchDashboard(
+	dashboard,
+	question,
+	{ provider = getLlmProvider(), k = TOP_K } = {}
+) {
+	if (!String(question ?? '').trim()) return [];
+	const { chunks, index } = await getIndex(dashboard, provider);
+	if (!index) return [];
+	const [vector] = await provider.embed([question]);
+	if (!vector?.some((v) => v !== 0)) return [];
+	const { neighbors, distances } = index.searchKnn(
+		vector,
+		Math.min(k, chunks.length)
+	);
+	return neighbors.map((label, i) => {
+		const { hash, ...chunk } = chunks[label];
+		return { ...chunk, score: 1 - distances[i] };
+	});
+}
@@ -1,4 +1,12 @@
 import winston from 'winston';
+import {
+	parseExpression,
+	evaluateExpression,
+	getExpressionTitles,
+	getExpressionDateTitles,
+} from './formulaEngine.js';
+import { CustomError } from './CustomError.js';
+import { removeSourceData } from './provenance.js';
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -14,13 +22,64 @@ const logger = winston.createLogger({
 	],
 });
 
+// Categories with the same name in different groups (sheets) stay separate
+const categoryKey = (category, categoryName) =>
+	category.grp ? `${category.grp}\u0000${categoryName}` : categoryName;
+
+export const MERGE_STRATEGIES = ['replace', 'append', 'upsert', 'accumulate'];
+
+const nodeTime = (node) =>
+	node.d instanceof Date ? node.d.getTime() : new Date(node.d).getTime();
+// Values are matched by business key when the upload had a key column,
+// otherwise by date
+const nodeKey = (node) =>
+	node.k !== undefined && node.k !== null
+		? `k:${node.k}`
+		: `d:${nodeTime(node)}`;
+
+// Combine the values of one entry under append, upsert or accumulate
+function mergeNodes(existingNodes, newNodes, strategy) {
+	const nodes = [...existingNodes];
+	const index = new Map(nodes.map((node, i) => [nodeKey(node), i]));
+	newNodes.forEach((node) => {
+		const key = nodeKey(node);
+		if (!index.has(key)) {
+			index.set(key, nodes.length);
+			nodes.push(node);
+			return;
+		}
+		if (strategy === 'append') return;
+		const i = index.get(key);
+		const old = nodes[i];
+		nodes[i] =
+			strategy === 'accumulate' &&
+			typeof old.v === 'number' &&
+			typeof node.v === 'number'
+				? { ...node, v: old.v + node.v }
+				: node;
+	});
+	return nodes.sort((a, b) => nodeTime(a) - nodeTime(b));
+}
+
 /**
- * Merges new dashboard data into existing data efficiently.
+ * Merges new dashboard data into existing data efficiently. By default an
+ * entry's values are replaced by the new ones; a merge strategy changes that:
+ * - replace: values from earlier uploads of the same source file are
+ *   removed first (see utils/provenance.js)
+ * - append: only values for new dates (or keys) are added
+ * - upsert: values with the same key (or date) are replaced, others added
+ * - accumulate: numeric values with the same key (or date) are summed
  * @param {Array} existingData - Existing dashboard data array.
  * @param {Array} newData - New dashboard data array to merge.
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - One of MERGE_STRATEGIES.
+ * @param {string} [options.source] - Source file name of newData (for replace).
+ * @param {Array<string>} [options.sourceIds] - File ids of the earlier
+ *   uploads of that file (for replace).
  * @returns {Array} Merged dashboard data array.
  */
-export const mergeDashboardData = (existingData, newData) => {
+export const mergeDashboardData = (existingData, newData, options = {}) => {
+	const { strategy, source, sourceIds = [] } = options;
 	if (!Array.isArray(existingData) || !Array.isArray(newData)) {
 		logger.warn('Invalid input: existingData and newData must be arrays', {
 			existingType: typeof existingData,
@@ -31,15 +90,23 @@ export const mergeDashboardData = (existingData, newData) => {
 
 	const startTime = Date.now();
 	const categoryMap = new Map();
+	const baseData =
+		strategy === 'replace' && source
+			? removeSourceData(existingData, { fileIds: sourceIds, fileName: source })
+					.data
+			: existingData;
 
 	// Map existing categories
-	existingData.forEach((category, index) => {
+	baseData.forEach((category, index) => {
 		const categoryName = category.cat || category.categoryName;
 		if (typeof categoryName !== 'string' || !categoryName.trim()) {
 			logger.warn('Skipping invalid category', { index, categoryName });
 			return;
 		}
-		categoryMap.set(categoryName, { ...category, cat: categoryName });
+		categoryMap.set(categoryKey(category, categoryName), {
+			...category,
+			cat: categoryName,
+		});
 	});
 
 	// Merge new categories
@@ -54,8 +121,9 @@ export const mergeDashboardData = (existingData, newData) => {
 			logger.warn('Empty data array in new category', { categoryName });
 		}
 
-		if (categoryMap.has(categoryName)) {
-			const existingCategory = categoryMap.get(categoryName);
+		const key = categoryKey(newCategory, categoryName);
+		if (categoryMap.has(key)) {
+			const existingCategory = categoryMap.get(key);
 
 			// Merge data entries
 			if (Array.isArray(newCategory.data)) {
@@ -85,6 +153,15 @@ export const mergeDashboardData = (existingData, newData) => {
 					}
 					if (chartMap.has(newEntry.i)) {
 						const existingEntry = chartMap.get(newEntry.i);
+						if (newEntry.s) existingEntry.s = newEntry.s;
+						if (strategy && strategy !== 'replace') {
+							existingEntry.d = mergeNodes(
+								existingEntry.d,
+								newEntry.d,
+								strategy
+							);
+							return;
+						}
 						const newValue = newEntry.d[0]?.v;
 						const existingValue = existingEntry.d[0]?.v;
 						if (typeof newValue === typeof existingValue) {
@@ -160,13 +237,14 @@ export const mergeDashboardData = (existingData, newData) => {
 			}
 		} else {
 			if (Array.isArray(newCategory.data) && typeof categoryName === 'string') {
-				categoryMap.set(categoryName, {
+				categoryMap.set(key, {
 					cat: categoryName,
 					data: newCategory.data,
 					comb: newCategory.comb || [],
 					sum: newCategory.sum || [],
 					chart: newCategory.chart || 'Area',
 					ids: newCategory.ids || [],
+					...(newCategory.grp && { grp: newCategory.grp }),
 				});
 			} else {
 				logger.warn('Skipping invalid new category', { index, categoryName });
@@ -180,6 +258,7 @@ export const mergeDashboardData = (existingData, newData) => {
 		existingCount: existingData.length,
 		newCount: newData.length,
 		mergedCount: merged.length,
+		strategy: strategy || 'default',
 		duration,
 	});
 
@@ -485,6 +564,377 @@ export function calculateDynamicParameters(
 	return updatedData;
 }
 
+/**
+ * Evaluates a parsed formula for every category and adds the result as a new entry.
+ * Source parameters are kept. Titles with a value per period (unpivoted rows)
+ * are evaluated period by period into a result value per period; titles with
+ * one value apply to every period. Categories that cannot be calculated are
+ * left unchanged and reported in the returned errors array.
+ * @param {Array} dashboardData - Array of category objects.
+ * @param {Object} ast - Formula AST from parseExpression.
+ * @param {string} resultName - Title for the result entry (e.g., "Margin_pct").
+ * @param {boolean} [calculated=false] - Marks result entries as calculated fields (`cf`).
+ * @returns {{data: Array, errors: Array<{cat: string, error: string}>}} Updated data and per-category errors.
+ */
+export function calculateFormulaParameters(
+	dashboardData,
+	ast,
+	resultName,
+	calculated = false
+) {
+	if (!Array.isArray(dashboardData)) {
+		logger.warn('Invalid dashboardData: must be an array', {
+			type: typeof dashboardData,
+		});
+		return { data: [], errors: [] };
+	}
+
+	const startTime = Date.now();
+	const titles = getExpressionTitles(ast);
+	const errors = [];
+	const updatedData = [];
+
+	for (const [catIndex, category] of dashboardData.entries()) {
+		if (
+			!category ||
+			typeof category !== 'object' ||
+			!Array.isArray(category.data)
+		) {
+			errors.push({
+				cat: category?.cat ?? `#${catIndex}`,
+				error: 'Invalid category structure',
+			});
+			updatedData.push(category);
+			continue;
+		}
+
+		// Values of each title; the first entry of a title wins
+		const values = {};
+		category.data.forEach((entry) => {
+			const title = entry.d?.[0]?.t;
+			if (title && title !== resultName && !(title in values)) {
+				values[title] = entry.d.map((node) => ({
+					d: node.d,
+					v:
+						typeof node.v === 'string' &&
+						node.v.trim() &&
+						!isNaN(Number(node.v))
+							? Number(node.v)
+							: node.v,
+				}));
+			}
+		});
+		const scopeAt = (time) =>
+			Object.fromEntries(
+				Object.entries(values).map(([title, nodes]) => [
+					title,
+					nodes.length === 1
+						? nodes[0].v
+						: nodes.find((node) => nodeTime(node) === time)?.v,
+				])
+			);
+
+		// Periods every referenced title with a value per period has
+		const series = titles
+			.filter((t) => values[t]?.length > 1)
+			.map((t) => new Set(values[t].map(nodeTime)));
+		const periods = series.length
+			? [...series[0]]
+					.filter((time) => series.every((times) => times.has(time)))
+					.sort((a, b) => a - b)
+			: [];
+
+		const nodes = [];
+		let period = null;
+		try {
+			if (series.length === 0) {
+				const sourceNode = category.data.find((entry) =>
+					titles.includes(entry.d?.[0]?.t)
+				)?.d[0];
+				const date = sourceNode?.d ?? category.data[0]?.d?.[0]?.d ?? Date.now();
+				nodes.push({
+					t: resultName,
+					v: evaluateExpression(ast, scopeAt(null)),
+					d: date instanceof Date ? date : new Date(date),
+				});
+			}
+			for (period of periods) {
+				nodes.push({
+					t: resultName,
+					v: evaluateExpression(ast, scopeAt(period)),
+					d: new Date(period),
+				});
+			}
+			if (nodes.length === 0) throw new Error('No period has every value');
+		} catch (e) {
+			const on =
+				period === null
+					? ''
+					: ` on ${new Date(period).toISOString().slice(0, 10)}`;
+			errors.push({ cat: category.cat, error: `${e.message}${on}` });
+			updatedData.push(category);
+			continue;
+		}
+
+		const newData = category.data.filter(
+			(entry) => entry.d?.[0]?.t !== resultName
+		);
+		newData.push({
+			i: `${category.cat}-${resultName}`,
+			d: nodes,
+			...(calculated && { cf: true }),
+		});
+
+		updatedData.push({ ...category, data: newData });
+	}
+
+	const duration = (Date.now() - startTime) / 1000;
+	logger.info('Calculated formula parameters', {
+		resultName,
+		titles,
+		categories: updatedData.length,
+		failed: errors.length,
+		duration,
+	});
+
+	return { data: updatedData, errors };
+}
+
+/**
+ * Evaluates stored calculated field definitions on top of raw dashboard data.
+ * Fields are applied in order, so a field may reference the ones before it.
+ * @param {Array} dashboardData - Raw dashboard data array.
+ * @param {Array<{n: string, x: string}>} fields - Calculated field definitions.
+ * @returns {{data: Array, errors: Array<{field: string, cat?: string, error: string}>}} Data with calculated entries and errors.
+ */
+export function applyCalculatedFields(dashboardData, fields) {
+	if (!Array.isArray(dashboardData) || !Array.isArray(fields)) {
+		return {
+			data: Array.isArray(dashboardData) ? dashboardData : [],
+			errors: [],
+		};
+	}
+
+	let data = dashboardData;
+	const errors = [];
+	for (const field of fields) {
+		let ast;
+		try {
+			ast = parseExpression(field.x);
+		} catch (e) {
+			errors.push({ field: field.n, error: e.message });
+			continue;
+		}
+		const result = calculateFormulaParameters(data, ast, field.n, true);
+		result.errors.forEach((err) => errors.push({ field: field.n, ...err }));
+		data = result.data;
+	}
+
+	return { data, errors };
+}
+
+/**
+ * Validates a calculated field definition against raw dashboard data.
+ * The field may reference numeric titles, date titles inside days(), and
+ * calculated fields defined before it.
+ * @param {Array} dashboardData - Raw dashboard data array (without calculated fields).
+ * @param {Array<{n: string, x: string}>} precedingFields - Calculated fields evaluated before this one.
+ * @param {string} name - Field name (result title).
+ * @param {string} expression - Formula expression.
+ * @returns {{ast: Object, unknownTitles: Array<string>, availableTitles: Array<string>}} Parsed AST and unresolved titles.
+ * @throws {CustomError} 400 on invalid name or expression syntax.
+ */
+export function validateCalculatedField(
+	dashboardData,
+	precedingFields,
+	name,
+	expression
+) {
+	if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_INPUT: Result name must be a non-empty string of at most 100 characters'
+		);
+	}
+
+	const rawTitles = new Set(
+		dashboardData.flatMap((category) =>
+			Array.isArray(category.data)
+				? category.data.flatMap((entry) =>
+						Array.isArray(entry.d) ? entry.d.map((node) => node.t) : []
+				  )
+				: []
+		)
+	);
+	if (rawTitles.has(name.trim())) {
+		throw new CustomError(
+			400,
+			`ERR_NAME_EXISTS: '${name.trim()}' is already a data title`
+		);
+	}
+
+	const ast = parseExpression(expression);
+	const availableTitles = [
+		...getNumericTitles(dashboardData),
+		...precedingFields.map((field) => field.n),
+	];
+	const dateTitles = getDateTitles(dashboardData);
+	const dateArgs = getExpressionDateTitles(ast);
+	const unknownTitles = getExpressionTitles(ast).filter(
+		(t) =>
+			!availableTitles.includes(t) &&
+			!(dateArgs.includes(t) && dateTitles.includes(t))
+	);
+
+	return { ast, unknownTitles, availableTitles };
+}
+
+/**
+ * Filters, sorts and slices dashboard categories for paged reads.
+ * @param {Array} dashboardData - Array of category objects.
+ * @param {Object} [options] - Query options.
+ * @param {string} [options.search] - Case-insensitive substring of the category name.
+ * @param {Array<string>} [options.titles] - Keep only entries with these titles.
+ * @param {Object<string, {min?: number, max?: number}>} [options.ranges] - Value range per title;
+ *   categories without a value for the title are excluded. Ranges and sorting
+ *   use a title's latest value in the date range, so titles with a value per
+ *   period (unpivoted rows) compare by their last period.
+ * @param {Date} [options.from] - Drop entry values dated before this.
+ * @param {Date} [options.to] - Drop entry values dated after this.
+ * @param {string} [options.sort] - "cat" or a title, prefixed with "-" for descending.
+ * @param {number} [options.offset=0] - Number of matching categories to skip.
+ * @param {number} [options.limit] - Maximum categories to return.
+ * @returns {{data: Array, total: number}} Page of categories and total matches.
+ */
+export function queryDashboardData(dashboardData, options = {}) {
+	if (!Array.isArray(dashboardData)) {
+		logger.warn('Invalid dashboardData: must be an array', {
+			type: typeof dashboardData,
+		});
+		return { data: [], total: 0 };
+	}
+
+	const startTime = Date.now();
+	const {
+		search,
+		titles,
+		ranges = {},
+		from,
+		to,
+		sort,
+		offset = 0,
+		limit,
+	} = options;
+	const needle = search ? search.toLowerCase() : null;
+	const titleSet =
+		Array.isArray(titles) && titles.length ? new Set(titles) : null;
+	const rangeTitles = Object.keys(ranges);
+
+	const toNumber = (v) =>
+		typeof v === 'number'
+			? v
+			: typeof v === 'string' && v.trim() && !isNaN(Number(v))
+			? Number(v)
+			: null;
+	// Latest value of a title
+	const titleValue = (data, title) => {
+		let latest = null;
+		data.forEach((entry) =>
+			entry.d?.forEach((node) => {
+				if (
+					node.t === title &&
+					(!latest || nodeTime(node) > nodeTime(latest))
+				) {
+					latest = node;
+				}
+			})
+		);
+		return latest?.v;
+	};
+
+	const filtered = [];
+	for (const category of dashboardData) {
+		if (!category || typeof category.cat !== 'string') continue;
+		if (!Array.isArray(category.data)) continue;
+		if (needle && !category.cat.toLowerCase().includes(needle)) continue;
+
+		let data = category.data;
+		if (from || to) {
+			data = data
+				.map((entry) => ({
+					...entry,
+					d: entry.d.filter((node) => {
+						const date = node.d instanceof Date ? node.d : new Date(node.d);
+						return (!from || date >= from) && (!to || date <= to);
+					}),
+				}))
+				.filter((entry) => entry.d.length > 0);
+		}
+
+		const inRange = rangeTitles.every((title) => {
+			const v = toNumber(titleValue(data, title));
+			if (v === null) return false;
+			const { min, max } = ranges[title];
+			return (min === undefined || v >= min) && (max === undefined || v <= max);
+		});
+		if (!inRange) continue;
+
+		if (titleSet) {
+			data = data.filter((entry) =>
+				entry.d?.some((node) => titleSet.has(node.t))
+			);
+		}
+		if (data.length === 0) continue;
+
+		filtered.push(data === category.data ? category : { ...category, data });
+	}
+
+	if (sort) {
+		const desc = sort.startsWith('-');
+		const key = desc ? sort.slice(1) : sort;
+		const dir = desc ? -1 : 1;
+		if (key === 'cat') {
+			filtered.sort((a, b) => dir * a.cat.localeCompare(b.cat));
+		} else {
+			const sortValue = (category) => {
+				const v = titleValue(category.data, key);
+				return (
+					toNumber(v) ?? (v === undefined || v === null ? null : String(v))
+				);
+			};
+			filtered.sort((a, b) => {
+				const va = sortValue(a);
+				const vb = sortValue(b);
+				// Categories without the title always go last
+				if (va === null) return vb === null ? 0 : 1;
+				if (vb === null) return -1;
+				if (typeof va === 'number' && typeof vb === 'number') {
+					return dir * (va - vb);
+				}
+				return dir * String(va).localeCompare(String(vb));
+			});
+		}
+	}
+
+	const page =
+		limit === undefined
+			? filtered.slice(offset)
+			: filtered.slice(offset, offset + limit);
+
+	const duration = (Date.now() - startTime) / 1000;
+	logger.info('Queried dashboard data', {
+		total: dashboardData.length,
+		matched: filtered.length,
+		returned: page.length,
+		offset,
+		limit,
+		sort,
+		duration,
+	});
+
+	return { data: page, total: filtered.length };
+}
+
 /**
  * Limits dashboard data size to a specified maximum (default 8MB).
  * @param {Array} dashboardData - Dashboard data array.
@@ -1,5 +1,7 @@
 import { format, parse } from 'date-fns';
 import winston from 'winston';
+import { parseNumber } from './columnSchema.js';
+import { DEFAULT_UNPIVOT_TITLE } from './periods.js';
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -120,23 +122,44 @@ export const extractJavascriptCode = (s) => {
  * Transforms raw data into DashboardCategorySchema structure.
  * @param {Array} d - Array of data objects from file.
  * @param {string} fn - File name.
- * @returns {Object} Object with dashboardData array.
+ * @param {Object} [options] - Transform options.
+ * @param {Array<{k: string, t: string, fmt?: string}>} [options.schema] - Column
+ *   schema (see utils/columnSchema.js); its category and first date column
+ *   replace the heuristics, and text columns are kept as strings.
+ * @param {string} [options.dateColumn] - Column holding the row date (values
+ *   already normalized to yyyy-MM-dd); defaults to the schema's date column.
+ * @param {string} [options.decimal] - Decimal separator of numeric text.
+ * @param {Array<{k: string, d: Date}>} [options.periods] - Period columns of a
+ *   wide sheet (see utils/periods.js); their values become one entry titled
+ *   options.periodTitle with a dated value per period.
+ * @param {string} [options.periodTitle] - Title of the unpivoted entry.
+ * @param {string} [options.keyColumn] - Column identifying a row across
+ *   uploads; its value is stored as `k` on the row's values (not on unpivoted
+ *   ones) instead of becoming an entry.
+ * @param {number} [options.rowOffset] - Rows of the sheet before d; values
+ *   record their 1-based data row as `r`.
+ * @param {Array<number>} [options.rowNumbers] - Data row of each item of d,
+ *   when rows before them were removed (see utils/recipe.js); replaces
+ *   rowOffset.
+ * @returns {{dashboardData: Array, skipped: Array<{row: number, reason: string}>}}
+ *   Categories, and the rows that produced none with the reason.
  */
-export function transformDataStructure(d, fn) {
+export function transformDataStructure(d, fn, options = {}) {
 	if (!Array.isArray(d) || typeof fn !== 'string' || !fn.trim()) {
 		logger.warn('Invalid input: data must be array, fileName a string', {
 			fn: fn || 'undefined',
 			type: typeof d,
 		});
-		return { dashboardData: [] };
+		return { dashboardData: [], skipped: [] };
 	}
 
 	if (d.length === 0) {
 		logger.warn('No data provided', { fn });
-		return { dashboardData: [] };
+		return { dashboardData: [], skipped: [] };
 	}
 
 	const dd = [];
+	const skipped = [];
 	const fbDate = format(new Date(), 'yyyy-MM-dd');
 	const dateFormats = [
 		/^\d{4}-\d{2}-\d{2}$/, // YYYY-MM-DD
@@ -152,12 +175,37 @@ export function transformDataStructure(d, fn) {
 		return true;
 	};
 
+	const schema = Array.isArray(options.schema) ? options.schema : [];
+	const textKeys = new Set(
+		schema.filter((c) => c.t === 'text' || c.t === 'category').map((c) => c.k)
+	);
+	const dck =
+		options.dateColumn || schema.find((c) => c.t === 'date')?.k || null;
+	const decimals = new Map(
+		schema.filter((c) => c.dec).map((c) => [c.k, c.dec])
+	);
+	const periods = Array.isArray(options.periods) ? options.periods : [];
+	const periodKeys = new Set(periods.map((p) => p.k));
+	const periodTitle =
+		String(options.periodTitle || '').trim() || DEFAULT_UNPIVOT_TITLE;
+	const kck = options.keyColumn || null;
+	const rowOffset = Number.isInteger(options.rowOffset) ? options.rowOffset : 0;
+	const rowOf = Array.isArray(options.rowNumbers)
+		? (n) => options.rowNumbers[n]
+		: (n) => rowOffset + n + 1;
+	const cleanValue = (k, v) =>
+		typeof v === 'string' &&
+		!textKeys.has(k) &&
+		!dateFormats.some((rx) => rx.test(v.trim()))
+			? cleanNumeric(v, decimals.get(k) || options.decimal)
+			: v;
+
 	const prefCols = ['Notes', 'Description', 'Comments'];
-	let sck = null;
+	let sck = schema.find((c) => c.t === 'category')?.k || null;
 	const ks = Object.keys(d[0] || {});
 	logger.info('Available cols', { fn, cols: ks });
 
-	if (ks.length > 0) {
+	if (!sck && ks.length > 0) {
 		for (const k of prefCols) {
 			if (ks.includes(k) && d.every((i) => i[k] && isStr(i[k]))) {
 				sck = k;
@@ -180,17 +228,23 @@ export function transformDataStructure(d, fn) {
 		b.forEach((it, idx) => {
 			if (!it || typeof it !== 'object') {
 				logger.warn('Skipping invalid item', { fn, idx: i + idx });
+				skipped.push({ row: rowOf(i + idx), reason: 'invalid row' });
 				return;
 			}
 
 			const iks = Object.keys(it);
 			if (iks.length === 0) {
 				logger.warn('Skipping empty item', { fn, idx: i + idx });
+				skipped.push({ row: rowOf(i + idx), reason: 'empty row' });
 				return;
 			}
 
-			let dt = null;
-			for (const k of iks) {
+			let dt =
+				dck && typeof it[dck] === 'string' && dateFormats[0].test(it[dck])
+					? it[dck]
+					: null;
+			// With a known date column, rows without a valid date use the fallback
+			for (const k of dck ? [] : iks) {
 				const v = it[k];
 				if (typeof v === 'string' && v.trim()) {
 					const t = v.trim();
@@ -210,21 +264,21 @@ export function transformDataStructure(d, fn) {
 			}
 
 			let cat =
-				sck && it[sck] && isStr(it[sck])
+				sck && it[sck] && (textKeys.has(sck) || isStr(it[sck]))
 					? String(it[sck]).trim()
 					: iks.length > 0
 					? String(it[iks[0]] || 'Unknown').trim()
 					: 'Unknown';
 
+			const kv =
+				kck && it[kck] !== null && it[kck] !== undefined
+					? String(it[kck]).trim().slice(0, 255)
+					: '';
 			const cs = [];
 			for (const k of iks) {
-				if (k === sck) continue;
+				if (k === sck || k === kck || periodKeys.has(k)) continue;
 				const ct = String(k).trim() || 'unk_col';
-				const v = it[k];
-				let cv =
-					typeof v === 'string' && !dateFormats.some((rx) => rx.test(v.trim()))
-						? cleanNumeric(v)
-						: v;
+				const cv = cleanValue(k, it[k]);
 
 				if (cv === undefined || cv === null) {
 					logger.debug('Skipping invalid value', { fn, k, idx: i + idx });
@@ -232,14 +286,34 @@ export function transformDataStructure(d, fn) {
 				}
 
 				const cid = generateChartId(cat, ct);
-				cs.push({
-					i: cid,
-					d: [{ t: ct, v: cv, d: new Date(dt || fbDate) }],
-				});
+				const node = {
+					t: ct,
+					v: cv,
+					d: new Date(dt || fbDate),
+					r: rowOf(i + idx),
+				};
+				if (kv) node.k = kv;
+				cs.push({ i: cid, d: [node] });
+			}
+
+			// Unpivoted period columns: one entry with a value per period
+			const nodes = periods
+				.map(({ k, d: pd }) => ({
+					t: periodTitle,
+					v: cleanValue(k, it[k]),
+					d: pd,
+					r: rowOf(i + idx),
+				}))
+				.filter(
+					(node) => node.v !== undefined && node.v !== null && node.v !== ''
+				);
+			if (nodes.length > 0) {
+				cs.push({ i: generateChartId(cat, periodTitle), d: nodes });
 			}
 
 			if (cs.length === 0) {
 				logger.warn('No charts generated', { fn, idx: i + idx });
+				skipped.push({ row: rowOf(i + idx), reason: 'no values' });
 				return;
 			}
 
@@ -260,17 +334,29 @@ export function transformDataStructure(d, fn) {
 		sample: dd.slice(0, 2), // Reduced sample size
 	});
 
-	return { dashboardData: dd };
+	return { dashboardData: dd, skipped };
 }
 
 /**
- * Cleans string values to numeric format if possible.
+ * Cleans string values to numeric format if possible. The first number in
+ * the string is used, with regional formats such as "1 234,56 €" and
+ * accounting negatives such as "(1,234.00)" understood.
  * @param {any} v - Value to clean.
+ * @param {string} [decimal] - Decimal separator ('.' or ','); detected from
+ *   the value when omitted.
  * @returns {number|string|any} Cleaned value.
  */
-export function cleanNumeric(v) {
+export function cleanNumeric(v, decimal) {
 	if (typeof v !== 'string' || !v.trim()) return v;
 
+	const token = v.match(/\(?[-+]?\d[\d\s.,'\u00a0\u202f]*\)?/);
+	if (token) {
+		let s = token[0].trim().replace(/[\s.,']+$/, '');
+		if (s.startsWith('(') !== s.endsWith(')')) s = s.replace(/[()]/g, '');
+		const n = parseNumber(s, decimal);
+		if (n !== null) return n;
+	}
+
 	const m = v.match(/-?\d+(\.\d+)?/);
 	if (m) {
 		const s = m[0];
@@ -1,6 +1,15 @@
 import { parse } from 'csv-parse';
+import { parse as parseCsvStream } from '@fast-csv/parse';
 import xlsx from 'xlsx';
+import { Readable } from 'stream';
+import XlsxStreamReader from 'xlsx-stream-reader';
 import { CustomError } from './CustomError.js';
+import {
+	DIALECT_SAMPLE_SIZE,
+	LINE_BREAK,
+	resolveCsvDialect,
+} from './csvDialect.js';
+import { createTableReader, extractTable } from './sheetLayout.js';
 
 export async function parseFile(buffer, fileType) {
 	try {
@@ -37,3 +46,322 @@ export async function parseFile(buffer, fileType) {
 		throw new CustomError(400, `Failed to parse file: ${error.message}`);
 	}
 }
+
+/**
+ * Reads every sheet of a workbook, or only the requested ones, into row
+ * objects. The table of each sheet is located below any title block, with
+ * merged cells expanded and total rows skipped (see utils/sheetLayout.js).
+ * Sheets that cannot be read are returned with an error instead of failing
+ * the whole workbook.
+ * @param {Buffer} buffer - XLSX/XLS file content.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sheets] - Sheet names to read (default: all).
+ * @returns {Promise<{sheetNames: Array<string>, sheets: Array<{name: string, rows: Array<Object>, layout?: Object, error?: string}>}>}
+ * @throws {CustomError} 400 when the workbook is unreadable or a requested sheet does not exist.
+ */
+export async function parseWorkbookSheets(buffer, { sheets } = {}) {
+	let workbook;
+	try {
+		workbook = xlsx.read(buffer, {
+			type: 'buffer',
+			cellDates: true,
+			raw: false,
+			cellText: false,
+		});
+	} catch (error) {
+		throw new CustomError(400, `Failed to parse file: ${error.message}`);
+	}
+
+	const sheetNames = workbook.SheetNames;
+	const selected = Array.isArray(sheets) && sheets.length ? sheets : sheetNames;
+	const missing = selected.filter((name) => !sheetNames.includes(name));
+	if (missing.length) {
+		throw new CustomError(
+			400,
+			`ERR_UNKNOWN_SHEET: Sheet(s) not found: ${missing.join(
+				', '
+			)}. Available: ${sheetNames.join(', ')}`
+		);
+	}
+
+	const result = [];
+	for (const name of selected) {
+		try {
+			const sheet = workbook.Sheets[name];
+			const grid = xlsx.utils.sheet_to_json(sheet, {
+				header: 1,
+				raw: false,
+				defval: null,
+				blankrows: true,
+			});
+			const { rows, layout } = extractTable(grid, {
+				merges: sheet['!merges'],
+				origin: sheet['!ref']
+					? xlsx.utils.decode_range(sheet['!ref']).s
+					: undefined,
+			});
+			result.push({ name, rows, layout });
+		} catch (error) {
+			result.push({ name, rows: [], error: error.message });
+		}
+		// Yield between sheets so large workbooks do not block the event loop
+		await new Promise((resolve) => setTimeout(resolve, 0));
+	}
+	return { sheetNames, sheets: result };
+}
+
+export const STREAM_BATCH_SIZE = 5000;
+
+const parseError = (error) =>
+	new CustomError(400, `Failed to parse file: ${error.message}`);
+
+// Decode a byte stream to text, starting with chunks already read and
+// dropping the lines above the header (split like detectCsvDialect does)
+async function* decodeChunks(head, iterator, encoding, skipLines) {
+	const decoder = new TextDecoder(encoding);
+	let skip = skipLines;
+	// A dropped line ended with \r at the end of a chunk; a \n starting the
+	// next chunk belongs to that line break
+	let afterCr = false;
+	const text = (s) => {
+		if (afterCr && s) {
+			if (s.startsWith('\n')) s = s.slice(1);
+			afterCr = false;
+		}
+		while (skip > 0 && s) {
+			const match = LINE_BREAK.exec(s);
+			if (!match) return '';
+			s = s.slice(match.index + match[0].length);
+			skip--;
+			afterCr = match[0] === '\r' && !s;
+		}
+		return s;
+	};
+	for (const chunk of head) yield text(decoder.decode(chunk, { stream: true }));
+	for (
+		let next = await iterator.next();
+		!next.done;
+		next = await iterator.next()
+	) {
+		yield text(decoder.decode(next.value, { stream: true }));
+	}
+	const rest = text(decoder.decode());
+	if (rest) yield rest;
+}
+
+// The dialect is resolved from the first DIALECT_SAMPLE_SIZE bytes
+async function readCsvStream(source, batchSize, overrides, onBatch) {
+	const iterator = source[Symbol.asyncIterator]();
+	const head = [];
+	let size = 0;
+	while (size < DIALECT_SAMPLE_SIZE) {
+		const next = await iterator.next();
+		if (next.done) break;
+		const chunk = Buffer.from(next.value);
+		head.push(chunk);
+		size += chunk.length;
+	}
+	let dialect;
+	try {
+		dialect = resolveCsvDialect(Buffer.concat(head), overrides);
+	} catch (error) {
+		source.destroy();
+		throw error;
+	}
+	const input = Readable.from(
+		decodeChunks(head, iterator, dialect.encoding, dialect.headerRow)
+	);
+
+	return new Promise((resolve, reject) => {
+		let batch = [];
+		let rows = 0;
+		let failure = null;
+		const parser = parseCsvStream({
+			headers: true,
+			ignoreEmpty: true,
+			trim: true,
+			discardUnmappedColumns: true,
+			delimiter: dialect.delimiter,
+			quote: dialect.quoteChar,
+			escape: dialect.quoteChar,
+		});
+		const stop = (error) => {
+			failure = error;
+			parser.destroy(error);
+		};
+		input.on('error', stop);
+		parser
+			.on('error', (error) => reject(failure || parseError(error)))
+			.on('data', (row) => {
+				batch.push(row);
+				rows++;
+				if (batch.length < batchSize) return;
+				const full = batch;
+				batch = [];
+				try {
+					onBatch(null, full, dialect);
+				} catch (error) {
+					stop(error);
+				}
+			})
+			.on('end', () => {
+				try {
+					if (batch.length) onBatch(null, batch, dialect);
+					resolve({
+						sheetNames: [],
+						sheets: [{ name: null, rows }],
+						dialect,
+					});
+				} catch (error) {
+					reject(error);
+				}
+			});
+		input.pipe(parser);
+	});
+}
+
+function readXlsxStream(source, sheets, batchSize, onBatch) {
+	return new Promise((resolve, reject) => {
+		const workbook = new XlsxStreamReader({ verbose: false, formatting: true });
+		const selected = Array.isArray(sheets) && sheets.length ? sheets : null;
+		const read = [];
+		let pending = 0;
+		let ended = false;
+		let failed = false;
+
+		const fail = (error) => {
+			if (failed) return;
+			failed = true;
+			workbook.abort();
+			source.unpipe();
+			source.resume();
+			reject(error);
+		};
+		const finish = () => {
+			if (failed || !ended || pending > 0) return;
+			const sheetNames = Object.values(
+				workbook.workBookInfo.sheetRelationshipsNames
+			);
+			const missing = (selected || []).filter(
+				(name) => !sheetNames.includes(name)
+			);
+			if (missing.length) {
+				fail(
+					new CustomError(
+						400,
+						`ERR_UNKNOWN_SHEET: Sheet(s) not found: ${missing.join(
+							', '
+						)}. Available: ${sheetNames.join(', ')}`
+					)
+				);
+				return;
+			}
+			resolve({ sheetNames, sheets: read });
+		};
+
+		workbook.on('error', (error) => fail(parseError(error)));
+		// Format every number with its built-in format, as the buffered reader
+		// does. Without custom formats the reader parses numbers itself and
+		// turns zeros into empty cells.
+		workbook.on('styles', () => {
+			workbook.hasFormatCodes = true;
+		});
+		workbook.on('worksheet', (sheet) => {
+			if (failed || (selected && !selected.includes(sheet.name))) {
+				sheet.skip();
+				return;
+			}
+			const info = { name: sheet.name, rows: 0 };
+			read.push(info);
+			pending++;
+			const table = createTableReader();
+			let batch = [];
+			const push = (rows) => {
+				rows.forEach((values) => batch.push(values));
+				info.rows += rows.length;
+			};
+			const flush = () => {
+				if (!batch.length) return;
+				const full = batch;
+				batch = [];
+				onBatch(sheet.name, full);
+			};
+
+			sheet.on('row', (row) => {
+				if (failed) return;
+				// row.values is indexed by column number, starting at 1
+				const values = Array.from(
+					{ length: Math.max(row.values.length - 1, 0) },
+					(_, col) => row.values[col + 1] ?? null
+				);
+				push(table.add(values, Number(row.attributes.r)));
+				if (batch.length < batchSize) return;
+				try {
+					flush();
+				} catch (error) {
+					fail(error);
+				}
+			});
+			sheet.on('end', () => {
+				pending--;
+				if (failed) return;
+				try {
+					const { rows, layout } = table.finish();
+					push(rows);
+					info.layout = layout;
+					flush();
+				} catch (error) {
+					fail(error);
+					return;
+				}
+				finish();
+			});
+			sheet.process();
+		});
+		workbook.on('end', () => {
+			ended = true;
+			finish();
+		});
+
+		source.on('error', fail);
+		source.pipe(workbook);
+	});
+}
+
+/**
+ * Reads a CSV or XLSX stream row by row and hands the rows over in batches,
+ * so only one batch is held in memory at a time. The header of every sheet is
+ * detected below any title block and total rows are skipped (see
+ * utils/sheetLayout.js); CSV files have their header on the first line after
+ * the preamble and are read in their detected or requested dialect (see
+ * utils/csvDialect.js). onBatch runs synchronously; an error it throws
+ * stops the read and rejects.
+ * @param {stream.Readable} source - File content.
+ * @param {string} fileName - File name; the extension selects the parser.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sheets] - Sheet names to read (default: all).
+ * @param {number} [options.batchSize] - Rows per batch.
+ * @param {Object} [options.csv] - CSV dialect overrides.
+ * @param {Function} onBatch - Called with (sheetName, rows, dialect); sheetName
+ *   is null and dialect the resolved CSV dialect for CSV files.
+ * @returns {Promise<{sheetNames: Array<string>, sheets: Array<{name: string|null, rows: number, layout?: Object}>, dialect?: Object}>}
+ * @throws {CustomError} 400 when the file cannot be parsed or a requested sheet does not exist.
+ */
+export async function streamFileRows(
+	source,
+	fileName,
+	{ sheets, batchSize = STREAM_BATCH_SIZE, csv } = {},
+	onBatch
+) {
+	const name = fileName.toLowerCase();
+	if (name.endsWith('.csv')) {
+		return readCsvStream(source, batchSize, csv, onBatch);
+	}
+	if (name.endsWith('.xlsx')) {
+		return readXlsxStream(source, sheets, batchSize, onBatch);
+	}
+	throw new CustomError(
+		400,
+		`ERR_UNSUPPORTED_TYPE: ${fileName} cannot be streamed; use CSV or XLSX`
+	);
+}
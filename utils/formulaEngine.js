@@ -0,0 +1,439 @@
+import { CustomError } from './CustomError.js';
+
+/**
+ * Safe formula engine for dashboard calculations.
+ * Expressions are tokenized and parsed into an AST; nothing is ever passed to eval.
+ *
+ * Supported syntax:
+ *   numbers        12, 3.5, .25
+ *   titles         Revenue, Net_Income, [Gross Margin %]
+ *   operators      + - * / % ^ (with standard precedence, ^ is right-associative)
+ *   comparisons    < <= > >= == != (yield 1 or 0, intended for if())
+ *   functions      round(x[, digits]), abs(x), min(a, ...), max(a, ...), if(cond, a, b),
+ *                  days(end, start) - difference in days between two date titles
+ */
+
+const MAX_EXPRESSION_LENGTH = 1000;
+
+const FUNCTIONS = {
+	round: { min: 1, max: 2 },
+	abs: { min: 1, max: 1 },
+	min: { min: 1, max: Infinity },
+	max: { min: 1, max: Infinity },
+	if: { min: 3, max: 3 },
+	days: { min: 2, max: 2 },
+};
+
+const COMPARISON_OPS = ['<', '<=', '>', '>=', '==', '!='];
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} src - Expression source.
+ * @returns {Array<Object>} Tokens with type, value and position.
+ * @throws {CustomError} On unexpected characters or unterminated titles.
+ */
+function tokenize(src) {
+	const tokens = [];
+	let i = 0;
+
+	while (i < src.length) {
+		const ch = src[i];
+
+		if (/\s/.test(ch)) {
+			i++;
+			continue;
+		}
+
+		if (/[0-9.]/.test(ch)) {
+			const m = src.slice(i).match(/^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/);
+			if (!m) {
+				throw syntaxError(`Invalid number`, i);
+			}
+			tokens.push({ type: 'num', value: parseFloat(m[0]), pos: i });
+			i += m[0].length;
+			continue;
+		}
+
+		if (ch === '[') {
+			const end = src.indexOf(']', i + 1);
+			if (end === -1) {
+				throw syntaxError(`Unterminated title, missing ']'`, i);
+			}
+			const name = src.slice(i + 1, end).trim();
+			if (!name) {
+				throw syntaxError(`Empty title`, i);
+			}
+			tokens.push({ type: 'ident', value: name, pos: i, bracketed: true });
+			i = end + 1;
+			continue;
+		}
+
+		const id = src.slice(i).match(/^[A-Za-z_À-ɏ][\wÀ-ɏ.]*/);
+		if (id) {
+			tokens.push({ type: 'ident', value: id[0], pos: i });
+			i += id[0].length;
+			continue;
+		}
+
+		const two = src.slice(i, i + 2);
+		if (['<=', '>=', '==', '!='].includes(two)) {
+			tokens.push({ type: 'op', value: two, pos: i });
+			i += 2;
+			continue;
+		}
+
+		if ('+-*/%^<>(),'.includes(ch)) {
+			tokens.push({ type: 'op', value: ch, pos: i });
+			i++;
+			continue;
+		}
+
+		throw syntaxError(`Unexpected character '${ch}'`, i);
+	}
+
+	tokens.push({ type: 'eof', pos: src.length });
+	return tokens;
+}
+
+function syntaxError(message, pos) {
+	return new CustomError(
+		400,
+		`ERR_FORMULA_SYNTAX: ${message} at position ${pos + 1}`
+	);
+}
+
+/**
+ * Parses an expression string into an AST.
+ * @param {string} src - Expression source, e.g. "(Revenue - Cost) / Revenue * 100".
+ * @returns {Object} AST root node.
+ * @throws {CustomError} 400 with ERR_FORMULA_SYNTAX on invalid input.
+ */
+export function parseExpression(src) {
+	if (typeof src !== 'string' || !src.trim()) {
+		throw new CustomError(
+			400,
+			'ERR_FORMULA_SYNTAX: Expression must be a non-empty string'
+		);
+	}
+	if (src.length > MAX_EXPRESSION_LENGTH) {
+		throw new CustomError(
+			400,
+			`ERR_FORMULA_SYNTAX: Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`
+		);
+	}
+
+	const tokens = tokenize(src);
+	let p = 0;
+
+	const peek = () => tokens[p];
+	const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+	const expect = (op) => {
+		if (!isOp(op)) {
+			const t = peek();
+			throw syntaxError(
+				`Expected '${op}' but found ${
+					t.type === 'eof' ? 'end of expression' : `'${t.value}'`
+				}`,
+				t.pos
+			);
+		}
+		return tokens[p++];
+	};
+
+	const parseComparison = () => {
+		let left = parseAdditive();
+		if (isOp(...COMPARISON_OPS)) {
+			const op = tokens[p++].value;
+			const right = parseAdditive();
+			left = { type: 'bin', op, left, right };
+		}
+		return left;
+	};
+
+	const parseAdditive = () => {
+		let left = parseMultiplicative();
+		while (isOp('+', '-')) {
+			const op = tokens[p++].value;
+			left = { type: 'bin', op, left, right: parseMultiplicative() };
+		}
+		return left;
+	};
+
+	const parseMultiplicative = () => {
+		let left = parseUnary();
+		while (isOp('*', '/', '%')) {
+			const op = tokens[p++].value;
+			left = { type: 'bin', op, left, right: parseUnary() };
+		}
+		return left;
+	};
+
+	const parseUnary = () => {
+		if (isOp('-', '+')) {
+			const op = tokens[p++].value;
+			return { type: 'unary', op, arg: parseUnary() };
+		}
+		return parsePower();
+	};
+
+	const parsePower = () => {
+		const base = parsePrimary();
+		if (isOp('^')) {
+			p++;
+			return { type: 'bin', op: '^', left: base, right: parseUnary() };
+		}
+		return base;
+	};
+
+	const parsePrimary = () => {
+		const t = peek();
+
+		if (t.type === 'num') {
+			p++;
+			return { type: 'num', value: t.value };
+		}
+
+		if (t.type === 'ident') {
+			p++;
+			const fnName = t.value.toLowerCase();
+			if (!t.bracketed && isOp('(')) {
+				const spec = FUNCTIONS[fnName];
+				if (!spec) {
+					throw syntaxError(`Unknown function '${t.value}'`, t.pos);
+				}
+				p++;
+				const args = [];
+				if (!isOp(')')) {
+					args.push(parseComparison());
+					while (isOp(',')) {
+						p++;
+						args.push(parseComparison());
+					}
+				}
+				expect(')');
+				if (args.length < spec.min || args.length > spec.max) {
+					throw syntaxError(
+						`Function '${fnName}' expects ${
+							spec.min === spec.max
+								? spec.min
+								: spec.max === Infinity
+								? `at least ${spec.min}`
+								: `${spec.min}-${spec.max}`
+						} argument(s), got ${args.length}`,
+						t.pos
+					);
+				}
+				if (fnName === 'days') {
+					const bad = args.find((a) => a.type !== 'ref');
+					if (bad) {
+						throw syntaxError(`Function 'days' expects two date titles`, t.pos);
+					}
+				}
+				return { type: 'call', name: fnName, args };
+			}
+			return { type: 'ref', name: t.value };
+		}
+
+		if (isOp('(')) {
+			p++;
+			const inner = parseComparison();
+			expect(')');
+			return inner;
+		}
+
+		throw syntaxError(
+			t.type === 'eof'
+				? 'Unexpected end of expression'
+				: `Unexpected token '${t.value}'`,
+			t.pos
+		);
+	};
+
+	const ast = parseComparison();
+	if (peek().type !== 'eof') {
+		throw syntaxError(`Unexpected token '${peek().value}'`, peek().pos);
+	}
+	return ast;
+}
+
+/**
+ * Collects the unique titles referenced by an AST.
+ * @param {Object} ast - AST from parseExpression.
+ * @returns {Array<string>} Referenced titles in order of first appearance.
+ */
+export function getExpressionTitles(ast) {
+	const titles = [];
+	const walk = (node) => {
+		switch (node.type) {
+			case 'ref':
+				if (!titles.includes(node.name)) titles.push(node.name);
+				break;
+			case 'unary':
+				walk(node.arg);
+				break;
+			case 'bin':
+				walk(node.left);
+				walk(node.right);
+				break;
+			case 'call':
+				node.args.forEach(walk);
+				break;
+			default:
+				break;
+		}
+	};
+	walk(ast);
+	return titles;
+}
+
+/**
+ * Collects the titles used as date arguments of days().
+ * @param {Object} ast - AST from parseExpression.
+ * @returns {Array<string>} Date titles in order of first appearance.
+ */
+export function getExpressionDateTitles(ast) {
+	const titles = [];
+	const walk = (node) => {
+		if (node.type === 'call' && node.name === 'days') {
+			node.args.forEach((a) => {
+				if (!titles.includes(a.name)) titles.push(a.name);
+			});
+			return;
+		}
+		if (node.type === 'unary') walk(node.arg);
+		if (node.type === 'bin') {
+			walk(node.left);
+			walk(node.right);
+		}
+		if (node.type === 'call') node.args.forEach(walk);
+	};
+	walk(ast);
+	return titles;
+}
+
+/**
+ * Evaluates an AST against a scope of title values.
+ * @param {Object} ast - AST from parseExpression.
+ * @param {Object} scope - Map of title to value (numbers, or dates for days()).
+ * @returns {number} Result.
+ * @throws {Error} On missing or non-numeric values, division by zero or non-finite results.
+ */
+export function evaluateExpression(ast, scope) {
+	const evaluate = (node) => {
+		switch (node.type) {
+			case 'num':
+				return node.value;
+			case 'ref': {
+				if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+					throw new Error(`Missing value for '${node.name}'`);
+				}
+				const v = scope[node.name];
+				if (typeof v !== 'number' || !isFinite(v)) {
+					throw new Error(`Value of '${node.name}' is not numeric`);
+				}
+				return v;
+			}
+			case 'unary': {
+				const v = evaluate(node.arg);
+				return node.op === '-' ? -v : v;
+			}
+			case 'bin':
+				return evaluateBinary(
+					node.op,
+					evaluate(node.left),
+					evaluate(node.right)
+				);
+			case 'call':
+				return evaluateCall(node, evaluate, scope);
+			default:
+				throw new Error(`Unknown node type '${node.type}'`);
+		}
+	};
+
+	const result = evaluate(ast);
+	if (!isFinite(result)) {
+		throw new Error('Result is not a finite number');
+	}
+	return result;
+}
+
+function evaluateBinary(op, a, b) {
+	switch (op) {
+		case '+':
+			return a + b;
+		case '-':
+			return a - b;
+		case '*':
+			return a * b;
+		case '/':
+			if (b === 0) throw new Error('Division by zero');
+			return a / b;
+		case '%':
+			if (b === 0) throw new Error('Division by zero');
+			return a % b;
+		case '^':
+			return Math.pow(a, b);
+		case '<':
+			return a < b ? 1 : 0;
+		case '<=':
+			return a <= b ? 1 : 0;
+		case '>':
+			return a > b ? 1 : 0;
+		case '>=':
+			return a >= b ? 1 : 0;
+		case '==':
+			return a === b ? 1 : 0;
+		case '!=':
+			return a !== b ? 1 : 0;
+		default:
+			throw new Error(`Unknown operator '${op}'`);
+	}
+}
+
+function evaluateCall(node, evaluate, scope) {
+	// if() evaluates lazily so the untaken branch cannot fail (e.g. division by zero)
+	if (node.name === 'if') {
+		return evaluate(node.args[0]) !== 0
+			? evaluate(node.args[1])
+			: evaluate(node.args[2]);
+	}
+
+	if (node.name === 'days') {
+		const [end, start] = node.args.map((a) => toTime(a.name, scope));
+		return (end - start) / (1000 * 60 * 60 * 24);
+	}
+
+	const args = node.args.map(evaluate);
+	switch (node.name) {
+		case 'round': {
+			const digits = args.length > 1 ? Math.trunc(args[1]) : 0;
+			const factor = Math.pow(10, digits);
+			return Math.round(args[0] * factor) / factor;
+		}
+		case 'abs':
+			return Math.abs(args[0]);
+		case 'min':
+			return Math.min(...args);
+		case 'max':
+			return Math.max(...args);
+		default:
+			throw new Error(`Unknown function '${node.name}'`);
+	}
+}
+
+function toTime(name, scope) {
+	if (!Object.prototype.hasOwnProperty.call(scope, name)) {
+		throw new Error(`Missing value for '${name}'`);
+	}
+	const v = scope[name];
+	const time =
+		v instanceof Date
+			? v.getTime()
+			: typeof v === 'string' && v.trim()
+			? new Date(v).getTime()
+			: NaN;
+	if (isNaN(time)) {
+		throw new Error(`Value of '${name}' is not a date`);
+	}
+	return time;
+}
@@ -0,0 +1,254 @@
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+export const JOIN_TYPES = ['left', 'inner'];
+export const MAX_JOINS = 10;
+export const MAX_LOOKUP_COLUMNS = 50;
+// Distinct keys a lookup file may have; lookup tables are held in memory
+export const MAX_LOOKUP_KEYS = 100000;
+
+const MAX_REPORTED_ROWS = 20;
+
+const isEmpty = (v) =>
+	v === null || v === undefined || (typeof v === 'string' && !v.trim());
+
+// Keys match when equal as trimmed, case-insensitive text ("P-100" = "p-100 ")
+const toKey = (v) =>
+	isEmpty(v)
+		? null
+		: (v instanceof Date ? v.toISOString() : String(v)).trim().toLowerCase();
+
+// Required string field of at most max characters
+function text(value, field, max = 255) {
+	const t = typeof value === 'string' ? value.trim() : '';
+	if (!t || t.length > max) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_JOIN: ${field} must be a string of 1-${max} characters`
+		);
+	}
+	return t;
+}
+
+/**
+ * Validates a join declaration. A join enriches the rows of one file (left)
+ * with columns of another file of the dashboard (right, the lookup file)
+ * whose key column has the same value, e.g. product codes mapped to product
+ * groups by a mapping file.
+ * @param {Object} join
+ * @param {string} join.n - Name of the join.
+ * @param {string} join.l - File name of the left source.
+ * @param {string} join.lk - Key column of the left rows.
+ * @param {string} join.r - File name of the lookup file; its latest upload is
+ *   used.
+ * @param {string} join.rk - Key column of the lookup file.
+ * @param {string} [join.sh] - Sheet of a lookup workbook (default: first).
+ * @param {'left'|'inner'} [join.t] - left keeps rows without a match (their
+ *   lookup columns stay empty), inner drops them. Default left.
+ * @param {Array<string>} join.cols - Lookup file columns copied into matching
+ *   rows.
+ * @param {string} [join.px] - Prefix of the copied column names.
+ * @returns {Object} The join with only known fields.
+ * @throws {CustomError} 400 with ERR_INVALID_JOIN on invalid fields.
+ */
+export function validateJoin(join) {
+	if (!join || typeof join !== 'object') {
+		throw new CustomError(400, 'ERR_INVALID_JOIN: Join must be an object');
+	}
+	const n = text(join.n, 'n', 100);
+	const t = join.t || 'left';
+	if (!JOIN_TYPES.includes(t)) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_JOIN: t must be one of ${JOIN_TYPES.join(', ')}`
+		);
+	}
+	if (
+		!Array.isArray(join.cols) ||
+		join.cols.length === 0 ||
+		join.cols.length > MAX_LOOKUP_COLUMNS
+	) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_JOIN: cols must list 1-${MAX_LOOKUP_COLUMNS} columns`
+		);
+	}
+	const cols = join.cols.map((k) => text(k, 'cols'));
+	if (new Set(cols).size !== cols.length) {
+		throw new CustomError(400, 'ERR_INVALID_JOIN: cols must not repeat');
+	}
+	const px =
+		join.px === undefined || join.px === null ? '' : String(join.px).trim();
+	if (px.length > 50) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_JOIN: px must be at most 50 characters'
+		);
+	}
+	const l = text(join.l, 'l');
+	const r = text(join.r, 'r');
+	if (l === r) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_JOIN: A file cannot be joined with itself'
+		);
+	}
+	return {
+		n,
+		l,
+		lk: text(join.lk, 'lk'),
+		r,
+		rk: text(join.rk, 'rk'),
+		sh: join.sh ? text(join.sh, 'sh', 100) : null,
+		t,
+		cols,
+		px,
+	};
+}
+
+/**
+ * Collects the rows of a lookup file by key. Rows may be added in batches,
+ * so lookup files are read without holding all of their rows.
+ * @param {Object} join - Validated join (see validateJoin).
+ * @returns {{add: Function, get: Function, stats: Function}} add(rows) indexes
+ *   rows (the first row of a key wins); get(key) returns the lookup columns
+ *   of a key or undefined; stats() counts rows, keys, duplicate keys and
+ *   rows without a key.
+ * @throws {CustomError} 400 with ERR_JOIN_SOURCE when the file has more than
+ *   MAX_LOOKUP_KEYS keys or lacks the key column.
+ */
+export function createLookupTable(join) {
+	const table = new Map();
+	const stats = { rows: 0, keys: 0, duplicates: 0, noKey: 0 };
+	let hasKey = false;
+
+	return {
+		add(rows) {
+			rows.forEach((row) => {
+				if (!row || typeof row !== 'object') return;
+				stats.rows++;
+				if (Object.prototype.hasOwnProperty.call(row, join.rk)) hasKey = true;
+				const key = toKey(row[join.rk]);
+				if (key === null) {
+					stats.noKey++;
+					return;
+				}
+				if (table.has(key)) {
+					stats.duplicates++;
+					return;
+				}
+				if (table.size >= MAX_LOOKUP_KEYS) {
+					throw new CustomError(
+						400,
+						`ERR_JOIN_SOURCE: Lookup file '${join.r}' has more than ${MAX_LOOKUP_KEYS} keys`
+					);
+				}
+				table.set(
+					key,
+					join.cols.map((k) => (row[k] === undefined ? null : row[k]))
+				);
+			});
+		},
+		get: (key) => table.get(key),
+		stats() {
+			if (stats.rows > 0 && !hasKey) {
+				throw new CustomError(
+					400,
+					`ERR_JOIN_SOURCE: Lookup file '${join.r}' has no column '${join.rk}'`
+				);
+			}
+			return { ...stats, keys: table.size };
+		},
+	};
+}
+
+/**
+ * Prepares the joins of one file to run on the rows of one sheet, after the
+ * dashboard's recipe. Joins run in order, so a later join may use columns an
+ * earlier one copied in. Like the recipe, rows are taken in batches.
+ * @param {Array<{join: Object, table: Object}>} [lookups] - Joins whose left
+ *   file is being uploaded with their lookup tables (see createLookupTable).
+ * @returns {{joins: number, apply: Function, report: Function}} apply(rows,
+ *   rowOffset, rowNumbers) returns `{ rows, rowNumbers }` like the recipe
+ *   (rowNumbers are the sheet rows of the given rows, or null for
+ *   rowOffset + position); report() returns per join the matched and
+ *   unmatched rows, and the rows inner joins dropped as `unmatched`.
+ */
+export function createJoinRunner(lookups = []) {
+	const stats = lookups.map(({ join, table }) => ({
+		n: join.n,
+		r: join.r,
+		t: join.t,
+		matched: 0,
+		unmatched: 0,
+		lookup: table.stats(),
+	}));
+	const dropped = [];
+	let droppedTotal = 0;
+
+	return {
+		joins: lookups.length,
+		apply(rows, rowOffset = 0, rowNumbers = null) {
+			if (lookups.length === 0) return { rows, rowNumbers };
+			const result = [];
+			const kept = [];
+			rows.forEach((input, idx) => {
+				const rowNumber = rowNumbers ? rowNumbers[idx] : rowOffset + idx + 1;
+				if (!input || typeof input !== 'object') {
+					result.push(input);
+					kept.push(rowNumber);
+					return;
+				}
+				const row = { ...input };
+				const matched = lookups.every(({ join, table }, j) => {
+					const values = table.get(toKey(row[join.lk]));
+					if (values) stats[j].matched++;
+					else stats[j].unmatched++;
+					if (!values && join.t === 'inner') return false;
+					join.cols.forEach((k, c) => {
+						row[`${join.px}${k}`] = values ? values[c] : null;
+					});
+					return true;
+				});
+				if (!matched) {
+					droppedTotal++;
+					if (dropped.length < MAX_REPORTED_ROWS) dropped.push(rowNumber);
+					return;
+				}
+				result.push(row);
+				kept.push(rowNumber);
+			});
+			return {
+				rows: result,
+				rowNumbers: rowNumbers || result.length < rows.length ? kept : null,
+			};
+		},
+		report() {
+			logger.info('Applied joins', {
+				joins: stats.map(({ n, matched, unmatched }) => ({
+					n,
+					matched,
+					unmatched,
+				})),
+			});
+			return {
+				joins: stats,
+				unmatched: { total: droppedTotal, items: dropped },
+			};
+		},
+	};
+}
@@ -0,0 +1,361 @@
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+import { getLlmProvider } from './llmProvider.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// Characters of text per request; the rows of a chunk must fit the reply
+// (EXTRACTION_MAX_TOKENS of the provider), and JSON rows are longer than the
+// text they come from
+export const MAX_CHUNK_CHARS = 6000;
+// Requests per chunk: the first and retries with the validation errors
+export const MAX_ATTEMPTS = 3;
+export const MAX_COLUMNS = 100;
+// Chunks whose reply was cut off are halved, at most this often
+const MAX_SPLITS = 4;
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * JSON schema of an extraction reply: table rows as flat objects of column
+ * name to value.
+ */
+export const ROWS_SCHEMA = {
+	type: 'object',
+	properties: {
+		rows: {
+			type: 'array',
+			items: {
+				type: 'object',
+				maxProperties: MAX_COLUMNS,
+				additionalProperties: { type: ['string', 'number', 'boolean', 'null'] },
+			},
+		},
+	},
+	required: ['rows'],
+	additionalProperties: false,
+};
+
+// JSON type of a value as JSON schema names it
+function typeOf(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (typeof value === 'number') {
+		return Number.isInteger(value) ? 'integer' : 'number';
+	}
+	return typeof value;
+}
+
+/**
+ * Validates a value against a JSON schema. Supports the keywords used by
+ * ROWS_SCHEMA: type, properties, required, additionalProperties, items,
+ * maxItems and maxProperties.
+ * @param {any} value - Parsed JSON.
+ * @param {Object} schema - JSON schema.
+ * @param {string} [path] - Path of the value in messages.
+ * @returns {Array<string>} Errors as "path: problem"; empty when valid.
+ */
+export function validateJson(value, schema, path = '$') {
+	const errors = [];
+	const type = typeOf(value);
+	if (schema.type) {
+		const types = [].concat(schema.type);
+		const matches =
+			types.includes(type) || (type === 'integer' && types.includes('number'));
+		if (!matches) {
+			return [`${path}: must be ${types.join(' or ')}, got ${type}`];
+		}
+	}
+	if (type === 'array') {
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			errors.push(`${path}: must have at most ${schema.maxItems} items`);
+		}
+		if (schema.items) {
+			value.forEach((item, i) =>
+				errors.push(...validateJson(item, schema.items, `${path}[${i}]`))
+			);
+		}
+	} else if (type === 'object') {
+		const keys = Object.keys(value);
+		if (
+			schema.maxProperties !== undefined &&
+			keys.length > schema.maxProperties
+		) {
+			errors.push(
+				`${path}: must have at most ${schema.maxProperties} properties`
+			);
+		}
+		(schema.required || [])
+			.filter((k) => !Object.prototype.hasOwnProperty.call(value, k))
+			.forEach((k) => errors.push(`${path}: missing required property ${k}`));
+		keys.forEach((k) => {
+			const sub = schema.properties?.[k] ?? schema.additionalProperties;
+			if (sub === false) {
+				errors.push(`${path}: unexpected property ${k}`);
+			} else if (sub && sub !== true) {
+				errors.push(...validateJson(value[k], sub, `${path}.${k}`));
+			}
+		});
+	}
+	return errors;
+}
+
+/**
+ * Parses and validates a model reply against ROWS_SCHEMA. A Markdown code
+ * fence around the JSON is tolerated.
+ * @param {string} reply - Model reply.
+ * @returns {{rows: Array<Object>|null, errors: Array<string>, truncated: boolean}}
+ *   The rows when valid, otherwise the errors (at most 10); truncated tells
+ *   whether the JSON ended early, as when the reply hit the token limit.
+ */
+export function parseRowsReply(reply) {
+	const text = String(reply ?? '')
+		.trim()
+		.replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+	let parsed;
+	try {
+		parsed = JSON.parse(text);
+	} catch (e) {
+		// The parser stopped at the end of the text, or inside a string
+		const position = e.message.match(/at position (\d+)/);
+		return {
+			rows: null,
+			errors: [`Reply is not valid JSON: ${e.message}`],
+			truncated:
+				text.startsWith('{') &&
+				(/Unexpected end|Unterminated/i.test(e.message) ||
+					Number(position?.[1]) >= text.length),
+		};
+	}
+	const errors = validateJson(parsed, ROWS_SCHEMA);
+	return errors.length
+		? {
+				rows: null,
+				errors: errors.slice(0, MAX_REPORTED_ERRORS),
+				truncated: false,
+		  }
+		: { rows: parsed.rows, errors: [], truncated: false };
+}
+
+/**
+ * Splits text into chunks of whole lines of at most maxChars characters;
+ * longer lines are cut.
+ * @param {string} text
+ * @param {number} [maxChars]
+ * @returns {Array<{text: string, from: number, to: number}>} Chunks with
+ *   their first and last line (1-based).
+ */
+export function splitText(text, maxChars = MAX_CHUNK_CHARS) {
+	const chunks = [];
+	let current = null;
+	String(text)
+		.split(/\r?\n/)
+		.forEach((line, i) => {
+			const parts = line.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g')) || [
+				'',
+			];
+			parts.forEach((part) => {
+				if (current && current.text.length + part.length + 1 <= maxChars) {
+					current.text += `\n${part}`;
+					current.to = i + 1;
+				} else {
+					if (current) chunks.push(current);
+					current = { text: part, from: i + 1, to: i + 1 };
+				}
+			});
+		});
+	if (current) chunks.push(current);
+	return chunks.filter((chunk) => chunk.text.trim());
+}
+
+// Halves of a chunk at a line break, or null for a single line
+function halve(chunk) {
+	const lines = chunk.text.split('\n');
+	if (lines.length < 2) return null;
+	const mid = Math.ceil(lines.length / 2);
+	const lineOf = (n) => Math.min(chunk.from + n, chunk.to);
+	return [
+		{
+			text: lines.slice(0, mid).join('\n'),
+			from: chunk.from,
+			to: lineOf(mid - 1),
+			splits: chunk.splits + 1,
+		},
+		{
+			text: lines.slice(mid).join('\n'),
+			from: lineOf(mid),
+			to: chunk.to,
+			splits: chunk.splits + 1,
+		},
+	];
+}
+
+// Instructions with the schema, and the columns earlier chunks used so the
+// rows of all chunks line up
+function systemPrompt(instructions, columns, part, parts) {
+	return [
+		'You convert text into table rows. Reply with only a JSON object that matches this JSON schema:',
+		JSON.stringify(ROWS_SCHEMA),
+		'Rules:',
+		'- One object per table row, with the column names as keys.',
+		'- Numbers as JSON numbers, without thousands separators or currency symbols.',
+		'- Dates as written; ISO dates (e.g. "2024-03-01T23:00:00.000Z") exactly as given.',
+		'- null for missing values.',
+		'- {"rows": []} when the text holds no table data.',
+		...(parts > 1
+			? [
+					`- The text is part ${part} of ${parts} of a longer document; it may start or end within a table.`,
+			  ]
+			: []),
+		...(columns.length
+			? [`- Use these column names where they apply: ${columns.join(', ')}.`]
+			: []),
+		...(instructions ? [instructions] : []),
+	].join('\n');
+}
+
+/**
+ * Extracts table rows from text with an LLM provider. The model is asked for
+ * JSON matching ROWS_SCHEMA; invalid replies are retried with the validation
+ * errors, up to MAX_ATTEMPTS requests per chunk. Long text is split into
+ * chunks of whole lines that are extracted one after another and stitched:
+ * later chunks are told the columns found so far, and a chunk whose reply was
+ * cut off at the token limit is split in half. Chunks that still fail are
+ * reported instead of failing the extraction.
+ * @param {string} text - Text to extract from.
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - LLM provider (default getLlmProvider()).
+ * @param {string} [options.instructions] - Additional instructions.
+ * @param {number} [options.maxChunkChars] - Characters per chunk.
+ * @param {number} [options.maxAttempts] - Requests per chunk.
+ * @returns {Promise<{rows: Array<Object>, columns: Array<string>, chunks: Array<{from: number, to: number, rows: number, attempts: number, error?: string}>, failed: number}>}
+ *   Rows of all chunks in order, every row having all columns; per chunk its
+ *   lines, rows, requests made and the last error when it failed.
+ * @throws {CustomError} 502 with ERR_LLM_EXTRACTION when no chunk could be
+ *   extracted.
+ */
+export async function extractRows(
+	text,
+	{
+		provider = getLlmProvider(),
+		instructions = '',
+		maxChunkChars = MAX_CHUNK_CHARS,
+		maxAttempts = MAX_ATTEMPTS,
+	} = {}
+) {
+	const start = Date.now();
+	const queue = splitText(text, maxChunkChars).map((chunk) => ({
+		...chunk,
+		splits: 0,
+	}));
+	const columns = [];
+	const rows = [];
+	const chunks = [];
+	let part = 0;
+
+	while (queue.length) {
+		const chunk = queue.shift();
+		part++;
+		const messages = [
+			[
+				'system',
+				systemPrompt(instructions, columns, part, part + queue.length),
+			],
+			['human', chunk.text],
+		];
+		const report = { from: chunk.from, to: chunk.to, rows: 0, attempts: 0 };
+		let result = null;
+		let split = null;
+		while (report.attempts < maxAttempts) {
+			report.attempts++;
+			let reply;
+			try {
+				reply = await provider.extract(messages, { columns });
+			} catch (e) {
+				report.error = `Model request failed: ${e.message}`;
+				logger.warn('LLM extraction request failed', {
+					from: chunk.from,
+					to: chunk.to,
+					attempt: report.attempts,
+					error: e.message,
+				});
+				continue;
+			}
+			const { content, finishReason } = reply;
+			const parsed = parseRowsReply(content);
+			if (parsed.rows) {
+				result = parsed.rows;
+				break;
+			}
+			report.error = parsed.errors.join('; ');
+			const cutOff = parsed.truncated || finishReason === 'length';
+			if (cutOff && chunk.splits < MAX_SPLITS) {
+				split = halve(chunk);
+				if (split) break;
+			}
+			logger.warn('Invalid LLM extraction reply', {
+				from: chunk.from,
+				to: chunk.to,
+				attempt: report.attempts,
+				errors: parsed.errors,
+			});
+			messages.push(
+				['ai', content],
+				[
+					'human',
+					`Your reply does not match the schema: ${report.error}. Reply again with only the JSON object.`,
+				]
+			);
+		}
+
+		if (split) {
+			part--;
+			queue.unshift(...split);
+			continue;
+		}
+		if (result) {
+			delete report.error;
+			result.forEach((row) => {
+				Object.keys(row).forEach((k) => {
+					if (!columns.includes(k)) columns.push(k);
+				});
+			});
+			rows.push(...result);
+			report.rows = result.length;
+		}
+		chunks.push(report);
+	}
+
+	const failed = chunks.filter((c) => c.error).length;
+	logger.info('Extracted rows with LLM', {
+		chunks: chunks.length,
+		failed,
+		rows: rows.length,
+		duration: (Date.now() - start) / 1000,
+	});
+	if (chunks.length > 0 && failed === chunks.length) {
+		throw new CustomError(
+			502,
+			`ERR_LLM_EXTRACTION: No valid rows extracted: ${chunks[0].error}`
+		);
+	}
+	return {
+		rows: rows.map((row) =>
+			Object.fromEntries(columns.map((k) => [k, row[k] ?? null]))
+		),
+		columns,
+		chunks,
+		failed,
+	};
+}
@@ -0,0 +1,406 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import Papa from 'papaparse';
+import { ChatOpenAI, OpenAIEmbeddings } from '@langchain/openai';
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+import { detectCsvDialect } from './csvDialect.js';
+import { parseNumber } from './columnSchema.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+export const LLM_PROVIDERS = ['openai', 'offline'];
+export const DEFAULT_MODELS = {
+	chat: 'gpt-4-turbo',
+	extraction: 'gpt-3.5-turbo',
+	embedding: 'text-embedding-3-small',
+};
+// Reply limit of extraction requests; extractRows sizes chunks for it
+export const EXTRACTION_MAX_TOKENS = 4096;
+// Length of the offline embedding vectors
+export const OFFLINE_EMBEDDING_DIMENSIONS = 256;
+// Context lines quoted by an offline chat answer
+const OFFLINE_ANSWER_LINES = 3;
+// Question words an offline answer does not match lines by
+const STOP_WORDS = new Set(
+	`a an and are as at be by did do does for from how i in is it me my of on
+	or our that the this to was we were what when which who why with you
+	your`.split(/\s+/)
+);
+
+/**
+ * Reads the LLM configuration from environment variables:
+ * LLM_PROVIDER (openai or offline, default openai), LLM_BASE_URL (an
+ * OpenAI-compatible server such as Ollama, vLLM or LM Studio), LLM_API_KEY
+ * (default OPENAI_API_KEY), LLM_CHAT_MODEL, LLM_EXTRACTION_MODEL,
+ * LLM_EMBEDDING_MODEL and LLM_RECORDINGS (a JSON file the openai provider
+ * records replies to and the offline provider replays).
+ * @param {Object} [env] - Environment variables.
+ * @returns {{provider: string, baseUrl: string|null, apiKey: string|null, models: {chat: string, extraction: string, embedding: string}, recordings: string|null}}
+ */
+export function readLlmConfig(env = process.env) {
+	return {
+		provider: (env.LLM_PROVIDER || 'openai').trim().toLowerCase(),
+		baseUrl: env.LLM_BASE_URL || null,
+		apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || null,
+		models: {
+			chat: env.LLM_CHAT_MODEL || DEFAULT_MODELS.chat,
+			extraction: env.LLM_EXTRACTION_MODEL || DEFAULT_MODELS.extraction,
+			embedding: env.LLM_EMBEDDING_MODEL || DEFAULT_MODELS.embedding,
+		},
+		recordings: env.LLM_RECORDINGS || null,
+	};
+}
+
+// Reply text of a chat model message; content parts are joined
+function replyOf(message) {
+	const content = message?.content ?? '';
+	return {
+		content:
+			typeof content === 'string'
+				? content
+				: Array.isArray(content)
+				? content.map((part) => part?.text ?? '').join('')
+				: JSON.stringify(content),
+		finishReason: message?.response_metadata?.finish_reason ?? null,
+	};
+}
+
+// Provider calling OpenAI or an OpenAI-compatible server
+function createOpenAiProvider({ baseUrl, apiKey, models }) {
+	if (!apiKey && !baseUrl) {
+		throw new CustomError(
+			503,
+			'ERR_LLM_UNAVAILABLE: No API key configured for the openai LLM provider'
+		);
+	}
+	// Local servers usually ignore the key, but the client requires one
+	const client = {
+		openAIApiKey: apiKey || 'not-needed',
+		...(baseUrl ? { configuration: { baseURL: baseUrl } } : {}),
+	};
+	const chatModel = (modelName, { temperature, maxTokens, json }) => {
+		const model = new ChatOpenAI({
+			...client,
+			modelName,
+			temperature,
+			...(maxTokens ? { maxTokens } : {}),
+		});
+		return json
+			? model.bind({ response_format: { type: 'json_object' } })
+			: model;
+	};
+	const embeddings = new OpenAIEmbeddings({
+		...client,
+		modelName: models.embedding,
+	});
+
+	return {
+		name: 'openai',
+		models,
+		async chat(messages, { temperature = 0.8, maxTokens } = {}) {
+			return replyOf(
+				await chatModel(models.chat, { temperature, maxTokens }).invoke(
+					messages
+				)
+			);
+		},
+		async extract(messages, { maxTokens = EXTRACTION_MAX_TOKENS } = {}) {
+			return replyOf(
+				await chatModel(models.extraction, {
+					temperature: 0,
+					maxTokens,
+					json: true,
+				}).invoke(messages)
+			);
+		},
+		async embed(texts) {
+			return texts.length ? embeddings.embedDocuments(texts) : [];
+		},
+	};
+}
+
+// Words of a text, lower-cased, for offline matching and embeddings
+function wordsOf(text) {
+	return (
+		String(text ?? '')
+			.toLowerCase()
+			.match(/[\p{L}\p{N}]+/gu) || []
+	);
+}
+
+// Text of the last message with the role, or of the first when first is set
+function messageText(messages, role, first = false) {
+	const matching = messages.filter(([r]) => r === role);
+	return (first ? matching[0] : matching.at(-1))?.[1] ?? '';
+}
+
+// Cell value as the extraction prompt asks for: numbers as numbers, empty
+// cells as null
+function offlineValue(value, decimal) {
+	if (value === undefined || value === null) return null;
+	if (typeof value !== 'string') {
+		return typeof value === 'object' ? JSON.stringify(value) : value;
+	}
+	const text = value.trim();
+	if (!text) return null;
+	return parseNumber(text, decimal) ?? text;
+}
+
+// Rows of text read without a model: a JSON array, delimited lines with a
+// header (or the columns of earlier chunks), or "label: value" lines
+function offlineRows(text, columns = []) {
+	const trimmed = text.trim();
+	if (!trimmed) return [];
+	try {
+		const parsed = JSON.parse(trimmed);
+		const list = Array.isArray(parsed) ? parsed : parsed?.rows;
+		if (Array.isArray(list)) {
+			return list
+				.filter((row) => row && typeof row === 'object' && !Array.isArray(row))
+				.map((row) =>
+					Object.fromEntries(
+						Object.entries(row).map(([k, v]) => [k, offlineValue(v)])
+					)
+				);
+		}
+	} catch (e) {
+		// Not JSON; read as delimited text
+	}
+
+	const { delimiter, quoteChar, headerRow, decimalSeparator } =
+		detectCsvDialect(trimmed);
+	// Empty lines are kept so rows stay at the lines the dialect counts
+	const lines = Papa.parse(trimmed, { delimiter, quoteChar }).data;
+	const first = lines.find((cells) => cells.some((c) => c.trim())) || [];
+	// A chunk within a table starts with data in the columns seen so far
+	const continues =
+		columns.length > 1 &&
+		first.length === columns.length &&
+		!first.every((cell, i) => cell.trim() === columns[i]);
+	const names = continues ? columns : lines[headerRow]?.map((c) => c.trim());
+	const body = (continues ? lines : lines.slice(headerRow + 1)).filter(
+		(cells) => cells.length > 1
+	);
+	if (names?.length > 1 && body.length) {
+		return body.map((cells) =>
+			Object.fromEntries(
+				names.map((name, i) => [
+					name || `Column ${i + 1}`,
+					offlineValue(cells[i], decimalSeparator),
+				])
+			)
+		);
+	}
+
+	const pairs = trimmed
+		.split(/\r?\n/)
+		.map((line) => line.match(/^\s*([^:]{1,60}?)\s*:\s*(.+?)\s*$/))
+		.filter(Boolean);
+	return pairs.length
+		? [
+				Object.fromEntries(
+					pairs.map(([, label, value]) => [label, offlineValue(value)])
+				),
+		  ]
+		: [];
+}
+
+// Answer quoting the context lines sharing most words with the question;
+// words found on many lines count less, so common words do not decide
+function offlineAnswer(messages) {
+	const question = messageText(messages, 'human');
+	const asked = new Set(wordsOf(question).filter((w) => !STOP_WORDS.has(w)));
+	const lines = messages
+		.flatMap(([, text]) => String(text).split(/\r?\n/))
+		.map((line) => line.trim())
+		.filter((line) => line && !line.includes(question.trim()))
+		.map((line, i) => ({
+			line,
+			i,
+			words: [...new Set(wordsOf(line).filter((w) => asked.has(w)))],
+		}));
+	const frequency = {};
+	lines.forEach(({ words }) =>
+		words.forEach((w) => (frequency[w] = (frequency[w] || 0) + 1))
+	);
+	lines.forEach((entry) => {
+		entry.score = entry.words.reduce((sum, w) => sum + 1 / frequency[w], 0);
+	});
+	const best = Math.max(0, ...lines.map(({ score }) => score));
+	const context = lines
+		.filter(({ score }) => score > 0 && score * 2 > best)
+		.sort((a, b) => b.score - a.score || a.i - b.i)
+		.slice(0, OFFLINE_ANSWER_LINES)
+		.sort((a, b) => a.i - b.i);
+	return context.length
+		? `Offline answer to "${question}". Most relevant data:\n${context
+				.map(({ line }) => `- ${line}`)
+				.join('\n')}`
+		: `Offline answer to "${question}". No matching data found.`;
+}
+
+// FNV-1a hash of a word
+function hashWord(word) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < word.length; i++) {
+		hash ^= word.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193) >>> 0;
+	}
+	return hash;
+}
+
+// Normalised bag of hashed words; texts sharing words point the same way
+function offlineEmbedding(text) {
+	const vector = new Array(OFFLINE_EMBEDDING_DIMENSIONS).fill(0);
+	wordsOf(text).forEach((word) => {
+		const hash = hashWord(word);
+		vector[hash % OFFLINE_EMBEDDING_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+	});
+	const norm = Math.hypot(...vector);
+	return norm ? vector.map((v) => v / norm) : vector;
+}
+
+// Provider answering without a model, the same way for the same request
+function createOfflineProvider({ models }) {
+	return {
+		name: 'offline',
+		models,
+		async chat(messages) {
+			return { content: offlineAnswer(messages), finishReason: 'stop' };
+		},
+		async extract(messages, { columns } = {}) {
+			const rows = offlineRows(messageText(messages, 'human', true), columns);
+			return { content: JSON.stringify({ rows }), finishReason: 'stop' };
+		},
+		async embed(texts) {
+			return texts.map(offlineEmbedding);
+		},
+	};
+}
+
+// Key of a request in a recordings file
+function recordingKey(kind, request) {
+	return crypto
+		.createHash('sha256')
+		.update(JSON.stringify({ kind, request }))
+		.digest('hex');
+}
+
+// Provider recording the replies of another to a file, or replaying them
+// from it before asking the other
+function withRecordings(provider, file, replay) {
+	let recordings = {};
+	try {
+		if (fs.existsSync(file)) {
+			recordings = JSON.parse(fs.readFileSync(file, 'utf8'));
+		}
+	} catch (e) {
+		logger.warn('Ignoring unreadable LLM recordings', {
+			file,
+			error: e.message,
+		});
+	}
+	const wrap =
+		(kind, request) =>
+		async (...args) => {
+			const key = recordingKey(kind, request(...args));
+			if (replay && recordings[key]) return recordings[key].reply;
+			const reply = await provider[kind](...args);
+			if (!replay) {
+				recordings[key] = { kind, reply };
+				fs.writeFileSync(file, JSON.stringify(recordings, null, '\t'));
+			}
+			return reply;
+		};
+	return {
+		...provider,
+		chat: wrap('chat', (messages, options = {}) => ({
+			messages,
+			temperature: options.temperature,
+		})),
+		extract: wrap('extract', (messages) => ({ messages })),
+		embed: wrap('embed', (texts) => ({ texts })),
+	};
+}
+
+/**
+ * Creates the LLM provider of a configuration. Every provider offers:
+ * - chat(messages, {temperature, maxTokens}) answering a conversation,
+ * - extract(messages, {maxTokens, columns}) replying with a JSON object
+ *   (columns are those of earlier chunks, for providers that do not read the
+ *   prompt),
+ * - embed(texts) returning one vector per text.
+ * Messages are [role, text] pairs with the roles system, human and ai; chat
+ * and extract resolve to {content, finishReason}, finishReason being "length"
+ * when the reply hit the token limit. The offline provider needs no network:
+ * it reads rows from delimited, JSON or "label: value" text, answers with the
+ * context lines sharing most words with the question, and embeds texts as
+ * hashed bags of words.
+ * @param {Object} [config] - Configuration as returned by readLlmConfig.
+ * @returns {Object} Provider with name, models, chat, extract and embed.
+ * @throws {CustomError} 503 with ERR_LLM_UNAVAILABLE for an unknown provider
+ *   or an openai provider without API key or base URL.
+ */
+export function createLlmProvider(config = readLlmConfig()) {
+	let provider;
+	if (config.provider === 'openai') {
+		provider = createOpenAiProvider(config);
+	} else if (config.provider === 'offline') {
+		provider = createOfflineProvider(config);
+	} else {
+		throw new CustomError(
+			503,
+			`ERR_LLM_UNAVAILABLE: Unknown LLM provider ${
+				config.provider
+			}; use one of ${LLM_PROVIDERS.join(', ')}`
+		);
+	}
+	if (config.recordings) {
+		provider = withRecordings(
+			provider,
+			config.recordings,
+			provider.name === 'offline'
+		);
+	}
+	logger.info('Created LLM provider', {
+		provider: provider.name,
+		baseUrl: config.baseUrl,
+		models: config.models,
+		recordings: config.recordings,
+	});
+	return provider;
+}
+
+let currentProvider = null;
+
+/**
+ * LLM provider of the environment configuration, created on first use.
+ * @returns {Object} Provider (see createLlmProvider).
+ * @throws {CustomError} 503 with ERR_LLM_UNAVAILABLE when misconfigured.
+ */
+export function getLlmProvider() {
+	if (!currentProvider) currentProvider = createLlmProvider();
+	return currentProvider;
+}
+
+/**
+ * Replaces the provider returned by getLlmProvider, e.g. with a recorded or
+ * offline provider in tests; null recreates it from the environment.
+ * @param {Object|null} provider
+ */
+export function setLlmProvider(provider) {
+	currentProvider = provider;
+}
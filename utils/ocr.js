@@ -0,0 +1,897 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import sharp from 'sharp';
+import { createWorker } from 'tesseract.js';
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+import { parseDateValue, parseNumber } from './columnSchema.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// Languages with bundled tesseract data: English, Czech, Slovak
+export const OCR_LANGUAGES = ['eng', 'ces', 'slk'];
+export const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.tif', '.tiff'];
+// Values read with a lower confidence (0-1) are flagged for review
+export const REVIEW_CONFIDENCE = 0.7;
+
+// Uncompressed <lang>.traineddata files are read from here, never downloaded;
+// npm install unpacks them from the @tesseract.js-data packages
+// (scripts/tessdata.js)
+const TESSDATA_PATH =
+	process.env.TESSDATA_PATH || path.resolve('node_modules/.cache/tessdata');
+// Larger images are scaled down; OCR time grows with the pixel count
+const MAX_OCR_WIDTH = 2500;
+// Skew is searched within this many degrees in steps, on a scaled-down copy
+const MAX_SKEW = 10;
+const SKEW_STEP = 0.25;
+const SKEW_SAMPLE_WIDTH = 800;
+// Smaller images in a PDF are logos or stamps, not scanned pages
+const MIN_PAGE_IMAGE_SIZE = 200;
+
+/**
+ * Parses the languages to OCR with.
+ * @param {string|Array<string>} value - Language codes, comma separated or as
+ *   an array (see OCR_LANGUAGES).
+ * @returns {Array<string>|undefined} Languages, or undefined for all.
+ * @throws {CustomError} 400 with ERR_INVALID_LANGUAGES on unknown languages.
+ */
+export function parseLanguageList(value) {
+	if (value === undefined || value === null || value === '') return undefined;
+	const items = (Array.isArray(value) ? value : String(value).split(','))
+		.map((v) => String(v).trim().toLowerCase())
+		.filter(Boolean);
+	const unknown = items.filter((lang) => !OCR_LANGUAGES.includes(lang));
+	if (unknown.length) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_LANGUAGES: Unsupported language(s): ${unknown.join(
+				', '
+			)}. Supported: ${OCR_LANGUAGES.join(', ')}`
+		);
+	}
+	return items.length ? [...new Set(items)] : undefined;
+}
+
+// Histogram of the first channel of raw pixel data
+function histogram(data, channels) {
+	const hist = new Array(256).fill(0);
+	for (let i = 0; i < data.length; i += channels) hist[data[i]]++;
+	return hist;
+}
+
+// Otsu's threshold: the grey level that best separates ink from paper
+function otsuThreshold(hist) {
+	const total = hist.reduce((n, v) => n + v, 0);
+	const sum = hist.reduce((n, v, i) => n + i * v, 0);
+	let sumBack = 0;
+	let weightBack = 0;
+	let best = 127;
+	let max = -1;
+	for (let t = 0; t < 256; t++) {
+		weightBack += hist[t];
+		if (!weightBack) continue;
+		const weightFore = total - weightBack;
+		if (!weightFore) break;
+		sumBack += t * hist[t];
+		const meanBack = sumBack / weightBack;
+		const meanFore = (sum - sumBack) / weightFore;
+		const between = weightBack * weightFore * (meanBack - meanFore) ** 2;
+		if (between > max) {
+			max = between;
+			best = t;
+		}
+	}
+	return best + 1;
+}
+
+// Angle of the text lines in degrees (clockwise positive): the rotation at
+// which dark pixels fall into the fewest, fullest rows
+async function findSkew(image) {
+	const { data, info } = await sharp(image)
+		.resize({ width: SKEW_SAMPLE_WIDTH, withoutEnlargement: true })
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+	const threshold = otsuThreshold(histogram(data, info.channels));
+	const xs = [];
+	const ys = [];
+	for (let y = 0; y < info.height; y++) {
+		for (let x = 0; x < info.width; x++) {
+			if (data[(y * info.width + x) * info.channels] < threshold) {
+				xs.push(x);
+				ys.push(y);
+			}
+		}
+	}
+	if (xs.length === 0) return 0;
+
+	let best = 0;
+	let bestScore = -1;
+	const offset = info.width;
+	const bins = new Float64Array(info.height + 2 * info.width + 1);
+	for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+		const rad = (angle * Math.PI) / 180;
+		const sin = Math.sin(rad);
+		const cos = Math.cos(rad);
+		bins.fill(0);
+		for (let i = 0; i < xs.length; i++) {
+			bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+		}
+		let score = 0;
+		for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+		if (score > bestScore) {
+			bestScore = score;
+			best = angle;
+		}
+	}
+	return best;
+}
+
+/**
+ * Prepares a scanned image for OCR: orients it by its EXIF data, converts it
+ * to greyscale with stretched contrast, straightens skewed text lines and
+ * thresholds it to black and white (Otsu's method).
+ * @param {Buffer} buffer - Image content (any format sharp reads).
+ * @returns {Promise<{buffer: Buffer, skew: number, threshold: number, width: number, height: number}>}
+ *   PNG of the prepared image, the skew it was straightened by in degrees
+ *   and the grey level used as threshold.
+ * @throws {CustomError} 400 when the image cannot be read.
+ */
+export async function preprocessImage(buffer) {
+	let grey;
+	try {
+		grey = await sharp(buffer)
+			.rotate()
+			.resize({ width: MAX_OCR_WIDTH, withoutEnlargement: true })
+			.grayscale()
+			.normalise()
+			.png()
+			.toBuffer();
+	} catch (e) {
+		throw new CustomError(400, `Failed to parse file: ${e.message}`);
+	}
+	const skew = await findSkew(grey);
+	const straightened =
+		skew === 0
+			? sharp(grey)
+			: sharp(grey).rotate(-skew, { background: '#fff' });
+	const { data, info } = await straightened
+		.removeAlpha()
+		.toColourspace('b-w')
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+	const threshold = otsuThreshold(histogram(data, info.channels));
+	const { width, height, channels } = info;
+	return {
+		buffer: await sharp(data, { raw: { width, height, channels } })
+			.threshold(threshold)
+			.png()
+			.toBuffer(),
+		skew,
+		threshold,
+		width,
+		height,
+	};
+}
+
+// Length of a stream: a number or a reference to an object holding it
+function streamLength(pdf, dict) {
+	const match = dict.match(/\/Length\s+(\d+)(?:\s+(\d+)\s+R)?/);
+	if (!match) return null;
+	if (match[2] === undefined) return Number(match[1]);
+	const ref = pdf.match(
+		new RegExp(`(?:^|\\s)${match[1]}\\s+${match[2]}\\s+obj\\s*(\\d+)\\s*endobj`)
+	);
+	return ref ? Number(ref[1]) : null;
+}
+
+/**
+ * Finds the scanned page images of a PDF without a text layer. JPEG images
+ * are used as stored; Flate compressed images are decoded when they are 8-bit
+ * greyscale or RGB without a predictor. Other encodings (e.g. CCITT fax or
+ * JBIG2) are reported as unsupported.
+ * @param {Buffer} buffer - PDF file content.
+ * @returns {Promise<{images: Array<Buffer>, unsupported: Array<string>}>}
+ *   Images in file order, and the filters of the images that were skipped.
+ */
+export async function extractPdfImages(buffer) {
+	const pdf = buffer.toString('latin1');
+	const images = [];
+	const unsupported = [];
+	for (const stream of pdf.matchAll(/(?<!end)stream\r?\n/g)) {
+		// Dictionary of the stream's object: from its last "n g obj" before it
+		const head = pdf.slice(Math.max(0, stream.index - 4096), stream.index);
+		const objects = [...head.matchAll(/\d+\s+\d+\s+obj\b/g)];
+		if (objects.length === 0) continue;
+		const last = objects[objects.length - 1];
+		const dict = head.slice(last.index + last[0].length);
+		if (!/\/Subtype\s*\/Image\b/.test(dict)) continue;
+
+		const number = (name) =>
+			Number(dict.match(new RegExp(`/${name}\\s+(\\d+)`))?.[1]) || 0;
+		const width = number('Width');
+		const height = number('Height');
+		if (width < MIN_PAGE_IMAGE_SIZE || height < MIN_PAGE_IMAGE_SIZE) continue;
+		const filters = (
+			dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1].match(/\w+/g) || []
+		).join(', ');
+		const start = stream.index + stream[0].length;
+		let length = streamLength(pdf, dict);
+		if (length === null) {
+			const end = pdf.indexOf('endstream', start);
+			if (end < 0) continue;
+			length = pdf.slice(start, end).replace(/\r?\n$/, '').length;
+		}
+		const data = buffer.subarray(start, start + length);
+
+		const colorSpace = dict.match(/\/ColorSpace\s*\/(\w+)/)?.[1];
+		const channels = { DeviceGray: 1, DeviceRGB: 3 }[colorSpace];
+		try {
+			if (filters === 'DCTDecode') {
+				images.push(Buffer.from(data));
+			} else if (
+				filters === 'FlateDecode' &&
+				channels &&
+				number('BitsPerComponent') === 8 &&
+				!/\/Predictor\s+([2-9]|1\d)/.test(dict)
+			) {
+				const raw = zlib.inflateSync(data);
+				images.push(
+					await sharp(raw, { raw: { width, height, channels } })
+						.png()
+						.toBuffer()
+				);
+			} else {
+				unsupported.push(filters || 'none');
+			}
+		} catch (e) {
+			logger.warn('Failed to read PDF image', { filters, error: e.message });
+			unsupported.push(filters || 'none');
+		}
+	}
+	return { images, unsupported };
+}
+
+// Fail early when language data is missing rather than downloading it
+function checkLanguageData(languages) {
+	const missing = languages.filter(
+		(lang) => !fs.existsSync(path.join(TESSDATA_PATH, `${lang}.traineddata`))
+	);
+	if (missing.length) {
+		logger.error('OCR language data missing', { path: TESSDATA_PATH, missing });
+		throw new CustomError(
+			503,
+			`ERR_OCR_UNAVAILABLE: OCR language data not installed: ${missing.join(
+				', '
+			)}`
+		);
+	}
+}
+
+// Text lines of a tesseract result with confidences from 0 to 1
+function toLines(data) {
+	return (data.blocks || [])
+		.flatMap((block) => block.paragraphs.flatMap((para) => para.lines))
+		.map((line) => ({
+			text: line.text.trim(),
+			confidence: line.confidence / 100,
+			words: line.words.map((word) => ({
+				text: word.text,
+				confidence: word.confidence / 100,
+			})),
+		}))
+		.filter((line) => line.text);
+}
+
+/**
+ * Reads the text of a scanned image or PDF. Each page image is preprocessed
+ * (see preprocessImage) and read with tesseract using the bundled language
+ * data in TESSDATA_PATH (default node_modules/.cache/tessdata; eng, ces and
+ * slk.traineddata).
+ * @param {Buffer} buffer - Image or PDF content.
+ * @param {Object} [options]
+ * @param {boolean} [options.pdf] - The buffer is a PDF without a text layer.
+ * @param {Array<string>} [options.languages] - Languages (default all of
+ *   OCR_LANGUAGES).
+ * @returns {Promise<{pages: Array<{page: number, skew: number, confidence: number, lines: Array}>, lines: Array<{text: string, confidence: number, words: Array}>, text: string, unsupported: Array<string>}>}
+ * @throws {CustomError} 400 when there is no readable image, 503 when
+ *   language data is missing.
+ */
+export async function recognizeDocument(
+	buffer,
+	{ pdf = false, languages = OCR_LANGUAGES } = {}
+) {
+	const start = Date.now();
+	const { images, unsupported } = pdf
+		? await extractPdfImages(buffer)
+		: { images: [buffer], unsupported: [] };
+	if (images.length === 0) {
+		throw new CustomError(
+			400,
+			`ERR_NO_DATA: No readable page images in the PDF${
+				unsupported.length
+					? ` (unsupported image encoding: ${[...new Set(unsupported)].join(
+							'; '
+					  )})`
+					: ''
+			}`
+		);
+	}
+	const prepared = [];
+	for (const image of images) prepared.push(await preprocessImage(image));
+	checkLanguageData(languages);
+
+	const worker = await createWorker(languages, 1, {
+		langPath: TESSDATA_PATH,
+		gzip: false,
+		cacheMethod: 'none',
+	});
+	const pages = [];
+	try {
+		for (const [i, image] of prepared.entries()) {
+			const { data } = await worker.recognize(image.buffer);
+			pages.push({
+				page: i + 1,
+				skew: image.skew,
+				confidence: data.confidence / 100,
+				lines: toLines(data),
+			});
+		}
+	} finally {
+		await worker.terminate();
+	}
+
+	const lines = pages.flatMap((page) => page.lines);
+	logger.info('Recognized document', {
+		pages: pages.length,
+		lines: lines.length,
+		languages,
+		unsupported: unsupported.length,
+		duration: (Date.now() - start) / 1000,
+	});
+	return {
+		pages,
+		lines,
+		text: lines.map((line) => line.text).join('\n'),
+		unsupported,
+	};
+}
+
+// Labels matched as whole words, also next to accented letters
+const labels = (...words) =>
+	new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join('|')})(?!\\p{L})`, 'iu');
+
+const SUPPLIER_RX = labels(
+	'supplier',
+	'seller',
+	'vendor',
+	'dodavatel',
+	'dod[áa]vate[ľl]',
+	'prod[áa]vaj[íi]c[íi]',
+	'pred[áa]vaj[úu]ci'
+);
+const TITLE_RX = labels(
+	'invoice',
+	'tax invoice',
+	'receipt',
+	'faktura',
+	'fakt[úu]ra',
+	'da[ňn]ov[ýy] doklad',
+	'[úu][čc]tenka',
+	'pokladn[íi] doklad'
+);
+// Date labels by preference: date of issue, date of supply, any date
+const DATE_LABELS = [
+	[
+		labels(
+			'date of issue',
+			'issue date',
+			'invoice date',
+			'datum vystaven[íi]',
+			'd[áa]tum vystavenia',
+			'd[áa]tum vyhotovenia'
+		),
+		1,
+	],
+	[
+		labels(
+			'duzp',
+			'datum zdaniteln[ée]ho plnen[íi]',
+			'd[áa]tum dodania',
+			'date of supply',
+			'tax point'
+		),
+		0.9,
+	],
+	[labels('date', 'datum', 'd[áa]tum'), 0.8],
+];
+const DUE_DATE_RX = labels('due', 'splatnost', 'splatnosti');
+const DUE_RX = labels(
+	'k [úu]hrad[ěe]',
+	'amount due',
+	'total due',
+	'balance due',
+	'to pay',
+	'amount payable'
+);
+const TOTAL_RX = labels('total', 'grand total', 'celkem', 'celkom', 'spolu');
+const NET_RX = labels(
+	'subtotal',
+	'sub-total',
+	'mezisou[čc]et',
+	'medzis[úu][čc]et',
+	'z[áa]klad dph',
+	'z[áa]klad',
+	'bez dph',
+	'without vat',
+	'excl\\.? vat',
+	'net'
+);
+const GROSS_RX = labels(
+	's dph',
+	'v[čc]\\.? dph',
+	'vr[áa]tane dph',
+	'incl\\.? vat',
+	'including vat',
+	'with vat'
+);
+const VAT_RX = labels('vat', 'dph', 'tax');
+const VAT_ID_RX = labels(
+	'vat (?:no|number|id|reg)\\.?',
+	'i[čc] dph',
+	'di[čc]',
+	'tax id'
+);
+const ITEM_HEADER_RX = labels(
+	'description',
+	'item',
+	'qty',
+	'quantity',
+	'unit price',
+	'price',
+	'amount',
+	'popis',
+	'polo[žz]ka',
+	'n[áa]zev',
+	'ozna[čc]enie',
+	'mno[žz]stv[íio]',
+	'cena',
+	'ks',
+	'mj'
+);
+const CURRENCY_RX = /(?<!\p{L})(czk|k[čc]|eur|usd|gbp)(?!\p{L})|([€$£])/iu;
+const CURRENCIES = {
+	czk: 'CZK',
+	kč: 'CZK',
+	kc: 'CZK',
+	eur: 'EUR',
+	'€': 'EUR',
+	usd: 'USD',
+	$: 'USD',
+	gbp: 'GBP',
+	'£': 'GBP',
+};
+
+const DATE_RX =
+	/(\d{4})-(\d{1,2})-(\d{1,2})|(\d{1,2})\s*([./-])\s*(\d{1,2})\s*\5\s*(\d{4}|\d{2})(?!\d)/;
+const PERCENT_RX = /\d+(?:[.,]\d+)?\s*%/g;
+const AMOUNT_RX =
+	/(?<![\d.,])-?(?:\d{1,3}(?:[  .,']\d{3})+|\d+)(?:[.,]\d{1,2})?(?![\d%])/g;
+
+// Ranges of all matches of a label
+const matchesOf = (rx, text) =>
+	[...text.matchAll(new RegExp(rx.source, `${rx.flags}g`))].map((m) => ({
+		start: m.index,
+		end: m.index + m[0].length,
+	}));
+
+// Blank out matches, keeping the positions of the rest of the text
+const mask = (text, rx) =>
+	text.replace(new RegExp(rx.source, `${rx.flags.replace('g', '')}g`), (m) =>
+		' '.repeat(m.length)
+	);
+
+// Amounts in a line; dates and percentages are not amounts
+function amountsOf(text) {
+	const masked = mask(mask(text, DATE_RX), PERCENT_RX);
+	return [...masked.matchAll(AMOUNT_RX)]
+		.map((m) => ({
+			value: parseNumber(m[0].replace(/\s/g, ' ')),
+			start: m.index,
+			end: m.index + m[0].length,
+		}))
+		.filter((a) => a.value !== null);
+}
+
+// Last amount of a line after a position
+function findAmount(text, from = 0) {
+	const amounts = amountsOf(text).filter((a) => a.start >= from);
+	return amounts[amounts.length - 1] || null;
+}
+
+// First date of a line after a position, as yyyy-MM-dd. Dotted and dashed
+// dates are day first; slashed dates follow DATE_FORMATS (month first when
+// ambiguous)
+function findDate(text, from = 0) {
+	const m = text.slice(from).match(DATE_RX);
+	if (!m) return null;
+	let value;
+	if (m[1]) {
+		value = parseDateValue(`${m[1]}-${m[2]}-${m[3]}`, 'yyyy-MM-dd');
+	} else {
+		const year = m[7].length === 2 ? `20${m[7]}` : m[7];
+		value =
+			m[5] === '/'
+				? parseDateValue(`${m[4]}/${m[6]}/${year}`, 'MM/dd/yyyy') ||
+				  parseDateValue(`${m[4]}/${m[6]}/${year}`, 'dd/MM/yyyy')
+				: parseDateValue(`${m[4]}.${m[6]}.${year}`, 'dd.MM.yyyy');
+	}
+	const start = from + m.index;
+	return value ? { value, start, end: start + m[0].length } : null;
+}
+
+// Lowest confidence of the words of a line within a range of its text
+function rangeConfidence(line, start, end) {
+	let pos = 0;
+	let min = null;
+	(line.words || []).forEach((word) => {
+		const at = line.text.indexOf(word.text, pos);
+		if (at < 0) return;
+		pos = at + word.text.length;
+		if (at < end && pos > start) {
+			min = min === null ? word.confidence : Math.min(min, word.confidence);
+		}
+	});
+	return min === null ? line.confidence : min;
+}
+
+// A field read from a line, with its OCR confidence scaled by how surely it
+// was located (1 next to its label, less when guessed)
+function toField(found) {
+	if (!found) return { value: null, confidence: 0, review: true, text: null };
+	const confidence =
+		Math.round(
+			rangeConfidence(found.line, found.start, found.end) * found.factor * 100
+		) / 100;
+	return {
+		value: found.value,
+		confidence,
+		review: confidence < REVIEW_CONFIDENCE,
+		text: found.line.text,
+	};
+}
+
+// Value after a label: on the rest of its line, else at the start of the
+// next line
+function valueAfter(lines, i, from, find, factor = 1) {
+	const same = find(lines[i].text, from);
+	if (same) return { ...same, line: lines[i], factor };
+	const next = lines[i + 1] && find(lines[i + 1].text, 0);
+	return next ? { ...next, line: lines[i + 1], factor: factor * 0.9 } : null;
+}
+
+// Last line matching a test, with its index
+function findLast(lines, test) {
+	for (let i = lines.length - 1; i >= 0; i--) {
+		if (test(lines[i].text)) return i;
+	}
+	return -1;
+}
+
+function findSupplier(lines) {
+	for (let i = 0; i < lines.length; i++) {
+		const label = lines[i].text.match(SUPPLIER_RX);
+		if (!label) continue;
+		const found = valueAfter(
+			lines,
+			i,
+			label.index + label[0].length,
+			(t, from) => {
+				const rest = t.slice(from).replace(/^[\s:.\-–]+/, '');
+				return /\p{L}{2}/u.test(rest)
+					? { value: rest.trim(), start: t.length - rest.length, end: t.length }
+					: null;
+			}
+		);
+		if (found) return found;
+	}
+	// Receipts and many invoices start with the supplier's name
+	const first = lines.find(
+		(line) =>
+			/\p{L}{3}/u.test(line.text) &&
+			!TITLE_RX.test(line.text) &&
+			!DATE_LABELS.some(([rx]) => rx.test(line.text))
+	);
+	return first
+		? {
+				value: first.text,
+				start: 0,
+				end: first.text.length,
+				line: first,
+				factor: 0.5,
+		  }
+		: null;
+}
+
+function findInvoiceDate(lines) {
+	for (const [rx, factor] of DATE_LABELS) {
+		for (let i = 0; i < lines.length; i++) {
+			const label = lines[i].text.match(rx);
+			if (!label || DUE_DATE_RX.test(lines[i].text)) continue;
+			const found = valueAfter(
+				lines,
+				i,
+				label.index + label[0].length,
+				findDate,
+				factor
+			);
+			if (found) return found;
+		}
+	}
+	for (const line of lines) {
+		if (DUE_DATE_RX.test(line.text)) continue;
+		const date = findDate(line.text);
+		if (date) return { ...date, line, factor: 0.6 };
+	}
+	return null;
+}
+
+// Amount after the last label match of a line
+function amountAfterLabel(lines, i, rx, factor) {
+	const labelled = matchesOf(rx, lines[i].text);
+	const from = labelled.length ? labelled[labelled.length - 1].end : 0;
+	return valueAfter(lines, i, from, findAmount, factor);
+}
+
+function findTotal(lines) {
+	const due = findLast(lines, (t) => DUE_RX.test(t) && findAmount(t));
+	if (due >= 0) return amountAfterLabel(lines, due, DUE_RX, 1);
+	const total = findLast(
+		lines,
+		(t) =>
+			TOTAL_RX.test(t) &&
+			!NET_RX.test(t) &&
+			(!VAT_RX.test(t) || GROSS_RX.test(t)) &&
+			findAmount(t)
+	);
+	if (total >= 0) return amountAfterLabel(lines, total, TOTAL_RX, 0.9);
+	// The largest amount with decimals, e.g. on receipts without labels
+	let best = null;
+	lines.forEach((line) => {
+		amountsOf(line.text)
+			.filter((a) => /[.,]\d{2}$/.test(line.text.slice(a.start, a.end)))
+			.forEach((a) => {
+				if (!best || a.value > best.value) best = { ...a, line, factor: 0.5 };
+			});
+	});
+	return best;
+}
+
+// VAT labels that are not part of a net/gross amount or VAT ID label
+function vatLabels(text) {
+	const other = [NET_RX, GROSS_RX, VAT_ID_RX].flatMap((rx) =>
+		matchesOf(rx, text)
+	);
+	return matchesOf(VAT_RX, text).filter(
+		(vat) => !other.some((o) => vat.start >= o.start && vat.start < o.end)
+	);
+}
+
+function findVat(lines) {
+	const candidates = lines
+		.map((line, i) => ({ i, vat: vatLabels(line.text) }))
+		.filter(
+			({ i, vat }) =>
+				vat.length && findAmount(lines[i].text, vat[vat.length - 1].end)
+		);
+	if (candidates.length === 0) return null;
+	// "Total VAT" sums the VAT of several rates
+	const chosen =
+		[...candidates].reverse().find(({ i }) => TOTAL_RX.test(lines[i].text)) ||
+		candidates[candidates.length - 1];
+	const from = chosen.vat[chosen.vat.length - 1].end;
+	return {
+		...findAmount(lines[chosen.i].text, from),
+		line: lines[chosen.i],
+		factor: 1,
+	};
+}
+
+function findCurrency(lines, totalLine) {
+	const read = (line, factor) => {
+		const m = line.text.match(CURRENCY_RX);
+		return m
+			? {
+					value: CURRENCIES[m[0].toLowerCase()],
+					start: m.index,
+					end: m.index + m[0].length,
+					line,
+					factor,
+			  }
+			: null;
+	};
+	if (totalLine) {
+		const found = read(totalLine, 1);
+		if (found) return found;
+	}
+	for (const line of lines) {
+		const found = read(line, 0.8);
+		if (found) return found;
+	}
+	return null;
+}
+
+// Rows of the item table: from a header naming two or more columns to the
+// first total, VAT or subtotal line
+function findItems(lines) {
+	const header = lines.findIndex(
+		(line) =>
+			new Set(
+				matchesOf(ITEM_HEADER_RX, line.text).map(({ start, end }) =>
+					line.text.slice(start, end).toLowerCase()
+				)
+			).size >= 2
+	);
+	if (header < 0) return [];
+	const items = [];
+	for (const line of lines.slice(header + 1)) {
+		if ([TOTAL_RX, DUE_RX, NET_RX, VAT_RX].some((rx) => rx.test(line.text))) {
+			break;
+		}
+		// A leading row number is not an amount
+		const numbering = line.text.match(/^\s*\d+[.)]?\s+(?=\p{L})/u);
+		const from = numbering ? numbering[0].length : 0;
+		const amounts = amountsOf(line.text).filter((a) => a.start >= from);
+		if (amounts.length === 0) continue;
+		const description = line.text
+			.slice(from, amounts[0].start)
+			.replace(/[\s:;,.\-–]+$/, '')
+			.trim();
+		if (!/\p{L}{2}/u.test(description)) continue;
+		const amount = amounts[amounts.length - 1];
+		const field = toField({
+			value: amount.value,
+			start: 0,
+			end: line.text.length,
+			line,
+			factor: 0.8,
+		});
+		items.push({
+			description,
+			quantity: amounts.length > 1 ? amounts[0].value : null,
+			amount: amount.value,
+			confidence: field.confidence,
+			review: field.review,
+			text: line.text,
+		});
+	}
+	return items;
+}
+
+/**
+ * Extracts invoice and receipt fields from OCR text lines in English, Czech
+ * or Slovak. Fields are found next to their labels ("Dodavatel", "Celkem k
+ * úhradě", "DPH", ...); without a label a value is guessed, e.g. the first
+ * line as supplier or the largest amount as total, at a lower confidence.
+ * @param {Array<{text: string, confidence: number, words?: Array<{text: string, confidence: number}>}>} lines
+ *   Text lines with OCR confidences from 0 to 1 (see recognizeDocument).
+ * @returns {{fields: Object, items: Array<Object>, review: number}} fields
+ *   supplier, date (yyyy-MM-dd), total, vat and currency as `{value,
+ *   confidence, review, text}` where text is the line read from, line items
+ *   as `{description, quantity, amount, confidence, review, text}`, and the
+ *   number of values flagged for review (confidence below
+ *   REVIEW_CONFIDENCE).
+ */
+export function extractInvoiceFields(lines) {
+	const total = findTotal(lines);
+	const fields = {
+		supplier: toField(findSupplier(lines)),
+		date: toField(findInvoiceDate(lines)),
+		total: toField(total),
+		vat: toField(findVat(lines)),
+		currency: toField(findCurrency(lines, total?.line)),
+	};
+	const items = findItems(lines);
+	return {
+		fields,
+		items,
+		review:
+			Object.values(fields).filter((f) => f.review).length +
+			items.filter((item) => item.review).length,
+	};
+}
+
+/**
+ * Reads a scanned invoice or receipt (an image, or a PDF without a text
+ * layer) into sheets like parseWorkbookSheets in utils/fileParser.js: an
+ * "Invoice" sheet with one row of Supplier, Date, Total, VAT and Currency,
+ * and a "Line items" sheet when an item table was found.
+ * @param {Buffer} buffer - Image or PDF content.
+ * @param {Object} [options]
+ * @param {boolean} [options.pdf] - The buffer is a PDF.
+ * @param {Array<string>} [options.languages] - See recognizeDocument.
+ * @param {Array<string>} [options.sheets] - Sheets to return (default all).
+ * @returns {Promise<{sheetNames: Array<string>, sheets: Array<{name: string, rows: Array<Object>}>, ocr: Object}>}
+ *   ocr holds the languages, the skew and confidence per page, and the
+ *   fields and items with their confidences (see extractInvoiceFields).
+ * @throws {CustomError} 400 when nothing can be read or a requested sheet
+ *   does not exist, 503 when language data is missing.
+ */
+export async function parseScannedInvoice(
+	buffer,
+	{ pdf = false, languages = OCR_LANGUAGES, sheets } = {}
+) {
+	const document = await recognizeDocument(buffer, { pdf, languages });
+	if (document.lines.length === 0) {
+		throw new CustomError(400, 'ERR_NO_DATA: No text recognized in the image');
+	}
+	const { fields, items, review } = extractInvoiceFields(document.lines);
+
+	const found = [
+		{
+			name: 'Invoice',
+			rows: [
+				{
+					Supplier: fields.supplier.value,
+					Date: fields.date.value,
+					Total: fields.total.value,
+					VAT: fields.vat.value,
+					Currency: fields.currency.value,
+				},
+			],
+		},
+	];
+	if (items.length) {
+		found.push({
+			name: 'Line items',
+			rows: items.map((item) => ({
+				Description: item.description,
+				Quantity: item.quantity,
+				Amount: item.amount,
+				Date: fields.date.value,
+			})),
+		});
+	}
+	const sheetNames = found.map((s) => s.name);
+	const selected = sheets || [];
+	const missing = selected.filter((name) => !sheetNames.includes(name));
+	if (missing.length) {
+		throw new CustomError(
+			400,
+			`ERR_UNKNOWN_SHEET: Sheet(s) not found: ${missing.join(
+				', '
+			)}. Available: ${sheetNames.join(', ')}`
+		);
+	}
+
+	return {
+		sheetNames,
+		sheets: selected.length
+			? found.filter((s) => selected.includes(s.name))
+			: found,
+		ocr: {
+			languages,
+			pages: document.pages.map(({ page, skew, confidence }) => ({
+				page,
+				skew,
+				confidence,
+			})),
+			unsupportedImages: document.unsupported.length,
+			fields,
+			items,
+			review,
+		},
+	};
+}
@@ -0,0 +1,309 @@
+import { PdfReader } from 'pdfreader';
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+import { extractTable } from './sheetLayout.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// pdfreader positions text in page units of 16 points; text widths are in
+// points
+const POINTS_PER_UNIT = 16;
+// Text items whose baselines differ by less than this share a line
+const LINE_TOLERANCE = 0.3;
+// Items closer than this are words of one cell (about two spaces at 10pt)
+const CELL_GAP = 0.75;
+// Items closer than this are parts of one word
+const WORD_GAP = 0.1;
+// A larger vertical gap ends a table (about two empty lines at 10pt)
+const MAX_ROW_GAP = 2;
+
+// Names of tables in the order they appear
+const tableName = (page, index) => `Page ${page} Table ${index}`;
+
+// Comma separated list or array of non-empty strings
+function toList(value) {
+	if (value === undefined || value === null || value === '') return [];
+	const items = Array.isArray(value) ? value : String(value).split(',');
+	return items.map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Parses a page selection such as "1,3-5" into page numbers.
+ * @param {string|Array} value - Page numbers and ranges, comma separated or
+ *   as an array.
+ * @returns {Array<number>|undefined} Sorted page numbers, or undefined when
+ *   nothing is selected.
+ * @throws {CustomError} 400 with ERR_INVALID_PAGES on malformed pages.
+ */
+export function parsePageList(value) {
+	const pages = new Set();
+	toList(value).forEach((part) => {
+		const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+		const from = match && Number(match[1]);
+		const to = match && Number(match[2] || match[1]);
+		if (!match || from < 1 || to < from || to - from > 10000) {
+			throw new CustomError(
+				400,
+				`ERR_INVALID_PAGES: '${part}' is not a page number or range`
+			);
+		}
+		for (let p = from; p <= to; p++) pages.add(p);
+	});
+	return pages.size ? [...pages].sort((a, b) => a - b) : undefined;
+}
+
+// Read the text items of a PDF page by page
+function readPdfPages(buffer) {
+	// pdfreader reads the whole memory behind a Buffer, so a Buffer sharing
+	// Node's pool with other data (as small uploads do) is copied first
+	let data = buffer;
+	if (buffer.byteOffset !== 0 || buffer.length !== buffer.buffer.byteLength) {
+		data = Buffer.alloc(buffer.length);
+		buffer.copy(data);
+	}
+	return new Promise((resolve, reject) => {
+		const pages = [];
+		let done = false;
+		new PdfReader().parseBuffer(data, (err, item) => {
+			if (done) return;
+			if (err) {
+				done = true;
+				reject(
+					new CustomError(
+						400,
+						`Failed to parse file: ${err.parserError || err.message || err}`
+					)
+				);
+			} else if (!item) {
+				done = true;
+				resolve(pages);
+			} else if (item.page) {
+				pages.push({ page: item.page, items: [] });
+			} else if (typeof item.text === 'string' && pages.length) {
+				pages[pages.length - 1].items.push({
+					x: item.x,
+					y: item.y,
+					right: item.x + (item.w || 0) / POINTS_PER_UNIT,
+					text: item.text,
+				});
+			}
+		});
+	});
+}
+
+// Group text items into lines, top first, and the items of each line into
+// cells, left first
+function toLines(items) {
+	const lines = [];
+	[...items]
+		.sort((a, b) => a.y - b.y || a.x - b.x)
+		.forEach((item) => {
+			const line = lines[lines.length - 1];
+			if (line && item.y - line.y <= LINE_TOLERANCE) line.items.push(item);
+			else lines.push({ y: item.y, items: [item] });
+		});
+	return lines
+		.map(({ y, items: lineItems }) => {
+			const cells = [];
+			lineItems
+				.sort((a, b) => a.x - b.x)
+				.forEach((item) => {
+					const text = item.text.trim();
+					if (!text) return;
+					const cell = cells[cells.length - 1];
+					const gap = cell ? item.x - cell.right : Infinity;
+					if (gap < CELL_GAP) {
+						cell.text += gap > WORD_GAP ? ` ${text}` : text;
+						cell.right = Math.max(cell.right, item.right);
+					} else {
+						cells.push({ x: item.x, right: item.right, text });
+					}
+				});
+			return { y, cells };
+		})
+		.filter((line) => line.cells.length > 0);
+}
+
+// Runs of lines with two or more cells; a line with one cell between them
+// (a section label) stays in the table, a large vertical gap ends it
+function findRegions(lines) {
+	const regions = [];
+	let current = null;
+	const close = () => {
+		if (current && current.filter((l) => l.cells.length > 1).length > 1) {
+			regions.push(current);
+		}
+		current = null;
+	};
+	lines.forEach((line, i) => {
+		const previous = current?.[current.length - 1];
+		const near = (a, b) => b && a && b.y - a.y <= MAX_ROW_GAP;
+		if (current && !near(previous, line)) close();
+		if (line.cells.length > 1) {
+			if (!current) current = [];
+			current.push(line);
+		} else if (
+			current &&
+			lines[i + 1]?.cells.length > 1 &&
+			near(line, lines[i + 1])
+		) {
+			current.push(line);
+		} else {
+			close();
+		}
+	});
+	close();
+	return regions;
+}
+
+// Column spans of a table: the spans of cells in its rows, merged where
+// they overlap (left-aligned labels and right-aligned numbers both line up).
+// The first row is left out when others exist, as headers often span
+// several columns.
+function findColumns(region) {
+	const rows = region.filter((line) => line.cells.length > 1);
+	const spans = (rows.length > 2 ? rows.slice(1) : rows)
+		.flatMap((line) => line.cells)
+		.map(({ x, right }) => ({ x, right: Math.max(right, x) }))
+		.sort((a, b) => a.x - b.x);
+	const columns = [];
+	spans.forEach((span) => {
+		const column = columns[columns.length - 1];
+		if (column && span.x <= column.right) {
+			column.right = Math.max(column.right, span.right);
+		} else {
+			columns.push({ ...span });
+		}
+	});
+	return columns;
+}
+
+// Column of a cell: the one it overlaps most, or the nearest
+function columnOf(columns, cell) {
+	let best = 0;
+	let bestScore = -Infinity;
+	columns.forEach((column, i) => {
+		const overlap =
+			Math.min(column.right, cell.right) - Math.max(column.x, cell.x);
+		const distance = Math.abs(
+			(column.x + column.right) / 2 - (cell.x + cell.right) / 2
+		);
+		const score = overlap > 0 ? overlap : -distance;
+		if (score > bestScore) {
+			best = i;
+			bestScore = score;
+		}
+	});
+	return best;
+}
+
+// Cells of a table region by row and column
+function toGrid(region) {
+	const columns = findColumns(region);
+	return region.map((line) => {
+		const row = columns.map(() => null);
+		line.cells.forEach((cell) => {
+			const c = columnOf(columns, cell);
+			row[c] = row[c] === null ? cell.text : `${row[c]} ${cell.text}`;
+		});
+		return row;
+	});
+}
+
+/**
+ * Finds the tables of a PDF from the positions of its text, without an LLM.
+ * Text items are grouped into lines and cells; runs of lines with several
+ * cells form a table whose columns are where the cells line up. Each table
+ * is then read like a worksheet (see extractTable in utils/sheetLayout.js):
+ * its header is detected, and subtotal/total rows are skipped. Scanned PDFs
+ * without a text layer have no tables.
+ * @param {Buffer} buffer - PDF file content.
+ * @param {Object} [options]
+ * @param {string|Array} [options.pages] - Pages to read (see parsePageList;
+ *   default all).
+ * @param {string|Array<string>} [options.tables] - Names of the tables to
+ *   return, e.g. "Page 2 Table 1" (default all).
+ * @returns {Promise<{sheetNames: Array<string>, sheets: Array<{name: string, page: number, rows: Array<Object>, layout: Object}>, pages: number, text: string}>}
+ *   Names of all tables found on the selected pages, the requested tables
+ *   (like parseWorkbookSheets in utils/fileParser.js), the page count and
+ *   the text of the selected pages line by line, for reading PDFs without
+ *   tables by other means.
+ * @throws {CustomError} 400 when the PDF cannot be parsed or a requested
+ *   page or table does not exist.
+ */
+export async function parsePdfTables(buffer, { pages, tables } = {}) {
+	const start = Date.now();
+	const pdfPages = await readPdfPages(buffer);
+	const selectedPages = parsePageList(pages);
+	const missingPages = (selectedPages || []).filter((p) => p > pdfPages.length);
+	if (missingPages.length) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_PAGES: Page(s) not found: ${missingPages.join(
+				', '
+			)}. The PDF has ${pdfPages.length} page(s)`
+		);
+	}
+
+	const found = [];
+	const text = [];
+	pdfPages
+		.filter(({ page }) => !selectedPages || selectedPages.includes(page))
+		.forEach(({ page, items }) => {
+			const lines = toLines(items);
+			lines.forEach((line) =>
+				text.push(line.cells.map((cell) => cell.text).join(' '))
+			);
+			findRegions(lines).forEach((region) => {
+				const { rows, layout } = extractTable(toGrid(region));
+				if (rows.length === 0) return;
+				found.push({
+					name: tableName(
+						page,
+						found.filter((t) => t.page === page).length + 1
+					),
+					page,
+					rows,
+					layout,
+				});
+			});
+		});
+
+	const sheetNames = found.map((t) => t.name);
+	const selected = toList(tables);
+	const missing = selected.filter((name) => !sheetNames.includes(name));
+	if (missing.length) {
+		throw new CustomError(
+			400,
+			`ERR_UNKNOWN_SHEET: Table(s) not found: ${missing.join(
+				', '
+			)}. Available: ${sheetNames.join(', ') || 'none'}`
+		);
+	}
+
+	logger.info('Parsed PDF tables', {
+		pages: pdfPages.length,
+		tables: found.map(({ name, rows }) => ({ name, rows: rows.length })),
+		duration: (Date.now() - start) / 1000,
+	});
+	return {
+		sheetNames,
+		sheets: selected.length
+			? found.filter((t) => selected.includes(t.name))
+			: found,
+		pages: pdfPages.length,
+		text: text.join('\n'),
+	};
+}
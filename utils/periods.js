@@ -0,0 +1,181 @@
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// Period columns needed before a sheet is unpivoted automatically
+export const MIN_PERIOD_COLUMNS = 3;
+export const DEFAULT_UNPIVOT_TITLE = 'Value';
+
+const MONTH_NAMES = [
+	['january', 'leden', 'január', 'jan'],
+	['february', 'únor', 'február', 'feb'],
+	['march', 'březen', 'marec', 'mar'],
+	['april', 'duben', 'apríl', 'apr'],
+	['may', 'květen', 'máj'],
+	['june', 'červen', 'jún', 'jun'],
+	['july', 'červenec', 'júl', 'jul'],
+	['august', 'srpen', 'aug'],
+	['september', 'září', 'sep', 'sept'],
+	['october', 'říjen', 'október', 'oct', 'okt'],
+	['november', 'listopad', 'nov'],
+	['december', 'prosinec', 'dec'],
+];
+const MONTHS = new Map(
+	MONTH_NAMES.flatMap((names, month) => names.map((name) => [name, month]))
+);
+
+const SEP = "[\\s_\\-/.']*";
+const MONTH_RX = new RegExp(`^(\\p{L}+)\\.?(?:${SEP}(\\d{4}|\\d{2}))?$`, 'iu');
+const YEAR_MONTH_RX = /^(\d{4})[-/._](\d{1,2})$/;
+const MONTH_YEAR_RX = /^(\d{1,2})[-/._](\d{4})$/;
+const QUARTER_RX = new RegExp(
+	`^(?:(\\d{4})${SEP})?q([1-4])(?:${SEP}(\\d{4}|\\d{2}))?$`,
+	'i'
+);
+const DATE_RX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const YEAR_RX = /^(19|20)\d{2}$/;
+
+const toYear = (y) => (y.length === 2 ? 2000 + Number(y) : Number(y));
+const utc = (year, month, day = 1) => new Date(Date.UTC(year, month, day));
+
+/**
+ * Reads a column header as a period: a month ("Jan", "January 2024",
+ * "Jan-24", "2024-01", "01/2024", Czech and Slovak month names), a quarter
+ * ("Q1", "2024 Q1"), a year or a date. Headers mangled into keys keep
+ * working ("_2024-01", "Jan_2024").
+ * @param {string} header - Column header.
+ * @param {number} year - Year of periods written without one.
+ * @returns {Date|null} First day of the period (UTC), or null.
+ */
+export function parsePeriodHeader(header, year) {
+	if (typeof header !== 'string') return null;
+	const t = header.trim().replace(/^_/, '').toLowerCase();
+	let m;
+	if ((m = t.match(DATE_RX))) {
+		const date = utc(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+		return date.getUTCDate() === Number(m[3]) ? date : null;
+	}
+	if ((m = t.match(YEAR_MONTH_RX)) && m[2] >= 1 && m[2] <= 12) {
+		return utc(Number(m[1]), Number(m[2]) - 1);
+	}
+	if ((m = t.match(MONTH_YEAR_RX)) && m[1] >= 1 && m[1] <= 12) {
+		return utc(Number(m[2]), Number(m[1]) - 1);
+	}
+	if ((m = t.match(QUARTER_RX)) && !(m[1] && m[3])) {
+		const y = m[1] || m[3];
+		return utc(y ? toYear(y) : year, (Number(m[2]) - 1) * 3);
+	}
+	if (YEAR_RX.test(t)) return utc(Number(t), 0);
+	if ((m = t.match(MONTH_RX)) && MONTHS.has(m[1])) {
+		return utc(m[2] ? toYear(m[2]) : year, MONTHS.get(m[1]));
+	}
+	return null;
+}
+
+/**
+ * Parses the unpivot option of an upload: "auto" (default), true/false or a
+ * list of column names (JSON array or comma separated).
+ * @param {any} value - Request value.
+ * @returns {'auto'|boolean|Array<string>} Normalized option.
+ * @throws {CustomError} 400 on an invalid value.
+ */
+export function parseUnpivotOption(value) {
+	if (value === undefined || value === null || value === '') return 'auto';
+	if (value === true || value === 'true') return true;
+	if (value === false || value === 'false') return false;
+	if (value === 'auto') return 'auto';
+	let columns = value;
+	if (typeof value === 'string') {
+		try {
+			columns = JSON.parse(value);
+		} catch (e) {
+			columns = value.split(',');
+		}
+	}
+	if (!Array.isArray(columns)) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_UNPIVOT: unpivot must be auto, true, false or a list of columns'
+		);
+	}
+	return columns.map((k) => String(k).trim()).filter(Boolean);
+}
+
+/**
+ * Selects the columns of a wide sheet whose headers are periods, to be turned
+ * into dated values of one title. In auto mode at least three numeric
+ * columns must qualify; listed columns must all parse as periods.
+ * @param {Array<{k: string, t: string}>} columnSchema - Resolved column schema.
+ * @param {Object} [options]
+ * @param {'auto'|boolean|Array<string>} [options.unpivot] - See parseUnpivotOption.
+ * @param {number} [options.year] - Year of periods written without one
+ *   (default: current year).
+ * @param {Array<string>} [options.exclude] - Columns never unpivoted
+ *   (category and date column).
+ * @returns {Array<{k: string, d: Date}>} Period columns, empty when the sheet
+ *   is not unpivoted.
+ * @throws {CustomError} 400 when requested columns are not periods or the
+ *   year is invalid.
+ */
+export function detectPeriodColumns(
+	columnSchema,
+	{ unpivot = 'auto', year, exclude = [] } = {}
+) {
+	if (unpivot === false) return [];
+	const baseYear =
+		year === undefined || year === null || year === ''
+			? new Date().getUTCFullYear()
+			: Number(year);
+	if (!Number.isInteger(baseYear) || baseYear < 1900 || baseYear > 2100) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_UNPIVOT: periodYear must be a year from 1900 to 2100'
+		);
+	}
+	const numeric = ['number', 'currency', 'percent', 'ignore'];
+
+	if (Array.isArray(unpivot)) {
+		return unpivot.map((k) => {
+			const d = columnSchema.some((c) => c.k === k)
+				? parsePeriodHeader(k, baseYear)
+				: null;
+			if (!d) {
+				throw new CustomError(
+					400,
+					`ERR_INVALID_UNPIVOT: Column '${k}' is not a date or period column`
+				);
+			}
+			return { k, d };
+		});
+	}
+
+	const periods = columnSchema
+		.filter((c) => !exclude.includes(c.k) && numeric.includes(c.t))
+		.map((c) => ({ k: c.k, d: parsePeriodHeader(c.k, baseYear) }))
+		.filter((p) => p.d);
+	if (unpivot === true && periods.length === 0) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_UNPIVOT: No column headers look like dates or periods'
+		);
+	}
+	if (unpivot === 'auto' && periods.length < MIN_PERIOD_COLUMNS) return [];
+	logger.info('Detected period columns', {
+		count: periods.length,
+		columns: periods.slice(0, 12).map((p) => p.k),
+	});
+	return periods;
+}
@@ -68,3 +68,37 @@ export const getPlanByName = (planName) => {
 
 	return plans[planName];
 };
+
+// Dashboard data limits per user subscription plan (User.subscription.planId)
+const DATA_PLAN_LIMITS = {
+	Free: {
+		versionLimit: 5, // versions kept per dashboard
+		versionDays: 7, // older versions are pruned
+		maxUploadSize: 6 * 1024 * 1024, // bytes per uploaded file
+		maxDataSize: 8 * 1024 * 1024, // bytes of a dashboard's data as JSON
+	},
+	Monthly: {
+		versionLimit: 30,
+		versionDays: 90,
+		maxUploadSize: 100 * 1024 * 1024,
+		maxDataSize: 50 * 1024 * 1024,
+	},
+	Yearly: {
+		versionLimit: 100,
+		versionDays: 365,
+		maxUploadSize: 250 * 1024 * 1024,
+		maxDataSize: 100 * 1024 * 1024,
+	},
+};
+
+export const getDataPlanLimits = (subscription) => {
+	const isActive =
+		!subscription?.status ||
+		['active', 'trialing'].includes(subscription.status);
+	const planId =
+		isActive && DATA_PLAN_LIMITS[subscription?.planId]
+			? subscription.planId
+			: 'Free';
+
+	return { planId, ...DATA_PLAN_LIMITS[planId] };
+};
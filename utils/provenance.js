@@ -0,0 +1,175 @@
+import winston from 'winston';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// Whether a value came from the given uploads. Values stored before they
+// recorded their upload (`f`) are matched by the file name of their entry.
+const fromSource = (entry, node, { fileIds = [], fileName } = {}) =>
+	node.f
+		? fileIds.includes(String(node.f))
+		: Boolean(fileName) && entry.s === fileName;
+
+// Keep the values of each entry that match (or do not match) a source;
+// entries and categories left without values are dropped
+function filterSource(data, source, keep) {
+	let values = 0;
+	const result = [];
+	(Array.isArray(data) ? data : []).forEach((category) => {
+		if (!Array.isArray(category.data)) {
+			if (!keep) result.push(category);
+			return;
+		}
+		let changed = false;
+		const entries = [];
+		category.data.forEach((entry) => {
+			const nodes = (entry.d || []).filter(
+				(node) => fromSource(entry, node, source) === keep
+			);
+			values += keep ? nodes.length : (entry.d || []).length - nodes.length;
+			if (nodes.length === (entry.d || []).length) {
+				entries.push(entry);
+			} else {
+				changed = true;
+				if (nodes.length > 0) entries.push({ ...entry, d: nodes });
+			}
+		});
+		if (entries.length === 0) return;
+		result.push(
+			changed || entries.length !== category.data.length
+				? { ...category, data: entries }
+				: category
+		);
+	});
+	return { data: result, values };
+}
+
+/**
+ * Records the upload that produced dashboard data: the file name on each
+ * entry (`s`), and the upload's file id (`f`) and time (`u`) on each value.
+ * Row numbers (`r`) are set when rows are transformed.
+ * @param {Array} data - Dashboard categories of one upload.
+ * @param {Object} source
+ * @param {string} source.fileId - Id of the uploaded file (`f.fid`).
+ * @param {string} source.fileName - Name of the uploaded file.
+ * @param {Date} source.uploadedAt - Upload time.
+ * @returns {Array} Tagged copy of the categories.
+ */
+export function tagUploadSource(data, { fileId, fileName, uploadedAt }) {
+	return data.map((category) => ({
+		...category,
+		data: category.data.map((entry) => ({
+			...entry,
+			s: fileName,
+			d: entry.d.map((node) => ({
+				...node,
+				f: String(fileId),
+				u: uploadedAt,
+			})),
+		})),
+	}));
+}
+
+/**
+ * Selects the values one or more uploads contributed.
+ * @param {Array} data - Dashboard categories.
+ * @param {Object} source
+ * @param {Array<string>} [source.fileIds] - Upload file ids.
+ * @param {string} [source.fileName] - File name matching entries stored
+ *   without upload ids.
+ * @returns {{data: Array, values: number}} Categories holding only those
+ *   values, and how many there are.
+ */
+export function selectSourceData(data, source) {
+	return filterSource(data, source, true);
+}
+
+/**
+ * Removes the values one or more uploads contributed, leaving values of other
+ * files in place. Entries and categories left empty are removed.
+ * @param {Array} data - Dashboard categories.
+ * @param {Object} source - See selectSourceData.
+ * @returns {{data: Array, values: number}} Remaining categories and the number
+ *   of values removed.
+ */
+export function removeSourceData(data, source) {
+	const result = filterSource(data, source, false);
+	logger.info('Removed source data', {
+		fileIds: source.fileIds,
+		fileName: source.fileName,
+		values: result.values,
+	});
+	return result;
+}
+
+/**
+ * Counts what each upload contributed to dashboard data.
+ * @param {Array} data - Dashboard categories.
+ * @returns {{sources: Map<string, {categories: number, entries: number, values: number, rows: {first: number, last: number}|null, dates: {from: Date, to: Date}|null, uploadedAt: Date|null}>, unattributed: number}}
+ *   Statistics by upload file id, and the number of values without one.
+ */
+export function summarizeSources(data) {
+	const sources = new Map();
+	let unattributed = 0;
+	(Array.isArray(data) ? data : []).forEach((category) => {
+		(category.data || []).forEach((entry) => {
+			const seen = new Set();
+			(entry.d || []).forEach((node) => {
+				if (!node.f) {
+					unattributed++;
+					return;
+				}
+				const fid = String(node.f);
+				if (!sources.has(fid)) {
+					sources.set(fid, {
+						categories: new Set(),
+						entries: 0,
+						values: 0,
+						rows: null,
+						dates: null,
+						uploadedAt: node.u ? new Date(node.u) : null,
+					});
+				}
+				const stats = sources.get(fid);
+				stats.categories.add(category);
+				if (!seen.has(fid)) {
+					seen.add(fid);
+					stats.entries++;
+				}
+				stats.values++;
+				if (Number.isInteger(node.r)) {
+					stats.rows = stats.rows
+						? {
+								first: Math.min(stats.rows.first, node.r),
+								last: Math.max(stats.rows.last, node.r),
+						  }
+						: { first: node.r, last: node.r };
+				}
+				const date = new Date(node.d);
+				if (!isNaN(date.getTime())) {
+					stats.dates = stats.dates
+						? {
+								from: date < stats.dates.from ? date : stats.dates.from,
+								to: date > stats.dates.to ? date : stats.dates.to,
+						  }
+						: { from: date, to: date };
+				}
+			});
+		});
+	});
+	sources.forEach((stats) => {
+		stats.categories = stats.categories.size;
+	});
+	return { sources, unattributed };
+}
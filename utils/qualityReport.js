@@ -0,0 +1,251 @@
+import winston from 'winston';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// Reports kept per dashboard, newest last
+export const MAX_QUALITY_REPORTS = 20;
+
+const MAX_REPORTED_ITEMS = 20;
+const MAX_REPORTED_ROWS = 5;
+// Distinct keys tracked for duplicates; beyond that the count is a minimum
+const MAX_TRACKED_KEYS = 100000;
+// Values a column needs before outliers are looked for
+const MIN_OUTLIER_VALUES = 8;
+const OUTLIER_FENCE = 1.5;
+
+const isMissing = (v) =>
+	v === null || v === undefined || (typeof v === 'string' && !v.trim());
+
+// Bounded list that still counts everything pushed to it
+function createList() {
+	const items = [];
+	let total = 0;
+	return {
+		push(item) {
+			total++;
+			if (items.length < MAX_REPORTED_ITEMS) items.push(item);
+		},
+		toJSON: () => ({ total, items }),
+	};
+}
+
+// Linear-interpolated quantile of sorted numbers
+function quantile(sorted, q) {
+	const pos = (sorted.length - 1) * q;
+	const lo = Math.floor(pos);
+	const hi = Math.ceil(pos);
+	return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Numeric values outside the interquartile fences, by value title
+function findOutliers(dashboardData) {
+	const byTitle = new Map();
+	dashboardData.forEach((category) => {
+		(category.data || []).forEach((entry) => {
+			(entry.d || []).forEach((node) => {
+				if (typeof node.v !== 'number' || !isFinite(node.v)) return;
+				if (!byTitle.has(node.t)) byTitle.set(node.t, []);
+				byTitle.get(node.t).push({ row: node.r, cat: category.cat, v: node.v });
+			});
+		});
+	});
+
+	const outliers = [];
+	byTitle.forEach((values, k) => {
+		if (values.length < MIN_OUTLIER_VALUES) return;
+		const sorted = values.map(({ v }) => v).sort((a, b) => a - b);
+		const q1 = quantile(sorted, 0.25);
+		const q3 = quantile(sorted, 0.75);
+		const iqr = q3 - q1;
+		// Columns of (nearly) one value have no meaningful spread
+		if (iqr === 0) return;
+		const low = q1 - OUTLIER_FENCE * iqr;
+		const high = q3 + OUTLIER_FENCE * iqr;
+		const items = createList();
+		values
+			.filter(({ v }) => v < low || v > high)
+			.forEach((item) => items.push(item));
+		const { total, items: sample } = items.toJSON();
+		if (total > 0) outliers.push({ k, total, low, high, items: sample });
+	});
+	return outliers;
+}
+
+/**
+ * Profiles the rows of one sheet for the upload's quality report. Rows are
+ * added in batches as they are transformed, so streamed files are profiled
+ * without holding all rows.
+ * @param {Object} columns - Resolved columns of the sheet.
+ * @param {Array<{k: string, t: string}>} columns.columnSchema - Column schema.
+ * @param {string|null} [columns.keyColumn] - Key column; its values must be
+ *   unique.
+ * @param {string|null} [columns.dateColumn] - Date column; without a key
+ *   column, a category should appear once per date.
+ * @returns {{add: Function, finish: Function}} add(rows, issues, rowOffset,
+ *   rowNumbers) takes raw rows with the invalid value counts and skipped rows
+ *   of their transform, and their sheet rows when a recipe or join removed
+ *   some; finish(dashboardData, layout, removed) returns the sheet's report,
+ *   where the removed rows (`[{reason, total, items}]`, e.g. rows the recipe
+ *   filtered out) count as skipped.
+ */
+export function createQualityProfile({
+	columnSchema = [],
+	keyColumn = null,
+	dateColumn = null,
+}) {
+	const columns = columnSchema
+		.filter((c) => c.t !== 'ignore')
+		.map((c) => ({ k: c.k, t: c.t, missing: 0, invalid: 0 }));
+	const byKey = new Map(columns.map((c) => [c.k, c]));
+	const categoryColumn = columnSchema.find((c) => c.t === 'category')?.k;
+	const keyColumns = keyColumn
+		? [keyColumn]
+		: [categoryColumn, dateColumn].filter(Boolean);
+	const keys = new Map();
+	const skipped = createList();
+	const reasons = {};
+	let rows = 0;
+	let truncated = false;
+
+	let unlisted = 0;
+
+	const skip = (item) => {
+		reasons[item.reason] = (reasons[item.reason] || 0) + 1;
+		skipped.push(item);
+	};
+	// Rows skipped beyond the sample of a layout, recipe or join are counted only
+	const skipSample = (reason, total, items) => {
+		items.forEach(skip);
+		if (total > items.length) {
+			reasons[reason] = (reasons[reason] || 0) + total - items.length;
+			unlisted += total - items.length;
+		}
+	};
+
+	return {
+		add(
+			rawRows,
+			{ invalid = {}, skipped: skippedRows = [] } = {},
+			rowOffset = 0,
+			rowNumbers = null
+		) {
+			rawRows.forEach((row, idx) => {
+				const rowNumber = rowNumbers ? rowNumbers[idx] : rowOffset + idx + 1;
+				rows++;
+				columns.forEach((c) => {
+					if (isMissing(row?.[c.k])) c.missing++;
+				});
+				if (!categoryColumn && !keyColumn) return;
+				const values = keyColumns.map((k) => row?.[k]);
+				if (isMissing(values[0])) return;
+				const key = values
+					.map((v) => (isMissing(v) ? '' : String(v).trim()))
+					.join(' | ');
+				const seen = keys.get(key);
+				if (seen) {
+					seen.count++;
+					if (seen.rows.length < MAX_REPORTED_ROWS) {
+						seen.rows.push(rowNumber);
+					}
+				} else if (keys.size < MAX_TRACKED_KEYS) {
+					keys.set(key, { count: 1, rows: [rowNumber] });
+				} else {
+					truncated = true;
+				}
+			});
+			Object.entries(invalid).forEach(([k, n]) => {
+				if (byKey.has(k)) byKey.get(k).invalid += n;
+			});
+			skippedRows.forEach(skip);
+		},
+		finish(dashboardData = [], layout = null, removed = []) {
+			skipSample(
+				'total row',
+				layout?.skippedRows?.total || 0,
+				(layout?.skippedRows?.items || []).map(({ row, label }) => ({
+					sheetRow: row,
+					reason: 'total row',
+					label,
+				}))
+			);
+			removed.forEach(({ reason, total = 0, items = [] }) =>
+				skipSample(
+					reason,
+					total,
+					items.map((row) => ({ row, reason }))
+				)
+			);
+
+			const duplicates = [...keys.entries()]
+				.filter(([, seen]) => seen.count > 1)
+				.sort((a, b) => b[1].count - a[1].count);
+			const skippedReport = skipped.toJSON();
+			return {
+				rows,
+				columns,
+				skipped: {
+					total: skippedReport.total + unlisted,
+					reasons,
+					items: skippedReport.items,
+				},
+				duplicates: {
+					columns: keyColumns,
+					total: duplicates.reduce((n, [, seen]) => n + seen.count - 1, 0),
+					truncated,
+					items: duplicates
+						.slice(0, MAX_REPORTED_ITEMS)
+						.map(([value, seen]) => ({ value, ...seen })),
+				},
+				outliers: findOutliers(dashboardData),
+			};
+		},
+	};
+}
+
+/**
+ * Totals of a quality report over its sheets.
+ * @param {Array<Object>} sheets - Sheet reports (see createQualityProfile);
+ *   sheets that failed only have an error.
+ * @returns {{rows: number, missing: number, invalid: number, skipped: number, duplicates: number, outliers: number, failedSheets: number}}
+ */
+export function summarizeQuality(sheets) {
+	const summary = {
+		rows: 0,
+		missing: 0,
+		invalid: 0,
+		skipped: 0,
+		duplicates: 0,
+		outliers: 0,
+		failedSheets: 0,
+	};
+	sheets.forEach((sheet) => {
+		if (sheet.error) {
+			summary.failedSheets++;
+			return;
+		}
+		summary.rows += sheet.rows;
+		sheet.columns.forEach((c) => {
+			summary.missing += c.missing;
+			summary.invalid += c.invalid;
+		});
+		summary.skipped += sheet.skipped.total;
+		summary.duplicates += sheet.duplicates.total;
+		sheet.outliers.forEach((o) => {
+			summary.outliers += o.total;
+		});
+	});
+	logger.info('Summarized data quality', summary);
+	return summary;
+}
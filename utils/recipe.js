@@ -0,0 +1,412 @@
+import { format, isValid } from 'date-fns';
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+import {
+	DATE_FORMATS,
+	DECIMAL_SEPARATORS,
+	parseCurrency,
+	parseDateValue,
+	parseNumber,
+	parsePercent,
+} from './columnSchema.js';
+import {
+	evaluateExpression,
+	getExpressionDateTitles,
+	getExpressionTitles,
+	parseExpression,
+} from './formulaEngine.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+export const RECIPE_OPERATIONS = [
+	'rename',
+	'drop',
+	'filter',
+	'split',
+	'cast',
+	'derive',
+];
+export const FILTER_COMPARISONS = [
+	'eq',
+	'ne',
+	'gt',
+	'gte',
+	'lt',
+	'lte',
+	'contains',
+	'empty',
+	'notEmpty',
+];
+export const CAST_TYPES = ['number', 'currency', 'percent', 'date', 'text'];
+export const MAX_RECIPE_STEPS = 50;
+
+const MAX_SPLIT_COLUMNS = 20;
+const MAX_REPORTED_ROWS = 20;
+
+const isEmpty = (v) =>
+	v === null || v === undefined || (typeof v === 'string' && !v.trim());
+const has = (row, k) => Object.prototype.hasOwnProperty.call(row, k);
+
+const invalid = (n, message) =>
+	new CustomError(400, `ERR_INVALID_RECIPE: Step ${n}: ${message}`);
+
+// Column name of a step field: a non-empty string of at most 255 characters
+function columnName(value, n, field) {
+	const name = typeof value === 'string' ? value.trim() : '';
+	if (!name || name.length > 255) {
+		throw invalid(n, `${field} must be a column name of 1-255 characters`);
+	}
+	return name;
+}
+
+/**
+ * Validates the steps of a transformation recipe. Steps run in order on every
+ * row of an upload, before the column schema is inferred:
+ *   rename  { op, c, to }            renames column c to `to`
+ *   drop    { op, c }                removes column c
+ *   filter  { op, c, cmp, v }        keeps rows whose c compares true to v
+ *                                    (empty/notEmpty take no v)
+ *   split   { op, c, sep, into, keep } splits c at sep into the `into`
+ *                                    columns (the last one takes the rest);
+ *                                    c is removed unless keep is set
+ *   cast    { op, c, t, fmt, dec }   converts c to number, currency,
+ *                                    percent, date (yyyy-MM-dd) or text
+ *   derive  { op, c, x }             sets c to a formula over the row (see
+ *                                    utils/formulaEngine.js)
+ * @param {Array<Object>} steps - Recipe steps.
+ * @returns {Array<Object>} Steps with only their known fields.
+ * @throws {CustomError} 400 with ERR_INVALID_RECIPE (or ERR_FORMULA_SYNTAX
+ *   for derive formulas) on invalid steps.
+ */
+export function validateRecipe(steps) {
+	if (!Array.isArray(steps)) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_RECIPE: Recipe must be an array of steps'
+		);
+	}
+	if (steps.length > MAX_RECIPE_STEPS) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_RECIPE: Recipe exceeds ${MAX_RECIPE_STEPS} steps`
+		);
+	}
+	return steps.map((step, idx) => {
+		const n = idx + 1;
+		if (!step || typeof step !== 'object') {
+			throw invalid(n, 'Step must be an object');
+		}
+		if (!RECIPE_OPERATIONS.includes(step.op)) {
+			throw invalid(n, `op must be one of ${RECIPE_OPERATIONS.join(', ')}`);
+		}
+		const c = columnName(step.c, n, 'c');
+		switch (step.op) {
+			case 'rename':
+				return { op: step.op, c, to: columnName(step.to, n, 'to') };
+			case 'drop':
+				return { op: step.op, c };
+			case 'filter': {
+				if (!FILTER_COMPARISONS.includes(step.cmp)) {
+					throw invalid(
+						n,
+						`cmp must be one of ${FILTER_COMPARISONS.join(', ')}`
+					);
+				}
+				if (['empty', 'notEmpty'].includes(step.cmp)) {
+					return { op: step.op, c, cmp: step.cmp };
+				}
+				if (!['string', 'number'].includes(typeof step.v)) {
+					throw invalid(n, 'v must be a string or number');
+				}
+				return { op: step.op, c, cmp: step.cmp, v: step.v };
+			}
+			case 'split': {
+				if (typeof step.sep !== 'string' || !step.sep || step.sep.length > 10) {
+					throw invalid(n, 'sep must be a string of 1-10 characters');
+				}
+				if (
+					!Array.isArray(step.into) ||
+					step.into.length === 0 ||
+					step.into.length > MAX_SPLIT_COLUMNS
+				) {
+					throw invalid(
+						n,
+						`into must list 1-${MAX_SPLIT_COLUMNS} column names`
+					);
+				}
+				const into = step.into.map((k) => columnName(k, n, 'into'));
+				if (new Set(into).size !== into.length) {
+					throw invalid(n, 'into must not repeat a column');
+				}
+				return { op: step.op, c, sep: step.sep, into, keep: !!step.keep };
+			}
+			case 'cast': {
+				if (!CAST_TYPES.includes(step.t)) {
+					throw invalid(n, `t must be one of ${CAST_TYPES.join(', ')}`);
+				}
+				if (
+					step.fmt !== undefined &&
+					step.fmt !== null &&
+					(typeof step.fmt !== 'string' || step.fmt.length > 50)
+				) {
+					throw invalid(
+						n,
+						'fmt must be a date format of at most 50 characters'
+					);
+				}
+				if (step.dec && !DECIMAL_SEPARATORS.includes(step.dec)) {
+					throw invalid(n, "dec must be '.' or ','");
+				}
+				return {
+					op: step.op,
+					c,
+					t: step.t,
+					...(step.fmt && { fmt: step.fmt }),
+					...(step.dec && { dec: step.dec }),
+				};
+			}
+			default: {
+				// derive: the formula is parsed now so bad input fails on save
+				try {
+					parseExpression(step.x);
+				} catch (parseError) {
+					if (!(parseError instanceof CustomError)) throw parseError;
+					throw invalid(n, parseError.message);
+				}
+				return { op: step.op, c, x: step.x.trim() };
+			}
+		}
+	});
+}
+
+// Cell value as text for comparisons; dates compare as yyyy-MM-dd
+const asText = (v) =>
+	v instanceof Date
+		? isValid(v)
+			? format(v, 'yyyy-MM-dd')
+			: ''
+		: String(v ?? '').trim();
+
+// Whether a cell passes a filter step. Values that both read as numbers are
+// compared as numbers, anything else as case-insensitive text.
+function matches(value, { cmp, v }) {
+	if (cmp === 'empty') return isEmpty(value);
+	if (cmp === 'notEmpty') return !isEmpty(value);
+	const text = asText(value).toLowerCase();
+	const target = asText(v).toLowerCase();
+	if (cmp === 'contains') return text.includes(target);
+	const a = parseNumber(value);
+	const b = parseNumber(v);
+	const order =
+		a !== null && b !== null
+			? a - b
+			: text < target
+			? -1
+			: text > target
+			? 1
+			: 0;
+	switch (cmp) {
+		case 'eq':
+			return order === 0;
+		case 'ne':
+			return order !== 0;
+		case 'gt':
+			return order > 0;
+		case 'gte':
+			return order >= 0;
+		case 'lt':
+			return order < 0;
+		default:
+			return order <= 0;
+	}
+}
+
+// Converted cell value of a cast step, or undefined when it does not convert
+function castValue(value, { t, fmt, dec }) {
+	switch (t) {
+		case 'number':
+			return parseNumber(value, dec) ?? undefined;
+		case 'currency':
+			return parseCurrency(value, dec)?.value ?? undefined;
+		case 'percent':
+			return parsePercent(value, dec) ?? undefined;
+		case 'date': {
+			const formats = fmt ? [fmt] : DATE_FORMATS;
+			for (const f of formats) {
+				const date = parseDateValue(value, f);
+				if (date) return date;
+			}
+			return undefined;
+		}
+		default:
+			return asText(value);
+	}
+}
+
+// Compile a validated step into a function of one row. It returns false to
+// drop the row and counts what it did on the step's report.
+function compileStep(step, stats) {
+	switch (step.op) {
+		case 'rename':
+			return (row) => {
+				if (!has(row, step.c)) return row;
+				const renamed = {};
+				Object.keys(row).forEach((k) => {
+					if (k === step.c) renamed[step.to] = row[k];
+					else if (k !== step.to) renamed[k] = row[k];
+				});
+				stats.changed++;
+				return renamed;
+			};
+		case 'drop':
+			return (row) => {
+				if (!has(row, step.c)) return row;
+				delete row[step.c];
+				stats.changed++;
+				return row;
+			};
+		case 'filter':
+			return (row) => {
+				// Files without the column are not filtered by it
+				if (!has(row, step.c)) return row;
+				if (matches(row[step.c], step)) return row;
+				stats.changed++;
+				return false;
+			};
+		case 'split':
+			return (row) => {
+				if (!has(row, step.c)) return row;
+				const value = row[step.c];
+				const parts = isEmpty(value) ? [] : asText(value).split(step.sep);
+				const last = step.into.length - 1;
+				if (!step.keep) delete row[step.c];
+				step.into.forEach((k, i) => {
+					const part = i === last ? parts.slice(i).join(step.sep) : parts[i];
+					row[k] = part === undefined || !part.trim() ? null : part.trim();
+				});
+				stats.changed++;
+				return row;
+			};
+		case 'cast':
+			return (row) => {
+				if (!has(row, step.c) || isEmpty(row[step.c])) return row;
+				const value = castValue(row[step.c], step);
+				if (value === undefined) {
+					stats.failed++;
+					row[step.c] = null;
+				} else {
+					stats.changed++;
+					row[step.c] = value;
+				}
+				return row;
+			};
+		default: {
+			const ast = parseExpression(step.x);
+			const dateTitles = getExpressionDateTitles(ast);
+			const titles = getExpressionTitles(ast).filter(
+				(k) => !dateTitles.includes(k)
+			);
+			return (row) => {
+				const scope = {};
+				titles.forEach((k) => {
+					if (!has(row, k)) return;
+					const n = parseNumber(row[k]);
+					scope[k] = n === null ? row[k] : n;
+				});
+				dateTitles.forEach((k) => {
+					if (has(row, k)) scope[k] = row[k];
+				});
+				try {
+					row[step.c] = evaluateExpression(ast, scope);
+					stats.changed++;
+				} catch (evalError) {
+					// Rows missing an operand get no value rather than failing
+					row[step.c] = null;
+					stats.failed++;
+				}
+				return row;
+			};
+		}
+	}
+}
+
+/**
+ * Prepares a recipe to run on the rows of one sheet. Rows may be passed in
+ * batches, so streamed files run the recipe without holding all rows. Steps
+ * skip rows that lack their column, so one recipe can serve all files of a
+ * dashboard.
+ * @param {Array<Object>} [steps] - Recipe steps (see validateRecipe).
+ * @returns {{steps: number, apply: Function, report: Function}} apply(rows,
+ *   rowOffset) returns `{ rows, rowNumbers }`, where rowNumbers holds the
+ *   1-based sheet row of each remaining row when the recipe dropped some
+ *   (null otherwise); report() returns what each step did and the dropped
+ *   rows as `{ steps: [{op, c, changed, failed}], filtered: {total, items} }`.
+ * @throws {CustomError} 400 on invalid steps.
+ */
+export function createRecipeRunner(steps = []) {
+	const validated = validateRecipe(steps || []);
+	const stats = validated.map(({ op, c }) => ({
+		op,
+		c,
+		changed: 0,
+		failed: 0,
+	}));
+	const compiled = validated.map((step, i) => compileStep(step, stats[i]));
+	const filtered = [];
+	let dropped = 0;
+
+	return {
+		steps: compiled.length,
+		apply(rows, rowOffset = 0) {
+			if (compiled.length === 0) return { rows, rowNumbers: null };
+			const result = [];
+			const rowNumbers = [];
+			rows.forEach((input, idx) => {
+				const rowNumber = rowOffset + idx + 1;
+				if (!input || typeof input !== 'object') {
+					result.push(input);
+					rowNumbers.push(rowNumber);
+					return;
+				}
+				let row = { ...input };
+				for (const step of compiled) {
+					row = step(row);
+					if (row === false) break;
+				}
+				if (row === false) {
+					dropped++;
+					if (filtered.length < MAX_REPORTED_ROWS) filtered.push(rowNumber);
+					return;
+				}
+				result.push(row);
+				rowNumbers.push(rowNumber);
+			});
+			return {
+				rows: result,
+				rowNumbers: result.length < rows.length ? rowNumbers : null,
+			};
+		},
+		report() {
+			logger.info('Applied recipe', {
+				steps: compiled.length,
+				filtered: dropped,
+			});
+			return {
+				steps: stats,
+				filtered: { total: dropped, items: filtered },
+			};
+		},
+	};
+}
@@ -0,0 +1,340 @@
+import winston from 'winston';
+import { parseCurrency, parseNumber, parsePercent } from './columnSchema.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+// Rows searched for the header and the deepest multi-row header
+export const HEADER_SCAN_ROWS = 30;
+const MAX_HEADER_ROWS = 3;
+const MAX_REPORTED_ROWS = 20;
+
+export const HEADER_SEPARATOR = ' / ';
+
+const YEAR = /^(19|20)\d{2}$/;
+const DATE_RX = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+// Labels of subtotal and total rows, including Czech and Slovak exports; a
+// label that only starts with one ("Total Quality Mgmt") is data
+const TOTAL_RX =
+	/^((grand\s+|sub-?)?totals?|sum|celkem|celkom|spolu|součet|súčet|mezisoučet|medzisúčet|úhrn)\s*:?$/i;
+
+const isBlank = (v) =>
+	v === null || v === undefined || (typeof v === 'string' && !v.trim());
+
+// Numbers and dates mark data rows; years alone are common header labels
+function isDataValue(v) {
+	if (v instanceof Date) return true;
+	const t = String(v).trim();
+	if (YEAR.test(t)) return false;
+	return (
+		DATE_RX.test(t) ||
+		parseNumber(t) !== null ||
+		parsePercent(t) !== null ||
+		parseCurrency(t) !== null
+	);
+}
+
+// Column names for a header row, named like xlsx.utils.sheet_to_json does
+function toHeaders(values) {
+	const headers = [];
+	const seen = new Map();
+	values.forEach((value, col) => {
+		let name =
+			value === null || value === undefined ? '' : String(value).trim();
+		if (!name) name = '__EMPTY';
+		const count = seen.get(name) || 0;
+		seen.set(name, count + 1);
+		headers[col] = count ? `${name}_${count}` : name;
+	});
+	return headers;
+}
+
+// Text that is neither data nor a year
+const isText = (v) =>
+	typeof v === 'string' && !isDataValue(v) && !YEAR.test(v.trim());
+
+/**
+ * Whether a row is a subtotal or total line: its first label is nothing but a
+ * total marker ("Total", "Subtotal:", "Celkem") and the rest of the row holds
+ * no other text, or mostly numbers.
+ * @param {Array} values - Row cells.
+ * @returns {string|null} The total label, or null.
+ */
+export function totalRowLabel(values) {
+	const [first, ...rest] = values.filter((v) => !isBlank(v));
+	if (typeof first !== 'string' || !TOTAL_RX.test(first.trim())) return null;
+	const text = rest.filter(isText).length;
+	return text === 0 || text * 2 < rest.length ? first.trim() : null;
+}
+
+/**
+ * Finds the header of a table that may sit below a title block. The header is
+ * the first row of two or more distinct labels filled across at least half of
+ * the table; text rows directly above it with several labels (or one label
+ * merged over some of the columns) are parent levels of a multi-row header,
+ * and so are filled text rows below it when data follows them.
+ * @param {Array<Array>} grid - Rows of cells, top of the sheet first; merged
+ *   cells may already be expanded.
+ * @param {Function} [mergeWidth] - (row, col) => columns a merged cell spans.
+ * @returns {{start: number, end: number}} First and last header row index.
+ */
+export function detectHeader(grid, mergeWidth = () => 1) {
+	const scan = grid.slice(0, HEADER_SCAN_ROWS);
+	const labels = scan.map((row) =>
+		row.map((v, c) => ({ v, c })).filter(({ v }) => !isBlank(v))
+	);
+	const distinct = (r) => new Set(labels[r].map(({ v }) => String(v).trim()));
+	const width = Math.max(0, ...labels.map((cells) => cells.length));
+	const textOnly = (r) =>
+		labels[r].length > 0 && labels[r].every(({ v }) => !isDataValue(v));
+	const dense = (r) => labels[r].length >= Math.max(2, Math.ceil(width / 2));
+
+	const first = scan.findIndex(
+		(row, r) => dense(r) && textOnly(r) && distinct(r).size > 1
+	);
+	if (first < 0) {
+		// No label row: the first filled row is the header, as before
+		const top = Math.max(
+			0,
+			labels.findIndex((cells) => cells.length > 0)
+		);
+		return { start: top, end: top };
+	}
+
+	let start = first;
+	while (start > 0 && first - start + 1 < MAX_HEADER_ROWS) {
+		const r = start - 1;
+		if (!textOnly(r)) break;
+		const span = mergeWidth(r, labels[r][0].c);
+		const parent = distinct(r).size > 1 || (span > 1 && span < width);
+		if (!parent) break;
+		start = r;
+	}
+
+	let end = first;
+	let below = first;
+	while (below + 1 < scan.length && below - start + 1 < MAX_HEADER_ROWS) {
+		if (!dense(below + 1) || !textOnly(below + 1)) break;
+		below++;
+	}
+	// Text rows only belong to the header when data follows them
+	const next = grid[below + 1];
+	if (below > first && next?.some((v) => !isBlank(v) && isDataValue(v))) {
+		end = below;
+	}
+	return { start, end };
+}
+
+/**
+ * Flattens a header of one or more rows into column titles. Labels of the
+ * levels are joined with " / "; a parent label written once over its group is
+ * repeated over the group when the header has no merged cells.
+ * @param {Array<Array>} headerRows - Header rows, top level first.
+ * @param {boolean} [merged] - Whether merged cells were already expanded.
+ * @returns {Array<string>} Column titles by column index.
+ */
+export function flattenHeader(headerRows, merged = false) {
+	const width = Math.max(0, ...headerRows.map((row) => row.length));
+	const levels = headerRows.map((row, level) => {
+		const fill = !merged && level < headerRows.length - 1;
+		const labels = [];
+		let last = null;
+		for (let c = 0; c < width; c++) {
+			const v = isBlank(row[c]) ? null : String(row[c]).trim();
+			if (v !== null) last = v;
+			labels[c] = v ?? (fill ? last : null);
+		}
+		return labels;
+	});
+	const titles = [];
+	for (let c = 0; c < width; c++) {
+		const parts = [];
+		levels.forEach((labels) => {
+			const label = labels[c];
+			if (label !== null && parts[parts.length - 1] !== label) {
+				parts.push(label);
+			}
+		});
+		titles[c] = parts.join(HEADER_SEPARATOR);
+	}
+	return titles;
+}
+
+// Copy the value of each merged range into all of its cells
+function expandMerges(grid, merges, origin) {
+	let count = 0;
+	(merges || []).forEach(({ s, e }) => {
+		const top = s.r - origin.r;
+		const left = s.c - origin.c;
+		const value = grid[top]?.[left];
+		if (value === undefined || value === null) return;
+		count++;
+		for (let r = Math.max(top, 0); r <= e.r - origin.r; r++) {
+			if (!grid[r]) continue;
+			for (let c = Math.max(left, 0); c <= e.c - origin.c; c++) {
+				grid[r][c] = value;
+			}
+		}
+	});
+	return count;
+}
+
+// Bounded list that still counts everything pushed to it
+function createList() {
+	const items = [];
+	let total = 0;
+	return {
+		push(item) {
+			total++;
+			if (items.length < MAX_REPORTED_ROWS) items.push(item);
+		},
+		toJSON: () => ({ total, items }),
+	};
+}
+
+/**
+ * Reads a table row by row, for sheets that are streamed. The first 30 rows
+ * are held back until the header is known (see detectHeader); after that
+ * every row is converted as it arrives. Blank and subtotal/total rows are
+ * skipped, and unnamed columns without data in the first rows are dropped.
+ * @param {Object} [options]
+ * @param {Function} [options.mergeWidth] - See detectHeader.
+ * @param {boolean} [options.merged] - Whether merged cells are expanded.
+ * @returns {{add: Function, finish: Function}} add(values, rowNumber) returns
+ *   the row objects that became ready; finish() returns the remaining rows and
+ *   the layout report.
+ */
+export function createTableReader({ mergeWidth, merged = false } = {}) {
+	const head = [];
+	const skippedRows = createList();
+	let table = null;
+	let lastRow = 0;
+
+	const toRow = ({ row, values }) => {
+		if (values.every(isBlank)) return null;
+		const label = totalRowLabel(values);
+		if (label) {
+			skippedRows.push({ row, label });
+			return null;
+		}
+		const result = {};
+		table.columns.forEach((c, i) => {
+			result[table.headers[i]] = isBlank(values[c]) ? null : values[c];
+		});
+		return result;
+	};
+
+	const resolve = () => {
+		const grid = head.map(({ values }) => values);
+		if (!grid.some((values) => values.some((v) => !isBlank(v)))) {
+			table = { headerRow: null, headerRows: 0, columns: [], headers: [] };
+			return [];
+		}
+		const { start, end } = detectHeader(grid, mergeWidth);
+		const titles = flattenHeader(grid.slice(start, end + 1), merged);
+		const body = head.slice(end + 1);
+		const width = Math.max(
+			titles.length,
+			...body.map(({ values }) => values.length)
+		);
+		const columns = [];
+		for (let c = 0; c < width; c++) {
+			if (titles[c] || body.some(({ values }) => !isBlank(values[c]))) {
+				columns.push(c);
+			}
+		}
+		table = {
+			headerRow: head[end].row,
+			headerRows: end - start + 1,
+			columns,
+			headers: toHeaders(columns.map((c) => titles[c])),
+		};
+		return body.map(toRow).filter(Boolean);
+	};
+
+	return {
+		add(values, row = lastRow + 1) {
+			if (table) {
+				lastRow = row;
+				const result = toRow({ row, values });
+				return result ? [result] : [];
+			}
+			// Blank rows left out of a stream still separate a title block
+			while (
+				head.length &&
+				lastRow + 1 < row &&
+				head.length < HEADER_SCAN_ROWS
+			) {
+				lastRow++;
+				head.push({ row: lastRow, values: [] });
+			}
+			lastRow = row;
+			head.push({ row, values });
+			return head.length >= HEADER_SCAN_ROWS ? resolve() : [];
+		},
+		finish() {
+			const rows = table ? [] : resolve();
+			return {
+				rows,
+				layout: {
+					headerRow: table.headerRow,
+					headerRows: table.headerRows,
+					skippedRows: skippedRows.toJSON(),
+				},
+			};
+		},
+	};
+}
+
+/**
+ * Turns the cells of a worksheet into row objects. The header row is
+ * detected below any title block, multi-row headers are flattened into
+ * "Parent / Child" titles, merged cells are expanded and subtotal/total rows
+ * are skipped.
+ * @param {Array<Array>} grid - Rows of cells (xlsx sheet_to_json with header: 1
+ *   and blankrows: true); expanded in place.
+ * @param {Object} [options]
+ * @param {Array} [options.merges] - Merged ranges (`!merges` of the sheet).
+ * @param {{r: number, c: number}} [options.origin] - Sheet position of grid[0][0].
+ * @returns {{rows: Array<Object>, layout: {headerRow: number|null, headerRows: number, mergedCells: number, skippedRows: Object}}}
+ *   headerRow is the 1-based sheet row of the last header row; skippedRows is
+ *   `{ total, items: [{row, label}] }` with at most 20 items.
+ */
+export function extractTable(grid, { merges, origin = { r: 0, c: 0 } } = {}) {
+	const spans = new Map();
+	(merges || []).forEach(({ s, e }) => {
+		spans.set(`${s.r - origin.r}:${s.c - origin.c}`, e.c - s.c + 1);
+	});
+	const mergedCells = expandMerges(grid, merges, origin);
+
+	const reader = createTableReader({
+		mergeWidth: (r, c) => spans.get(`${r}:${c}`) || 1,
+		merged: spans.size > 0,
+	});
+	const rows = [];
+	grid.forEach((values, r) => {
+		reader.add(values || [], origin.r + r + 1).forEach((row) => rows.push(row));
+	});
+	const { rows: rest, layout } = reader.finish();
+	rest.forEach((row) => rows.push(row));
+
+	logger.info('Extracted sheet table', {
+		headerRow: layout.headerRow,
+		headerRows: layout.headerRows,
+		mergedCells,
+		skippedRows: layout.skippedRows.total,
+		rows: rows.length,
+	});
+	return { rows, layout: { ...layout, mergedCells } };
+}
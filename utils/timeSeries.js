@@ -0,0 +1,186 @@
+import winston from 'winston';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+export const BUCKET_SIZES = ['day', 'week', 'month', 'quarter'];
+export const AGGREGATIONS = ['sum', 'avg', 'min', 'max', 'count', 'last'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Returns the UTC start and label of the bucket containing a date.
+ * Weeks are ISO weeks starting on Monday.
+ * @param {Date} date - Entry date.
+ * @param {string} bucket - One of BUCKET_SIZES.
+ * @returns {{start: Date, label: string}} Bucket start and display label.
+ */
+export function getBucket(date, bucket) {
+	const y = date.getUTCFullYear();
+	const m = date.getUTCMonth();
+	const d = date.getUTCDate();
+
+	switch (bucket) {
+		case 'day':
+			return {
+				start: new Date(Date.UTC(y, m, d)),
+				label: `${y}-${pad(m + 1)}-${pad(d)}`,
+			};
+		case 'week': {
+			const dayStart = Date.UTC(y, m, d);
+			const isoDay = (date.getUTCDay() + 6) % 7; // Monday = 0
+			const start = new Date(dayStart - isoDay * DAY_MS);
+			// ISO week year is the year of the week's Thursday
+			const thursday = new Date(start.getTime() + 3 * DAY_MS);
+			const isoYear = thursday.getUTCFullYear();
+			const week =
+				Math.floor(
+					(thursday.getTime() - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS)
+				) + 1;
+			return { start, label: `${isoYear}-W${pad(week)}` };
+		}
+		case 'month':
+			return {
+				start: new Date(Date.UTC(y, m, 1)),
+				label: `${y}-${pad(m + 1)}`,
+			};
+		case 'quarter': {
+			const q = Math.floor(m / 3);
+			return {
+				start: new Date(Date.UTC(y, q * 3, 1)),
+				label: `${y}-Q${q + 1}`,
+			};
+		}
+		default:
+			throw new Error(`ERR_INVALID_BUCKET: Unknown bucket size '${bucket}'`);
+	}
+}
+
+// Reduce the values of one bucket with the requested aggregation
+function reduceBucket(points, aggregation) {
+	const numbers = points
+		.map((p) => p.v)
+		.filter((v) => typeof v === 'number' && isFinite(v));
+
+	switch (aggregation) {
+		case 'count':
+			return points.length;
+		case 'last': {
+			const last = points.reduce((a, b) => (b.d >= a.d ? b : a));
+			return last.v;
+		}
+		case 'sum':
+			return numbers.length ? numbers.reduce((a, b) => a + b, 0) : null;
+		case 'avg':
+			return numbers.length
+				? numbers.reduce((a, b) => a + b, 0) / numbers.length
+				: null;
+		case 'min':
+			return numbers.length ? Math.min(...numbers) : null;
+		case 'max':
+			return numbers.length ? Math.max(...numbers) : null;
+		default:
+			throw new Error(
+				`ERR_INVALID_AGGREGATION: Unknown aggregation '${aggregation}'`
+			);
+	}
+}
+
+/**
+ * Rolls the values of one title up over time for every category.
+ * @param {Array} dashboardData - Array of category objects.
+ * @param {string} title - Entry title to aggregate (e.g., "Revenue").
+ * @param {string} bucket - Bucket size: day, week, month or quarter.
+ * @param {string} aggregation - sum, avg, min, max, count or last.
+ * @param {Object} [range] - Optional date range.
+ * @param {Date} [range.from] - Inclusive lower bound.
+ * @param {Date} [range.to] - Inclusive upper bound.
+ * @returns {{buckets: Array<{b: string, l: string}>, series: Array<{cat: string, points: Array<{b: string, l: string, v: any, n: number}>}>}}
+ *   Sorted bucket list and one series per category that has the title.
+ */
+export function aggregateTimeSeries(
+	dashboardData,
+	title,
+	bucket,
+	aggregation,
+	range = {}
+) {
+	if (!Array.isArray(dashboardData)) {
+		logger.warn('Invalid dashboardData: must be an array', {
+			type: typeof dashboardData,
+		});
+		return { buckets: [], series: [] };
+	}
+
+	const startTime = Date.now();
+	const allBuckets = new Map();
+	const series = [];
+
+	dashboardData.forEach((category) => {
+		if (!category || !Array.isArray(category.data)) return;
+
+		const grouped = new Map();
+		category.data.forEach((entry) => {
+			if (!Array.isArray(entry.d)) return;
+			entry.d.forEach((node) => {
+				if (node.t !== title || node.v === undefined || node.v === null) {
+					return;
+				}
+				const date = node.d instanceof Date ? node.d : new Date(node.d);
+				if (isNaN(date.getTime())) return;
+				if (range.from && date < range.from) return;
+				if (range.to && date > range.to) return;
+
+				const { start, label } = getBucket(date, bucket);
+				const key = start.toISOString();
+				allBuckets.set(key, label);
+				if (!grouped.has(key)) grouped.set(key, { label, points: [] });
+				const v =
+					typeof node.v === 'string' && node.v.trim() && !isNaN(Number(node.v))
+						? Number(node.v)
+						: node.v;
+				grouped.get(key).points.push({ v, d: date });
+			});
+		});
+
+		if (grouped.size === 0) return;
+
+		const points = [...grouped.entries()]
+			.sort(([a], [b]) => (a < b ? -1 : 1))
+			.map(([b, { label, points: bucketPoints }]) => ({
+				b,
+				l: label,
+				v: reduceBucket(bucketPoints, aggregation),
+				n: bucketPoints.length,
+			}));
+		series.push({ cat: category.cat, points });
+	});
+
+	const buckets = [...allBuckets.entries()]
+		.sort(([a], [b]) => (a < b ? -1 : 1))
+		.map(([b, l]) => ({ b, l }));
+
+	const duration = (Date.now() - startTime) / 1000;
+	logger.info('Aggregated time series', {
+		title,
+		bucket,
+		aggregation,
+		categories: series.length,
+		buckets: buckets.length,
+		duration,
+	});
+
+	return { buckets, series };
+}
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { CustomError } from './CustomError.js';
+
+export const MAX_CHUNK_SIZE = 500 * 1024; // 500 KB
+// Files up to this size may be uploaded directly and are read in memory;
+// larger files go through an upload session and are streamed
+export const MAX_BUFFERED_UPLOAD = 6 * 1024 * 1024;
+const MAX_TOTAL_CHUNKS = 10000;
+const SHA256_HEX = /^[a-f0-9]{64}$/i;
+
+/**
+ * SHA-256 hex digest of a buffer.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const sha256 = (buffer) =>
+	crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Checks the parameters of a new upload session.
+ * @param {Object} params
+ * @param {string} params.fileName - Original file name.
+ * @param {number|string} params.size - Total file size in bytes.
+ * @param {number|string} params.totalChunks - Number of chunks to be sent.
+ * @param {number} params.maxFileSize - Largest file the user may upload.
+ * @returns {{fileSize: number, chunkCount: number}}
+ * @throws {CustomError} 400 on invalid parameters, 413 when the file is too large.
+ */
+export function checkSessionParams({
+	fileName,
+	size,
+	totalChunks,
+	maxFileSize,
+}) {
+	const fileSize = Number(size);
+	const chunkCount = Number(totalChunks);
+	if (typeof fileName !== 'string' || !fileName.match(/\.(csv|xlsx|xls)$/i)) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_PARAM: fileName must be a .csv, .xlsx or .xls file'
+		);
+	}
+	if (!Number.isInteger(fileSize) || fileSize <= 0) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_PARAM: size must be a positive integer'
+		);
+	}
+	if (
+		!Number.isInteger(chunkCount) ||
+		chunkCount < 1 ||
+		chunkCount > MAX_TOTAL_CHUNKS
+	) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_PARAM: totalChunks must be between 1 and ${MAX_TOTAL_CHUNKS}`
+		);
+	}
+	if (fileSize > maxFileSize) {
+		throw new CustomError(
+			413,
+			`ERR_SIZE_LIMIT: File exceeds ${Math.floor(
+				maxFileSize / (1024 * 1024)
+			)}MB`
+		);
+	}
+	if (Math.ceil(fileSize / MAX_CHUNK_SIZE) > chunkCount) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_PARAM: Chunks cannot exceed ${MAX_CHUNK_SIZE} bytes`
+		);
+	}
+	return { fileSize, chunkCount };
+}
+
+/**
+ * Checks one chunk against its index and hash.
+ * @param {Object} session - Upload session.
+ * @param {number} index - Zero-based chunk index.
+ * @param {Buffer} buffer - Chunk content.
+ * @param {string} hash - SHA-256 hex digest of the chunk.
+ * @returns {string} Digest of the chunk, lower case.
+ * @throws {CustomError} 400 on invalid index, size or hash mismatch.
+ */
+export function checkChunk(session, index, buffer, hash) {
+	if (!Number.isInteger(index) || index < 0 || index >= session.tc) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_CHUNK: Chunk index must be between 0 and ${session.tc - 1}`
+		);
+	}
+	if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+		throw new CustomError(400, 'ERR_INVALID_CHUNK: Chunk is empty');
+	}
+	if (buffer.length > MAX_CHUNK_SIZE) {
+		throw new CustomError(
+			400,
+			`ERR_INVALID_CHUNK: Chunk exceeds ${MAX_CHUNK_SIZE} bytes`
+		);
+	}
+	if (typeof hash !== 'string' || !SHA256_HEX.test(hash)) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_CHUNK: Chunk hash must be a SHA-256 hex digest'
+		);
+	}
+	const actual = sha256(buffer);
+	if (actual !== hash.toLowerCase()) {
+		throw new CustomError(
+			400,
+			`ERR_CHECKSUM_MISMATCH: Chunk ${index} hash does not match its content`
+		);
+	}
+	return actual;
+}
+
+/**
+ * Received and missing chunk indexes of a session.
+ * @param {Object} session - Upload session.
+ * @param {Map<number, {length: number}>} byIndex - Stored chunk per index.
+ * @returns {{received: Array<number>, missing: Array<number>, bytes: number}}
+ */
+export function chunkProgress(session, byIndex) {
+	const received = [];
+	const missing = [];
+	let bytes = 0;
+	for (let i = 0; i < session.tc; i++) {
+		if (byIndex.has(i)) {
+			received.push(i);
+			bytes += byIndex.get(i).length;
+		} else {
+			missing.push(i);
+		}
+	}
+	return { received, missing, bytes };
+}
+
+/**
+ * Checks the whole-file checksum parameter.
+ * @param {string} checksum
+ * @throws {CustomError} 400 when it is not a SHA-256 hex digest.
+ */
+export function checkChecksumParam(checksum) {
+	if (typeof checksum !== 'string' || !SHA256_HEX.test(checksum)) {
+		throw new CustomError(
+			400,
+			'ERR_INVALID_PARAM: checksum must be a SHA-256 hex digest'
+		);
+	}
+}
+
+/**
+ * Checks the reassembled file against the session size and the checksum.
+ * @param {Object} session - Upload session.
+ * @param {number} size - Reassembled size in bytes.
+ * @param {string} digest - SHA-256 hex digest of the reassembled file.
+ * @param {string} checksum - Checksum sent by the client.
+ * @throws {CustomError} 400 on size or checksum mismatch.
+ */
+export function checkAssembled(session, size, digest, checksum) {
+	if (size !== session.size) {
+		throw new CustomError(
+			400,
+			`ERR_SIZE_MISMATCH: Received ${size} bytes, expected ${session.size}`
+		);
+	}
+	if (digest !== checksum.toLowerCase()) {
+		throw new CustomError(
+			400,
+			'ERR_CHECKSUM_MISMATCH: File checksum does not match'
+		);
+	}
+}
@@ -0,0 +1,163 @@
+import winston from 'winston';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+const MAX_DIFF_ITEMS = 100;
+
+const toTime = (d) => {
+	const date = d instanceof Date ? d : new Date(d);
+	return isNaN(date.getTime()) ? null : date.getTime();
+};
+
+const sameValue = (a, b) =>
+	a === b ||
+	(a !== null &&
+		b !== null &&
+		typeof a === 'object' &&
+		JSON.stringify(a) === JSON.stringify(b));
+
+// Category and group names of an index key
+const label = (key) => {
+	const parts = key.split('\u0000');
+	return parts.length > 1 ? { cat: parts[1], grp: parts[0] } : { cat: key };
+};
+
+// Index the entries of a dashboard by category (within its group) and entry id
+function indexEntries(dashboardData) {
+	const index = new Map();
+	(dashboardData || []).forEach((category) => {
+		if (!category || !Array.isArray(category.data)) return;
+		const key = category.grp
+			? `${category.grp}\u0000${category.cat}`
+			: category.cat;
+		if (!index.has(key)) index.set(key, new Map());
+		const entries = index.get(key);
+		category.data.forEach((entry) => {
+			if (typeof entry.i === 'string') entries.set(entry.i, entry);
+		});
+	});
+	return index;
+}
+
+// Bounded list that still counts everything pushed to it
+function createList() {
+	const items = [];
+	let total = 0;
+	return {
+		push(item) {
+			total++;
+			if (items.length < MAX_DIFF_ITEMS) items.push(item);
+		},
+		toJSON: () => ({ total, items }),
+	};
+}
+
+/**
+ * Compares dashboard data before and after an upload is merged.
+ * @param {Array} existingData - Stored categories before the upload.
+ * @param {Array} incomingData - Categories built from the uploaded file.
+ * @param {Array} mergedData - Result of merging the upload into existingData.
+ * @returns {{newCategories: Object, newEntries: Object, changedValues: Object, removedEntries: Object, typeWarnings: Object}}
+ *   Each list is `{ total, items }`, with at most 100 items.
+ */
+export function diffDashboardData(existingData, incomingData, mergedData) {
+	const start = Date.now();
+	const existing = indexEntries(existingData);
+	const incoming = indexEntries(incomingData);
+	const merged = indexEntries(mergedData);
+
+	const newCategories = createList();
+	const newEntries = createList();
+	const changedValues = createList();
+	const removedEntries = createList();
+	const typeWarnings = createList();
+
+	merged.forEach((entries, key) => {
+		const before = existing.get(key);
+		if (!before) {
+			newCategories.push({ ...label(key), entries: entries.size });
+			return;
+		}
+		entries.forEach((entry, i) => {
+			const old = before.get(i);
+			if (!old) {
+				newEntries.push({ ...label(key), i, t: entry.d?.[0]?.t });
+				return;
+			}
+			const oldNodes = new Map(
+				(old.d || []).map((node) => [`${node.t}|${toTime(node.d)}`, node])
+			);
+			(entry.d || []).forEach((node) => {
+				const prev = oldNodes.get(`${node.t}|${toTime(node.d)}`);
+				if (prev && !sameValue(prev.v, node.v)) {
+					changedValues.push({
+						...label(key),
+						i,
+						t: node.t,
+						d: node.d,
+						from: prev.v,
+						to: node.v,
+					});
+				}
+			});
+		});
+	});
+
+	existing.forEach((entries, key) => {
+		const after = merged.get(key);
+		entries.forEach((entry, i) => {
+			if (!after || !after.has(i)) {
+				removedEntries.push({ ...label(key), i, t: entry.d?.[0]?.t });
+			}
+		});
+	});
+
+	// Type changes make mergeDashboardData append instead of replace
+	incoming.forEach((entries, key) => {
+		const before = existing.get(key);
+		if (!before) return;
+		entries.forEach((entry, i) => {
+			const old = before.get(i);
+			const oldValue = old?.d?.[0]?.v;
+			const newValue = entry.d?.[0]?.v;
+			if (old && typeof oldValue !== typeof newValue) {
+				typeWarnings.push({
+					...label(key),
+					i,
+					t: entry.d?.[0]?.t,
+					existingType: typeof oldValue,
+					newType: typeof newValue,
+				});
+			}
+		});
+	});
+
+	const diff = {
+		newCategories: newCategories.toJSON(),
+		newEntries: newEntries.toJSON(),
+		changedValues: changedValues.toJSON(),
+		removedEntries: removedEntries.toJSON(),
+		typeWarnings: typeWarnings.toJSON(),
+	};
+	logger.info('Computed upload diff', {
+		newCategories: diff.newCategories.total,
+		newEntries: diff.newEntries.total,
+		changedValues: diff.changedValues.total,
+		removedEntries: diff.removedEntries.total,
+		typeWarnings: diff.typeWarnings.total,
+		duration: (Date.now() - start) / 1000,
+	});
+	return diff;
+}
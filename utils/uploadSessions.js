@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import mongoose from 'mongoose';
+import { GridFSBucket } from 'mongodb';
+import { Redis } from '@upstash/redis';
+import Queue from 'bull';
+import winston from 'winston';
+import { CustomError } from './CustomError.js';
+import {
+	checkSessionParams,
+	checkChunk,
+	chunkProgress,
+	checkChecksumParam,
+	checkAssembled,
+} from './uploadChunks.js';
+
+export { MAX_CHUNK_SIZE, MAX_BUFFERED_UPLOAD, sha256 } from './uploadChunks.js';
+
+// Logger configuration
+const logger = winston.createLogger({
+	level: 'info',
+	format: winston.format.combine(
+		winston.format.timestamp(),
+		winston.format.json()
+	),
+	transports: [
+		new winston.transports.Console(),
+		new winston.transports.File({ filename: 'error.log', level: 'error' }),
+		new winston.transports.File({ filename: 'combined.log' }),
+	],
+});
+
+const redis = Redis.fromEnv();
+
+// Delayed jobs that remove the chunks of abandoned sessions
+const expiryQueue = new Queue('upload-session-expiry', {
+	redis: {
+		url: process.env.UPSTASH_REDIS_REST_URL,
+		token: process.env.UPSTASH_REDIS_REST_TOKEN,
+	},
+});
+
+export const SESSION_TTL = 24 * 60 * 60; // 24 hours, refreshed on activity
+const SESSION_ID =
+	/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const sessionKey = (uid, sid) => `upload:${uid}:${sid}`;
+
+const getBucket = () =>
+	new GridFSBucket(mongoose.connection.db, { bucketName: 'Uploads' });
+
+// Chunk files are looked up by session and index
+mongoose.connection.once('open', () => {
+	mongoose.connection.db
+		.collection('Uploads.files')
+		.createIndex(
+			{ 'metadata.sid': 1, 'metadata.idx': 1 },
+			{ partialFilterExpression: { 'metadata.sid': { $exists: true } } }
+		)
+		.then(() => logger.info('Upload session index ready'))
+		.catch((e) =>
+			logger.error('Failed to create upload session index', {
+				error: e.message,
+			})
+		);
+});
+
+// Chunk files of a session, one per index (latest upload wins)
+async function listChunkFiles(sid) {
+	const files = await getBucket()
+		.find({ 'metadata.sid': sid }, { sort: { uploadDate: 1 } })
+		.toArray();
+	const byIndex = new Map();
+	files.forEach((file) => byIndex.set(file.metadata.idx, file));
+	return { byIndex, all: files };
+}
+
+async function deleteFiles(files) {
+	const gfs = getBucket();
+	await Promise.all(
+		files.map((file) =>
+			gfs.delete(file._id).catch((err) =>
+				logger.warn('Failed to delete upload chunk', {
+					fileId: file._id.toString(),
+					error: err.message,
+				})
+			)
+		)
+	);
+}
+
+/**
+ * Starts an upload session. Upload options (dashboard id, column settings,
+ * dry run, ...) are stored with the session and applied on finalize.
+ * @param {string} uid - User ID.
+ * @param {Object} params
+ * @param {string} params.fileName - Original file name.
+ * @param {number} params.size - Total file size in bytes.
+ * @param {number} params.totalChunks - Number of chunks the client will send.
+ * @param {number} params.maxFileSize - Largest file the user may upload.
+ * @param {Object} [params.options] - Upload options applied on finalize.
+ * @returns {Promise<Object>} Session.
+ * @throws {CustomError} 400 on invalid parameters, 413 when the file is too large.
+ */
+export async function createUploadSession(
+	uid,
+	{ fileName, size, totalChunks, maxFileSize, options = {} }
+) {
+	const { fileSize, chunkCount } = checkSessionParams({
+		fileName,
+		size,
+		totalChunks,
+		maxFileSize,
+	});
+
+	const now = Date.now();
+	const session = {
+		sid: crypto.randomUUID(),
+		uid,
+		fn: fileName,
+		size: fileSize,
+		tc: chunkCount,
+		opts: options,
+		ca: new Date(now).toISOString(),
+	};
+	await redis.set(sessionKey(uid, session.sid), JSON.stringify(session), {
+		ex: SESSION_TTL,
+	});
+	await expiryQueue.add(
+		{ uid, sid: session.sid },
+		{ delay: SESSION_TTL * 1000, attempts: 3 }
+	);
+
+	logger.info('Created upload session', {
+		uid,
+		sid: session.sid,
+		fileName,
+		size: fileSize,
+		totalChunks: chunkCount,
+	});
+	return session;
+}
+
+/**
+ * Loads an upload session.
+ * @param {string} uid - User ID.
+ * @param {string} sid - Session ID.
+ * @returns {Promise<Object>} Session.
+ * @throws {CustomError} 404 when the session does not exist or has expired.
+ */
+export async function getUploadSession(uid, sid) {
+	const raw = SESSION_ID.test(sid)
+		? await redis.get(sessionKey(uid, sid))
+		: null;
+	if (!raw) {
+		throw new CustomError(
+			404,
+			'ERR_SESSION_NOT_FOUND: Upload session not found or expired'
+		);
+	}
+	return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+/**
+ * Stores one chunk. Chunks may arrive in any order; re-sending an index
+ * replaces the earlier copy, so retries are safe.
+ * @param {Object} session - Session from getUploadSession.
+ * @param {number} index - Zero-based chunk index.
+ * @param {Buffer} buffer - Chunk content.
+ * @param {string} hash - SHA-256 hex digest of the chunk.
+ * @returns {Promise<{index: number, size: number}>}
+ * @throws {CustomError} 400 on invalid index, size or hash mismatch.
+ */
+export async function storeChunk(session, index, buffer, hash) {
+	const actual = checkChunk(session, index, buffer, hash);
+
+	const { all } = await listChunkFiles(session.sid);
+	const previous = all.filter((file) => file.metadata.idx === index);
+
+	const writeStream = getBucket().openUploadStream(
+		`upload-${session.sid}-${index}`,
+		{
+			contentType: 'application/octet-stream',
+			metadata: {
+				uid: session.uid,
+				sid: session.sid,
+				idx: index,
+				hash: actual,
+			},
+		}
+	);
+	writeStream.end(buffer);
+	await new Promise((resolve, reject) => {
+		writeStream.on('finish', resolve);
+		writeStream.on('error', reject);
+	});
+
+	if (previous.length) await deleteFiles(previous);
+	await redis.expire(sessionKey(session.uid, session.sid), SESSION_TTL);
+
+	logger.info('Stored upload chunk', {
+		uid: session.uid,
+		sid: session.sid,
+		index,
+		size: buffer.length,
+		replaced: previous.length > 0,
+	});
+	return { index, size: buffer.length };
+}
+
+/**
+ * Lists received and missing chunk indexes.
+ * @param {Object} session - Session from getUploadSession.
+ * @returns {Promise<{received: Array<number>, missing: Array<number>, bytes: number}>}
+ */
+export async function getUploadProgress(session) {
+	const { byIndex } = await listChunkFiles(session.sid);
+	return chunkProgress(session, byIndex);
+}
+
+// Chunk files in index order; fails when any chunk is missing
+async function listCompleteChunks(session) {
+	const { byIndex } = await listChunkFiles(session.sid);
+	const { missing } = chunkProgress(session, byIndex);
+	if (missing.length) {
+		const error = new CustomError(
+			409,
+			`ERR_INCOMPLETE_UPLOAD: ${missing.length} chunk(s) missing`
+		);
+		error.missing = missing;
+		throw error;
+	}
+	return [...Array(session.tc).keys()].map((i) => byIndex.get(i));
+}
+
+// Yield the content of the chunk files in order
+async function* readChunks(files) {
+	const gfs = getBucket();
+	for (const file of files) {
+		yield* gfs.openDownloadStream(file._id);
+	}
+}
+
+/**
+ * Reassembles the file and checks it against the whole-file checksum.
+ * @param {Object} session - Session from getUploadSession.
+ * @param {string} checksum - SHA-256 hex digest of the complete file.
+ * @returns {Promise<Buffer>} File content.
+ * @throws {CustomError} 409 when chunks are missing, 400 on size or checksum mismatch.
+ */
+export async function assembleUpload(session, checksum) {
+	checkChecksumParam(checksum);
+	const files = await listCompleteChunks(session);
+
+	const hash = crypto.createHash('sha256');
+	const parts = [];
+	for await (const chunk of readChunks(files)) {
+		hash.update(chunk);
+		parts.push(chunk);
+	}
+	const buffer = Buffer.concat(parts);
+	checkAssembled(session, buffer.length, hash.digest('hex'), checksum);
+	return buffer;
+}
+
+/**
+ * Checks the stored chunks against the whole-file checksum without holding
+ * the file in memory. Used before streaming large uploads.
+ * @param {Object} session - Session from getUploadSession.
+ * @param {string} checksum - SHA-256 hex digest of the complete file.
+ * @returns {Promise<void>}
+ * @throws {CustomError} 409 when chunks are missing, 400 on size or checksum mismatch.
+ */
+export async function verifyUpload(session, checksum) {
+	checkChecksumParam(checksum);
+	const files = await listCompleteChunks(session);
+
+	const hash = crypto.createHash('sha256');
+	let size = 0;
+	for await (const chunk of readChunks(files)) {
+		hash.update(chunk);
+		size += chunk.length;
+	}
+	checkAssembled(session, size, hash.digest('hex'), checksum);
+}
+
+/**
+ * Opens the uploaded file as a stream of its chunks in order.
+ * @param {Object} session - Session from getUploadSession.
+ * @returns {Promise<stream.Readable>} File content.
+ * @throws {CustomError} 409 when chunks are missing.
+ */
+export async function openUploadStream(session) {
+	return Readable.from(readChunks(await listCompleteChunks(session)), {
+		objectMode: false,
+	});
+}
+
+/**
+ * Removes a session and its stored chunks.
+ * @param {Object} session - Session from getUploadSession.
+ * @returns {Promise<void>}
+ */
+export async function deleteUploadSession(session) {
+	const { all } = await listChunkFiles(session.sid);
+	await Promise.all([
+		redis.del(sessionKey(session.uid, session.sid)),
+		deleteFiles(all),
+	]);
+	logger.info('Deleted upload session', {
+		uid: session.uid,
+		sid: session.sid,
+		chunks: all.length,
+	});
+}
+
+// Remove chunks once a session has expired; active sessions are re-checked later
+expiryQueue.process(async (job) => {
+	const { uid, sid } = job.data;
+	try {
+		const ttl = await redis.ttl(sessionKey(uid, sid));
+		if (ttl > 0) {
+			await expiryQueue.add({ uid, sid }, { delay: ttl * 1000, attempts: 3 });
+			return;
+		}
+		const { all } = await listChunkFiles(sid);
+		await deleteFiles(all);
+		logger.info('Expired upload session', { uid, sid, chunks: all.length });
+	} catch (err) {
+		logger.error('Error expiring upload session', {
+			uid,
+			sid,
+			error: err.message,
+		});
+		throw err;
+	}
+});
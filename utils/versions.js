@@ -0,0 +1,68 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Versions kept under a plan's count and age limits. The version of the
+ * current data file is always kept, whatever its age or position.
+ * @param {Array<Object>} versions - Dashboard versions (`n`, `fid`, `ca`).
+ * @param {string|null} currentFid - File id of the current data.
+ * @param {Object} limits
+ * @param {number} limits.versionLimit - Most versions kept.
+ * @param {number} limits.versionDays - Oldest version kept, in days.
+ * @param {number} [now] - Reference time in milliseconds.
+ * @returns {Array<Object>} Kept versions, newest first.
+ */
+export function selectKeptVersions(
+	versions,
+	currentFid,
+	{ versionLimit, versionDays },
+	now = Date.now()
+) {
+	const cutoff = now - versionDays * DAY;
+	return [...versions]
+		.sort((a, b) => b.n - a.n)
+		.filter(
+			(v, idx) =>
+				v.fid === currentFid ||
+				(idx < versionLimit && new Date(v.ca).getTime() >= cutoff)
+		);
+}
+
+/**
+ * Splits detached source files into those a kept version still includes and
+ * those no version needs any more. Versions recorded before their source
+ * files were (no `sf`) may include any file uploaded before them.
+ * @param {Array<Object>} files - Detached source files (`fid`, `lu`).
+ * @param {Array<Object>} versions - Kept versions.
+ * @returns {{inUse: Array<Object>, released: Array<Object>}}
+ */
+export function splitDetachedFiles(files, versions) {
+	const inUse = [];
+	const released = [];
+	files.forEach((file) => {
+		const used = versions.some((v) =>
+			v.sf
+				? v.sf.includes(file.fid)
+				: new Date(file.lu).getTime() <= new Date(v.ca).getTime()
+		);
+		(used ? inUse : released).push(file);
+	});
+	return { inUse, released };
+}
+
+/**
+ * Source files as they were at a version: the files it included become the
+ * dashboard's files again and all others are detached. Versions recorded
+ * before their source files were leave the files as they are.
+ * @param {Array<Object>} files - Current source files.
+ * @param {Array<Object>} detached - Detached source files.
+ * @param {Object} version - Version being restored.
+ * @returns {{files: Array<Object>, detached: Array<Object>}}
+ */
+export function filesAtVersion(files, detached, version) {
+	if (!version.sf) return { files, detached };
+	const all = [...files, ...detached];
+	return {
+		files: all.filter((f) => version.sf.includes(f.fid)),
+		detached: all.filter((f) => !version.sf.includes(f.fid)),
+	};
+}